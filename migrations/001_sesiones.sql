@@ -0,0 +1,33 @@
+-- migrations/001_sesiones.sql
+-- Sesiones del servidor y refresh tokens rotativos
+--
+-- Cada login crea una sesión. Los access tokens (JWT de vida corta) llevan
+-- el id de la sesión (sid) y authMiddleware rechaza los que pertenecen a una
+-- sesión revocada. Los refresh tokens se guardan hasheados (SHA-256) y se
+-- rotan en cada uso: presentar uno ya usado revoca la sesión completa.
+
+CREATE TABLE IF NOT EXISTS sesion (
+    id_sesion INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    ip VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    creada_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ultimo_uso DATETIME NULL,
+    revocada_en DATETIME NULL,
+    motivo_revocacion VARCHAR(100) NULL,
+    CONSTRAINT fk_sesion_usuario FOREIGN KEY (usuario_id)
+        REFERENCES usuario (id_usuario) ON DELETE CASCADE,
+    INDEX idx_sesion_usuario (usuario_id, revocada_en)
+);
+
+CREATE TABLE IF NOT EXISTS refresh_token (
+    id_refresh_token INT AUTO_INCREMENT PRIMARY KEY,
+    sesion_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expira_en DATETIME NOT NULL,
+    usado_en DATETIME NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_refresh_token_sesion FOREIGN KEY (sesion_id)
+        REFERENCES sesion (id_sesion) ON DELETE CASCADE,
+    UNIQUE KEY uq_refresh_token_hash (token_hash)
+);
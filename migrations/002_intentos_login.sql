@@ -0,0 +1,34 @@
+-- migrations/002_intentos_login.sql
+-- Protección contra fuerza bruta en el login
+--
+-- intento_login registra cada intento (exitoso o no) por usuario e IP.
+-- bloqueo_login guarda los bloqueos temporales por usuario o por IP;
+-- un administrador puede levantarlos antes de que expiren.
+
+CREATE TABLE IF NOT EXISTS intento_login (
+    id_intento INT AUTO_INCREMENT PRIMARY KEY,
+    usuario VARCHAR(50) NOT NULL,
+    usuario_id INT NULL,
+    ip VARCHAR(45) NULL,
+    exitoso BOOLEAN NOT NULL DEFAULT FALSE,
+    motivo VARCHAR(50) NULL,
+    fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_intento_login_usuario FOREIGN KEY (usuario_id)
+        REFERENCES usuario (id_usuario) ON DELETE SET NULL,
+    INDEX idx_intento_login_usuario (usuario, fecha),
+    INDEX idx_intento_login_ip (ip, fecha)
+);
+
+CREATE TABLE IF NOT EXISTS bloqueo_login (
+    id_bloqueo INT AUTO_INCREMENT PRIMARY KEY,
+    tipo ENUM('USUARIO', 'IP') NOT NULL,
+    valor VARCHAR(50) NOT NULL,
+    intentos INT NOT NULL,
+    bloqueado_hasta DATETIME NOT NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    desbloqueado_en DATETIME NULL,
+    desbloqueado_por INT NULL,
+    CONSTRAINT fk_bloqueo_login_usuario FOREIGN KEY (desbloqueado_por)
+        REFERENCES usuario (id_usuario) ON DELETE SET NULL,
+    INDEX idx_bloqueo_login_valor (tipo, valor, bloqueado_hasta)
+);
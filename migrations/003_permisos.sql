@@ -0,0 +1,66 @@
+-- migrations/003_permisos.sql
+-- Matriz de permisos configurable: rol × recurso × acción
+--
+-- Recursos: CJ, CJO, CEMCI, CEMS, catalogos, usuarios, estadisticas
+-- Acciones: consultar, crear, modificar, eliminar
+--
+-- Cada fila otorga UNA acción sobre UN recurso a UN rol (si no hay fila,
+-- no hay permiso). El rol Administrador siempre tiene acceso total aunque
+-- se editen sus filas, para que nadie pueda quedarse fuera del sistema.
+
+CREATE TABLE IF NOT EXISTS permiso_rol (
+    id_permiso INT AUTO_INCREMENT PRIMARY KEY,
+    rol_id INT NOT NULL,
+    recurso VARCHAR(30) NOT NULL,
+    accion ENUM('consultar', 'crear', 'modificar', 'eliminar') NOT NULL,
+    CONSTRAINT fk_permiso_rol_rol FOREIGN KEY (rol_id)
+        REFERENCES rol (id_rol) ON DELETE CASCADE,
+    UNIQUE KEY uq_permiso_rol (rol_id, recurso, accion)
+);
+
+-- Permisos iniciales (equivalentes a las reglas que estaban en el código)
+
+-- Administrador: todo
+INSERT IGNORE INTO permiso_rol (rol_id, recurso, accion)
+SELECT r.id_rol, rec.recurso, acc.accion
+FROM rol r
+CROSS JOIN (
+    SELECT 'CJ' AS recurso UNION ALL SELECT 'CJO' UNION ALL SELECT 'CEMCI' UNION ALL SELECT 'CEMS'
+    UNION ALL SELECT 'catalogos' UNION ALL SELECT 'usuarios' UNION ALL SELECT 'estadisticas'
+) rec
+CROSS JOIN (
+    SELECT 'consultar' AS accion UNION ALL SELECT 'crear' UNION ALL SELECT 'modificar' UNION ALL SELECT 'eliminar'
+) acc
+WHERE r.nombre = 'Administrador';
+
+-- Juzgados y Juzgado de Ejecución: consultar todas las carpetas, catálogos y estadísticas
+INSERT IGNORE INTO permiso_rol (rol_id, recurso, accion)
+SELECT r.id_rol, rec.recurso, 'consultar'
+FROM rol r
+CROSS JOIN (
+    SELECT 'CJ' AS recurso UNION ALL SELECT 'CJO' UNION ALL SELECT 'CEMCI' UNION ALL SELECT 'CEMS'
+    UNION ALL SELECT 'catalogos' UNION ALL SELECT 'estadisticas'
+) rec
+WHERE r.nombre IN ('Juzgados', 'Juzgado de Ejecución');
+
+-- Juzgados: escritura en CJ y CJO; crear/modificar catálogos
+INSERT IGNORE INTO permiso_rol (rol_id, recurso, accion)
+SELECT r.id_rol, rec.recurso, acc.accion
+FROM rol r
+CROSS JOIN (SELECT 'CJ' AS recurso UNION ALL SELECT 'CJO') rec
+CROSS JOIN (SELECT 'crear' AS accion UNION ALL SELECT 'modificar' UNION ALL SELECT 'eliminar') acc
+WHERE r.nombre = 'Juzgados';
+
+INSERT IGNORE INTO permiso_rol (rol_id, recurso, accion)
+SELECT r.id_rol, 'catalogos', acc.accion
+FROM rol r
+CROSS JOIN (SELECT 'crear' AS accion UNION ALL SELECT 'modificar') acc
+WHERE r.nombre = 'Juzgados';
+
+-- Juzgado de Ejecución: escritura en CEMCI y CEMS
+INSERT IGNORE INTO permiso_rol (rol_id, recurso, accion)
+SELECT r.id_rol, rec.recurso, acc.accion
+FROM rol r
+CROSS JOIN (SELECT 'CEMCI' AS recurso UNION ALL SELECT 'CEMS') rec
+CROSS JOIN (SELECT 'crear' AS accion UNION ALL SELECT 'modificar' UNION ALL SELECT 'eliminar') acc
+WHERE r.nombre = 'Juzgado de Ejecución';
@@ -0,0 +1,24 @@
+-- migrations/004_auditoria.sql
+-- Bitácora de auditoría de escrituras sobre registros judiciales
+--
+-- Una fila por cada llamada de escritura a un modelo (crear, actualizar,
+-- eliminar, revocar, etc.). Guarda quién, cuándo, desde qué IP, sobre qué
+-- registro y los valores anteriores/nuevos de los campos que cambiaron.
+
+CREATE TABLE IF NOT EXISTS auditoria (
+    id_auditoria BIGINT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NULL,
+    ip VARCHAR(45) NULL,
+    entidad VARCHAR(50) NOT NULL,
+    entidad_id INT NULL,
+    proceso_id INT NULL,
+    accion VARCHAR(30) NOT NULL,
+    datos_anteriores JSON NULL,
+    datos_nuevos JSON NULL,
+    fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- Sin FKs: la bitácora debe conservarse aunque se borre el usuario o el registro
+    INDEX idx_auditoria_entidad (entidad, entidad_id),
+    INDEX idx_auditoria_proceso (proceso_id),
+    INDEX idx_auditoria_usuario (usuario_id, fecha),
+    INDEX idx_auditoria_fecha (fecha)
+);
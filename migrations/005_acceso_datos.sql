@@ -0,0 +1,22 @@
+-- migrations/005_acceso_datos.sql
+-- Bitácora de lecturas de datos personales de menores
+--
+-- Una fila por cada consulta del detalle de un adolescente, víctima,
+-- domicilio o proceso completo. La usa la Unidad de Transparencia para
+-- saber quién vio qué expediente y cuándo.
+
+CREATE TABLE IF NOT EXISTS acceso_dato (
+    id_acceso BIGINT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NULL,
+    ip VARCHAR(45) NULL,
+    entidad VARCHAR(30) NOT NULL,
+    entidad_id INT NOT NULL,
+    -- Adolescente al que pertenecen los datos (si aplica)
+    adolescente_id INT NULL,
+    fecha DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- Sin FKs: la bitácora debe conservarse aunque se borre el usuario o el registro
+    INDEX idx_acceso_usuario (usuario_id, fecha),
+    INDEX idx_acceso_adolescente (adolescente_id, fecha),
+    INDEX idx_acceso_entidad (entidad, entidad_id),
+    INDEX idx_acceso_fecha (fecha)
+);
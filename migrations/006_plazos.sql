@@ -0,0 +1,68 @@
+-- migrations/006_plazos.sql
+-- Catálogo de plazos legales y calendario de días inhábiles del tribunal
+--
+-- Cada plazo se liga a columnas de fecha de una "fuente" (CJ, CJO, CEMCI,
+-- CEMS, seguimientos, libertad, internamiento...). Las fuentes y sus
+-- columnas permitidas están definidas en src/models/plazoLegalModel.js.
+--
+-- Vencimiento = campo_inicio + (cantidad, unidad)
+--             o campo_inicio + duración capturada en campo_duracion (ej: '6 meses')
+-- El plazo se considera cumplido cuando campo_cumplimiento tiene fecha.
+
+CREATE TABLE IF NOT EXISTS dia_inhabil (
+    id_dia_inhabil INT AUTO_INCREMENT PRIMARY KEY,
+    fecha DATE NOT NULL,
+    descripcion VARCHAR(150) NOT NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_dia_inhabil_fecha (fecha)
+);
+
+CREATE TABLE IF NOT EXISTS plazo_legal (
+    id_plazo_legal INT AUTO_INCREMENT PRIMARY KEY,
+    clave VARCHAR(50) NOT NULL,
+    nombre VARCHAR(150) NOT NULL,
+    descripcion TEXT NULL,
+    fundamento_legal VARCHAR(150) NULL,
+    fuente VARCHAR(30) NOT NULL,
+    campo_inicio VARCHAR(50) NOT NULL,
+    campo_cumplimiento VARCHAR(50) NULL,
+    cantidad INT NULL,
+    unidad ENUM('HORAS', 'DIAS_NATURALES', 'DIAS_HABILES', 'MESES', 'ANIOS') NULL,
+    campo_duracion VARCHAR(50) NULL,
+    -- Días antes del vencimiento en que el plazo pasa a POR_VENCER
+    dias_aviso INT NOT NULL DEFAULT 3,
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_plazo_legal_clave (clave)
+);
+
+-- Plazos iniciales
+INSERT IGNORE INTO plazo_legal
+    (clave, nombre, descripcion, fundamento_legal, fuente, campo_inicio, campo_cumplimiento, cantidad, unidad, campo_duracion, dias_aviso, activo)
+VALUES
+    ('CJ_VINCULACION_72H', 'Plazo para resolver la vinculación a proceso',
+     'Desde el control de detención hasta el auto de vinculación', 'Art. 19 CPEUM',
+     'cj', 'fecha_control', 'fecha_vinculacion', 72, 'HORAS', NULL, 1, TRUE),
+    ('CJ_VINCULACION_144H', 'Plazo duplicado para resolver la vinculación a proceso',
+     'Aplica cuando la defensa solicita la duplicación del término', 'Art. 19 CPEUM',
+     'cj', 'fecha_control', 'fecha_vinculacion', 144, 'HORAS', NULL, 2, FALSE),
+    ('CJ_SUSPENSION_CONDICIONAL', 'Término de la suspensión condicional del proceso',
+     'Duración capturada en plazo_suspension de la CJ', NULL,
+     'cj', 'fecha_suspension', 'fecha_terminacion_suspension', NULL, NULL, 'plazo_suspension', 15, TRUE),
+    ('LIBERTAD_TERMINO_OBLIGACIONES', 'Término de las obligaciones de la medida en libertad',
+     'Vence en la fecha capturada en termino_obligaciones', NULL,
+     'libertad', 'termino_obligaciones', 'fecha_cumplimiento', 0, 'DIAS_NATURALES', NULL, 15, TRUE),
+    ('INTERNAMIENTO_PREVENTIVO', 'Duración máxima del internamiento preventivo',
+     'Desde la imposición de la medida cautelar hasta su revocación', 'Art. 122 LNSIJPA',
+     'internamiento_preventivo', 'fecha_medida_cautelar', 'fecha_revocacion_medida', 5, 'MESES', NULL, 15, TRUE);
+
+-- Días inhábiles 2026 (descanso obligatorio); el resto se captura en /api/dias-inhabiles
+INSERT IGNORE INTO dia_inhabil (fecha, descripcion) VALUES
+    ('2026-01-01', 'Año Nuevo'),
+    ('2026-02-02', 'Día de la Constitución'),
+    ('2026-03-16', 'Natalicio de Benito Juárez'),
+    ('2026-05-01', 'Día del Trabajo'),
+    ('2026-09-16', 'Día de la Independencia'),
+    ('2026-11-16', 'Día de la Revolución'),
+    ('2026-12-25', 'Navidad');
@@ -0,0 +1,45 @@
+-- migrations/007_alertas.sql
+-- Alertas de vencimientos por usuario y preferencias de suscripción
+--
+-- Las reglas (libertad por vencer, internamiento cumplido, audiencias
+-- próximas, suspensiones por terminar, órdenes de CEMS pendientes) están en
+-- src/utils/alertas.js y se evalúan una vez al día. Cada regla genera una
+-- alerta por usuario destinatario; la referencia identifica el evento para
+-- no repetir la misma alerta en evaluaciones posteriores.
+
+CREATE TABLE IF NOT EXISTS alerta (
+    id_alerta BIGINT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    tipo VARCHAR(40) NOT NULL,
+    referencia VARCHAR(100) NOT NULL,
+    titulo VARCHAR(150) NOT NULL,
+    mensaje VARCHAR(500) NOT NULL,
+    proceso_id INT NULL,
+    entidad VARCHAR(30) NULL,
+    entidad_id INT NULL,
+    fecha_evento DATE NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    leida_en DATETIME NULL,
+    atendida_en DATETIME NULL,
+    CONSTRAINT fk_alerta_usuario FOREIGN KEY (usuario_id)
+        REFERENCES usuario (id_usuario) ON DELETE CASCADE,
+    UNIQUE KEY uq_alerta_referencia (usuario_id, tipo, referencia),
+    INDEX idx_alerta_usuario (usuario_id, atendida_en, leida_en),
+    INDEX idx_alerta_fecha_evento (fecha_evento)
+);
+
+-- Sin fila para un tipo, el usuario recibe la alerta si su rol es
+-- destinatario por defecto de la regla
+CREATE TABLE IF NOT EXISTS alerta_suscripcion (
+    id_alerta_suscripcion INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    tipo VARCHAR(40) NOT NULL,
+    activa BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Días de anticipación propios (NULL = los de la regla)
+    dias_anticipacion INT NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_alerta_suscripcion_usuario FOREIGN KEY (usuario_id)
+        REFERENCES usuario (id_usuario) ON DELETE CASCADE,
+    UNIQUE KEY uq_alerta_suscripcion (usuario_id, tipo)
+);
@@ -0,0 +1,46 @@
+-- migrations/008_notificaciones.sql
+-- Bandeja de salida de notificaciones por correo (outbox transaccional)
+--
+-- Los correos no se envían durante la request: el evento que los origina
+-- (audiencia creada, alerta generada, cambio de contraseña) solo los guarda
+-- aquí. El proceso de envío (src/utils/notificaciones.js) toma las
+-- pendientes, las envía por SMTP y reintenta las fallidas con espera
+-- exponencial hasta max_intentos.
+
+-- Correo de contacto de los actores jurídicos (defensores, fiscales, etc.)
+ALTER TABLE actor_juridico
+    ADD COLUMN correo VARCHAR(150) NULL AFTER tipo;
+
+CREATE TABLE IF NOT EXISTS notificacion (
+    id_notificacion BIGINT AUTO_INCREMENT PRIMARY KEY,
+    plantilla VARCHAR(40) NOT NULL,
+    -- Identifica el evento para no encolar dos veces el mismo correo
+    referencia VARCHAR(200) NULL,
+    destinatario_correo VARCHAR(150) NOT NULL,
+    destinatario_nombre VARCHAR(150) NULL,
+    usuario_id INT NULL,
+    actor_id INT NULL,
+    proceso_id INT NULL,
+    asunto VARCHAR(200) NOT NULL,
+    cuerpo_texto TEXT NOT NULL,
+    cuerpo_html MEDIUMTEXT NULL,
+    estado ENUM('PENDIENTE', 'ENVIANDO', 'ENVIADA', 'FALLIDA') NOT NULL DEFAULT 'PENDIENTE',
+    intentos INT NOT NULL DEFAULT 0,
+    max_intentos INT NOT NULL DEFAULT 5,
+    proximo_intento DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ultimo_error VARCHAR(500) NULL,
+    message_id VARCHAR(255) NULL,
+    -- Lote del proceso de envío que la tomó (estado ENVIANDO)
+    lote VARCHAR(36) NULL,
+    enviada_en DATETIME NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_notificacion_usuario FOREIGN KEY (usuario_id)
+        REFERENCES usuario (id_usuario) ON DELETE SET NULL,
+    CONSTRAINT fk_notificacion_actor FOREIGN KEY (actor_id)
+        REFERENCES actor_juridico (id_actor) ON DELETE SET NULL,
+    UNIQUE KEY uq_notificacion_referencia (referencia),
+    INDEX idx_notificacion_pendientes (estado, proximo_intento),
+    INDEX idx_notificacion_lote (lote),
+    INDEX idx_notificacion_proceso (proceso_id)
+);
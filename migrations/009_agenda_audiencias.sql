@@ -0,0 +1,13 @@
+-- migrations/009_agenda_audiencias.sql
+-- Agenda de audiencias: duración prevista y sala
+--
+-- fecha_audiencia es la fecha y hora de inicio; con duracion_minutos se
+-- obtiene el fin. Al crear o reprogramar una audiencia se revisa que no se
+-- empalme con otra del mismo adolescente, de un actor jurídico asignado al
+-- proceso o en la misma sala (src/utils/agendaAudiencias.js).
+
+ALTER TABLE audiencia
+    ADD COLUMN duracion_minutos INT NOT NULL DEFAULT 60 AFTER fecha_audiencia,
+    ADD COLUMN sala VARCHAR(100) NULL AFTER duracion_minutos,
+    ADD INDEX idx_audiencia_fecha (fecha_audiencia),
+    ADD INDEX idx_audiencia_sala (sala, fecha_audiencia);
@@ -0,0 +1,36 @@
+-- migrations/010_salas.sql
+-- Catálogo de salas de audiencia
+--
+-- Las audiencias pasan de un texto libre (audiencia.sala, migración 009) a
+-- una referencia al catálogo (audiencia.sala_id). Las salas ya capturadas
+-- se dan de alta con su nombre y se enlazan antes de quitar la columna.
+
+CREATE TABLE IF NOT EXISTS sala (
+    id_sala INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(100) NOT NULL,
+    sede VARCHAR(150) NULL,
+    capacidad INT NULL,
+    -- Equipada para audiencias por videoconferencia
+    videoaudiencia BOOLEAN NOT NULL DEFAULT FALSE,
+    activa BOOLEAN NOT NULL DEFAULT TRUE,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_sala_nombre (nombre)
+);
+
+INSERT IGNORE INTO sala (nombre)
+SELECT DISTINCT sala FROM audiencia WHERE sala IS NOT NULL AND sala <> '';
+
+ALTER TABLE audiencia
+    ADD COLUMN sala_id INT NULL AFTER duracion_minutos,
+    ADD CONSTRAINT fk_audiencia_sala FOREIGN KEY (sala_id)
+        REFERENCES sala (id_sala);
+
+UPDATE audiencia aud
+INNER JOIN sala s ON s.nombre = aud.sala
+SET aud.sala_id = s.id_sala;
+
+ALTER TABLE audiencia
+    DROP INDEX idx_audiencia_sala,
+    DROP COLUMN sala,
+    ADD INDEX idx_audiencia_sala (sala_id, fecha_audiencia);
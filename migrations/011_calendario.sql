@@ -0,0 +1,28 @@
+-- migrations/011_calendario.sql
+-- Calendarios de audiencias en formato iCalendar (.ics)
+--
+-- Los clientes de calendario (Outlook, Google Calendar, Thunderbird) no
+-- envían el JWT: cada usuario genera un token de calendario que va en la URL
+-- de suscripción (?token=...). Se guarda solo su hash (SHA-256); generar uno
+-- nuevo o revocarlo invalida el anterior de inmediato.
+--
+-- usuario.actor_id enlaza la cuenta con su registro de actor jurídico para
+-- el calendario personal (audiencias de los procesos donde está asignado).
+
+CREATE TABLE IF NOT EXISTS calendario_token (
+    id_calendario_token INT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ultimo_uso_en DATETIME NULL,
+    revocado_en DATETIME NULL,
+    CONSTRAINT fk_calendario_token_usuario FOREIGN KEY (usuario_id)
+        REFERENCES usuario (id_usuario) ON DELETE CASCADE,
+    UNIQUE KEY uq_calendario_token_hash (token_hash),
+    INDEX idx_calendario_token_usuario (usuario_id, revocado_en)
+);
+
+ALTER TABLE usuario
+    ADD COLUMN actor_id INT NULL,
+    ADD CONSTRAINT fk_usuario_actor FOREIGN KEY (actor_id)
+        REFERENCES actor_juridico (id_actor) ON DELETE SET NULL;
@@ -0,0 +1,65 @@
+-- migrations/012_ciclo_audiencias.sql
+-- Ciclo de vida de la audiencia: diferimientos, asistencia y resoluciones
+--
+-- PROGRAMADA -> CELEBRADA (asistencia de las partes, duración real, resoluciones)
+--            -> DIFERIDA  (motivo y enlace a la audiencia reprogramada)
+--            -> CANCELADA (motivo)
+--
+-- Las audiencias DIFERIDA y CANCELADA ya no ocupan agenda (conflictos,
+-- disponibilidad de salas). cj.numero_total_audiencias deja de capturarse:
+-- se recalcula con las audiencias CELEBRADA de la carpeta.
+
+ALTER TABLE audiencia
+    ADD COLUMN estado ENUM('PROGRAMADA', 'CELEBRADA', 'DIFERIDA', 'CANCELADA')
+        NOT NULL DEFAULT 'PROGRAMADA' AFTER tipo,
+    -- Clave del catálogo MOTIVO_DIFERIMIENTO (src/config/constants.js)
+    ADD COLUMN motivo_diferimiento VARCHAR(40) NULL AFTER estado,
+    -- Explicación del diferimiento o de la cancelación
+    ADD COLUMN motivo_estado VARCHAR(500) NULL AFTER motivo_diferimiento,
+    ADD COLUMN reprogramada_id INT NULL AFTER motivo_estado,
+    ADD COLUMN duracion_real_minutos INT NULL AFTER reprogramada_id,
+    ADD COLUMN estado_actualizado_en DATETIME NULL AFTER duracion_real_minutos,
+    ADD CONSTRAINT fk_audiencia_reprogramada FOREIGN KEY (reprogramada_id)
+        REFERENCES audiencia (id_audiencia) ON DELETE SET NULL,
+    ADD INDEX idx_audiencia_estado (estado, fecha_audiencia);
+
+CREATE TABLE IF NOT EXISTS audiencia_asistencia (
+    id_audiencia_asistencia INT AUTO_INCREMENT PRIMARY KEY,
+    audiencia_id INT NOT NULL,
+    -- ADOLESCENTE, ACTOR, VICTIMA u OTRO (TIPO_PARTE_AUDIENCIA)
+    tipo_parte VARCHAR(20) NOT NULL,
+    actor_id INT NULL,
+    victima_id INT NULL,
+    -- Solo para OTRO (perito, intérprete, testigo...)
+    nombre VARCHAR(150) NULL,
+    asistio BOOLEAN NOT NULL,
+    observaciones VARCHAR(500) NULL,
+    CONSTRAINT fk_asistencia_audiencia FOREIGN KEY (audiencia_id)
+        REFERENCES audiencia (id_audiencia) ON DELETE CASCADE,
+    CONSTRAINT fk_asistencia_actor FOREIGN KEY (actor_id)
+        REFERENCES actor_juridico (id_actor) ON DELETE SET NULL,
+    CONSTRAINT fk_asistencia_victima FOREIGN KEY (victima_id)
+        REFERENCES victima (id_victima) ON DELETE SET NULL,
+    INDEX idx_asistencia_audiencia (audiencia_id)
+);
+
+CREATE TABLE IF NOT EXISTS audiencia_resolucion (
+    id_audiencia_resolucion INT AUTO_INCREMENT PRIMARY KEY,
+    audiencia_id INT NOT NULL,
+    tipo VARCHAR(100) NULL,
+    descripcion TEXT NOT NULL,
+    CONSTRAINT fk_resolucion_audiencia FOREIGN KEY (audiencia_id)
+        REFERENCES audiencia (id_audiencia) ON DELETE CASCADE,
+    INDEX idx_resolucion_audiencia (audiencia_id)
+);
+
+-- Las audiencias anteriores a este cambio que ya pasaron se dan por celebradas
+UPDATE audiencia
+SET estado = 'CELEBRADA', estado_actualizado_en = NOW()
+WHERE fecha_audiencia < NOW();
+
+UPDATE cj
+SET numero_total_audiencias = (
+    SELECT COUNT(*) FROM audiencia aud
+    WHERE aud.cj_id = cj.id_cj AND aud.estado = 'CELEBRADA'
+);
@@ -0,0 +1,47 @@
+-- migrations/013_tipos_audiencia.sql
+-- Catálogo de tipos de audiencia
+--
+-- audiencia.tipo era texto libre ("Inicial", "inicial", "Audiencia inicial"...).
+-- Ahora cada audiencia apunta a tipo_audiencia (audiencia.tipo_audiencia_id) y
+-- audiencia.tipo guarda el nombre del catálogo. Cada tipo indica a qué
+-- carpetas aplica y su duración típica (default de duracion_minutos).
+--
+-- Los textos ya capturados se enlazan después con el mapeo de tipos
+-- (GET/POST /api/audiencias/tipos/mapeo, src/utils/tiposAudiencia.js), que
+-- reporta los textos que no correspondan a ningún tipo.
+
+CREATE TABLE IF NOT EXISTS tipo_audiencia (
+    id_tipo_audiencia INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(150) NOT NULL,
+    descripcion VARCHAR(150) NULL,
+    aplica_cj BOOLEAN NOT NULL DEFAULT FALSE,
+    aplica_cjo BOOLEAN NOT NULL DEFAULT FALSE,
+    aplica_cemci BOOLEAN NOT NULL DEFAULT FALSE,
+    aplica_cems BOOLEAN NOT NULL DEFAULT FALSE,
+    duracion_tipica_minutos INT NOT NULL DEFAULT 60,
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    UNIQUE KEY uq_tipo_audiencia_nombre (nombre)
+);
+
+INSERT IGNORE INTO tipo_audiencia
+    (nombre, descripcion, aplica_cj, aplica_cjo, aplica_cemci, aplica_cems, duracion_tipica_minutos)
+VALUES
+    ('Audiencia inicial', 'Control de detención, formulación de imputación y vinculación', TRUE, FALSE, FALSE, FALSE, 90),
+    ('Vinculación a proceso', 'Continuación de la audiencia inicial tras el plazo constitucional', TRUE, FALSE, FALSE, FALSE, 60),
+    ('Revisión de medida cautelar', NULL, TRUE, FALSE, TRUE, FALSE, 45),
+    ('Suspensión condicional del proceso', NULL, TRUE, FALSE, FALSE, FALSE, 45),
+    ('Cierre de investigación', NULL, TRUE, FALSE, FALSE, FALSE, 30),
+    ('Audiencia intermedia', 'Ofrecimiento y admisión de pruebas; auto de apertura a juicio', TRUE, FALSE, FALSE, FALSE, 90),
+    ('Juicio oral', NULL, FALSE, TRUE, FALSE, FALSE, 180),
+    ('Comunicación de fallo', NULL, FALSE, TRUE, FALSE, FALSE, 30),
+    ('Individualización de la medida', 'Determinación de la medida de sanción', FALSE, TRUE, FALSE, FALSE, 60),
+    ('Lectura y explicación de sentencia', NULL, FALSE, TRUE, FALSE, FALSE, 45),
+    ('Seguimiento de medida cautelar', NULL, FALSE, FALSE, TRUE, FALSE, 45),
+    ('Revisión de medida de sanción', 'Revisión, modificación o sustitución en ejecución', FALSE, FALSE, FALSE, TRUE, 60),
+    ('Cumplimiento de medida de sanción', NULL, FALSE, FALSE, FALSE, TRUE, 45);
+
+ALTER TABLE audiencia
+    ADD COLUMN tipo_audiencia_id INT NULL AFTER sala_id,
+    ADD CONSTRAINT fk_audiencia_tipo FOREIGN KEY (tipo_audiencia_id)
+        REFERENCES tipo_audiencia (id_tipo_audiencia),
+    ADD INDEX idx_audiencia_tipo (tipo_audiencia_id);
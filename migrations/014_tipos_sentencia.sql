@@ -0,0 +1,59 @@
+-- migrations/014_tipos_sentencia.sql
+-- Catálogo de tipos de sentencia y flujo que dispara cada uno
+--
+-- cjo.sentencia era texto libre y el CEMS se creaba si contenía
+-- "condenatori" o "mixta", solo al crear la CJO. Ahora cjo.tipo_sentencia_id
+-- apunta a tipo_sentencia (cjo.sentencia guarda su nombre) y cada tipo indica
+-- qué dispara al dictarse, tanto al crear como al actualizar la CJO:
+-- - crea_cems: abre la CEMS del proceso (si no existe)
+-- - concluye_proceso: el proceso pasa al status 'Concluida'
+-- - cierra_cemci: la CEMCI del proceso queda concluida (estado 'Concluido')
+
+CREATE TABLE IF NOT EXISTS tipo_sentencia (
+    id_tipo_sentencia INT AUTO_INCREMENT PRIMARY KEY,
+    nombre VARCHAR(150) NOT NULL,
+    descripcion VARCHAR(150) NULL,
+    crea_cems BOOLEAN NOT NULL DEFAULT FALSE,
+    concluye_proceso BOOLEAN NOT NULL DEFAULT FALSE,
+    cierra_cemci BOOLEAN NOT NULL DEFAULT FALSE,
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    UNIQUE KEY uq_tipo_sentencia_nombre (nombre)
+);
+
+INSERT IGNORE INTO tipo_sentencia
+    (nombre, descripcion, crea_cems, concluye_proceso, cierra_cemci)
+VALUES
+    ('Condenatoria', 'Impone medida de sanción', TRUE, FALSE, TRUE),
+    ('Absolutoria', NULL, FALSE, TRUE, TRUE),
+    ('Mixta', 'Condena por unas conductas y absuelve por otras', TRUE, FALSE, TRUE),
+    ('Procedimiento abreviado', 'Sentencia condenatoria en procedimiento abreviado', TRUE, FALSE, TRUE),
+    ('Sobreseimiento', NULL, FALSE, TRUE, TRUE);
+
+-- Status y estado procesal que usa el flujo (ya vienen en los seeds)
+INSERT INTO status (nombre)
+SELECT 'Concluida' FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM status WHERE nombre = 'Concluida');
+
+INSERT INTO estado_procesal (nombre)
+SELECT 'Concluido' FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM estado_procesal WHERE nombre = 'Concluido');
+
+ALTER TABLE cjo
+    ADD COLUMN tipo_sentencia_id INT NULL AFTER sentencia,
+    ADD CONSTRAINT fk_cjo_tipo_sentencia FOREIGN KEY (tipo_sentencia_id)
+        REFERENCES tipo_sentencia (id_tipo_sentencia),
+    ADD INDEX idx_cjo_tipo_sentencia (tipo_sentencia_id);
+
+-- Enlazar las sentencias ya capturadas (mismo criterio que el código anterior);
+-- se conserva su texto original
+UPDATE cjo c
+    INNER JOIN tipo_sentencia ts ON ts.nombre = CASE
+        WHEN LOWER(c.sentencia) LIKE '%abreviado%' THEN 'Procedimiento abreviado'
+        WHEN LOWER(c.sentencia) LIKE '%mixta%' THEN 'Mixta'
+        WHEN LOWER(c.sentencia) LIKE '%condenatori%' THEN 'Condenatoria'
+        WHEN LOWER(c.sentencia) LIKE '%absolutori%' THEN 'Absolutoria'
+        WHEN LOWER(c.sentencia) LIKE '%sobresei%' THEN 'Sobreseimiento'
+    END
+SET c.tipo_sentencia_id = ts.id_tipo_sentencia
+WHERE c.sentencia IS NOT NULL
+  AND c.tipo_sentencia_id IS NULL;
@@ -0,0 +1,119 @@
+-- migrations/015_historial_estados.sql
+-- Transiciones permitidas e historial de estados
+--
+-- proceso.status_id (ámbito STATUS) y estado_procesal_id de CEMCI y CEMS
+-- (ámbito ESTADO_PROCESAL) solo cambian según transicion_estado. Cada cambio
+-- lleva motivo y fecha y queda en historial_estado, de donde salen
+-- GET /api/procesos/:id/historial-estados y el tiempo de permanencia en
+-- cada estado. Asignar el primer estado (sin estado anterior) siempre se
+-- permite.
+
+CREATE TABLE IF NOT EXISTS transicion_estado (
+    id_transicion INT AUTO_INCREMENT PRIMARY KEY,
+    -- STATUS (tabla status) o ESTADO_PROCESAL (tabla estado_procesal)
+    ambito VARCHAR(20) NOT NULL,
+    origen_id INT NOT NULL,
+    destino_id INT NOT NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_transicion (ambito, origen_id, destino_id)
+);
+
+CREATE TABLE IF NOT EXISTS historial_estado (
+    id_historial INT AUTO_INCREMENT PRIMARY KEY,
+    proceso_id INT NOT NULL,
+    -- proceso, cemci o cems
+    entidad VARCHAR(20) NOT NULL,
+    entidad_id INT NOT NULL,
+    ambito VARCHAR(20) NOT NULL,
+    estado_anterior_id INT NULL,
+    estado_nuevo_id INT NULL,
+    motivo VARCHAR(500) NOT NULL,
+    -- Fecha en que surtió efecto el cambio (la captura puede ser posterior)
+    fecha DATE NOT NULL,
+    usuario_id INT NULL,
+    registrado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT fk_historial_estado_proceso FOREIGN KEY (proceso_id)
+        REFERENCES proceso (id_proceso) ON DELETE CASCADE,
+    CONSTRAINT fk_historial_estado_usuario FOREIGN KEY (usuario_id)
+        REFERENCES usuario (id_usuario) ON DELETE SET NULL,
+    INDEX idx_historial_estado_proceso (proceso_id, fecha),
+    INDEX idx_historial_estado_entidad (entidad, entidad_id, ambito, fecha)
+);
+
+-- Transiciones iniciales (por nombre; se administran con
+-- /api/procesos/transiciones-estado)
+INSERT IGNORE INTO transicion_estado (ambito, origen_id, destino_id)
+SELECT 'ESTADO_PROCESAL', o.id_estado, d.id_estado
+FROM (
+    SELECT 'Interno' AS origen, 'Interno compurgado' AS destino
+    UNION ALL SELECT 'Interno', 'Interno compurgado anticipadamente'
+    UNION ALL SELECT 'Interno', 'Interno sustraido'
+    UNION ALL SELECT 'Interno', 'Interno amparado'
+    UNION ALL SELECT 'Interno', 'Cambio de medida cautelar'
+    UNION ALL SELECT 'Interno', 'Externo'
+    UNION ALL SELECT 'Interno', 'Suspendido'
+    UNION ALL SELECT 'Interno', 'Declinado'
+    UNION ALL SELECT 'Interno sustraido', 'Interno'
+    UNION ALL SELECT 'Interno amparado', 'Interno'
+    UNION ALL SELECT 'Interno amparado', 'Externo'
+    UNION ALL SELECT 'Externo', 'Externo compurgado'
+    UNION ALL SELECT 'Externo', 'Externo compurgado anticipadamente'
+    UNION ALL SELECT 'Externo', 'Externo sustraido'
+    UNION ALL SELECT 'Externo', 'Amparado'
+    UNION ALL SELECT 'Externo', 'Interno'
+    UNION ALL SELECT 'Externo', 'Suspendido'
+    UNION ALL SELECT 'Externo', 'Declinado'
+    UNION ALL SELECT 'Externo sustraido', 'Externo'
+    UNION ALL SELECT 'Externo sustraido', 'Interno'
+    UNION ALL SELECT 'Amparado', 'Externo'
+    UNION ALL SELECT 'Amparado', 'Interno'
+    UNION ALL SELECT 'Sustraido', 'Interno'
+    UNION ALL SELECT 'Sustraido', 'Externo'
+    UNION ALL SELECT 'Cambio de medida cautelar', 'Interno'
+    UNION ALL SELECT 'Cambio de medida cautelar', 'Externo'
+    UNION ALL SELECT 'Suspendido', 'Interno'
+    UNION ALL SELECT 'Suspendido', 'Externo'
+    UNION ALL SELECT 'Interno compurgado', 'Concluido'
+    UNION ALL SELECT 'Interno compurgado anticipadamente', 'Concluido'
+    UNION ALL SELECT 'Externo compurgado', 'Concluido'
+    UNION ALL SELECT 'Externo compurgado anticipadamente', 'Concluido'
+    UNION ALL SELECT 'Declinado', 'Concluido'
+) t
+INNER JOIN estado_procesal o ON o.nombre = t.origen
+INNER JOIN estado_procesal d ON d.nombre = t.destino;
+
+INSERT IGNORE INTO transicion_estado (ambito, origen_id, destino_id)
+SELECT 'STATUS', o.id_status, d.id_status
+FROM (
+    SELECT 'Activa' AS origen, 'Post-Sancion' AS destino
+    UNION ALL SELECT 'Activa', 'Concluida'
+    UNION ALL SELECT 'Activa', 'Archivo'
+    UNION ALL SELECT 'Post-Sancion', 'Reparacion del daño'
+    UNION ALL SELECT 'Post-Sancion', 'Concluida'
+    UNION ALL SELECT 'Reparacion del daño', 'Concluida'
+    UNION ALL SELECT 'Concluida', 'Archivo'
+) t
+INNER JOIN status o ON o.nombre = t.origen
+INNER JOIN status d ON d.nombre = t.destino;
+
+-- Estado actual como punto de partida del historial (fecha desconocida:
+-- la de recepción de la carpeta si existe, si no la de hoy)
+INSERT INTO historial_estado (proceso_id, entidad, entidad_id, ambito, estado_nuevo_id, motivo, fecha)
+SELECT p.id_proceso, 'proceso', p.id_proceso, 'STATUS', p.status_id,
+       'Estado al iniciar el historial', CURDATE()
+FROM proceso p
+WHERE p.status_id IS NOT NULL;
+
+INSERT INTO historial_estado (proceso_id, entidad, entidad_id, ambito, estado_nuevo_id, motivo, fecha)
+SELECT pc.id_proceso, 'cemci', c.id_cemci, 'ESTADO_PROCESAL', c.estado_procesal_id,
+       'Estado al iniciar el historial', COALESCE(c.fecha_recepcion_cemci, CURDATE())
+FROM cemci c
+INNER JOIN proceso_carpeta pc ON pc.cemci_id = c.id_cemci
+WHERE c.estado_procesal_id IS NOT NULL;
+
+INSERT INTO historial_estado (proceso_id, entidad, entidad_id, ambito, estado_nuevo_id, motivo, fecha)
+SELECT pc.id_proceso, 'cems', cs.id_cems, 'ESTADO_PROCESAL', cs.estado_procesal_id,
+       'Estado al iniciar el historial', COALESCE(cs.fecha_recepcion, CURDATE())
+FROM cems cs
+INNER JOIN proceso_carpeta pc ON pc.cems_id = cs.id_cems
+WHERE cs.estado_procesal_id IS NOT NULL;
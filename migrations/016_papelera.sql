@@ -0,0 +1,98 @@
+-- migrations/016_papelera.sql
+-- Borrado lógico (papelera) de los expedientes
+--
+-- remove() ya no borra la fila: la marca con eliminado_en y eliminado_por
+-- (usuario que la envió a la papelera) y las consultas la ocultan. Desde
+-- /api/papelera (solo admin) se puede restaurar o purgar (DELETE definitivo).
+-- Mientras está en la papelera la fila sigue ocupando su número de carpeta y
+-- sus relaciones únicas.
+
+ALTER TABLE adolescente
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_adolescente_eliminado (eliminado_en);
+
+ALTER TABLE domicilio
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_domicilio_eliminado (eliminado_en);
+
+ALTER TABLE proceso
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_proceso_eliminado (eliminado_en);
+
+ALTER TABLE cj
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_cj_eliminado (eliminado_en);
+
+ALTER TABLE cjo
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_cjo_eliminado (eliminado_en);
+
+ALTER TABLE cemci
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_cemci_eliminado (eliminado_en);
+
+ALTER TABLE cems
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_cems_eliminado (eliminado_en);
+
+ALTER TABLE audiencia
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_audiencia_eliminado (eliminado_en);
+
+ALTER TABLE victima
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_victima_eliminado (eliminado_en);
+
+ALTER TABLE medida_cautelar
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_medida_cautelar_eliminado (eliminado_en);
+
+ALTER TABLE medida_sancionadora
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_medida_sancionadora_eliminado (eliminado_en);
+
+ALTER TABLE condena
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_condena_eliminado (eliminado_en);
+
+ALTER TABLE internamiento
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_internamiento_eliminado (eliminado_en);
+
+ALTER TABLE libertad
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_libertad_eliminado (eliminado_en);
+
+ALTER TABLE cj_conducta
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_cj_conducta_eliminado (eliminado_en);
+
+ALTER TABLE cemci_seguimiento
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_cemci_seguimiento_eliminado (eliminado_en);
+
+ALTER TABLE cems_seguimiento
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_cems_seguimiento_eliminado (eliminado_en);
+
+ALTER TABLE cems_exhortacion
+    ADD COLUMN eliminado_en DATETIME NULL,
+    ADD COLUMN eliminado_por INT NULL,
+    ADD INDEX idx_cems_exhortacion_eliminado (eliminado_en);
@@ -0,0 +1,16 @@
+-- migrations/017_procesos_por_adolescente.sql
+-- Varios procesos por adolescente (reingreso) y reincidencia calculada
+--
+-- Un adolescente puede volver a tener proceso cuando el anterior está
+-- concluido o archivado; la API no permite dos activos a la vez. El historial
+-- se consulta en GET /api/adolescentes/:id/procesos.
+--
+-- cj.reincidente ya no se captura: la API lo calcula con los procesos previos
+-- del adolescente. La columna se conserva con lo capturado hasta ahora.
+
+ALTER TABLE proceso
+    ADD INDEX idx_proceso_adolescente (adolescente_id, eliminado_en);
+
+ALTER TABLE cj
+    MODIFY COLUMN reincidente BOOLEAN NULL DEFAULT NULL
+        COMMENT 'Capturado a mano antes de la migración 017; la API calcula la reincidencia';
@@ -0,0 +1,11 @@
+-- migrations/018_fusion_adolescentes.sql
+-- Fusión de adolescentes duplicados
+--
+-- POST /api/adolescentes/:id/fusionar pasa los procesos, accesos y domicilio
+-- del duplicado al registro que se conserva y manda el duplicado a la
+-- papelera. fusionado_en_id guarda con quién se fusionó (sin llave foránea:
+-- purgar el registro conservado no depende de sus duplicados).
+
+ALTER TABLE adolescente
+    ADD COLUMN fusionado_en_id INT NULL,
+    ADD INDEX idx_adolescente_fusionado (fusionado_en_id);
@@ -0,0 +1,21 @@
+-- migrations/019_curp.sql
+-- CURP de adolescentes y víctimas
+--
+-- La CURP es opcional y única por tabla (las filas en la papelera la siguen
+-- reservando). Un formato inválido se rechaza en la API; si el dígito
+-- verificador o los datos de nacimiento no concuerdan, la fila se guarda con
+-- curp_revision = TRUE y los motivos en curp_observaciones.
+
+ALTER TABLE adolescente
+    ADD COLUMN curp VARCHAR(18) NULL,
+    ADD COLUMN curp_revision BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN curp_observaciones VARCHAR(500) NULL,
+    ADD UNIQUE KEY uq_adolescente_curp (curp),
+    ADD INDEX idx_adolescente_curp_revision (curp_revision);
+
+ALTER TABLE victima
+    ADD COLUMN curp VARCHAR(18) NULL,
+    ADD COLUMN curp_revision BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN curp_observaciones VARCHAR(500) NULL,
+    ADD UNIQUE KEY uq_victima_curp (curp),
+    ADD INDEX idx_victima_curp_revision (curp_revision);
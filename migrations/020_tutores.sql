@@ -0,0 +1,40 @@
+-- migrations/020_tutores.sql
+-- Tutores y familiares del adolescente
+--
+-- Sustituye al texto libre representante_pp_nnya (que se conserva en CJ/CJO)
+-- como dato estructurado: parentesco, contacto, custodia y domicilio (tabla
+-- domicilio; puede ser el mismo del adolescente). Tiene papelera como los
+-- expedientes (migración 016).
+--
+-- Los avisos de audiencia programada también se envían a los tutores con
+-- custodia o al contacto principal que tengan correo (notificacion.tutor_id).
+
+CREATE TABLE IF NOT EXISTS tutor (
+    id_tutor INT AUTO_INCREMENT PRIMARY KEY,
+    adolescente_id INT NOT NULL,
+    nombre VARCHAR(150) NOT NULL,
+    parentesco VARCHAR(30) NOT NULL,
+    telefono VARCHAR(50) NULL,
+    correo VARCHAR(150) NULL,
+    -- Ejerce la guarda y custodia (puede haber más de uno)
+    tiene_custodia BOOLEAN NOT NULL DEFAULT FALSE,
+    -- A quien se dirigen los avisos; a lo más uno por adolescente
+    es_contacto_principal BOOLEAN NOT NULL DEFAULT FALSE,
+    domicilio_id INT NULL,
+    observaciones TEXT NULL,
+    eliminado_en DATETIME NULL,
+    eliminado_por INT NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_tutor_adolescente FOREIGN KEY (adolescente_id)
+        REFERENCES adolescente (id_adolescente),
+    CONSTRAINT fk_tutor_domicilio FOREIGN KEY (domicilio_id)
+        REFERENCES domicilio (id_domicilio),
+    INDEX idx_tutor_adolescente (adolescente_id, eliminado_en),
+    INDEX idx_tutor_eliminado (eliminado_en)
+);
+
+ALTER TABLE notificacion
+    ADD COLUMN tutor_id INT NULL AFTER actor_id,
+    ADD CONSTRAINT fk_notificacion_tutor FOREIGN KEY (tutor_id)
+        REFERENCES tutor (id_tutor) ON DELETE SET NULL;
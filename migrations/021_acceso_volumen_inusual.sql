@@ -0,0 +1,20 @@
+-- migrations/021_acceso_volumen_inusual.sql
+-- Marcas de volumen inusual de consultas a datos personales
+--
+-- Cuando un usuario abre ACCESO_UMBRAL_POR_HORA registros distintos o más en
+-- la última hora se guarda una marca por hora de reloj (ventana); las lecturas
+-- siguientes en la misma hora solo actualizan el conteo máximo.
+
+CREATE TABLE IF NOT EXISTS acceso_volumen_inusual (
+    id_marca BIGINT AUTO_INCREMENT PRIMARY KEY,
+    usuario_id INT NOT NULL,
+    -- Inicio de la hora de reloj en la que se alcanzó el umbral
+    ventana DATETIME NOT NULL,
+    registros_distintos INT NOT NULL,
+    umbral INT NOT NULL,
+    creado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actualizado_en DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- Sin FK: se conserva aunque se borre el usuario (igual que acceso_dato)
+    UNIQUE KEY uq_acceso_volumen_ventana (usuario_id, ventana),
+    INDEX idx_acceso_volumen_ventana (ventana)
+);
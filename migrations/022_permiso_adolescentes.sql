@@ -0,0 +1,22 @@
+-- migrations/022_permiso_adolescentes.sql
+-- Recurso "adolescentes" en la matriz de permisos (migración 003)
+--
+-- Cubre los tutores y familiares del adolescente (migración 020): registrar
+-- y modificar dejan de depender del rol fijo y se editan en
+-- /api/catalogos/roles/permisos como cualquier otro recurso.
+
+-- Administrador: todo
+INSERT IGNORE INTO permiso_rol (rol_id, recurso, accion)
+SELECT r.id_rol, 'adolescentes', acc.accion
+FROM rol r
+CROSS JOIN (
+    SELECT 'consultar' AS accion UNION ALL SELECT 'crear' UNION ALL SELECT 'modificar' UNION ALL SELECT 'eliminar'
+) acc
+WHERE r.nombre = 'Administrador';
+
+-- Juzgados y Juzgado de Ejecución: consultar, crear y modificar
+INSERT IGNORE INTO permiso_rol (rol_id, recurso, accion)
+SELECT r.id_rol, 'adolescentes', acc.accion
+FROM rol r
+CROSS JOIN (SELECT 'consultar' AS accion UNION ALL SELECT 'crear' UNION ALL SELECT 'modificar') acc
+WHERE r.nombre IN ('Juzgados', 'Juzgado de Ejecución');
@@ -0,0 +1,9 @@
+-- migrations/023_acceso_listado.sql
+-- Distinguir en la bitácora las lecturas de listados de las del detalle
+--
+-- Los listados registran una fila por elemento devuelto (migración 005);
+-- el volumen inusual (migración 021) solo cuenta los detalles abiertos,
+-- para que un listado grande sin paginar no marque a un usuario normal.
+
+ALTER TABLE acceso_dato
+    ADD COLUMN listado BOOLEAN NOT NULL DEFAULT FALSE AFTER adolescente_id;
@@ -3,6 +3,8 @@ require('dotenv').config();
 
 const app = require('./src/app');
 const { testConnection, closePool } = require('./src/config/database');
+const { iniciarProgramadorAlertas, detenerProgramadorAlertas } = require('./src/utils/alertas');
+const { iniciarEnvioNotificaciones, detenerEnvioNotificaciones } = require('./src/utils/notificaciones');
 
 /**
  * CONFIGURACIÓN DEL SERVIDOR
@@ -42,13 +44,20 @@ const startServer = async () => {
             console.log('');
             console.log('Presiona CTRL+C para detener el servidor');
             console.log('');
+
+            // 3. Evaluación diaria de alertas y envío de correos
+            iniciarProgramadorAlertas();
+            iniciarEnvioNotificaciones();
         });
 
-        // 3. Manejo de cierre graceful
+        // 4. Manejo de cierre graceful
         const gracefulShutdown = async (signal) => {
             console.log('');
             console.log(`⚠️  ${signal} recibido. Cerrando servidor...`);
 
+            detenerProgramadorAlertas();
+            detenerEnvioNotificaciones();
+
             // Cerrar servidor HTTP
             server.close(async () => {
                 console.log('🔌 Servidor HTTP cerrado');
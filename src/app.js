@@ -3,6 +3,7 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const { errorMiddleware, notFoundMiddleware } = require('./middlewares/errorMiddleware');
+const { requestContext } = require('./middlewares/requestContext');
 
 /**
  * CONFIGURACIÓN DE LA APLICACIÓN EXPRESS
@@ -34,6 +35,10 @@ app.use(express.json({ limit: '10mb' }));
 // Parsear URL-encoded data (formularios)
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Contexto por request (IP y usuario) para auditoría
+// Después de los parsers: el body se lee de forma asíncrona y perdería el contexto
+app.use(requestContext);
+
 // ===================================================
 // LOGGING (solo en desarrollo)
 // ===================================================
@@ -82,6 +87,10 @@ app.get('/health', (req, res) => {
 const authRoutes = require('./routes/authRoutes');
 app.use('/api/auth', authRoutes);
 
+// Permisos por rol (antes de catálogos: comparte el prefijo /roles)
+const permisoRoutes = require('./routes/permisoRoutes');
+app.use('/api/catalogos/roles', permisoRoutes);
+
 // Catálogos
 const catalogoRoutes = require('./routes/catalogoRoutes');
 app.use('/api/catalogos', catalogoRoutes);
@@ -162,6 +171,38 @@ app.use('/api/actores', actorJuridicoRoutes);
 const medidaCautelarRoutes = require('./routes/medidaCautelarRoutes');
 app.use('/api/medidas-cautelares', medidaCautelarRoutes);
 
+// Auditoría
+const auditoriaRoutes = require('./routes/auditoriaRoutes');
+app.use('/api/auditoria', auditoriaRoutes);
+
+// Accesos a datos personales
+const accesoDatoRoutes = require('./routes/accesoDatoRoutes');
+app.use('/api/accesos', accesoDatoRoutes);
+
+// Plazos legales
+const plazoRoutes = require('./routes/plazoRoutes');
+app.use('/api/plazos', plazoRoutes);
+
+// Días inhábiles
+const diaInhabilRoutes = require('./routes/diaInhabilRoutes');
+app.use('/api/dias-inhabiles', diaInhabilRoutes);
+
+// Alertas
+const alertaRoutes = require('./routes/alertaRoutes');
+app.use('/api/alertas', alertaRoutes);
+
+// Salas
+const salaRoutes = require('./routes/salaRoutes');
+app.use('/api/salas', salaRoutes);
+
+// Notificaciones
+const notificacionRoutes = require('./routes/notificacionRoutes');
+app.use('/api/notificaciones', notificacionRoutes);
+
+// Papelera
+const papeleraRoutes = require('./routes/papeleraRoutes');
+app.use('/api/papelera', papeleraRoutes);
+
 // ===================================================
 // MIDDLEWARE DE MANEJO DE ERRORES
 // ===================================================
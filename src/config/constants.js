@@ -14,6 +14,21 @@ const ROLES = {
     JUZGADO_EJECUCION: 'Juzgado de Ejecución',
 };
 
+// RECURSOS DE LA MATRIZ DE PERMISOS (rol × recurso × acción)
+const RECURSOS = {
+    CJ: 'CJ',
+    CJO: 'CJO',
+    CEMCI: 'CEMCI',
+    CEMS: 'CEMS',
+    CATALOGOS: 'catalogos',
+    USUARIOS: 'usuarios',
+    ESTADISTICAS: 'estadisticas',
+    ADOLESCENTES: 'adolescentes'
+};
+
+// ACCIONES DE LA MATRIZ DE PERMISOS
+const ACCIONES_PERMISO = ['consultar', 'crear', 'modificar', 'eliminar'];
+
 // TIPOS DE FUERO
 const FUERO = {
     COMUN: 'Común',
@@ -46,6 +61,20 @@ const TIPO_ACTOR = {
     JUEZ_APOYO: 'juez apoyo'
 };
 
+// PARENTESCO DEL TUTOR O FAMILIAR CON EL ADOLESCENTE
+const PARENTESCO = {
+    MADRE: 'MADRE',
+    PADRE: 'PADRE',
+    ABUELA: 'ABUELA',
+    ABUELO: 'ABUELO',
+    HERMANA: 'HERMANA',
+    HERMANO: 'HERMANO',
+    TIA: 'TIA',
+    TIO: 'TIO',
+    TUTOR_LEGAL: 'TUTOR_LEGAL',
+    OTRO: 'OTRO'
+};
+
 // ESTADOS PROCESALES COMUNES
 const ESTADO_PROCESAL = {
     ACTIVO: 'Activo',
@@ -61,6 +90,87 @@ const STATUS = {
     CONCLUIDO: 'Concluido'
 };
 
+// STATUS DEL PROCESO QUE LO CIERRAN (catálogo status)
+// Con cualquier otro el proceso está activo: un adolescente solo puede tener uno
+const STATUS_PROCESO_CERRADO = ['Concluida', 'Archivo'];
+
+// UNIDADES DE LOS PLAZOS LEGALES
+const UNIDAD_PLAZO = {
+    HORAS: 'HORAS',
+    DIAS_NATURALES: 'DIAS_NATURALES',
+    DIAS_HABILES: 'DIAS_HABILES',
+    MESES: 'MESES',
+    ANIOS: 'ANIOS'
+};
+
+// ESTADOS DE UN PLAZO CALCULADO
+const ESTADO_PLAZO = {
+    EN_TIEMPO: 'EN_TIEMPO',
+    POR_VENCER: 'POR_VENCER',
+    VENCIDO: 'VENCIDO',
+    CUMPLIDO: 'CUMPLIDO',
+    INDETERMINADO: 'INDETERMINADO'
+};
+
+// TIPOS DE ALERTA (reglas evaluadas a diario, ver utils/alertas.js)
+const TIPO_ALERTA = {
+    LIBERTAD_POR_VENCER: 'LIBERTAD_POR_VENCER',
+    INTERNAMIENTO_CUMPLIDO: 'INTERNAMIENTO_CUMPLIDO',
+    AUDIENCIA_PROXIMA: 'AUDIENCIA_PROXIMA',
+    SUSPENSION_POR_TERMINAR: 'SUSPENSION_POR_TERMINAR',
+    CEMS_ORDEN_PENDIENTE: 'CEMS_ORDEN_PENDIENTE'
+};
+
+// CICLO DE VIDA DE LA AUDIENCIA
+const ESTADO_AUDIENCIA = {
+    PROGRAMADA: 'PROGRAMADA',
+    CELEBRADA: 'CELEBRADA',
+    DIFERIDA: 'DIFERIDA',
+    CANCELADA: 'CANCELADA'
+};
+
+// Motivos de diferimiento (estadísticas por juez)
+const MOTIVO_DIFERIMIENTO = {
+    INASISTENCIA_ADOLESCENTE: 'INASISTENCIA_ADOLESCENTE',
+    INASISTENCIA_DEFENSA: 'INASISTENCIA_DEFENSA',
+    INASISTENCIA_FISCAL: 'INASISTENCIA_FISCAL',
+    INASISTENCIA_VICTIMA: 'INASISTENCIA_VICTIMA',
+    FALTA_TRASLADO: 'FALTA_TRASLADO',
+    FALTA_NOTIFICACION: 'FALTA_NOTIFICACION',
+    SOLICITUD_PARTE: 'SOLICITUD_PARTE',
+    AGENDA_JUZGADO: 'AGENDA_JUZGADO',
+    FALLA_TECNICA: 'FALLA_TECNICA',
+    OTRO: 'OTRO'
+};
+
+const TIPO_PARTE_AUDIENCIA = {
+    ADOLESCENTE: 'ADOLESCENTE',
+    ACTOR: 'ACTOR',
+    VICTIMA: 'VICTIMA',
+    OTRO: 'OTRO'
+};
+
+// HISTORIAL DE ESTADOS: qué catálogo se valida con transicion_estado
+const AMBITO_ESTADO = {
+    STATUS: 'STATUS',                   // proceso.status_id (tabla status)
+    ESTADO_PROCESAL: 'ESTADO_PROCESAL'  // estado_procesal_id de CEMCI y CEMS
+};
+
+// NOTIFICACIONES POR CORREO
+const ESTADO_NOTIFICACION = {
+    PENDIENTE: 'PENDIENTE',
+    ENVIANDO: 'ENVIANDO',
+    ENVIADA: 'ENVIADA',
+    FALLIDA: 'FALLIDA'
+};
+
+const PLANTILLA_NOTIFICACION = {
+    AUDIENCIA_PROGRAMADA: 'AUDIENCIA_PROGRAMADA',
+    ALERTA_VENCIMIENTO: 'ALERTA_VENCIMIENTO',
+    OBLIGACION_TUTOR: 'OBLIGACION_TUTOR',
+    CONTRASENA_CAMBIADA: 'CONTRASENA_CAMBIADA'
+};
+
 // VALIDACIONES
 const VALIDATION = {
     // Longitudes máximas
@@ -132,8 +242,8 @@ const SUCCESS_MESSAGES = {
 
 // REGLAS DE NEGOCIO
 const BUSINESS_RULES = {
-    // Un adolescente solo puede tener un proceso
-    ONE_PROCESO_PER_ADOLESCENTE: true,
+    // Un adolescente puede tener varios procesos, pero solo uno activo
+    ONE_ACTIVE_PROCESO_PER_ADOLESCENTE: true,
 
     // Un CJ puede tener máximo un CJO
     ONE_CJO_PER_CJ: true,
@@ -145,16 +255,39 @@ const BUSINESS_RULES = {
     CEMS_REQUIRES_CJ_AND_CJO: true
 };
 
+// LÍMITES DE MEDIDAS SANCIONADORAS POR GRUPO DE EDAD (Art. 145 LNSIJPA)
+// Edad al momento de la conducta. Duración máxima por medida en años;
+// null = la medida no puede imponerse a ese grupo
+const LIMITES_SANCION_POR_EDAD = [
+    { grupo: '12-13', edad_minima: 12, edad_maxima: 13, max_anios_privativa: null, max_anios_no_privativa: 1 },
+    { grupo: '14-15', edad_minima: 14, edad_maxima: 15, max_anios_privativa: 3, max_anios_no_privativa: 3 },
+    { grupo: '16-17', edad_minima: 16, edad_maxima: 17, max_anios_privativa: 5, max_anios_no_privativa: 5 }
+];
+
 module.exports = {
     ROLES,
+    RECURSOS,
+    ACCIONES_PERMISO,
     FUERO,
     TIPO_CARPETA,
     SEXO,
     TIPO_ACTOR,
+    PARENTESCO,
     ESTADO_PROCESAL,
     STATUS,
+    STATUS_PROCESO_CERRADO,
+    UNIDAD_PLAZO,
+    ESTADO_PLAZO,
+    TIPO_ALERTA,
+    ESTADO_AUDIENCIA,
+    MOTIVO_DIFERIMIENTO,
+    TIPO_PARTE_AUDIENCIA,
+    AMBITO_ESTADO,
+    ESTADO_NOTIFICACION,
+    PLANTILLA_NOTIFICACION,
     VALIDATION,
     ERROR_MESSAGES,
     SUCCESS_MESSAGES,
-    BUSINESS_RULES
+    BUSINESS_RULES,
+    LIMITES_SANCION_POR_EDAD
 };
\ No newline at end of file
@@ -0,0 +1,114 @@
+// src/controllers/accesoDatoController.js
+
+const accesoDatoModel = require('../models/accesoDatoModel');
+const { successResponse, paginatedResponse, getPaginationParams } = require('../utils/response');
+
+/**
+ * CONTROLADOR DE ACCESOS A DATOS PERSONALES
+ *
+ * Reportes para la Unidad de Transparencia (solo lectura)
+ */
+
+/**
+ * Filtros comunes de los reportes
+ */
+const getFilters = (query) => {
+    const { usuario_id, entidad, entidad_id, adolescente_id, fecha_desde, fecha_hasta } = query;
+    return { usuario_id, entidad, entidad_id, adolescente_id, fecha_desde, fecha_hasta };
+};
+
+/**
+ * OBTENER ACCESOS (paginado)
+ */
+const getAll = async (req, res) => {
+    const filters = getFilters(req.query);
+    const { page, limit, offset } = getPaginationParams(req.query.page, req.query.limit);
+
+    const [accesos, total] = await Promise.all([
+        accesoDatoModel.getAll({ ...filters, limit, offset }),
+        accesoDatoModel.getCount(filters)
+    ]);
+
+    return paginatedResponse(
+        res,
+        accesos,
+        page,
+        limit,
+        total,
+        'Accesos obtenidos exitosamente'
+    );
+};
+
+/**
+ * REPORTE POR USUARIO
+ */
+const getResumenPorUsuario = async (req, res) => {
+    const resumen = await accesoDatoModel.getResumenPorUsuario(getFilters(req.query));
+
+    return successResponse(
+        res,
+        resumen,
+        'Reporte de accesos por usuario obtenido exitosamente'
+    );
+};
+
+/**
+ * REPORTE POR ADOLESCENTE
+ */
+const getResumenPorAdolescente = async (req, res) => {
+    const resumen = await accesoDatoModel.getResumenPorAdolescente(getFilters(req.query));
+
+    return successResponse(
+        res,
+        resumen,
+        'Reporte de accesos por adolescente obtenido exitosamente'
+    );
+};
+
+/**
+ * REPORTE DE VOLUMEN INUSUAL
+ */
+const getVolumenInusual = async (req, res) => {
+    const reporte = await accesoDatoModel.getVolumenInusual({
+        ...getFilters(req.query),
+        umbral: req.query.umbral
+    });
+
+    return successResponse(
+        res,
+        reporte,
+        'Reporte de volumen inusual obtenido exitosamente'
+    );
+};
+
+/**
+ * MARCAS DE VOLUMEN INUSUAL (paginado)
+ * Guardadas al momento en que un usuario alcanza el umbral en la última hora
+ */
+const getMarcasVolumenInusual = async (req, res) => {
+    const { usuario_id, fecha_desde, fecha_hasta } = req.query;
+    const filters = { usuario_id, fecha_desde, fecha_hasta };
+    const { page, limit, offset } = getPaginationParams(req.query.page, req.query.limit);
+
+    const [marcas, total] = await Promise.all([
+        accesoDatoModel.getMarcasVolumenInusual({ ...filters, limit, offset }),
+        accesoDatoModel.getCountMarcasVolumenInusual(filters)
+    ]);
+
+    return paginatedResponse(
+        res,
+        marcas,
+        page,
+        limit,
+        total,
+        'Marcas de volumen inusual obtenidas exitosamente'
+    );
+};
+
+module.exports = {
+    getAll,
+    getResumenPorUsuario,
+    getResumenPorAdolescente,
+    getVolumenInusual,
+    getMarcasVolumenInusual
+};
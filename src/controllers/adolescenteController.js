@@ -1,9 +1,13 @@
 // src/controllers/adolescenteController.js
 
 const adolescenteModel = require('../models/adolescenteModel');
+const procesoModel = require('../models/procesoModel');
 const {successResponse, createdResponse, paginatedResponse, getPaginationParams} = require('../utils/response');
-const {validateRequiredFields} = require('../utils/errorHandler');
+const {validateRequiredFields, BadRequestError} = require('../utils/errorHandler');
+const {leerOmision} = require('../utils/limitesSancion');
 const {SUCCESS_MESSAGES} = require('../config/constants');
+const {registrarAcceso, registrarAccesos} = require('../utils/accesoDatos');
+const {normalizarCurp} = require('../utils/curp');
 
 /**
  * CONTROLADOR DE ADOLESCENTES
@@ -13,7 +17,7 @@ const {SUCCESS_MESSAGES} = require('../config/constants');
  * OBTENER TODOS (con filtros y paginación)
  */
 const getAll = async (req, res) => {
-    const {search, sexo, edad_min, edad_max} = req.query;
+    const {search, sexo, edad_min, edad_max, curp, curp_revision} = req.query;
 
     const usePagination = req.query.page || req.query.limit;
 
@@ -21,7 +25,9 @@ const getAll = async (req, res) => {
         search,
         sexo,
         edad_min: edad_min ? parseInt(edad_min) : null,
-        edad_max: edad_max ? parseInt(edad_max) : null
+        edad_max: edad_max ? parseInt(edad_max) : null,
+        curp: normalizarCurp(curp),
+        curp_revision: curp_revision !== undefined ? curp_revision === 'true' : null
     };
 
     if (usePagination) {
@@ -32,6 +38,8 @@ const getAll = async (req, res) => {
             adolescenteModel.getCount(filters)
         ]);
 
+        await registrarAccesos('adolescente', adolescentes, 'id_adolescente', 'id_adolescente');
+
         return paginatedResponse(
             res,
             adolescentes,
@@ -43,6 +51,8 @@ const getAll = async (req, res) => {
     } else {
         const adolescentes = await adolescenteModel.getAll(filters);
 
+        await registrarAccesos('adolescente', adolescentes, 'id_adolescente', 'id_adolescente');
+
         return successResponse(
             res,
             adolescentes,
@@ -59,6 +69,8 @@ const getById = async (req, res) => {
 
     const adolescente = await adolescenteModel.getById(id);
 
+    await registrarAcceso({entidad: 'adolescente', entidadId: adolescente.id_adolescente, adolescenteId: adolescente.id_adolescente});
+
     return successResponse(
         res,
         adolescente,
@@ -75,7 +87,7 @@ const create = async (req, res) => {
     // Validar campos requeridos
     validateRequiredFields(data, ['nombre', 'fecha_nacimiento']);
 
-    const adolescenteId = await adolescenteModel.create(data);
+    const adolescenteId = await adolescenteModel.create(data, { omision: leerOmision(req) });
 
     // Obtener el adolescente completo recién creado
     const adolescente = await adolescenteModel.getById(adolescenteId);
@@ -94,7 +106,7 @@ const update = async (req, res) => {
     const {id} = req.params;
     const data = req.body;
 
-    await adolescenteModel.update(id, data);
+    await adolescenteModel.update(id, data, { omision: leerOmision(req) });
 
     // Obtener el adolescente actualizado
     const adolescente = await adolescenteModel.getById(id);
@@ -139,6 +151,86 @@ const checkProceso = async (req, res) => {
     );
 };
 
+/**
+ * HISTORIAL DE PROCESOS DEL ADOLESCENTE (reingresos)
+ */
+const getProcesos = async (req, res) => {
+    const {id} = req.params;
+
+    await adolescenteModel.getById(id);
+
+    const procesos = await procesoModel.getHistorialByAdolescenteId(id);
+    const activo = procesos.find(proceso => proceso.activo);
+
+    return successResponse(
+        res,
+        {
+            adolescente_id: Number(id),
+            total: procesos.length,
+            proceso_activo_id: activo ? activo.id_proceso : null,
+            reincidente: procesos.length > 1,
+            procesos
+        },
+        'Procesos del adolescente obtenidos exitosamente'
+    );
+};
+
+/**
+ * POSIBLES DUPLICADOS (pares con puntaje)
+ */
+const getDuplicados = async (req, res) => {
+    const puntajeMinimo = req.query.puntaje_minimo !== undefined ? Number(req.query.puntaje_minimo) : 60;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 50;
+
+    if (!Number.isInteger(puntajeMinimo) || puntajeMinimo < 0 || puntajeMinimo > 100) {
+        throw new BadRequestError('puntaje_minimo debe ser un entero entre 0 y 100');
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        throw new BadRequestError('limit debe ser un entero entre 1 y 200');
+    }
+
+    const pares = await adolescenteModel.getDuplicados({puntaje_minimo: puntajeMinimo, limit});
+
+    const adolescentes = pares.flatMap(({a, b}) => [a, b]);
+    await registrarAccesos('adolescente', adolescentes, 'id_adolescente', 'id_adolescente');
+
+    return successResponse(
+        res,
+        {
+            total: pares.length,
+            pares: pares.map(({a, b, puntaje, criterios}) => ({
+                puntaje,
+                criterios,
+                adolescentes: [a, b]
+            }))
+        },
+        'Posibles duplicados obtenidos exitosamente'
+    );
+};
+
+/**
+ * FUSIONAR DUPLICADO EN EL ADOLESCENTE (solo Admin)
+ */
+const fusionar = async (req, res) => {
+    const {id} = req.params;
+
+    validateRequiredFields(req.body, ['duplicado_id']);
+
+    const resultado = await adolescenteModel.fusionar(id, req.body.duplicado_id);
+    const adolescente = await adolescenteModel.getById(id);
+
+    return successResponse(
+        res,
+        {
+            adolescente,
+            duplicado_id: Number(req.body.duplicado_id),
+            ...resultado
+        },
+        'Adolescentes fusionados exitosamente'
+    );
+};
+
 /**
  * ESTADÍSTICAS DE ADOLESCENTES
  */
@@ -184,6 +276,8 @@ const getStats = async (req, res) => {
 const getSinProceso = async (req, res) => {
     const adolescentes = await adolescenteModel.getSinProceso();
 
+    await registrarAccesos('adolescente', adolescentes, 'id_adolescente', 'id_adolescente');
+
     return successResponse(
         res,
         adolescentes,
@@ -198,6 +292,9 @@ module.exports = {
     update,
     remove,
     checkProceso,
+    getProcesos,
+    getDuplicados,
+    fusionar,
     getStats,
     getSinProceso
 };
\ No newline at end of file
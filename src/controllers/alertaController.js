@@ -0,0 +1,262 @@
+// src/controllers/alertaController.js
+
+const alertaModel = require('../models/alertaModel');
+const { REGLAS_ALERTA, getRegla, evaluarAlertas } = require('../utils/alertas');
+const { successResponse, paginatedResponse, getPaginationParams } = require('../utils/response');
+const { BadRequestError, NotFoundError } = require('../utils/errorHandler');
+const { toFechaISO } = require('../utils/calendario');
+
+/**
+ * CONTROLADOR DE ALERTAS
+ *
+ * Todas las consultas son sobre las alertas del usuario autenticado
+ */
+
+/**
+ * Verificar que el tipo de alerta exista
+ */
+const getReglaOrFail = (tipo) => {
+    const regla = getRegla(tipo);
+
+    if (!regla) {
+        throw new NotFoundError(`Tipo de alerta no encontrado: ${tipo}`);
+    }
+
+    return regla;
+};
+
+/**
+ * OBTENER MIS ALERTAS (paginado)
+ * Por defecto solo las no atendidas
+ */
+const getAll = async (req, res) => {
+    const { tipo, leida, proceso_id } = req.query;
+    const atendida = req.query.atendida !== undefined ? req.query.atendida : 'false';
+    const { page, limit, offset } = getPaginationParams(req.query.page, req.query.limit);
+    const filters = { tipo, leida, atendida: atendida === 'todas' ? undefined : atendida, proceso_id };
+
+    const [alertas, total] = await Promise.all([
+        alertaModel.getAll(req.user.id_usuario, { ...filters, limit, offset }),
+        alertaModel.getCount(req.user.id_usuario, filters)
+    ]);
+
+    return paginatedResponse(
+        res,
+        alertas,
+        page,
+        limit,
+        total,
+        'Alertas obtenidas exitosamente'
+    );
+};
+
+/**
+ * RESUMEN DE MIS ALERTAS PENDIENTES
+ */
+const getResumen = async (req, res) => {
+    const resumen = await alertaModel.getResumen(req.user.id_usuario);
+
+    return successResponse(
+        res,
+        resumen,
+        'Resumen de alertas obtenido exitosamente'
+    );
+};
+
+/**
+ * TIPOS DE ALERTA (reglas)
+ */
+const getTipos = async (req, res) => {
+    const tipos = REGLAS_ALERTA.map(regla => ({
+        tipo: regla.tipo,
+        nombre: regla.nombre,
+        descripcion: regla.descripcion,
+        roles: regla.roles,
+        dias_anticipacion: regla.dias_anticipacion,
+        avisar_tutores: regla.avisar_tutores
+    }));
+
+    return successResponse(
+        res,
+        tipos,
+        'Tipos de alerta obtenidos exitosamente'
+    );
+};
+
+/**
+ * OBTENER ALERTA POR ID
+ */
+const getById = async (req, res) => {
+    const { id } = req.params;
+
+    const alerta = await alertaModel.getById(id, req.user.id_usuario);
+
+    return successResponse(
+        res,
+        alerta,
+        'Alerta obtenida exitosamente'
+    );
+};
+
+/**
+ * MARCAR COMO LEÍDA
+ */
+const marcarLeida = async (req, res) => {
+    const { id } = req.params;
+
+    const alerta = await alertaModel.marcarLeida(id, req.user.id_usuario);
+
+    return successResponse(
+        res,
+        alerta,
+        'Alerta marcada como leída'
+    );
+};
+
+/**
+ * MARCAR TODAS COMO LEÍDAS
+ */
+const marcarTodasLeidas = async (req, res) => {
+    const marcadas = await alertaModel.marcarTodasLeidas(req.user.id_usuario);
+
+    return successResponse(
+        res,
+        { marcadas },
+        'Alertas marcadas como leídas'
+    );
+};
+
+/**
+ * MARCAR COMO ATENDIDA
+ */
+const marcarAtendida = async (req, res) => {
+    const { id } = req.params;
+
+    const alerta = await alertaModel.marcarAtendida(id, req.user.id_usuario);
+
+    return successResponse(
+        res,
+        alerta,
+        'Alerta marcada como atendida'
+    );
+};
+
+/**
+ * MIS PREFERENCIAS DE SUSCRIPCIÓN
+ * Una fila por tipo: la preferencia guardada o el valor por defecto del rol
+ */
+const getSuscripciones = async (req, res) => {
+    const guardadas = await alertaModel.getSuscripciones(req.user.id_usuario);
+
+    const suscripciones = REGLAS_ALERTA.map(regla => {
+        const guardada = guardadas.find(s => s.tipo === regla.tipo);
+        const diasPropios = guardada ? guardada.dias_anticipacion : null;
+
+        return {
+            tipo: regla.tipo,
+            nombre: regla.nombre,
+            activa: guardada ? !!guardada.activa : regla.roles.includes(req.user.rol_nombre),
+            dias_anticipacion: regla.dias_anticipacion === null
+                ? null
+                : (diasPropios !== null ? diasPropios : regla.dias_anticipacion),
+            personalizada: !!guardada
+        };
+    });
+
+    return successResponse(
+        res,
+        suscripciones,
+        'Suscripciones obtenidas exitosamente'
+    );
+};
+
+/**
+ * GUARDAR PREFERENCIA DE UN TIPO
+ */
+const updateSuscripcion = async (req, res) => {
+    const { tipo } = req.params;
+    const { activa, dias_anticipacion } = req.body;
+    const regla = getReglaOrFail(tipo);
+
+    if (activa === undefined && dias_anticipacion === undefined) {
+        throw new BadRequestError('Envíe activa y/o dias_anticipacion');
+    }
+
+    if (dias_anticipacion !== undefined && dias_anticipacion !== null) {
+        const dias = parseInt(dias_anticipacion, 10);
+
+        if (regla.dias_anticipacion === null) {
+            throw new BadRequestError(`El tipo ${tipo} no usa días de anticipación`);
+        }
+
+        if (isNaN(dias) || dias < 0 || dias > 365) {
+            throw new BadRequestError('dias_anticipacion debe ser un número entre 0 y 365');
+        }
+    }
+
+    const suscripcion = await alertaModel.guardarSuscripcion(req.user.id_usuario, tipo, {
+        activa,
+        dias_anticipacion
+    });
+
+    return successResponse(
+        res,
+        suscripcion,
+        'Suscripción actualizada exitosamente'
+    );
+};
+
+/**
+ * RESTABLECER PREFERENCIA (valor por defecto del rol)
+ */
+const resetSuscripcion = async (req, res) => {
+    const { tipo } = req.params;
+    getReglaOrFail(tipo);
+
+    await alertaModel.eliminarSuscripcion(req.user.id_usuario, tipo);
+
+    return successResponse(
+        res,
+        null,
+        'Suscripción restablecida al valor por defecto del rol'
+    );
+};
+
+/**
+ * EVALUAR REGLAS AHORA
+ * fecha? (YYYY-MM-DD) para evaluar como si fuera otro día
+ */
+const evaluar = async (req, res) => {
+    const { fecha } = req.body || {};
+    let fechaEvaluacion;
+
+    if (fecha) {
+        fechaEvaluacion = toFechaISO(fecha);
+
+        if (!fechaEvaluacion) {
+            throw new BadRequestError('Formato de fecha inválido (use YYYY-MM-DD)');
+        }
+    }
+
+    const resultado = await evaluarAlertas(fechaEvaluacion);
+
+    return successResponse(
+        res,
+        resultado,
+        `Reglas evaluadas: ${resultado.generadas} alertas nuevas`
+    );
+};
+
+module.exports = {
+    getAll,
+    getResumen,
+    getTipos,
+    getById,
+    marcarLeida,
+    marcarTodasLeidas,
+    marcarAtendida,
+    getSuscripciones,
+    updateSuscripcion,
+    resetSuscripcion,
+    evaluar
+};
@@ -2,8 +2,13 @@
 
 const audienciaModel = require('../models/audienciaModel');
 const { successResponse, createdResponse } = require('../utils/response');
-const { validateRequiredFields } = require('../utils/errorHandler');
-const { SUCCESS_MESSAGES } = require('../config/constants');
+const { validateRequiredFields, ForbiddenError } = require('../utils/errorHandler');
+const { buscarConflictos, leerForzado, normalizarInicio } = require('../utils/agendaAudiencias');
+const { SUCCESS_MESSAGES, ESTADO_AUDIENCIA } = require('../config/constants');
+const { notificarAudienciaProgramada } = require('../utils/notificaciones');
+const { mapearTiposExistentes } = require('../utils/tiposAudiencia');
+const { getTipoCarpetaAudiencia } = require('../utils/carpetaUtils');
+const { tienePermiso } = require('../middlewares/checkCarpetaPermission');
 
 /**
  * CONTROLADOR DE AUDIENCIAS
@@ -15,9 +20,12 @@ const { SUCCESS_MESSAGES } = require('../config/constants');
 const create = async (req, res) => {
     validateRequiredFields(req.body, ['proceso_id', 'fecha_audiencia']);
 
-    const id = await audienciaModel.create(req.body);
+    const id = await audienciaModel.create(req.body, { forzado: leerForzado(req) });
     const audiencia = await audienciaModel.getById(id);
 
+    // Aviso por correo a los actores jurídicos del proceso
+    await notificarAudienciaProgramada(audiencia);
+
     return createdResponse(
         res,
         audiencia,
@@ -25,6 +33,28 @@ const create = async (req, res) => {
     );
 };
 
+/**
+ * REVISAR CONFLICTOS DE AGENDA (sin guardar)
+ */
+const getConflictos = async (req, res) => {
+    validateRequiredFields(req.query, ['proceso_id', 'fecha_audiencia']);
+
+    const { id_audiencia, proceso_id, fecha_audiencia, duracion_minutos, sala_id } = req.query;
+    const conflictos = await buscarConflictos({
+        id_audiencia: id_audiencia ? parseInt(id_audiencia) : null,
+        proceso_id: parseInt(proceso_id),
+        fecha_audiencia,
+        duracion_minutos,
+        sala_id: sala_id ? parseInt(sala_id) : null
+    });
+
+    return successResponse(
+        res,
+        { disponible: conflictos.length === 0, conflictos },
+        conflictos.length === 0 ? 'Sin conflictos de agenda' : `${conflictos.length} conflicto(s) de agenda`
+    );
+};
+
 /**
  * OBTENER TODAS
  */
@@ -34,6 +64,9 @@ const getAll = async (req, res) => {
             tipo,
             fecha_desde,
             fecha_hasta,
+            sala_id,
+            estado,
+            tipo_audiencia_id,
             page = 1,
             limit = 10
         } = req.query;
@@ -42,6 +75,9 @@ const getAll = async (req, res) => {
             tipo,
             fecha_desde,
             fecha_hasta,
+            sala_id,
+            estado,
+            tipo_audiencia_id,
             page: Number(page),
             limit: Number(limit)
         });
@@ -115,7 +151,14 @@ const getByCarpeta = async (req, res) => {
 const update = async (req, res) => {
     const { id } = req.params;
 
-    const audiencia = await audienciaModel.update(id, req.body);
+    const anterior = await audienciaModel.getById(id);
+    const audiencia = await audienciaModel.update(id, req.body, { forzado: leerForzado(req) });
+
+    // Reprogramada: se avisa la nueva fecha como al crearla
+    if (audiencia.estado === ESTADO_AUDIENCIA.PROGRAMADA &&
+        normalizarInicio(audiencia.fecha_audiencia) !== normalizarInicio(anterior.fecha_audiencia)) {
+        await notificarAudienciaProgramada(audiencia);
+    }
 
     return successResponse(
         res,
@@ -139,6 +182,83 @@ const remove = async (req, res) => {
     );
 };
 
+/**
+ * HELPER: Permiso de modificar sobre la carpeta de la audiencia
+ * (matriz de permisos; la carpeta más avanzada a la que está ligada)
+ */
+const verificarPermisoCarpeta = async (user, id, accion) => {
+    const audiencia = await audienciaModel.getById(id);
+    const tipoCarpeta = getTipoCarpetaAudiencia(audiencia);
+
+    if (!await tienePermiso(user, tipoCarpeta, 'modificar')) {
+        throw new ForbiddenError(
+            `No tienes permisos para ${accion} audiencias de carpetas de tipo ${tipoCarpeta}`
+        );
+    }
+};
+
+/**
+ * CELEBRAR
+ */
+const celebrar = async (req, res) => {
+    const { id } = req.params;
+
+    await verificarPermisoCarpeta(req.user, id, 'celebrar');
+
+    const audiencia = await audienciaModel.celebrar(id, req.body);
+
+    return successResponse(
+        res,
+        audiencia,
+        'Audiencia registrada como celebrada'
+    );
+};
+
+/**
+ * DIFERIR (opcionalmente con la audiencia reprogramada)
+ */
+const diferir = async (req, res) => {
+    const { id } = req.params;
+
+    await verificarPermisoCarpeta(req.user, id, 'diferir');
+
+    validateRequiredFields(req.body, ['motivo_diferimiento']);
+
+    const resultado = await audienciaModel.diferir(id, req.body, { forzado: leerForzado(req) });
+
+    // La reprogramación es una audiencia nueva: se avisa igual que al crearla
+    if (req.body.reprogramacion && resultado.reprogramada) {
+        await notificarAudienciaProgramada(resultado.reprogramada);
+    }
+
+    return successResponse(
+        res,
+        resultado,
+        resultado.reprogramada
+            ? `Audiencia diferida y reprogramada (audiencia ${resultado.reprogramada.id_audiencia})`
+            : 'Audiencia diferida'
+    );
+};
+
+/**
+ * CANCELAR
+ */
+const cancelar = async (req, res) => {
+    const { id } = req.params;
+
+    await verificarPermisoCarpeta(req.user, id, 'cancelar');
+
+    validateRequiredFields(req.body, ['motivo_estado']);
+
+    const audiencia = await audienciaModel.cancelar(id, req.body);
+
+    return successResponse(
+        res,
+        audiencia,
+        'Audiencia cancelada'
+    );
+};
+
 /**
  * AUDIENCIAS PRÓXIMAS
  */
@@ -173,7 +293,9 @@ const getDelDia = async (req, res) => {
  * ESTADÍSTICAS
  */
 const getStats = async (req, res) => {
-    const stats = await audienciaModel.getStats();
+    const { fecha_desde, fecha_hasta } = req.query;
+
+    const stats = await audienciaModel.getStats({ fecha_desde, fecha_hasta });
 
     return successResponse(
         res,
@@ -195,16 +317,52 @@ const getStatsByTipo = async (req, res) => {
     );
 };
 
+/**
+ * REPORTE DE MAPEO DE TIPOS (textos libres -> catálogo, no modifica nada)
+ */
+const getMapeoTipos = async (req, res) => {
+    const reporte = await mapearTiposExistentes();
+
+    return successResponse(
+        res,
+        reporte,
+        `${reporte.mapeados.length} textos corresponden al catálogo; ${reporte.sin_mapear.length} sin mapear`
+    );
+};
+
+/**
+ * APLICAR MAPEO DE TIPOS
+ */
+const aplicarMapeoTipos = async (req, res) => {
+    const reporte = await mapearTiposExistentes({
+        aplicar: true,
+        mapeo: req.body.mapeo || {}
+    });
+
+    return successResponse(
+        res,
+        reporte,
+        `${reporte.audiencias_actualizadas} audiencias enlazadas al catálogo; ` +
+        `${reporte.sin_mapear.length} textos sin mapear`
+    );
+};
+
 module.exports = {
     create,
+    getConflictos,
     getAll,
     getById,
     getByProcesoId,
     getByCarpeta,
     update,
     remove,
+    celebrar,
+    diferir,
+    cancelar,
     getProximas,
     getDelDia,
     getStats,
-    getStatsByTipo
+    getStatsByTipo,
+    getMapeoTipos,
+    aplicarMapeoTipos
 };
\ No newline at end of file
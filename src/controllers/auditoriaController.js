@@ -0,0 +1,69 @@
+// src/controllers/auditoriaController.js
+
+const auditoriaModel = require('../models/auditoriaModel');
+const { successResponse, paginatedResponse, getPaginationParams } = require('../utils/response');
+
+/**
+ * CONTROLADOR DE AUDITORÍA
+ *
+ * Consulta de la bitácora de cambios (solo lectura)
+ */
+
+/**
+ * OBTENER REGISTROS DE AUDITORÍA (paginado)
+ */
+const getAll = async (req, res) => {
+    const { usuario_id, entidad, entidad_id, proceso_id, accion, fecha_desde, fecha_hasta } = req.query;
+    const { page, limit, offset } = getPaginationParams(req.query.page, req.query.limit);
+
+    const filters = { usuario_id, entidad, entidad_id, proceso_id, accion, fecha_desde, fecha_hasta };
+
+    const [registros, total] = await Promise.all([
+        auditoriaModel.getAll({ ...filters, limit, offset }),
+        auditoriaModel.getCount(filters)
+    ]);
+
+    return paginatedResponse(
+        res,
+        registros,
+        page,
+        limit,
+        total,
+        'Registros de auditoría obtenidos exitosamente'
+    );
+};
+
+/**
+ * OBTENER REGISTRO DE AUDITORÍA POR ID
+ */
+const getById = async (req, res) => {
+    const { id } = req.params;
+
+    const registro = await auditoriaModel.getById(id);
+
+    return successResponse(
+        res,
+        registro,
+        'Registro de auditoría obtenido exitosamente'
+    );
+};
+
+/**
+ * OBTENER ENTIDADES AUDITADAS
+ * Para poblar el filtro de entidad en el frontend
+ */
+const getEntidades = async (req, res) => {
+    const entidades = await auditoriaModel.getEntidades();
+
+    return successResponse(
+        res,
+        entidades,
+        'Entidades auditadas obtenidas exitosamente'
+    );
+};
+
+module.exports = {
+    getAll,
+    getById,
+    getEntidades
+};
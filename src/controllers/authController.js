@@ -1,22 +1,67 @@
 // src/controllers/authController.js
 
 const authModel = require('../models/authModel');
+const sesionModel = require('../models/sesionModel');
+const intentoLoginModel = require('../models/intentoLoginModel');
+const permisoModel = require('../models/permisoModel');
 const { generateToken } = require('../utils/jwt');
-const { successResponse, createdResponse } = require('../utils/response');
+const { successResponse, createdResponse, paginatedResponse, getPaginationParams } = require('../utils/response');
 const {
     UnauthorizedError,
     BadRequestError,
+    ForbiddenError,
+    TooManyRequestsError,
     validateRequiredFields
 } = require('../utils/errorHandler');
-const { SUCCESS_MESSAGES, ERROR_MESSAGES } = require('../config/constants');
+const { SUCCESS_MESSAGES, ERROR_MESSAGES, ROLES } = require('../config/constants');
+const { notificarContrasenaCambiada } = require('../utils/notificaciones');
 
 /**
  * CONTROLADOR DE AUTENTICACIÓN
  */
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HELPER: Verificar que quien gestiona usuarios pueda hacerlo con el rol indicado
+ *
+ * Con el permiso usuarios un rol distinto de Administrador no puede crear ni
+ * gestionar usuarios Administrador, ni de un rol con permisos que él no tiene
+ * (evita escalar privilegios).
+ */
+const verificarRolGestionable = async (user, rolId) => {
+    if (user.rol_nombre === ROLES.ADMIN) {
+        return;
+    }
+
+    const rol = await permisoModel.getByRolId(rolId);
+
+    if (rol.nombre === ROLES.ADMIN) {
+        throw new ForbiddenError('Solo un Administrador puede gestionar usuarios Administrador');
+    }
+
+    const excedentes = await permisoModel.getPermisosExcedentes(rolId, user.rol_id);
+
+    if (excedentes.length > 0) {
+        throw new ForbiddenError(
+            `No puedes gestionar usuarios del rol ${rol.nombre}: tiene permisos que tu rol no tiene ` +
+            `(${excedentes.join(', ')})`
+        );
+    }
+};
+
+/**
+ * HELPER: Verificar que quien gestiona usuarios pueda hacerlo con el usuario indicado
+ */
+const verificarUsuarioGestionable = async (user, usuarioId) => {
+    const objetivo = await authModel.findById(usuarioId);
+    await verificarRolGestionable(user, objetivo.rol_id);
+};
+
 /**
  * REGISTRO DE USUARIO
- * Solo Admin puede crear usuarios
+ * Requiere el permiso usuarios:crear; solo Admin asigna roles con más
+ * permisos que el propio
  */
 const register = async (req, res) => {
     const { nombre, usuario, correo, contrasena, rol_id } = req.body;
@@ -29,6 +74,8 @@ const register = async (req, res) => {
         throw new BadRequestError('La contraseña debe tener al menos 6 caracteres');
     }
 
+    await verificarRolGestionable(req.user, rol_id);
+
     // Crear usuario
     const newUser = await authModel.create({
         nombre,
@@ -38,12 +85,9 @@ const register = async (req, res) => {
         rol_id
     });
 
-    // Generar token para el nuevo usuario
-    const token = generateToken(newUser);
-
+    // No se emite token: el nuevo usuario inicia su propia sesión con /login
     return createdResponse(res, {
-        usuario: newUser,
-        token
+        usuario: newUser
     }, 'Usuario creado exitosamente');
 };
 
@@ -57,37 +101,94 @@ const login = async (req, res) => {
     // Validar campos requeridos
     validateRequiredFields(req.body, ['usuario', 'contrasena']);
 
+    const ip = req.ip;
+
+    // Rechazar de inmediato si el usuario o la IP están bloqueados
+    const bloqueo = await intentoLoginModel.getBloqueoActivo(usuario, ip);
+
+    if (bloqueo) {
+        const minutos = Math.ceil((new Date(bloqueo.bloqueado_hasta) - new Date()) / 60000);
+        throw new TooManyRequestsError(
+            `Demasiados intentos fallidos. Intenta de nuevo en ${minutos} minuto(s)`
+        );
+    }
+
     // Buscar usuario por username
     const user = await authModel.findByUsername(usuario);
 
-    if (!user) {
+    // Verificar contraseña (se ejecuta bcrypt aunque el usuario no exista,
+    // para no revelar por tiempo de respuesta si el usuario existe)
+    const isPasswordValid = await authModel.verifyPassword(
+        contrasena,
+        user ? user.contrasena_hash : null
+    );
+
+    if (!isPasswordValid) {
+        const { fallidos } = await intentoLoginModel.registrarFallido(
+            usuario,
+            user ? user.id_usuario : null,
+            ip,
+            user ? 'contrasena_incorrecta' : 'usuario_inexistente'
+        );
+
+        // Retraso progresivo antes de responder
+        await sleep(intentoLoginModel.calcularRetraso(fallidos));
+
         throw new UnauthorizedError('Credenciales inválidas');
     }
 
     // Verificar que esté activo
     if (!user.activo) {
+        await intentoLoginModel.registrarFallido(usuario, user.id_usuario, ip, 'usuario_inactivo');
         throw new UnauthorizedError('Usuario desactivado. Contacta al administrador');
     }
 
-    // Verificar contraseña
-    const isPasswordValid = await authModel.verifyPassword(contrasena, user.contrasena_hash);
-
-    if (!isPasswordValid) {
-        throw new UnauthorizedError('Credenciales inválidas');
-    }
+    await intentoLoginModel.registrarExitoso(usuario, user.id_usuario, ip);
 
-    // Generar token
-    const token = generateToken(user);
+    // Crear sesión en el servidor y generar tokens
+    const { sesionId, refreshToken } = await sesionModel.create(user.id_usuario, {
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+    });
+    const token = generateToken(user, sesionId);
 
     // Remover contraseña del objeto antes de enviar
     delete user.contrasena_hash;
 
     return successResponse(res, {
         usuario: user,
-        token
+        token,
+        refresh_token: refreshToken
     }, 'Login exitoso');
 };
 
+/**
+ * REFRESCAR TOKEN
+ * Intercambia un refresh token válido por un nuevo access token
+ * El refresh token se rota: el anterior deja de ser válido
+ */
+const refresh = async (req, res) => {
+    validateRequiredFields(req.body, ['refresh_token']);
+
+    const { sesionId, usuarioId, refreshToken } = await sesionModel.rotarRefreshToken(
+        req.body.refresh_token
+    );
+
+    const user = await authModel.findById(usuarioId);
+
+    if (!user.activo) {
+        await sesionModel.revocarTodasDeUsuario(user.id_usuario, 'usuario_desactivado');
+        throw new UnauthorizedError('Usuario desactivado. Contacta al administrador');
+    }
+
+    const token = generateToken(user, sesionId);
+
+    return successResponse(res, {
+        token,
+        refresh_token: refreshToken
+    }, 'Token renovado exitosamente');
+};
+
 /**
  * OBTENER PERFIL DEL USUARIO ACTUAL
  * Requiere autenticación (req.user viene del authMiddleware)
@@ -146,6 +247,9 @@ const changePassword = async (req, res) => {
     // Actualizar contraseña
     await authModel.updatePassword(userId, contrasena_nueva);
 
+    // Aviso por correo al titular de la cuenta
+    await notificarContrasenaCambiada(user, req.ip);
+
     return successResponse(res, null, 'Contraseña actualizada exitosamente');
 };
 
@@ -181,14 +285,22 @@ const getUserById = async (req, res) => {
  */
 const updateUser = async (req, res) => {
     const { id } = req.params;
-    const { nombre, correo, activo } = req.body;
+    const { nombre, correo, activo, actor_id } = req.body;
+
+    await verificarUsuarioGestionable(req.user, id);
 
     const updatedUser = await authModel.update(id, {
         nombre,
         correo,
-        activo
+        activo,
+        actor_id
     });
 
+    // Desactivar desde la edición también cierra las sesiones abiertas
+    if (activo === false) {
+        await sesionModel.revocarTodasDeUsuario(id, 'usuario_desactivado');
+    }
+
     return successResponse(res, updatedUser, SUCCESS_MESSAGES.UPDATED);
 };
 
@@ -203,8 +315,13 @@ const deactivateUser = async (req, res) => {
         throw new BadRequestError('No puedes desactivarte a ti mismo');
     }
 
+    await verificarUsuarioGestionable(req.user, id);
+
     const user = await authModel.deactivate(id);
 
+    // Cerrar todas las sesiones abiertas del usuario
+    await sesionModel.revocarTodasDeUsuario(id, 'usuario_desactivado');
+
     return successResponse(res, user, 'Usuario desactivado exitosamente');
 };
 
@@ -213,11 +330,84 @@ const deactivateUser = async (req, res) => {
  */
 const activateUser = async (req, res) => {
     const { id } = req.params;
+
+    await verificarUsuarioGestionable(req.user, id);
+
     const user = await authModel.activate(id);
 
     return successResponse(res, user, 'Usuario activado exitosamente');
 };
 
+/**
+ * DESBLOQUEAR USUARIO (Solo Admin)
+ * Levanta el bloqueo temporal por intentos de login fallidos
+ */
+const unlockUser = async (req, res) => {
+    const { id } = req.params;
+
+    await verificarUsuarioGestionable(req.user, id);
+
+    const user = await authModel.findById(id);
+
+    const bloqueos = await intentoLoginModel.desbloquearUsuario(user.usuario, req.user.id_usuario);
+
+    return successResponse(
+        res,
+        { usuario: user, bloqueos_levantados: bloqueos },
+        bloqueos > 0 ? 'Usuario desbloqueado exitosamente' : 'El usuario no tenía bloqueos vigentes'
+    );
+};
+
+/**
+ * LISTAR INTENTOS DE LOGIN FALLIDOS (Solo Admin)
+ */
+const listFailedLogins = async (req, res) => {
+    const { usuario, usuario_id, ip, fecha_desde, fecha_hasta } = req.query;
+    const { page, limit, offset } = getPaginationParams(req.query.page, req.query.limit);
+
+    const filters = { usuario, usuario_id, ip, fecha_desde, fecha_hasta };
+
+    const [intentos, total] = await Promise.all([
+        intentoLoginModel.getFallidos({ ...filters, limit, offset }),
+        intentoLoginModel.getCountFallidos(filters)
+    ]);
+
+    return paginatedResponse(
+        res,
+        intentos,
+        page,
+        limit,
+        total,
+        'Intentos fallidos obtenidos exitosamente'
+    );
+};
+
+/**
+ * LISTAR INTENTOS FALLIDOS DE UN USUARIO (Solo Admin)
+ */
+const getUserFailedLogins = async (req, res) => {
+    const { id } = req.params;
+    const user = await authModel.findById(id);
+    const { page, limit, offset } = getPaginationParams(req.query.page, req.query.limit);
+
+    // Por nombre de usuario: incluye intentos previos a que existiera la cuenta
+    const filters = { usuario: user.usuario };
+
+    const [intentos, total] = await Promise.all([
+        intentoLoginModel.getFallidos({ ...filters, limit, offset }),
+        intentoLoginModel.getCountFallidos(filters)
+    ]);
+
+    return paginatedResponse(
+        res,
+        intentos,
+        page,
+        limit,
+        total,
+        'Intentos fallidos obtenidos exitosamente'
+    );
+};
+
 /**
  * ELIMINAR USUARIO (Solo Admin)
  */
@@ -229,6 +419,8 @@ const deleteUser = async (req, res) => {
         throw new BadRequestError('No puedes eliminarte a ti mismo');
     }
 
+    await verificarUsuarioGestionable(req.user, id);
+
     const user = await authModel.remove(id);
 
     return successResponse(res, user, SUCCESS_MESSAGES.DELETED);
@@ -236,21 +428,19 @@ const deleteUser = async (req, res) => {
 
 /**
  * LOGOUT
- * En JWT stateless, el logout se maneja en el cliente eliminando el token
- * Esta es una ruta opcional para mantener consistencia
+ * Revoca todas las sesiones del usuario: los access tokens y refresh
+ * tokens emitidos dejan de ser válidos en cualquier dispositivo
  */
 const logout = async (req, res) => {
-    // En un sistema JWT puro, no hay nada que hacer en el servidor
-    // El cliente debe eliminar el token
-
-    // Si en el futuro quieres implementar blacklist de tokens, aquí lo harías
+    const sesiones = await sesionModel.revocarTodasDeUsuario(req.user.id_usuario, 'logout');
 
-    return successResponse(res, null, 'Logout exitoso. Token eliminado del cliente');
+    return successResponse(res, { sesiones_revocadas: sesiones }, 'Logout exitoso');
 };
 
 module.exports = {
     register,
     login,
+    refresh,
     getProfile,
     updateProfile,
     changePassword,
@@ -259,6 +449,9 @@ module.exports = {
     updateUser,
     deactivateUser,
     activateUser,
+    unlockUser,
+    listFailedLogins,
+    getUserFailedLogins,
     deleteUser,
     logout
 };
\ No newline at end of file
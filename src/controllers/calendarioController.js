@@ -0,0 +1,179 @@
+// src/controllers/calendarioController.js
+
+const audienciaModel = require('../models/audienciaModel');
+const actorJuridicoModel = require('../models/actorJuridicoModel');
+const procesoActorModel = require('../models/procesoActorModel');
+const salaModel = require('../models/salaModel');
+const calendarioTokenModel = require('../models/calendarioTokenModel');
+const { successResponse, createdResponse } = require('../utils/response');
+const { BadRequestError } = require('../utils/errorHandler');
+const { generarCalendario } = require('../utils/icalendar');
+const { hoyISO, sumarDiasNaturales } = require('../utils/calendario');
+
+/**
+ * CONTROLADOR DE CALENDARIOS (.ics)
+ *
+ * Los calendarios se autentican con el token de calendario del usuario
+ * (calendarioTokenMiddleware), no con el JWT. Incluyen las audiencias
+ * desde DIAS_ATRAS días antes de hoy en adelante.
+ */
+
+const DIAS_ATRAS = 90;
+
+// Tope de audiencias por calendario de sala
+const MAX_EVENTOS = 2000;
+
+const fechaDesde = () => sumarDiasNaturales(hoyISO(), -DIAS_ATRAS);
+
+/**
+ * Responder con el contenido .ics
+ */
+const enviarCalendario = (res, archivo, nombre, audiencias) => {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${archivo}.ics"`,
+        'Cache-Control': 'private, no-cache'
+    });
+
+    return res.send(generarCalendario(nombre, audiencias));
+};
+
+/**
+ * Audiencias de los procesos donde está asignado un actor
+ */
+const getAudienciasDeActor = async (actorId) => {
+    const procesos = await procesoActorModel.getProcesosByActor(actorId);
+    const procesoIds = [...new Set(procesos.map(proceso => proceso.id_proceso))];
+    const desde = fechaDesde();
+
+    const porProceso = await Promise.all(
+        procesoIds.map(procesoId => audienciaModel.getByProcesoId(procesoId))
+    );
+
+    return porProceso
+        .flat()
+        .filter(audiencia => new Date(audiencia.fecha_audiencia) >= new Date(`${desde}T00:00:00Z`))
+        .sort((a, b) => new Date(a.fecha_audiencia) - new Date(b.fecha_audiencia));
+};
+
+/**
+ * CALENDARIO DE UN ACTOR JURÍDICO
+ */
+const getCalendarioActor = async (req, res) => {
+    const actor = await actorJuridicoModel.getById(req.params.id);
+    const audiencias = await getAudienciasDeActor(actor.id_actor);
+
+    return enviarCalendario(res, `actor-${actor.id_actor}`, `Audiencias - ${actor.nombre}`, audiencias);
+};
+
+/**
+ * CALENDARIO DE UNA SALA
+ */
+const getCalendarioSala = async (req, res) => {
+    const sala = await salaModel.getById(req.params.id);
+
+    const { data } = await audienciaModel.getAll({
+        sala_id: sala.id_sala,
+        fecha_desde: fechaDesde(),
+        page: 1,
+        limit: MAX_EVENTOS
+    });
+
+    return enviarCalendario(res, `sala-${sala.id_sala}`, `Audiencias - ${sala.nombre}`, data);
+};
+
+/**
+ * CALENDARIO PERSONAL (actor jurídico vinculado al usuario)
+ */
+const getCalendarioPersonal = async (req, res) => {
+    if (!req.user.actor_id) {
+        throw new BadRequestError(
+            'Tu usuario no está vinculado a un actor jurídico. Solicita al administrador que asigne actor_id'
+        );
+    }
+
+    const audiencias = await getAudienciasDeActor(req.user.actor_id);
+
+    return enviarCalendario(res, 'mis-audiencias', `Mis audiencias - ${req.user.nombre}`, audiencias);
+};
+
+/**
+ * URLs de suscripción con el token
+ */
+const construirUrls = (req, token) => {
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendario`;
+    const consulta = `?token=${encodeURIComponent(token)}`;
+
+    return {
+        personal: `${base}/mio.ics${consulta}`,
+        actor: `${base}/actor/{id}.ics${consulta}`,
+        sala: `${base}/sala/{id}.ics${consulta}`
+    };
+};
+
+/**
+ * ESTADO DEL TOKEN DE CALENDARIO DEL USUARIO
+ * (el token no se puede volver a mostrar: se guarda su hash)
+ */
+const getToken = async (req, res) => {
+    const activo = await calendarioTokenModel.getActivo(req.user.id_usuario);
+
+    return successResponse(
+        res,
+        {
+            activo: !!activo,
+            creado_en: activo ? activo.creado_en : null,
+            ultimo_uso_en: activo ? activo.ultimo_uso_en : null
+        },
+        activo ? 'Token de calendario activo' : 'No hay token de calendario activo'
+    );
+};
+
+/**
+ * GENERAR TOKEN DE CALENDARIO (revoca el anterior)
+ */
+const generarToken = async (req, res) => {
+    const token = await calendarioTokenModel.generar(req.user.id_usuario);
+
+    return createdResponse(
+        res,
+        { token, urls: construirUrls(req, token) },
+        'Token de calendario generado. Guárdalo: no se volverá a mostrar'
+    );
+};
+
+/**
+ * REVOCAR TOKEN DE CALENDARIO PROPIO
+ */
+const revocarToken = async (req, res) => {
+    const revocado = await calendarioTokenModel.revocar(req.user.id_usuario);
+
+    return successResponse(
+        res,
+        { revocado },
+        revocado ? 'Token de calendario revocado' : 'No había token de calendario activo'
+    );
+};
+
+/**
+ * REVOCAR TOKEN DE CALENDARIO DE OTRO USUARIO (Solo Admin)
+ */
+const revocarTokenUsuario = async (req, res) => {
+    const revocado = await calendarioTokenModel.revocar(req.params.id);
+
+    return successResponse(
+        res,
+        { revocado },
+        revocado ? 'Token de calendario del usuario revocado' : 'El usuario no tenía token de calendario activo'
+    );
+};
+
+module.exports = {
+    getCalendarioActor,
+    getCalendarioSala,
+    getCalendarioPersonal,
+    getToken,
+    generarToken,
+    revocarToken,
+    revocarTokenUsuario
+};
@@ -1,9 +1,10 @@
 // src/controllers/cemciController.js
 
 const cemciModel = require('../models/cemciModel');
+const procesoCarpetaModel = require('../models/procesoCarpetaModel');
 const cemciSeguimientoModel = require('../models/cemciSeguimientoModel');
 const {successResponse, createdResponse} = require('../utils/response');
-const {validateRequiredFields} = require('../utils/errorHandler');
+const {validateRequiredFields, BadRequestError} = require('../utils/errorHandler');
 const {SUCCESS_MESSAGES} = require('../config/constants');
 
 /**
@@ -133,10 +134,11 @@ const update = async (req, res) => {
     }
 
     const cemci = await cemciModel.update(id, cemciData);
+    const procesosAfectados = await procesoCarpetaModel.getProcesosByCarpeta('cemci', id);
 
     return successResponse(
         res,
-        cemci,
+        {...cemci, procesos_afectados: procesosAfectados},
         SUCCESS_MESSAGES.UPDATED
     );
 };
@@ -182,8 +184,16 @@ const createSeguimiento = async (req, res) => {
     let seguimientoData = {...req.body};
 
     // Si no viene proceso_id, obtenerlo del CEMCI
+    // (con coimputados hay que indicar de cuál proceso es el seguimiento)
     if (!seguimientoData.proceso_id) {
         const cemci = await cemciModel.getById(seguimientoData.cemci_id);
+
+        if (cemci.total_procesos > 1) {
+            throw new BadRequestError(
+                `La CEMCI está vinculada a ${cemci.total_procesos} procesos: indique proceso_id`
+            );
+        }
+
         seguimientoData.proceso_id = cemci.proceso_id;
     }
 
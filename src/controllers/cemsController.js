@@ -1,6 +1,7 @@
 // src/controllers/cemsController.js
 
 const cemsModel = require('../models/cemsModel');
+const procesoCarpetaModel = require('../models/procesoCarpetaModel');
 const cemsExhortacionModel = require('../models/cemsExhortacionModel');
 const cemsSeguimientoModel = require('../models/cemsSeguimientoModel');
 const { successResponse, createdResponse } = require('../utils/response');
@@ -144,10 +145,11 @@ const update = async (req, res) => {
     }
 
     const cems = await cemsModel.update(id, cemsData);
+    const procesosAfectados = await procesoCarpetaModel.getProcesosByCarpeta('cems', id);
 
     return successResponse(
         res,
-        cems,
+        { ...cems, procesos_afectados: procesosAfectados },
         SUCCESS_MESSAGES.UPDATED
     );
 };
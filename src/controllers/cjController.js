@@ -2,6 +2,7 @@
 
 const cjModel = require('../models/cjModel');
 const domicilioModel = require('../models/domicilioModel');
+const procesoCarpetaModel = require('../models/procesoCarpetaModel');
 const {successResponse, paginatedResponse, getPaginationParams} = require('../utils/response');
 const {validateRequiredFields} = require('../utils/errorHandler');
 const {SUCCESS_MESSAGES} = require('../config/constants');
@@ -70,6 +71,27 @@ const getById = async (req, res) => {
     );
 };
 
+/**
+ * PROCESOS QUE COMPARTEN LA CJ (coimputados)
+ */
+const getProcesos = async (req, res) => {
+    const {id} = req.params;
+
+    const cj = await cjModel.getById(id);
+    const procesos = await procesoCarpetaModel.getProcesosByCarpeta('cj', id);
+
+    return successResponse(
+        res,
+        {
+            cj_id: cj.id_cj,
+            numero_cj: cj.numero_cj,
+            total: procesos.length,
+            procesos
+        },
+        'Procesos de la carpeta judicial obtenidos exitosamente'
+    );
+};
+
 const formatDate = (dateString) => {
     if (!dateString) return null;
     const date = new Date(dateString);
@@ -120,7 +142,14 @@ const update = async (req, res) => {
     // Actualizar CJ
     const cj = await cjModel.update(id, cjData);
 
-    return successResponse(res, cj, 'CJ actualizado exitosamente');
+    // La CJ puede ser compartida: informar a qué procesos afecta el cambio
+    const procesosAfectados = await procesoCarpetaModel.getProcesosByCarpeta('cj', id);
+
+    return successResponse(
+        res,
+        {...cj, procesos_afectados: procesosAfectados},
+        'CJ actualizado exitosamente'
+    );
 };
 
 /**
@@ -175,6 +204,7 @@ const getStats = async (req, res) => {
 module.exports = {
     getAll,
     getById,
+    getProcesos,
     update,
     remove,
     getStats
@@ -1,9 +1,11 @@
 // src/controllers/cjoController.js
 
 const cjoModel = require('../models/cjoModel');
+const procesoCarpetaModel = require('../models/procesoCarpetaModel');
 const {successResponse, createdResponse} = require('../utils/response');
 const {validateRequiredFields} = require('../utils/errorHandler');
 const {SUCCESS_MESSAGES} = require('../config/constants');
+const {describirFlujo} = require('../utils/flujoSentencia');
 
 /**
  * CONTROLADOR DE CJO (CARPETA JUICIO ORAL)
@@ -17,7 +19,7 @@ const formatDate = (dateString) => {
 
 /**
  * CREAR CJO
- * Auto-crea CEMS si sentencia es condenatoria
+ * Con sentencia aplica su flujo (CEMS, conclusión del proceso, CEMCI)
  */
 const create = async (req, res) => {
     validateRequiredFields(req.body, ['numero_cjo', 'cj_id']);
@@ -50,8 +52,8 @@ const create = async (req, res) => {
 
     let mensaje = 'CJO creada exitosamente';
 
-    if (resultado.cems_creado) {
-        mensaje += '. CEMS creado automáticamente (sentencia condenatoria o mixta)';
+    if (resultado.flujo_sentencia && describirFlujo(resultado.flujo_sentencia)) {
+        mensaje += `. Sentencia: ${describirFlujo(resultado.flujo_sentencia)}`;
     }
 
     return createdResponse(
@@ -59,7 +61,8 @@ const create = async (req, res) => {
         {
             cjo,
             cems_creado: resultado.cems_creado,
-            cems_id: resultado.cems_id
+            cems_id: resultado.cems_id,
+            flujo_sentencia: resultado.flujo_sentencia
         },
         mensaje
     );
@@ -69,7 +72,7 @@ const create = async (req, res) => {
  * OBTENER TODAS
  */
 const getAll = async (req, res) => {
-    let { fuero, sentencia, search, page = 1, limit = 10 } = req.query;
+    let { fuero, sentencia, tipo_sentencia_id, search, page = 1, limit = 10 } = req.query;
 
     page = parseInt(page);
     limit = parseInt(limit);
@@ -77,7 +80,7 @@ const getAll = async (req, res) => {
     const offset = (page - 1) * limit;
 
     const [data, total] = await Promise.all([
-        cjoModel.getAll({ fuero, sentencia, search, limit, offset }),
+        cjoModel.getAll({ fuero, sentencia, tipo_sentencia_id, search, limit, offset }),
         cjoModel.getCount({ fuero, sentencia, search })
     ]);
 
@@ -160,11 +163,12 @@ const update = async (req, res) => {
     }
 
     const resultado = await cjoModel.update(id, cjoData);
+    const procesosAfectados = await procesoCarpetaModel.getProcesosByCarpeta('cjo', id);
 
     let mensaje = SUCCESS_MESSAGES.UPDATED;
 
-    if (resultado.cems_creado) {
-        mensaje += '. CEMS creado automáticamente (sentencia condenatoria o mixta)';
+    if (resultado.flujo_sentencia && describirFlujo(resultado.flujo_sentencia)) {
+        mensaje += `. Sentencia: ${describirFlujo(resultado.flujo_sentencia)}`;
     }
 
     return successResponse(
@@ -172,7 +176,9 @@ const update = async (req, res) => {
         {
             cjo: resultado.cjo,
             cems_creado: resultado.cems_creado,
-            cems_id: resultado.cems_id
+            cems_id: resultado.cems_id,
+            flujo_sentencia: resultado.flujo_sentencia,
+            procesos_afectados: procesosAfectados
         },
         mensaje
     );
@@ -1,6 +1,7 @@
 // src/controllers/condenaController.js
 
 const condenaModel = require('../models/condenaModel');
+const computoSancionModel = require('../models/computoSancionModel');
 const { successResponse, createdResponse } = require('../utils/response');
 const { validateRequiredFields } = require('../utils/errorHandler');
 const { SUCCESS_MESSAGES } = require('../config/constants');
@@ -120,6 +121,37 @@ const remove = async (req, res) => {
     );
 };
 
+/**
+ * CÓMPUTO DE LA SANCIÓN
+ */
+const getComputo = async (req, res) => {
+    const { id } = req.params;
+
+    const computo = await computoSancionModel.calcular(id);
+
+    return successResponse(
+        res,
+        computo,
+        'Cómputo de la sanción calculado exitosamente'
+    );
+};
+
+/**
+ * APLICAR CÓMPUTO
+ * Guarda compurga e internamiento.fecha_cumplimiento calculados
+ */
+const aplicarComputo = async (req, res) => {
+    const { id } = req.params;
+
+    const computo = await computoSancionModel.aplicar(id);
+
+    return successResponse(
+        res,
+        computo,
+        'Fechas de compurgación actualizadas con el cómputo'
+    );
+};
+
 /**
  * ESTADÍSTICAS
  */
@@ -141,5 +173,7 @@ module.exports = {
     update,
     marcarCumplida,
     remove,
+    getComputo,
+    aplicarComputo,
     getStats
 };
\ No newline at end of file
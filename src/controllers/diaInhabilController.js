@@ -0,0 +1,93 @@
+// src/controllers/diaInhabilController.js
+
+const diaInhabilModel = require('../models/diaInhabilModel');
+const { successResponse, createdResponse } = require('../utils/response');
+const { validateRequiredFields } = require('../utils/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * CONTROLADOR DE DÍAS INHÁBILES
+ */
+
+/**
+ * OBTENER TODOS
+ */
+const getAll = async (req, res) => {
+    const { anio, fecha_desde, fecha_hasta } = req.query;
+
+    const dias = await diaInhabilModel.getAll({ anio, fecha_desde, fecha_hasta });
+
+    return successResponse(
+        res,
+        dias,
+        'Días inhábiles obtenidos exitosamente'
+    );
+};
+
+/**
+ * OBTENER POR ID
+ */
+const getById = async (req, res) => {
+    const { id } = req.params;
+
+    const dia = await diaInhabilModel.getById(id);
+
+    return successResponse(
+        res,
+        dia,
+        'Día inhábil obtenido exitosamente'
+    );
+};
+
+/**
+ * CREAR
+ */
+const create = async (req, res) => {
+    validateRequiredFields(req.body, ['fecha', 'descripcion']);
+
+    const dia = await diaInhabilModel.create(req.body);
+
+    return createdResponse(
+        res,
+        dia,
+        'Día inhábil creado exitosamente'
+    );
+};
+
+/**
+ * ACTUALIZAR
+ */
+const update = async (req, res) => {
+    const { id } = req.params;
+
+    const dia = await diaInhabilModel.update(id, req.body);
+
+    return successResponse(
+        res,
+        dia,
+        SUCCESS_MESSAGES.UPDATED
+    );
+};
+
+/**
+ * ELIMINAR
+ */
+const remove = async (req, res) => {
+    const { id } = req.params;
+
+    const dia = await diaInhabilModel.remove(id);
+
+    return successResponse(
+        res,
+        dia,
+        SUCCESS_MESSAGES.DELETED
+    );
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    remove
+};
@@ -4,6 +4,7 @@ const domicilioModel = require('../models/domicilioModel');
 const { successResponse, createdResponse } = require('../utils/response');
 const { validateRequiredFields } = require('../utils/errorHandler');
 const { SUCCESS_MESSAGES } = require('../config/constants');
+const { registrarAcceso, registrarAccesos } = require('../utils/accesoDatos');
 
 /**
  * CONTROLADOR DE DOMICILIOS
@@ -27,6 +28,8 @@ const getAll = async (req, res) => {
 
     const domicilios = await domicilioModel.getAll(filters);
 
+    await registrarAccesos('domicilio', domicilios, 'id_domicilio');
+
     return successResponse(
         res,
         domicilios,
@@ -40,6 +43,8 @@ const getAll = async (req, res) => {
 const getPersonales = async (req, res) => {
     const domicilios = await domicilioModel.getDomiciliosPersonales();
 
+    await registrarAccesos('domicilio', domicilios, 'id_domicilio');
+
     return successResponse(
         res,
         domicilios,
@@ -53,6 +58,8 @@ const getPersonales = async (req, res) => {
 const getLugaresHechos = async (req, res) => {
     const domicilios = await domicilioModel.getLugaresHechos();
 
+    await registrarAccesos('domicilio', domicilios, 'id_domicilio');
+
     return successResponse(
         res,
         domicilios,
@@ -68,6 +75,8 @@ const getById = async (req, res) => {
 
     const domicilio = await domicilioModel.getById(id);
 
+    await registrarAcceso({ entidad: 'domicilio', entidadId: domicilio.id_domicilio });
+
     return successResponse(
         res,
         domicilio,
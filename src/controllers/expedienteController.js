@@ -0,0 +1,258 @@
+// src/controllers/expedienteController.js
+
+const procesoModel = require('../models/procesoModel');
+const procesoCarpetaModel = require('../models/procesoCarpetaModel');
+const cjModel = require('../models/cjModel');
+const cjoModel = require('../models/cjoModel');
+const cemciModel = require('../models/cemciModel');
+const cemsModel = require('../models/cemsModel');
+const cjConductaModel = require('../models/cjConductaModel');
+const procesoVictimaModel = require('../models/procesoVictimaModel');
+const procesoActorModel = require('../models/procesoActorModel');
+const medidaCautelarModel = require('../models/medidaCautelarModel');
+const audienciaModel = require('../models/audienciaModel');
+const medidaSancionadoraModel = require('../models/medidaSancionadoraModel');
+const condenaModel = require('../models/condenaModel');
+const internamientoModel = require('../models/internamientoModel');
+const libertadModel = require('../models/libertadModel');
+const cemciSeguimientoModel = require('../models/cemciSeguimientoModel');
+const cemsSeguimientoModel = require('../models/cemsSeguimientoModel');
+const cemsExhortacionModel = require('../models/cemsExhortacionModel');
+const tutorModel = require('../models/tutorModel');
+const { successResponse } = require('../utils/response');
+const { BadRequestError, ForbiddenError } = require('../utils/errorHandler');
+const { registrarAcceso } = require('../utils/accesoDatos');
+const { getTipoCarpetaAudiencia } = require('../utils/carpetaUtils');
+const { getCarpetasConsultables } = require('../middlewares/checkCarpetaPermission');
+const { TIPO_CARPETA } = require('../config/constants');
+
+/**
+ * CONTROLADOR DE EXPEDIENTE
+ *
+ * Arma el expediente completo de un proceso en una sola respuesta.
+ * Cada sección es UNA consulta por proceso (no una por registro), así
+ * que el número de consultas es fijo sin importar el tamaño del expediente:
+ * 2 iniciales (proceso y carpetas) + como máximo una por sección en paralelo.
+ *
+ * Cada sección exige el permiso consultar sobre su carpeta (RECURSO_SECCION):
+ * sin include= se omiten las que el rol no puede consultar; pedir
+ * explícitamente una no permitida responde 403. Las secciones con datos de
+ * varias carpetas (carpetas, actores, audiencias, seguimientos) solo traen
+ * lo de las carpetas permitidas.
+ */
+
+/**
+ * SECCIONES DISPONIBLES PARA include=
+ * El proceso siempre se incluye
+ */
+const SECCIONES = [
+    'carpetas',
+    'conductas',
+    'tutores',
+    'victimas',
+    'actores',
+    'medidas_cautelares',
+    'audiencias',
+    'medidas_sancionadoras',
+    'condena',
+    'internamiento',
+    'libertad',
+    'seguimientos'
+];
+
+const { CJ, CJO, CEMCI, CEMS } = TIPO_CARPETA;
+
+/**
+ * CARPETAS DE CADA SECCIÓN
+ * La sección se incluye si el rol puede consultar al menos una
+ */
+const RECURSO_SECCION = {
+    carpetas: [CJ, CJO, CEMCI, CEMS],
+    conductas: [CJ],
+    tutores: [CJ],
+    victimas: [CJ],
+    actores: [CJ, CJO, CEMCI, CEMS],
+    medidas_cautelares: [CJ],
+    audiencias: [CJ, CJO, CEMCI, CEMS],
+    medidas_sancionadoras: [CEMS],
+    condena: [CEMS],
+    internamiento: [CEMS],
+    libertad: [CEMS],
+    seguimientos: [CEMCI, CEMS]
+};
+
+/**
+ * Leer include=carpetas,victimas,... (sin include = todas)
+ */
+const parseInclude = (include) => {
+    if (!include) return SECCIONES;
+
+    const solicitadas = String(include)
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean);
+
+    const invalidas = solicitadas.filter(s => !SECCIONES.includes(s));
+    if (invalidas.length > 0) {
+        throw new BadRequestError(
+            `Secciones inválidas en include: ${invalidas.join(', ')}. ` +
+            `Secciones válidas: ${SECCIONES.join(', ')}`
+        );
+    }
+
+    return solicitadas;
+};
+
+/**
+ * OBTENER EXPEDIENTE COMPLETO DE UN PROCESO
+ */
+const getExpediente = async (req, res) => {
+    const { id } = req.params;
+    const carpetasPermitidas = await getCarpetasConsultables(req.user);
+    const puede = (tipoCarpeta) => carpetasPermitidas.includes(tipoCarpeta);
+    const seccionPermitida = (seccion) => RECURSO_SECCION[seccion].some(puede);
+
+    let secciones = parseInclude(req.query.include);
+
+    if (req.query.include) {
+        const denegadas = secciones.filter(seccion => !seccionPermitida(seccion));
+
+        if (denegadas.length > 0) {
+            throw new ForbiddenError(
+                `No tienes permisos para consultar estas secciones del expediente: ${denegadas.join(', ')}`
+            );
+        }
+    } else {
+        secciones = secciones.filter(seccionPermitida);
+    }
+
+    const incluir = (seccion) => secciones.includes(seccion);
+
+    // 1. Proceso y relación de carpetas (los ids se necesitan para las demás secciones)
+    const [proceso, procesoCarpeta] = await Promise.all([
+        procesoModel.getById(id),
+        procesoCarpetaModel.getByProcesoId(id)
+    ]);
+
+    // 2. Todas las secciones solicitadas en paralelo
+    const tareas = {};
+
+    if (incluir('carpetas')) {
+        if (puede(CJ)) tareas.cj = procesoCarpeta.cj_id ? cjModel.getById(procesoCarpeta.cj_id) : null;
+        if (puede(CJO)) tareas.cjo = procesoCarpeta.cjo_id ? cjoModel.getById(procesoCarpeta.cjo_id) : null;
+        if (puede(CEMCI)) tareas.cemci = procesoCarpeta.cemci_id ? cemciModel.getById(procesoCarpeta.cemci_id) : null;
+        if (puede(CEMS)) tareas.cems = procesoCarpeta.cems_id ? cemsModel.getById(procesoCarpeta.cems_id) : null;
+    }
+
+    if (incluir('conductas')) {
+        tareas.conductas = procesoCarpeta.cj_id ? cjConductaModel.getByCjId(procesoCarpeta.cj_id) : [];
+    }
+
+    if (incluir('tutores')) {
+        tareas.tutores = tutorModel.getByAdolescenteId(proceso.adolescente_id);
+    }
+
+    if (incluir('victimas')) {
+        tareas.victimas = procesoVictimaModel.getVictimasByProceso(id);
+    }
+
+    if (incluir('actores')) {
+        tareas.actores = procesoActorModel.getActoresAgrupadosPorCarpeta(id);
+    }
+
+    if (incluir('medidas_cautelares')) {
+        tareas.medidas_cautelares = medidaCautelarModel.getByProcesoId(id);
+    }
+
+    if (incluir('audiencias')) {
+        tareas.audiencias = audienciaModel.getByProcesoId(id);
+    }
+
+    if (incluir('medidas_sancionadoras')) {
+        tareas.medidas_sancionadoras = medidaSancionadoraModel.getByProcesoId(id);
+    }
+
+    if (incluir('condena')) {
+        tareas.condena = condenaModel.getByProcesoId(id);
+    }
+
+    if (incluir('internamiento')) {
+        tareas.internamiento = internamientoModel.getByProcesoId(id);
+    }
+
+    if (incluir('libertad')) {
+        tareas.libertad = libertadModel.getByProcesoId(id);
+    }
+
+    if (incluir('seguimientos')) {
+        if (puede(CEMCI)) {
+            tareas.cemci_seguimiento = cemciSeguimientoModel.getByProcesoId(id);
+        }
+        if (puede(CEMS)) {
+            tareas.cems_seguimiento = cemsSeguimientoModel.getByProcesoId(id);
+            tareas.cems_exhortacion = cemsExhortacionModel.getByProcesoId(id);
+        }
+    }
+
+    const claves = Object.keys(tareas);
+    const valores = await Promise.all(Object.values(tareas));
+    const resultados = {};
+    claves.forEach((clave, i) => {
+        resultados[clave] = valores[i];
+    });
+
+    // 3. Armar respuesta anidada
+    const expediente = { proceso };
+
+    if (incluir('carpetas')) {
+        expediente.carpetas = {};
+        if (puede(CJ)) expediente.carpetas.cj = resultados.cj;
+        if (puede(CJO)) expediente.carpetas.cjo = resultados.cjo;
+        if (puede(CEMCI)) expediente.carpetas.cemci = resultados.cemci;
+        if (puede(CEMS)) expediente.carpetas.cems = resultados.cems;
+    }
+
+    if (incluir('actores')) {
+        resultados.actores = Object.fromEntries(
+            Object.entries(resultados.actores).filter(([tipoCarpeta]) => puede(tipoCarpeta))
+        );
+    }
+
+    if (incluir('audiencias')) {
+        resultados.audiencias = resultados.audiencias.filter(audiencia => puede(getTipoCarpetaAudiencia(audiencia)));
+    }
+
+    ['conductas', 'tutores', 'victimas', 'actores', 'medidas_cautelares', 'audiencias',
+        'medidas_sancionadoras', 'condena', 'internamiento', 'libertad'].forEach(seccion => {
+        if (incluir(seccion)) {
+            expediente[seccion] = resultados[seccion];
+        }
+    });
+
+    if (incluir('seguimientos')) {
+        expediente.seguimientos = {};
+        if (puede(CEMCI)) {
+            expediente.seguimientos.cemci = resultados.cemci_seguimiento;
+        }
+        if (puede(CEMS)) {
+            expediente.seguimientos.cems = resultados.cems_seguimiento;
+            expediente.seguimientos.cems_exhortacion = resultados.cems_exhortacion;
+        }
+    }
+
+    await registrarAcceso({
+        entidad: 'proceso',
+        entidadId: proceso.id_proceso,
+        adolescenteId: proceso.adolescente_id
+    });
+
+    return successResponse(
+        res,
+        expediente,
+        'Expediente obtenido exitosamente'
+    );
+};
+
+module.exports = {
+    getExpediente
+};
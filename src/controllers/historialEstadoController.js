@@ -0,0 +1,106 @@
+// src/controllers/historialEstadoController.js
+
+const historialEstadoModel = require('../models/historialEstadoModel');
+const procesoModel = require('../models/procesoModel');
+const { successResponse, createdResponse } = require('../utils/response');
+const { validateRequiredFields } = require('../utils/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+const { getCarpetasConsultables } = require('../middlewares/checkCarpetaPermission');
+
+/**
+ * CONTROLADOR DE HISTORIAL DE ESTADOS
+ *
+ * Historial de status del proceso y estado procesal de CEMCI/CEMS,
+ * transiciones permitidas y permanencia en cada estado
+ */
+
+/**
+ * HISTORIAL DE ESTADOS DE UN PROCESO
+ */
+const getByProceso = async (req, res) => {
+    const proceso = await procesoModel.getById(req.params.id);
+
+    // El status del proceso es visible para todos; el estado procesal de
+    // CEMCI/CEMS solo con permiso de consultar esa carpeta
+    const carpetasPermitidas = await getCarpetasConsultables(req.user);
+    const historial = (await historialEstadoModel.getByProceso(proceso.id_proceso))
+        .filter(registro => registro.entidad === 'proceso' ||
+            carpetasPermitidas.includes(registro.entidad.toUpperCase()));
+
+    return successResponse(
+        res,
+        {
+            proceso_id: proceso.id_proceso,
+            total: historial.length,
+            historial
+        },
+        'Historial de estados obtenido exitosamente'
+    );
+};
+
+/**
+ * TRANSICIONES PERMITIDAS
+ */
+const getTransiciones = async (req, res) => {
+    const transiciones = await historialEstadoModel.getTransiciones(req.query.ambito || null);
+
+    return successResponse(
+        res,
+        transiciones,
+        'Transiciones obtenidas exitosamente'
+    );
+};
+
+/**
+ * CREAR TRANSICIÓN (Solo Admin)
+ */
+const createTransicion = async (req, res) => {
+    validateRequiredFields(req.body, ['ambito', 'origen_id', 'destino_id']);
+
+    const { ambito, origen_id, destino_id } = req.body;
+
+    const id = await historialEstadoModel.createTransicion({ ambito, origen_id, destino_id });
+    const transicion = await historialEstadoModel.getTransicionById(id);
+
+    return createdResponse(
+        res,
+        transicion,
+        'Transición creada exitosamente'
+    );
+};
+
+/**
+ * ELIMINAR TRANSICIÓN (Solo Admin)
+ */
+const removeTransicion = async (req, res) => {
+    const transicion = await historialEstadoModel.removeTransicion(req.params.id);
+
+    return successResponse(
+        res,
+        transicion,
+        SUCCESS_MESSAGES.DELETED
+    );
+};
+
+/**
+ * PERMANENCIA EN CADA ESTADO
+ */
+const getPermanencia = async (req, res) => {
+    const { ambito, entidad } = req.query;
+
+    const permanencia = await historialEstadoModel.getPermanencia({ ambito, entidad });
+
+    return successResponse(
+        res,
+        permanencia,
+        'Permanencia por estado obtenida exitosamente'
+    );
+};
+
+module.exports = {
+    getByProceso,
+    getTransiciones,
+    createTransicion,
+    removeTransicion,
+    getPermanencia
+};
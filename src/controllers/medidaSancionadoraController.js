@@ -4,6 +4,7 @@ const medidaSancionadoraModel = require('../models/medidaSancionadoraModel');
 const { successResponse, createdResponse } = require('../utils/response');
 const { validateRequiredFields } = require('../utils/errorHandler');
 const { SUCCESS_MESSAGES } = require('../config/constants');
+const { leerOmision } = require('../utils/limitesSancion');
 
 /**
  * CONTROLADOR DE MEDIDAS SANCIONADORAS
@@ -18,7 +19,7 @@ const create = async (req, res) => {
         'tipo_medida_sancionadora_id'
     ]);
 
-    const id = await medidaSancionadoraModel.create(req.body);
+    const id = await medidaSancionadoraModel.create(req.body, { omision: leerOmision(req) });
     const medida = await medidaSancionadoraModel.getById(id);
 
     return createdResponse(
@@ -77,7 +78,7 @@ const getById = async (req, res) => {
 const update = async (req, res) => {
     const { id } = req.params;
 
-    const medida = await medidaSancionadoraModel.update(id, req.body);
+    const medida = await medidaSancionadoraModel.update(id, req.body, { omision: leerOmision(req) });
 
     return successResponse(
         res,
@@ -0,0 +1,136 @@
+// src/controllers/notificacionController.js
+
+const notificacionModel = require('../models/notificacionModel');
+const { procesarCola } = require('../utils/notificaciones');
+const { successResponse, paginatedResponse, getPaginationParams } = require('../utils/response');
+const { BadRequestError } = require('../utils/errorHandler');
+const { ESTADO_NOTIFICACION, PLANTILLA_NOTIFICACION } = require('../config/constants');
+
+/**
+ * CONTROLADOR DE NOTIFICACIONES
+ *
+ * Consulta del estado de entrega de los correos y reenvío de fallidas
+ */
+
+/**
+ * Verificar que la plantilla exista
+ */
+const validarPlantilla = (plantilla) => {
+    if (plantilla && !Object.values(PLANTILLA_NOTIFICACION).includes(plantilla)) {
+        throw new BadRequestError(
+            `Plantilla inválida. Debe ser una de: ${Object.values(PLANTILLA_NOTIFICACION).join(', ')}`
+        );
+    }
+};
+
+/**
+ * OBTENER NOTIFICACIONES (paginado)
+ */
+const getAll = async (req, res) => {
+    const { estado, plantilla, proceso_id, usuario_id, actor_id, tutor_id, destinatario, fecha_desde, fecha_hasta } = req.query;
+    const { page, limit, offset } = getPaginationParams(req.query.page, req.query.limit);
+
+    if (estado && !Object.values(ESTADO_NOTIFICACION).includes(estado)) {
+        throw new BadRequestError(
+            `Estado inválido. Debe ser uno de: ${Object.values(ESTADO_NOTIFICACION).join(', ')}`
+        );
+    }
+    validarPlantilla(plantilla);
+
+    const filters = { estado, plantilla, proceso_id, usuario_id, actor_id, tutor_id, destinatario, fecha_desde, fecha_hasta };
+
+    const [notificaciones, total] = await Promise.all([
+        notificacionModel.getAll({ ...filters, limit, offset }),
+        notificacionModel.getCount(filters)
+    ]);
+
+    return paginatedResponse(
+        res,
+        notificaciones,
+        page,
+        limit,
+        total,
+        'Notificaciones obtenidas exitosamente'
+    );
+};
+
+/**
+ * RESUMEN POR ESTADO
+ */
+const getResumen = async (req, res) => {
+    const resumen = await notificacionModel.getResumen();
+
+    return successResponse(
+        res,
+        resumen,
+        'Resumen de notificaciones obtenido exitosamente'
+    );
+};
+
+/**
+ * OBTENER POR ID (incluye el cuerpo del correo)
+ */
+const getById = async (req, res) => {
+    const notificacion = await notificacionModel.getById(req.params.id);
+
+    return successResponse(
+        res,
+        notificacion,
+        'Notificación obtenida exitosamente'
+    );
+};
+
+/**
+ * REENVIAR UNA NOTIFICACIÓN FALLIDA
+ */
+const reenviar = async (req, res) => {
+    const notificacion = await notificacionModel.reenviar(req.params.id);
+
+    return successResponse(
+        res,
+        notificacion,
+        'Notificación enviada de nuevo a la cola'
+    );
+};
+
+/**
+ * REENVIAR TODAS LAS FALLIDAS
+ */
+const reenviarFallidas = async (req, res) => {
+    const { plantilla } = req.body || {};
+    validarPlantilla(plantilla);
+
+    const total = await notificacionModel.reenviarFallidas(plantilla);
+
+    return successResponse(
+        res,
+        { reenviadas: total },
+        `${total} notificación(es) enviada(s) de nuevo a la cola`
+    );
+};
+
+/**
+ * PROCESAR LA COLA AHORA (sin esperar al intervalo)
+ */
+const procesar = async (req, res) => {
+    if (!process.env.SMTP_HOST) {
+        throw new BadRequestError('No hay servidor SMTP configurado (SMTP_HOST)');
+    }
+
+    const resultado = await procesarCola();
+
+    return successResponse(
+        res,
+        resultado,
+        'Cola de notificaciones procesada'
+    );
+};
+
+module.exports = {
+    getAll,
+    getResumen,
+    getById,
+    reenviar,
+    reenviarFallidas,
+    procesar
+};
@@ -0,0 +1,99 @@
+// src/controllers/papeleraController.js
+
+const papeleraModel = require('../models/papeleraModel');
+const { successResponse, paginatedResponse, getPaginationParams } = require('../utils/response');
+
+/**
+ * CONTROLADOR DE PAPELERA
+ *
+ * Registros eliminados de los expedientes: consulta, restauración y
+ * purga definitiva (solo Admin)
+ */
+
+/**
+ * LISTAR PAPELERA (paginado)
+ */
+const getAll = async (req, res) => {
+    const { tipo, search } = req.query;
+    const { page, limit, offset } = getPaginationParams(req.query.page, req.query.limit);
+
+    const filters = { tipo, search };
+
+    const [registros, total] = await Promise.all([
+        papeleraModel.getAll({ ...filters, limit, offset }),
+        papeleraModel.getCount(filters)
+    ]);
+
+    return paginatedResponse(
+        res,
+        registros,
+        page,
+        limit,
+        total,
+        'Papelera obtenida exitosamente'
+    );
+};
+
+/**
+ * TIPOS DE REGISTRO CON PAPELERA
+ */
+const getTipos = async (req, res) => {
+    return successResponse(
+        res,
+        papeleraModel.getTipos(),
+        'Tipos de registro obtenidos exitosamente'
+    );
+};
+
+/**
+ * OBTENER REGISTRO DE LA PAPELERA
+ */
+const getById = async (req, res) => {
+    const { tipo, id } = req.params;
+
+    const registro = await papeleraModel.getById(tipo, id);
+
+    return successResponse(
+        res,
+        registro,
+        'Registro obtenido exitosamente'
+    );
+};
+
+/**
+ * RESTAURAR REGISTRO
+ */
+const restore = async (req, res) => {
+    const { tipo, id } = req.params;
+
+    const resultado = await papeleraModel.restore(tipo, id);
+
+    return successResponse(
+        res,
+        resultado,
+        'Registro restaurado exitosamente'
+    );
+};
+
+/**
+ * PURGAR REGISTRO (eliminación definitiva)
+ */
+const purge = async (req, res) => {
+    const { tipo, id } = req.params;
+
+    const registro = await papeleraModel.purge(tipo, id);
+
+    return successResponse(
+        res,
+        registro,
+        'Registro eliminado definitivamente'
+    );
+};
+
+module.exports = {
+    getAll,
+    getTipos,
+    getById,
+    restore,
+    purge
+};
@@ -0,0 +1,65 @@
+// src/controllers/permisoController.js
+
+const permisoModel = require('../models/permisoModel');
+const { successResponse } = require('../utils/response');
+const { validateRequiredFields } = require('../utils/errorHandler');
+const { RECURSOS, ACCIONES_PERMISO } = require('../config/constants');
+
+/**
+ * CONTROLADOR DE PERMISOS POR ROL
+ */
+
+/**
+ * OBTENER MATRIZ COMPLETA
+ */
+const getMatriz = async (req, res) => {
+    const roles = await permisoModel.getAll();
+
+    return successResponse(
+        res,
+        {
+            recursos: Object.values(RECURSOS),
+            acciones: ACCIONES_PERMISO,
+            roles
+        },
+        'Matriz de permisos obtenida exitosamente'
+    );
+};
+
+/**
+ * OBTENER PERMISOS DE UN ROL
+ */
+const getByRol = async (req, res) => {
+    const { id } = req.params;
+
+    const rol = await permisoModel.getByRolId(id);
+
+    return successResponse(
+        res,
+        rol,
+        'Permisos del rol obtenidos exitosamente'
+    );
+};
+
+/**
+ * ACTUALIZAR PERMISOS DE UN ROL
+ */
+const updateByRol = async (req, res) => {
+    const { id } = req.params;
+
+    validateRequiredFields(req.body, ['permisos']);
+
+    const rol = await permisoModel.setPermisosRol(id, req.body.permisos);
+
+    return successResponse(
+        res,
+        rol,
+        'Permisos del rol actualizados exitosamente'
+    );
+};
+
+module.exports = {
+    getMatriz,
+    getByRol,
+    updateByRol
+};
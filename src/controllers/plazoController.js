@@ -0,0 +1,192 @@
+// src/controllers/plazoController.js
+
+const plazoModel = require('../models/plazoModel');
+const plazoLegalModel = require('../models/plazoLegalModel');
+const procesoModel = require('../models/procesoModel');
+const { successResponse, createdResponse } = require('../utils/response');
+const { validateRequiredFields, BadRequestError } = require('../utils/errorHandler');
+const { SUCCESS_MESSAGES, ESTADO_PLAZO, UNIDAD_PLAZO } = require('../config/constants');
+const { getCarpetasConsultables } = require('../middlewares/checkCarpetaPermission');
+
+/**
+ * CONTROLADOR DE PLAZOS
+ *
+ * Plazos calculados (motor) y catálogo de plazos legales
+ */
+
+/**
+ * Resumir plazos por estado
+ */
+const resumirPorEstado = (plazos) => {
+    const resumen = {};
+    Object.values(ESTADO_PLAZO).forEach(estado => {
+        resumen[estado] = 0;
+    });
+
+    plazos.forEach(plazo => {
+        resumen[plazo.estado]++;
+    });
+
+    return resumen;
+};
+
+/**
+ * OBTENER PLAZOS PENDIENTES QUE VENCEN PRONTO
+ */
+const getProximos = async (req, res) => {
+    const { vencen_en, incluir_vencidos, estado, carpeta, clave } = req.query;
+
+    if (vencen_en !== undefined && (isNaN(parseInt(vencen_en, 10)) || parseInt(vencen_en, 10) < 0)) {
+        throw new BadRequestError('vencen_en debe ser un número de días mayor o igual a 0');
+    }
+
+    if (estado && !Object.values(ESTADO_PLAZO).includes(estado)) {
+        throw new BadRequestError(`Estado inválido. Estados válidos: ${Object.values(ESTADO_PLAZO).join(', ')}`);
+    }
+
+    // Solo plazos de las carpetas que el usuario puede consultar
+    const carpetasPermitidas = await getCarpetasConsultables(req.user);
+    const plazos = (await plazoModel.getProximos({ vencen_en, incluir_vencidos, estado, carpeta, clave }))
+        .filter(plazo => carpetasPermitidas.includes(plazo.carpeta));
+
+    return successResponse(
+        res,
+        {
+            total: plazos.length,
+            resumen: resumirPorEstado(plazos),
+            plazos
+        },
+        'Plazos próximos a vencer obtenidos exitosamente'
+    );
+};
+
+/**
+ * OBTENER PLAZOS DE UN PROCESO
+ */
+const getByProceso = async (req, res) => {
+    const { id } = req.params;
+
+    // Verificar que existe
+    const proceso = await procesoModel.getById(id);
+
+    const carpetasPermitidas = await getCarpetasConsultables(req.user);
+    const plazos = (await plazoModel.getByProcesoId(proceso.id_proceso))
+        .filter(plazo => carpetasPermitidas.includes(plazo.carpeta));
+
+    return successResponse(
+        res,
+        {
+            proceso_id: proceso.id_proceso,
+            resumen: resumirPorEstado(plazos),
+            plazos
+        },
+        'Plazos del proceso obtenidos exitosamente'
+    );
+};
+
+/**
+ * CATÁLOGO: OBTENER TODOS
+ */
+const getCatalogo = async (req, res) => {
+    const { activo, fuente } = req.query;
+
+    const plazos = await plazoLegalModel.getAll({ activo, fuente });
+
+    return successResponse(
+        res,
+        plazos,
+        'Catálogo de plazos obtenido exitosamente'
+    );
+};
+
+/**
+ * CATÁLOGO: FUENTES Y CAMPOS DISPONIBLES
+ * Para armar el formulario del catálogo en el frontend
+ */
+const getFuentes = async (req, res) => {
+    const fuentes = Object.entries(plazoLegalModel.FUENTES_PLAZO).map(([clave, fuente]) => ({
+        fuente: clave,
+        carpeta: fuente.carpeta,
+        campos: fuente.campos
+    }));
+
+    return successResponse(
+        res,
+        {
+            fuentes,
+            unidades: Object.values(UNIDAD_PLAZO)
+        },
+        'Fuentes de plazos obtenidas exitosamente'
+    );
+};
+
+/**
+ * CATÁLOGO: OBTENER POR ID
+ */
+const getCatalogoById = async (req, res) => {
+    const { id } = req.params;
+
+    const plazo = await plazoLegalModel.getById(id);
+
+    return successResponse(
+        res,
+        plazo,
+        'Plazo legal obtenido exitosamente'
+    );
+};
+
+/**
+ * CATÁLOGO: CREAR
+ */
+const createCatalogo = async (req, res) => {
+    validateRequiredFields(req.body, ['clave', 'nombre', 'fuente', 'campo_inicio']);
+
+    const plazo = await plazoLegalModel.create(req.body);
+
+    return createdResponse(
+        res,
+        plazo,
+        'Plazo legal creado exitosamente'
+    );
+};
+
+/**
+ * CATÁLOGO: ACTUALIZAR
+ */
+const updateCatalogo = async (req, res) => {
+    const { id } = req.params;
+
+    const plazo = await plazoLegalModel.update(id, req.body);
+
+    return successResponse(
+        res,
+        plazo,
+        SUCCESS_MESSAGES.UPDATED
+    );
+};
+
+/**
+ * CATÁLOGO: ELIMINAR
+ */
+const removeCatalogo = async (req, res) => {
+    const { id } = req.params;
+
+    const plazo = await plazoLegalModel.remove(id);
+
+    return successResponse(
+        res,
+        plazo,
+        SUCCESS_MESSAGES.DELETED
+    );
+};
+
+module.exports = {
+    getProximos,
+    getByProceso,
+    getCatalogo,
+    getFuentes,
+    getCatalogoById,
+    createCatalogo,
+    updateCatalogo,
+    removeCatalogo
+};
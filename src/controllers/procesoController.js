@@ -7,10 +7,16 @@ const cemciModel = require('../models/cemciModel');
 const cemsModel = require('../models/cemsModel');
 const procesoCarpetaModel = require('../models/procesoCarpetaModel');
 const domicilioModel = require('../models/domicilioModel');
+const timelineModel = require('../models/timelineModel');
+const historialEstadoModel = require('../models/historialEstadoModel');
 const {executeTransaction} = require('../config/database');
 const {successResponse, createdResponse, paginatedResponse, getPaginationParams} = require('../utils/response');
-const {validateRequiredFields, BadRequestError} = require('../utils/errorHandler');
-const {SUCCESS_MESSAGES} = require('../config/constants');
+const {validateRequiredFields, BadRequestError, ConflictError} = require('../utils/errorHandler');
+const {SUCCESS_MESSAGES, AMBITO_ESTADO} = require('../config/constants');
+const {registrarAuditoria} = require('../utils/auditoria');
+const {registrarAcceso} = require('../utils/accesoDatos');
+const {getCarpetasConsultables} = require('../middlewares/checkCarpetaPermission');
+const {validarSinProcesoActivo} = require('../utils/procesosAdolescente');
 
 /**
  * CONTROLADOR DE PROCESO
@@ -20,21 +26,36 @@ const {SUCCESS_MESSAGES} = require('../config/constants');
 
 /**
  * CREAR PROCESO + CJ
- * Ambos se crean en una sola transacción
+ * Ambos se crean en una sola transacción. Con cj_id el proceso se vincula
+ * a una CJ existente (coimputado) en lugar de crear otra
  */
 
 const create = async (req, res) => {
-    const {adolescente_id, status_id, observaciones} = req.body;
+    const {adolescente_id, status_id, observaciones, cj_id} = req.body;
 
     // Validar campos requeridos
     validateRequiredFields(req.body, ['adolescente_id']);
 
+    // Solo un proceso activo por adolescente (los concluidos quedan como historial)
+    await validarSinProcesoActivo(adolescente_id);
+
     // Permitir enviar datos de CJ de dos formas
     const cjData = req.body.cj || req.body;
 
-    // Validar que tenga numero_cj
-    if (!cjData.numero_cj) {
-        throw new BadRequestError('El campo numero_cj es obligatorio');
+    // CJ existente: el adolescente no puede estar ya en ella
+    let cjExistente = null;
+
+    if (cj_id) {
+        cjExistente = await cjModel.getById(cj_id);
+
+        const coimputados = await procesoCarpetaModel.getProcesosByCarpeta('cj', cjExistente.id_cj);
+
+        if (coimputados.some(otro => otro.adolescente_id === Number(adolescente_id))) {
+            throw new ConflictError('El adolescente ya está en esta CJ por otro proceso');
+        }
+    } else if (!cjData.numero_cj) {
+        // Validar que tenga numero_cj
+        throw new BadRequestError('El campo numero_cj es obligatorio (o cj_id para vincular una CJ existente)');
     }
 
     // ===== Función para formatear fechas =====
@@ -47,7 +68,7 @@ const create = async (req, res) => {
     // ===== CREAR DOMICILIO DE LOS HECHOS SI EXISTE =====
     let domicilioHechosId = null;
 
-    if (cjData.domicilio_hechos_municipio || cjData.domicilio_hechos_calle || cjData.domicilio_hechos_colonia) {
+    if (!cjExistente && (cjData.domicilio_hechos_municipio || cjData.domicilio_hechos_calle || cjData.domicilio_hechos_colonia)) {
         const domicilioHechosData = {
             municipio: cjData.domicilio_hechos_municipio,
             calle_numero: cjData.domicilio_hechos_calle,
@@ -59,6 +80,11 @@ const create = async (req, res) => {
         domicilioHechosId = domicilioHechos.id_domicilio;
     }
 
+    // Status inicial (queda en el historial de estados)
+    const cambioStatus = await historialEstadoModel.prepararCambio(
+        AMBITO_ESTADO.STATUS, null, status_id, req.body
+    );
+
     // Crear proceso + CJ + proceso_carpeta en una transacción
     const result = await executeTransaction(async (connection) => {
         // 1. Crear el proceso
@@ -70,59 +96,71 @@ const create = async (req, res) => {
 
         const procesoId = procesoResult.insertId;
 
-        // 2. Crear la CJ con fechas formateadas y domicilio
-        const cjSql = `
-            INSERT INTO cj (numero_cj, fecha_ingreso, tipo_fuero, numero_ampea,
-                            tipo_narcotico_asegurado, peso_narcotico_gramos,
-                            control, lesiones, fecha_control, fecha_formulacion,
-                            vinculacion, fecha_vinculacion, conducta_vinculacion, declaro,
-                            suspension_condicional_proceso_prueba, plazo_suspension,
-                            fecha_suspension, fecha_terminacion_suspension,
-                            audiencia_intermedia, fecha_audiencia_intermedia,
-                            estatus_carpeta_preliminar, reincidente, sustraido, fecha_sustraccion,
-                            medidas_proteccion, numero_toca_apelacion, numero_total_audiencias,
-                            corporacion_ejecutora, representante_pp_nnya, tipo_representacion_pp_nnya,
-                            observaciones, observaciones_adicionales, domicilio_hechos_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
-
-        const [cjResult] = await connection.execute(cjSql, [
-            cjData.numero_cj,
-            formatDate(cjData.fecha_ingreso),
-            cjData.tipo_fuero || null,
-            cjData.numero_ampea || null,
-            cjData.tipo_narcotico_asegurado || null,
-            cjData.peso_narcotico_gramos || null,
-            cjData.control || false,
-            cjData.lesiones || false,
-            formatDate(cjData.fecha_control),
-            formatDate(cjData.fecha_formulacion),
-            cjData.vinculacion || false,
-            formatDate(cjData.fecha_vinculacion),
-            cjData.conducta_vinculacion || null,
-            cjData.declaro || false,  // ← BOOLEAN
-            cjData.suspension_condicional_proceso_prueba || false,
-            cjData.plazo_suspension || null,
-            formatDate(cjData.fecha_suspension),
-            formatDate(cjData.fecha_terminacion_suspension),
-            cjData.audiencia_intermedia || false,
-            formatDate(cjData.fecha_audiencia_intermedia),
-            cjData.estatus_carpeta_preliminar || null,
-            cjData.reincidente || false,
-            cjData.sustraido || false,
-            formatDate(cjData.fecha_sustraccion),
-            cjData.medidas_proteccion || null,
-            cjData.numero_toca_apelacion || null,
-            cjData.numero_total_audiencias || 0,
-            cjData.corporacion_ejecutora || null,
-            cjData.representante_pp_nnya || null,
-            cjData.tipo_representacion_pp_nnya || null,
-            cjData.observaciones || null,
-            cjData.observaciones_adicionales || null,
-            domicilioHechosId
-        ]);
+        if (cambioStatus) {
+            await historialEstadoModel.registrar(connection, {
+                proceso_id: procesoId,
+                entidad: 'proceso',
+                entidad_id: procesoId,
+                ambito: AMBITO_ESTADO.STATUS
+            }, cambioStatus);
+        }
 
-        const cjId = cjResult.insertId;
+        // 2. CJ: la existente (coimputado) o una nueva con fechas formateadas y domicilio
+        let cjId = cjExistente ? cjExistente.id_cj : null;
+
+        if (!cjExistente) {
+            const cjSql = `
+                INSERT INTO cj (numero_cj, fecha_ingreso, tipo_fuero, numero_ampea,
+                                tipo_narcotico_asegurado, peso_narcotico_gramos,
+                                control, lesiones, fecha_control, fecha_formulacion,
+                                vinculacion, fecha_vinculacion, conducta_vinculacion, declaro,
+                                suspension_condicional_proceso_prueba, plazo_suspension,
+                                fecha_suspension, fecha_terminacion_suspension,
+                                audiencia_intermedia, fecha_audiencia_intermedia,
+                                estatus_carpeta_preliminar, sustraido, fecha_sustraccion,
+                                medidas_proteccion, numero_toca_apelacion, numero_total_audiencias,
+                                corporacion_ejecutora, representante_pp_nnya, tipo_representacion_pp_nnya,
+                                observaciones, observaciones_adicionales, domicilio_hechos_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            const [cjResult] = await connection.execute(cjSql, [
+                cjData.numero_cj,
+                formatDate(cjData.fecha_ingreso),
+                cjData.tipo_fuero || null,
+                cjData.numero_ampea || null,
+                cjData.tipo_narcotico_asegurado || null,
+                cjData.peso_narcotico_gramos || null,
+                cjData.control || false,
+                cjData.lesiones || false,
+                formatDate(cjData.fecha_control),
+                formatDate(cjData.fecha_formulacion),
+                cjData.vinculacion || false,
+                formatDate(cjData.fecha_vinculacion),
+                cjData.conducta_vinculacion || null,
+                cjData.declaro || false,  // ← BOOLEAN
+                cjData.suspension_condicional_proceso_prueba || false,
+                cjData.plazo_suspension || null,
+                formatDate(cjData.fecha_suspension),
+                formatDate(cjData.fecha_terminacion_suspension),
+                cjData.audiencia_intermedia || false,
+                formatDate(cjData.fecha_audiencia_intermedia),
+                cjData.estatus_carpeta_preliminar || null,
+                cjData.sustraido || false,
+                formatDate(cjData.fecha_sustraccion),
+                cjData.medidas_proteccion || null,
+                cjData.numero_toca_apelacion || null,
+                0, // numero_total_audiencias: se calcula con las audiencias celebradas
+                cjData.corporacion_ejecutora || null,
+                cjData.representante_pp_nnya || null,
+                cjData.tipo_representacion_pp_nnya || null,
+                cjData.observaciones || null,
+                cjData.observaciones_adicionales || null,
+                domicilioHechosId
+            ]);
+
+            cjId = cjResult.insertId;
+        }
 
         // 3. Crear la relación en proceso_carpeta
         await connection.execute(
@@ -137,6 +175,23 @@ const create = async (req, res) => {
     // Obtener el proceso completo recién creado
     const procesoCompleto = await getProcesoCompleto(result.procesoId);
 
+    // Auditoría (los INSERT de la transacción no pasan por los modelos)
+    await registrarAuditoria({
+        entidad: 'proceso',
+        entidadId: result.procesoId,
+        procesoId: result.procesoId,
+        accion: 'CREAR',
+        despues: procesoCompleto.proceso
+    });
+
+    await registrarAuditoria({
+        entidad: cjExistente ? 'proceso_carpeta' : 'cj',
+        entidadId: cjExistente ? result.procesoId : result.cjId,
+        procesoId: result.procesoId,
+        accion: cjExistente ? 'VINCULAR' : 'CREAR',
+        despues: cjExistente ? { cj_id: result.cjId } : procesoCompleto.carpetas.cj
+    });
+
     return createdResponse(
         res,
         {
@@ -144,7 +199,9 @@ const create = async (req, res) => {
             cjId: result.cjId,
             ...procesoCompleto
         },
-        'Proceso y carpeta CJ creados exitosamente'
+        cjExistente
+            ? 'Proceso creado y vinculado a la CJ existente'
+            : 'Proceso y carpeta CJ creados exitosamente'
     );
 };
 
@@ -188,6 +245,17 @@ const getProcesoCompleto = async (procesoId) => {
     };
 };
 
+/**
+ * HELPER: Registrar lectura del detalle completo de un proceso
+ */
+const registrarAccesoProceso = async (proceso) => {
+    await registrarAcceso({
+        entidad: 'proceso',
+        entidadId: proceso.id_proceso,
+        adolescenteId: proceso.adolescente_id
+    });
+};
+
 /**
  * OBTENER TODOS LOS PROCESOS
  */
@@ -233,6 +301,8 @@ const getById = async (req, res) => {
 
     const procesoCompleto = await getProcesoCompleto(id);
 
+    await registrarAccesoProceso(procesoCompleto.proceso);
+
     return successResponse(
         res,
         procesoCompleto,
@@ -240,6 +310,32 @@ const getById = async (req, res) => {
     );
 };
 
+/**
+ * OBTENER LÍNEA DE TIEMPO DEL PROCESO
+ * Todos los eventos con fecha de todas sus carpetas, en orden cronológico
+ */
+const getTimeline = async (req, res) => {
+    const {id} = req.params;
+
+    // Verificar que existe
+    const proceso = await procesoModel.getById(id);
+
+    // Solo eventos de las carpetas que el usuario puede consultar
+    const carpetasPermitidas = await getCarpetasConsultables(req.user);
+    const eventos = (await timelineModel.getByProcesoId(proceso.id_proceso))
+        .filter(evento => carpetasPermitidas.includes(evento.carpeta));
+
+    return successResponse(
+        res,
+        {
+            proceso_id: proceso.id_proceso,
+            total: eventos.length,
+            eventos
+        },
+        'Línea de tiempo obtenida exitosamente'
+    );
+};
+
 /**
  * OBTENER PROCESO POR ADOLESCENTE ID
  */
@@ -258,6 +354,8 @@ const getByAdolescente = async (req, res) => {
 
     const procesoCompleto = await getProcesoCompleto(proceso.id_proceso);
 
+    await registrarAccesoProceso(procesoCompleto.proceso);
+
     return successResponse(
         res,
         procesoCompleto,
@@ -271,11 +369,13 @@ const getByAdolescente = async (req, res) => {
  */
 const update = async (req, res) => {
     const {id} = req.params;
-    const {status_id, observaciones} = req.body;
+    const {status_id, observaciones, motivo_cambio, fecha_cambio} = req.body;
 
     const procesoActualizado = await procesoModel.update(id, {
         status_id,
-        observaciones
+        observaciones,
+        motivo_cambio,
+        fecha_cambio
     });
 
     return successResponse(
@@ -350,15 +450,44 @@ const getTiempoPromedio = async (req, res) => {
     return successResponse(res, data, 'Tiempo promedio de proceso obtenido exitosamente');
 };
 
+/**
+ * VINCULAR CARPETA EXISTENTE AL PROCESO (coimputado)
+ */
+const vincularCarpeta = async (req, res) => {
+    const {id} = req.params;
+
+    validateRequiredFields(req.body, ['tipo', 'carpeta_id']);
+
+    const {tipo, carpeta_id} = req.body;
+
+    await procesoCarpetaModel.vincular(id, tipo, carpeta_id);
+
+    const [procesoCompleto, coimputados] = await Promise.all([
+        getProcesoCompleto(id),
+        procesoCarpetaModel.getProcesosByCarpeta(tipo, carpeta_id)
+    ]);
+
+    return successResponse(
+        res,
+        {
+            ...procesoCompleto,
+            coimputados
+        },
+        'Carpeta vinculada al proceso exitosamente'
+    );
+};
+
 module.exports = {
     create,
     getAll,
     getById,
     getByAdolescente,
+    getTimeline,
     update,
     remove,
     getStats,
     getProcesoCompleto,  // Exportar para uso en otros módulos
     getTendencia,
-    getTiempoPromedio
+    getTiempoPromedio,
+    vincularCarpeta
 };
\ No newline at end of file
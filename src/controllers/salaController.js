@@ -0,0 +1,116 @@
+// src/controllers/salaController.js
+
+const salaModel = require('../models/salaModel');
+const { successResponse, createdResponse } = require('../utils/response');
+const { validateRequiredFields } = require('../utils/errorHandler');
+const { normalizarDuracion } = require('../utils/agendaAudiencias');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+
+/**
+ * CONTROLADOR DE SALAS
+ */
+
+/**
+ * OBTENER TODAS
+ */
+const getAll = async (req, res) => {
+    const { activa, sede, videoaudiencia, capacidad_minima } = req.query;
+
+    const salas = await salaModel.getAll({ activa, sede, videoaudiencia, capacidad_minima });
+
+    return successResponse(
+        res,
+        salas,
+        'Salas obtenidas exitosamente'
+    );
+};
+
+/**
+ * HORARIOS DISPONIBLES
+ */
+const getDisponibilidad = async (req, res) => {
+    validateRequiredFields(req.query, ['fecha']);
+
+    const { fecha, fecha_hasta, requiere_juez, juez_id, sala_id, sede, videoaudiencia, capacidad_minima } = req.query;
+
+    const disponibilidad = await salaModel.getDisponibilidad({
+        fecha,
+        fecha_hasta,
+        duracion: normalizarDuracion(req.query.duracion),
+        requiere_juez,
+        juez_id,
+        sala_id,
+        sede,
+        videoaudiencia,
+        capacidad_minima
+    });
+
+    return successResponse(
+        res,
+        disponibilidad,
+        'Disponibilidad de salas obtenida exitosamente'
+    );
+};
+
+/**
+ * OBTENER POR ID
+ */
+const getById = async (req, res) => {
+    const sala = await salaModel.getById(req.params.id);
+
+    return successResponse(
+        res,
+        sala,
+        'Sala obtenida exitosamente'
+    );
+};
+
+/**
+ * CREAR
+ */
+const create = async (req, res) => {
+    validateRequiredFields(req.body, ['nombre']);
+
+    const sala = await salaModel.create(req.body);
+
+    return createdResponse(
+        res,
+        sala,
+        'Sala creada exitosamente'
+    );
+};
+
+/**
+ * ACTUALIZAR
+ */
+const update = async (req, res) => {
+    const sala = await salaModel.update(req.params.id, req.body);
+
+    return successResponse(
+        res,
+        sala,
+        SUCCESS_MESSAGES.UPDATED
+    );
+};
+
+/**
+ * ELIMINAR
+ */
+const remove = async (req, res) => {
+    const sala = await salaModel.remove(req.params.id);
+
+    return successResponse(
+        res,
+        sala,
+        SUCCESS_MESSAGES.DELETED
+    );
+};
+
+module.exports = {
+    getAll,
+    getDisponibilidad,
+    getById,
+    create,
+    update,
+    remove
+};
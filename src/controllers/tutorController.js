@@ -0,0 +1,122 @@
+// src/controllers/tutorController.js
+
+const tutorModel = require('../models/tutorModel');
+const adolescenteModel = require('../models/adolescenteModel');
+const { successResponse, createdResponse } = require('../utils/response');
+const { validateRequiredFields, NotFoundError } = require('../utils/errorHandler');
+const { SUCCESS_MESSAGES } = require('../config/constants');
+const { registrarAcceso, registrarAccesos } = require('../utils/accesoDatos');
+
+/**
+ * CONTROLADOR DE TUTORES Y FAMILIARES
+ * Rutas anidadas en /api/adolescentes/:id/tutores
+ */
+
+/**
+ * HELPER: Tutor del adolescente de la URL (404 si es de otro)
+ */
+const getTutorDelAdolescente = async (adolescenteId, tutorId) => {
+    const tutor = await tutorModel.getById(tutorId);
+
+    if (tutor.adolescente_id !== Number(adolescenteId)) {
+        throw new NotFoundError('Tutor no encontrado');
+    }
+
+    return tutor;
+};
+
+/**
+ * TUTORES DEL ADOLESCENTE
+ */
+const getAll = async (req, res) => {
+    const { id } = req.params;
+
+    await adolescenteModel.getById(id);
+
+    const tutores = await tutorModel.getByAdolescenteId(id);
+
+    await registrarAccesos('tutor', tutores, 'id_tutor', 'adolescente_id');
+
+    return successResponse(
+        res,
+        tutores,
+        'Tutores obtenidos exitosamente'
+    );
+};
+
+/**
+ * OBTENER TUTOR
+ */
+const getById = async (req, res) => {
+    const { id, tutor_id } = req.params;
+
+    const tutor = await getTutorDelAdolescente(id, tutor_id);
+
+    await registrarAcceso({ entidad: 'tutor', entidadId: tutor.id_tutor, adolescenteId: tutor.adolescente_id });
+
+    return successResponse(
+        res,
+        tutor,
+        'Tutor obtenido exitosamente'
+    );
+};
+
+/**
+ * CREAR TUTOR
+ */
+const create = async (req, res) => {
+    const { id } = req.params;
+
+    validateRequiredFields(req.body, ['nombre', 'parentesco']);
+
+    const tutorId = await tutorModel.create(id, req.body);
+    const tutor = await tutorModel.getById(tutorId);
+
+    return createdResponse(
+        res,
+        tutor,
+        'Tutor creado exitosamente'
+    );
+};
+
+/**
+ * ACTUALIZAR TUTOR
+ */
+const update = async (req, res) => {
+    const { id, tutor_id } = req.params;
+
+    await getTutorDelAdolescente(id, tutor_id);
+
+    const tutor = await tutorModel.update(tutor_id, req.body);
+
+    return successResponse(
+        res,
+        tutor,
+        SUCCESS_MESSAGES.UPDATED
+    );
+};
+
+/**
+ * ELIMINAR TUTOR
+ */
+const remove = async (req, res) => {
+    const { id, tutor_id } = req.params;
+
+    await getTutorDelAdolescente(id, tutor_id);
+
+    const tutor = await tutorModel.remove(tutor_id);
+
+    return successResponse(
+        res,
+        tutor,
+        SUCCESS_MESSAGES.DELETED
+    );
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    remove
+};
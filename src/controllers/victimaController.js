@@ -5,6 +5,8 @@ const procesoVictimaModel = require('../models/procesoVictimaModel');
 const { successResponse, createdResponse, paginatedResponse, getPaginationParams } = require('../utils/response');
 const { validateRequiredFields } = require('../utils/errorHandler');
 const { SUCCESS_MESSAGES } = require('../config/constants');
+const { registrarAcceso, registrarAccesos } = require('../utils/accesoDatos');
+const { normalizarCurp } = require('../utils/curp');
 
 /**
  * CONTROLADOR DE VÍCTIMAS
@@ -14,14 +16,16 @@ const { SUCCESS_MESSAGES } = require('../config/constants');
  * OBTENER TODAS LAS VÍCTIMAS
  */
 const getAll = async (req, res) => {
-    const { sexo, es_menor, search } = req.query;
+    const { sexo, es_menor, search, curp, curp_revision } = req.query;
 
     const usePagination = req.query.page || req.query.limit;
 
     const filters = {
         sexo,
         es_menor: es_menor !== undefined ? es_menor === 'true' : undefined,
-        search
+        search,
+        curp: normalizarCurp(curp),
+        curp_revision: curp_revision !== undefined ? curp_revision === 'true' : undefined
     };
 
     if (usePagination) {
@@ -32,6 +36,8 @@ const getAll = async (req, res) => {
             victimaModel.getCount(filters)
         ]);
 
+        await registrarAccesos('victima', victimas, 'id_victima');
+
         return paginatedResponse(
             res,
             victimas,
@@ -43,6 +49,8 @@ const getAll = async (req, res) => {
     } else {
         const victimas = await victimaModel.getAll(filters);
 
+        await registrarAccesos('victima', victimas, 'id_victima');
+
         return successResponse(
             res,
             victimas,
@@ -62,6 +70,8 @@ const getById = async (req, res) => {
     // Obtener procesos en los que está involucrada
     const procesos = await procesoVictimaModel.getProcesosByVictima(id);
 
+    await registrarAcceso({ entidad: 'victima', entidadId: victima.id_victima });
+
     return successResponse(
         res,
         {
@@ -175,6 +185,8 @@ const getVictimasByProceso = async (req, res) => {
 
     const victimas = await procesoVictimaModel.getVictimasByProceso(id);
 
+    await registrarAccesos('victima', victimas, 'id_victima');
+
     return successResponse(
         res,
         victimas,
@@ -2,6 +2,9 @@
 
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
 const authModel = require('../models/authModel');
+const sesionModel = require('../models/sesionModel');
+const calendarioTokenModel = require('../models/calendarioTokenModel');
+const { setContextUser } = require('./requestContext');
 const { UnauthorizedError, ForbiddenError } = require('../utils/errorHandler');
 
 /**
@@ -26,19 +29,26 @@ const authMiddleware = async (req, res, next) => {
         // 2. Verificar que el token sea válido
         const decoded = verifyToken(token);
 
-        // 3. Obtener usuario actualizado de la base de datos
+        // 3. Verificar que la sesión del token no haya sido revocada
+        // (logout, desactivación o reutilización de refresh token)
+        if (!decoded.sid || !(await sesionModel.isActiva(decoded.sid, decoded.id))) {
+            throw new UnauthorizedError('Sesión revocada o inválida. Por favor inicia sesión nuevamente');
+        }
+
+        // 4. Obtener usuario actualizado de la base de datos
         // (por si cambió de rol o fue desactivado)
         const user = await authModel.findById(decoded.id);
 
-        // 4. Verificar que el usuario esté activo
+        // 5. Verificar que el usuario esté activo
         if (!user.activo) {
             throw new ForbiddenError('Usuario desactivado. Contacta al administrador');
         }
 
-        // 5. Agregar usuario a la request para uso posterior
+        // 6. Agregar usuario a la request para uso posterior
         req.user = user;
+        setContextUser(user.id_usuario);
 
-        // 6. Continuar al siguiente middleware/controller
+        // 7. Continuar al siguiente middleware/controller
         next();
 
     } catch (error) {
@@ -72,10 +82,17 @@ const optionalAuthMiddleware = async (req, res, next) => {
         }
 
         const decoded = verifyToken(token);
+
+        if (!decoded.sid || !(await sesionModel.isActiva(decoded.sid, decoded.id))) {
+            req.user = null;
+            return next();
+        }
+
         const user = await authModel.findById(decoded.id);
 
         if (user && user.activo) {
             req.user = user;
+            setContextUser(user.id_usuario);
         } else {
             req.user = null;
         }
@@ -89,7 +106,49 @@ const optionalAuthMiddleware = async (req, res, next) => {
     }
 };
 
+/**
+ * MIDDLEWARE DE TOKEN DE CALENDARIO
+ *
+ * Para los calendarios .ics: los clientes de calendario no envían el JWT,
+ * el token de calendario del usuario viene en la URL (?token=...)
+ * Agrega req.user igual que authMiddleware
+ */
+const calendarioTokenMiddleware = async (req, res, next) => {
+    try {
+        const { token } = req.query;
+
+        if (!token) {
+            throw new UnauthorizedError('Token de calendario no proporcionado');
+        }
+
+        const usuarioId = await calendarioTokenModel.validar(token);
+
+        if (!usuarioId) {
+            throw new UnauthorizedError('Token de calendario inválido o revocado');
+        }
+
+        const user = await authModel.findById(usuarioId);
+
+        if (!user.activo) {
+            throw new ForbiddenError('Usuario desactivado. Contacta al administrador');
+        }
+
+        req.user = user;
+        setContextUser(user.id_usuario);
+
+        next();
+
+    } catch (error) {
+        if (error.statusCode === 401 || error.statusCode === 403) {
+            next(error);
+        } else {
+            next(new UnauthorizedError('Error al verificar el token de calendario'));
+        }
+    }
+};
+
 module.exports = {
     authMiddleware,
-    optionalAuthMiddleware
+    optionalAuthMiddleware,
+    calendarioTokenMiddleware
 };
\ No newline at end of file
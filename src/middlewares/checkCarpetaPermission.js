@@ -1,191 +1,117 @@
 // src/middlewares/checkCarpetaPermission.js
 
 const { ForbiddenError } = require('../utils/errorHandler');
-const { ROLES } = require('../config/constants');
+const { ROLES, TIPO_CARPETA } = require('../config/constants');
+const permisoModel = require('../models/permisoModel');
 
 /**
- * MIDDLEWARE: Verificar permisos por tipo de carpeta
+ * MIDDLEWARE: Verificar permisos por recurso
  *
- * Define qué roles pueden hacer qué operaciones en cada tipo de carpeta
+ * Los permisos se leen de la matriz rol × recurso × acción guardada en
+ * la tabla permiso_rol (editable en /api/catalogos/roles/permisos).
+ * Recursos: CJ, CJO, CEMCI, CEMS, catalogos, usuarios, estadisticas,
+ * adolescentes (tutores y familiares)
  *
- * REGLAS:
- * - Administrador: Acceso total a todo
- * - Juzgado: Crear/Modificar/Eliminar CJ y CJO solamente
- * - Juzgado Ejecución: Crear/Modificar/Eliminar CEMCI y CEMS solamente
- * - Todos: Pueden CONSULTAR todas las carpetas
+ * REGLA FIJA:
+ * - Administrador: Acceso total a todo (no depende de la matriz)
  */
 
 /**
- * Definición de permisos por carpeta
+ * Verificar si un rol tiene permiso para una acción sobre un recurso
+ * rol: objeto con rol_id y rol_nombre (normalmente req.user)
  */
-const PERMISOS_CARPETAS = {
-    CJ: {
-        consultar: [ROLES.ADMIN, ROLES.JUZGADO, ROLES.JUZGADO_EJECUCION],
-        crear: [ROLES.ADMIN, ROLES.JUZGADO],
-        modificar: [ROLES.ADMIN, ROLES.JUZGADO],
-        eliminar: [ROLES.ADMIN, ROLES.JUZGADO]
-    },
-    CJO: {
-        consultar: [ROLES.ADMIN, ROLES.JUZGADO,ROLES.JUZGADO_EJECUCION],
-        crear: [ROLES.ADMIN, ROLES.JUZGADO],
-        modificar: [ROLES.ADMIN, ROLES.JUZGADO],
-        eliminar: [ROLES.ADMIN, ROLES.JUZGADO]
-    },
-    CEMCI: {
-        consultar: [ROLES.ADMIN, ROLES.JUZGADO, ROLES.JUZGADO_EJECUCION],
-        crear: [ROLES.ADMIN, ROLES.JUZGADO_EJECUCION],
-        modificar: [ROLES.ADMIN, ROLES.JUZGADO_EJECUCION],
-        eliminar: [ROLES.ADMIN, ROLES.JUZGADO_EJECUCION]
-    },
-    CEMS: {
-        consultar: [ROLES.ADMIN, ROLES.JUZGADO, ROLES.JUZGADO_EJECUCION],
-        crear: [ROLES.ADMIN, ROLES.JUZGADO_EJECUCION],
-        modificar: [ROLES.ADMIN, ROLES.JUZGADO_EJECUCION],
-        eliminar: [ROLES.ADMIN, ROLES.JUZGADO_EJECUCION]
+const tienePermiso = async (rol, recurso, operacion) => {
+    if (rol.rol_nombre === ROLES.ADMIN) {
+        return true;
     }
+
+    return await permisoModel.rolTienePermiso(rol.rol_id, recurso, operacion);
 };
 
 /**
- * Verificar si el usuario tiene permiso para una operación en un tipo de carpeta
+ * Descripción del recurso para los mensajes de error
  */
-const tienePermiso = (rol, tipoCarpeta, operacion) => {
-    const permisos = PERMISOS_CARPETAS[tipoCarpeta];
-
-    if (!permisos) {
-        return false;
-    }
-
-    const rolesPermitidos = permisos[operacion];
-
-    if (!rolesPermitidos) {
-        return false;
-    }
-
-    return rolesPermitidos.includes(rol);
+const describirRecurso = (recurso) => {
+    return Object.values(TIPO_CARPETA).includes(recurso)
+        ? `carpetas de tipo ${recurso}`
+        : recurso;
 };
 
 /**
- * MIDDLEWARE: Verificar permiso de CONSULTA
- * Todos los roles pueden consultar todas las carpetas
+ * FÁBRICA: Middleware que verifica una acción sobre un recurso
  */
-const canConsultar = (tipoCarpeta) => {
-    return (req, res, next) => {
+const checkPermiso = (recurso, operacion) => {
+    return async (req, res, next) => {
         if (!req.user) {
             return next(new ForbiddenError('Autenticación requerida'));
         }
 
-        const userRole = req.user.rol_nombre;
+        try {
+            if (await tienePermiso(req.user, recurso, operacion)) {
+                return next();
+            }
+
+            const roles = await permisoModel.getRolesConPermiso(recurso, operacion);
+            if (!roles.includes(ROLES.ADMIN)) {
+                roles.unshift(ROLES.ADMIN);
+            }
 
-        if (!tienePermiso(userRole, tipoCarpeta, 'consultar')) {
             return next(new ForbiddenError(
-                `No tienes permisos para consultar carpetas de tipo ${tipoCarpeta}`
+                `No tienes permisos para ${operacion} ${describirRecurso(recurso)}. ` +
+                `Esta operación requiere uno de estos roles: ${roles.join(', ')}`
             ));
+        } catch (error) {
+            return next(error);
         }
-
-        next();
     };
 };
 
 /**
- * MIDDLEWARE: Verificar permiso de CREAR
+ * MIDDLEWARE: Verificar permiso de CONSULTA
  */
-const canCrear = (tipoCarpeta) => {
-    return (req, res, next) => {
-        if (!req.user) {
-            return next(new ForbiddenError('Autenticación requerida'));
-        }
-
-        const userRole = req.user.rol_nombre;
+const canConsultar = (recurso) => checkPermiso(recurso, 'consultar');
 
-        if (!tienePermiso(userRole, tipoCarpeta, 'crear')) {
-            return next(new ForbiddenError(
-                `No tienes permisos para crear carpetas de tipo ${tipoCarpeta}. ` +
-                `Esta operación requiere uno de estos roles: ${PERMISOS_CARPETAS[tipoCarpeta].crear.join(', ')}`
-            ));
-        }
-
-        next();
-    };
-};
+/**
+ * MIDDLEWARE: Verificar permiso de CREAR
+ */
+const canCrear = (recurso) => checkPermiso(recurso, 'crear');
 
 /**
  * MIDDLEWARE: Verificar permiso de MODIFICAR
  */
-const canModificar = (tipoCarpeta) => {
-    return (req, res, next) => {
-        if (!req.user) {
-            return next(new ForbiddenError('Autenticación requerida'));
-        }
-
-        const userRole = req.user.rol_nombre;
-
-        if (!tienePermiso(userRole, tipoCarpeta, 'modificar')) {
-            return next(new ForbiddenError(
-                `No tienes permisos para modificar carpetas de tipo ${tipoCarpeta}. ` +
-                `Esta operación requiere uno de estos roles: ${PERMISOS_CARPETAS[tipoCarpeta].modificar.join(', ')}`
-            ));
-        }
-
-        next();
-    };
-};
+const canModificar = (recurso) => checkPermiso(recurso, 'modificar');
 
 /**
  * MIDDLEWARE: Verificar permiso de ELIMINAR
  */
-const canEliminar = (tipoCarpeta) => {
-    return (req, res, next) => {
-        if (!req.user) {
-            return next(new ForbiddenError('Autenticación requerida'));
-        }
-
-        const userRole = req.user.rol_nombre;
-
-        if (!tienePermiso(userRole, tipoCarpeta, 'eliminar')) {
-            return next(new ForbiddenError(
-                `No tienes permisos para eliminar carpetas de tipo ${tipoCarpeta}. ` +
-                `Esta operación requiere uno de estos roles: ${PERMISOS_CARPETAS[tipoCarpeta].eliminar.join(', ')}`
-            ));
-        }
-
-        next();
-    };
-};
+const canEliminar = (recurso) => checkPermiso(recurso, 'eliminar');
 
 /**
- * HELPER: Verificar si el usuario puede hacer cualquier operación de escritura
- * (crear, modificar o eliminar) en al menos un tipo de carpeta
+ * HELPER: Obtener carpetas a las que el usuario tiene acceso de escritura
+ * (crear, modificar o eliminar)
  */
-const canEscribirEnAlgunaCarpeta = (req) => {
-    if (!req.user) return false;
-
-    const userRole = req.user.rol_nombre;
-
-    // Administrador siempre puede
-    if (userRole === ROLES.ADMIN) return true;
+const getCarpetasConAccesoEscritura = async (user) => {
+    const carpetas = [];
 
-    // Verificar si tiene permisos en alguna carpeta
-    for (const tipoCarpeta of Object.keys(PERMISOS_CARPETAS)) {
-        if (tienePermiso(userRole, tipoCarpeta, 'crear') ||
-            tienePermiso(userRole, tipoCarpeta, 'modificar') ||
-            tienePermiso(userRole, tipoCarpeta, 'eliminar')) {
-            return true;
+    for (const tipoCarpeta of Object.values(TIPO_CARPETA)) {
+        if (await tienePermiso(user, tipoCarpeta, 'crear') ||
+            await tienePermiso(user, tipoCarpeta, 'modificar') ||
+            await tienePermiso(user, tipoCarpeta, 'eliminar')) {
+            carpetas.push(tipoCarpeta);
         }
     }
 
-    return false;
+    return carpetas;
 };
 
 /**
- * HELPER: Obtener carpetas a las que el usuario tiene acceso de escritura
+ * HELPER: Obtener carpetas que el usuario puede consultar
  */
-const getCarpetasConAccesoEscritura = (rol) => {
+const getCarpetasConsultables = async (user) => {
     const carpetas = [];
 
-    for (const [tipoCarpeta, permisos] of Object.entries(PERMISOS_CARPETAS)) {
-        if (permisos.crear.includes(rol) ||
-            permisos.modificar.includes(rol) ||
-            permisos.eliminar.includes(rol)) {
+    for (const tipoCarpeta of Object.values(TIPO_CARPETA)) {
+        if (await tienePermiso(user, tipoCarpeta, 'consultar')) {
             carpetas.push(tipoCarpeta);
         }
     }
@@ -193,7 +119,19 @@ const getCarpetasConAccesoEscritura = (rol) => {
     return carpetas;
 };
 
+/**
+ * HELPER: Verificar si el usuario puede hacer cualquier operación de escritura
+ * en al menos un tipo de carpeta
+ */
+const canEscribirEnAlgunaCarpeta = async (req) => {
+    if (!req.user) return false;
+
+    const carpetas = await getCarpetasConAccesoEscritura(req.user);
+    return carpetas.length > 0;
+};
+
 module.exports = {
+    checkPermiso,
     canConsultar,
     canCrear,
     canModificar,
@@ -201,5 +139,5 @@ module.exports = {
     tienePermiso,
     canEscribirEnAlgunaCarpeta,
     getCarpetasConAccesoEscritura,
-    PERMISOS_CARPETAS
-};
\ No newline at end of file
+    getCarpetasConsultables
+};
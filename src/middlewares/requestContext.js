@@ -0,0 +1,54 @@
+// src/middlewares/requestContext.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * CONTEXTO DE LA REQUEST
+ *
+ * Guarda datos de la request actual (IP, usuario autenticado) en un
+ * AsyncLocalStorage para que los modelos puedan leerlos sin recibir req.
+ * Lo usa la auditoría para saber quién hizo cada cambio.
+ *
+ * Debe registrarse en app.js ANTES de las rutas.
+ * authMiddleware completa usuario_id cuando el token es válido.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * MIDDLEWARE: Crear contexto para la request
+ */
+const requestContext = (req, res, next) => {
+    storage.run(
+        {
+            ip: req.ip || null,
+            usuario_id: null
+        },
+        next
+    );
+};
+
+/**
+ * OBTENER CONTEXTO ACTUAL
+ * Fuera de una request (scripts, workers) retorna un contexto vacío
+ */
+const getRequestContext = () => {
+    return storage.getStore() || { ip: null, usuario_id: null };
+};
+
+/**
+ * ASIGNAR USUARIO AL CONTEXTO
+ */
+const setContextUser = (usuarioId) => {
+    const store = storage.getStore();
+
+    if (store) {
+        store.usuario_id = usuarioId;
+    }
+};
+
+module.exports = {
+    requestContext,
+    getRequestContext,
+    setContextUser
+};
@@ -56,7 +56,9 @@ const validateCatalogoTipo = [
             'status',
             'tipos-medidas-sancionadoras',
             'tipos-medidas-cautelares',
-            'tipos-reparacion'
+            'tipos-reparacion',
+            'tipos-audiencia',
+            'tipos-sentencia'
         ])
         .withMessage('Tipo de catálogo no válido'),
     validate
@@ -102,6 +104,16 @@ const validateProcesoId = [
     validate
 ];
 
+/**
+ * Validar TUTOR_ID numérico
+ */
+const validateTutorId = [
+    param('tutor_id')
+        .isInt({min: 1})
+        .withMessage('El TUTOR_ID debe ser un número entero positivo'),
+    validate
+];
+
 /**
  * Validar creación de catálogo
  */
@@ -131,6 +143,23 @@ const validateCatalogoCreate = [
         .isBoolean()
         .withMessage('genera_cemci debe ser true o false'),
 
+    // Para tipos de audiencia
+    body(['aplica_cj', 'aplica_cjo', 'aplica_cemci', 'aplica_cems', 'activo'])
+        .optional()
+        .isBoolean()
+        .withMessage('Debe ser true o false'),
+
+    body('duracion_tipica_minutos')
+        .optional()
+        .isInt({min: 1, max: 720})
+        .withMessage('duracion_tipica_minutos debe ser un entero entre 1 y 720'),
+
+    // Para tipos de sentencia
+    body(['crea_cems', 'concluye_proceso', 'cierra_cemci'])
+        .optional()
+        .isBoolean()
+        .withMessage('Debe ser true o false'),
+
     validate
 ];
 
@@ -162,6 +191,21 @@ const validateCatalogoUpdate = [
         .isBoolean()
         .withMessage('genera_cemci debe ser true o false'),
 
+    body(['aplica_cj', 'aplica_cjo', 'aplica_cemci', 'aplica_cems', 'activo'])
+        .optional()
+        .isBoolean()
+        .withMessage('Debe ser true o false'),
+
+    body('duracion_tipica_minutos')
+        .optional()
+        .isInt({min: 1, max: 720})
+        .withMessage('duracion_tipica_minutos debe ser un entero entre 1 y 720'),
+
+    body(['crea_cems', 'concluye_proceso', 'cierra_cemci'])
+        .optional()
+        .isBoolean()
+        .withMessage('Debe ser true o false'),
+
     validate
 ];
 
@@ -231,7 +275,7 @@ const validateDateBefore = (field1, field2) => {
  */
 const validateEmail = (fieldName) => {
     return body(fieldName)
-        .optional()
+        .optional({ values: 'falsy' })
         .trim()
         .isEmail()
         .withMessage(`${fieldName} debe ser un email válido`)
@@ -296,21 +340,8 @@ const validateAdolescenteCreate = [
                 throw new Error('Fecha de nacimiento inválida');
             }
 
-            // ⚠️ VALIDACIÓN DE EDAD COMENTADA PARA MIGRACIÓN
-            // Descomentar después de migrar datos históricos
-            /*
-            // Calcular edad
-            const hoy = new Date();
-            let edad = hoy.getFullYear() - fecha.getFullYear();
-            const mes = hoy.getMonth() - fecha.getMonth();
-            if (mes < 0 || (mes === 0 && hoy.getDate() < fecha.getDate())) {
-                edad--;
-            }
-
-            if (edad < 12 || edad > 17) {
-                throw new Error(`La edad debe estar entre 12 y 17 años (edad calculada: ${edad})`);
-            }
-            */
+            // La edad se valida en adolescenteModel (admite omisión auditada
+            // para cargar históricos, ver utils/limitesSancion)
 
             return true;
         }),
@@ -363,6 +394,12 @@ const validateAdolescenteCreate = [
         .isLength({max: 100})
         .withMessage('El estado no puede tener más de 100 caracteres'),
 
+    body('curp')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({min: 18, max: 18})
+        .withMessage('La CURP debe tener 18 caracteres'),
+
     body('fuma_cigarro')
         .optional()
         .isBoolean()
@@ -458,24 +495,18 @@ const validateAdolescenteUpdate = [
                 throw new Error('Fecha de nacimiento inválida');
             }
 
-            // ⚠️ VALIDACIÓN DE EDAD COMENTADA PARA MIGRACIÓN
-            // Descomentar después de migrar datos históricos
-            /*
-            const hoy = new Date();
-            let edad = hoy.getFullYear() - fecha.getFullYear();
-            const mes = hoy.getMonth() - fecha.getMonth();
-            if (mes < 0 || (mes === 0 && hoy.getDate() < fecha.getDate())) {
-                edad--;
-            }
-
-            if (edad < 12 || edad > 17) {
-                throw new Error(`La edad debe estar entre 12 y 17 años (edad calculada: ${edad})`);
-            }
-            */
+            // La edad se valida en adolescenteModel (admite omisión auditada
+            // para cargar históricos, ver utils/limitesSancion)
 
             return true;
         }),
 
+    body('curp')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({min: 18, max: 18})
+        .withMessage('La CURP debe tener 18 caracteres'),
+
     body('telefono')
         .optional()
         .trim()
@@ -525,6 +556,153 @@ const validateAdolescenteUpdate = [
     validate
 ];
 
+// =====================================================
+// VALIDACIONES PARA TUTORES
+// =====================================================
+
+/**
+ * Validar creación de tutor
+ * (el parentesco se valida contra el catálogo en tutorModel)
+ */
+const validateTutorCreate = [
+    body('nombre')
+        .trim()
+        .notEmpty()
+        .withMessage('El nombre es obligatorio')
+        .isLength({max: 150})
+        .withMessage('El nombre no puede tener más de 150 caracteres'),
+
+    body('parentesco')
+        .trim()
+        .notEmpty()
+        .withMessage('El parentesco es obligatorio'),
+
+    body('telefono')
+        .optional()
+        .trim()
+        .isLength({max: 50})
+        .withMessage('El teléfono no puede tener más de 50 caracteres'),
+
+    body('correo')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isEmail()
+        .withMessage('Correo inválido')
+        .normalizeEmail(),
+
+    body('tiene_custodia')
+        .optional()
+        .isBoolean()
+        .withMessage('tiene_custodia debe ser true o false'),
+
+    body('es_contacto_principal')
+        .optional()
+        .isBoolean()
+        .withMessage('es_contacto_principal debe ser true o false'),
+
+    body('mismo_domicilio_adolescente')
+        .optional()
+        .isBoolean()
+        .withMessage('mismo_domicilio_adolescente debe ser true o false'),
+
+    body('domicilio_id')
+        .optional({ nullable: true })
+        .isInt({min: 1})
+        .withMessage('domicilio_id debe ser un número entero positivo'),
+
+    body('domicilio.municipio')
+        .optional()
+        .trim()
+        .isLength({max: 100})
+        .withMessage('El municipio no puede tener más de 100 caracteres'),
+
+    body('domicilio.calle_numero')
+        .optional()
+        .trim()
+        .isLength({max: 200})
+        .withMessage('La calle y número no puede tener más de 200 caracteres'),
+
+    body('domicilio.colonia')
+        .optional()
+        .trim()
+        .isLength({max: 100})
+        .withMessage('La colonia no puede tener más de 100 caracteres'),
+
+    validate
+];
+
+/**
+ * Validar actualización de tutor
+ */
+const validateTutorUpdate = [
+    body('nombre')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('El nombre no puede estar vacío')
+        .isLength({max: 150})
+        .withMessage('El nombre no puede tener más de 150 caracteres'),
+
+    body('parentesco')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('El parentesco no puede estar vacío'),
+
+    body('telefono')
+        .optional()
+        .trim()
+        .isLength({max: 50})
+        .withMessage('El teléfono no puede tener más de 50 caracteres'),
+
+    body('correo')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isEmail()
+        .withMessage('Correo inválido')
+        .normalizeEmail(),
+
+    body('tiene_custodia')
+        .optional()
+        .isBoolean()
+        .withMessage('tiene_custodia debe ser true o false'),
+
+    body('es_contacto_principal')
+        .optional()
+        .isBoolean()
+        .withMessage('es_contacto_principal debe ser true o false'),
+
+    body('mismo_domicilio_adolescente')
+        .optional()
+        .isBoolean()
+        .withMessage('mismo_domicilio_adolescente debe ser true o false'),
+
+    body('domicilio_id')
+        .optional({ nullable: true })
+        .isInt({min: 1})
+        .withMessage('domicilio_id debe ser un número entero positivo'),
+
+    body('domicilio.municipio')
+        .optional()
+        .trim()
+        .isLength({max: 100})
+        .withMessage('El municipio no puede tener más de 100 caracteres'),
+
+    body('domicilio.calle_numero')
+        .optional()
+        .trim()
+        .isLength({max: 200})
+        .withMessage('La calle y número no puede tener más de 200 caracteres'),
+
+    body('domicilio.colonia')
+        .optional()
+        .trim()
+        .isLength({max: 100})
+        .withMessage('La colonia no puede tener más de 100 caracteres'),
+
+    validate
+];
+
 module.exports = {
     validate,
     validateCatalogoTipo,
@@ -532,6 +710,7 @@ module.exports = {
     validateCjId,
     validateCjoId,
     validateProcesoId,
+    validateTutorId,
     validateCatalogoCreate,
     validateCatalogoUpdate,
     validatePagination,
@@ -541,5 +720,7 @@ module.exports = {
     validatePhone,
     validateBoolean,
     validateAdolescenteCreate,
-    validateAdolescenteUpdate
+    validateAdolescenteUpdate,
+    validateTutorCreate,
+    validateTutorUpdate
 };
\ No newline at end of file
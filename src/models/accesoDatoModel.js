@@ -0,0 +1,369 @@
+// src/models/accesoDatoModel.js
+
+const { executeQuery } = require('../config/database');
+
+/**
+ * MODELO DE ACCESOS A DATOS PERSONALES
+ *
+ * Bitácora de lecturas del detalle de adolescentes, víctimas, domicilios
+ * y procesos completos. Los registros se generan desde utils/accesoDatos.js;
+ * aquí se insertan y se arman los reportes para Transparencia.
+ */
+
+// Registros distintos abiertos (detalle, no listados) por un usuario en una hora para considerarlo inusual
+const ACCESO_UMBRAL_POR_HORA = parseInt(process.env.ACCESO_UMBRAL_POR_HORA, 10) || 100;
+
+// Filas por INSERT al registrar los elementos de un listado
+const TAMANO_LOTE = 500;
+
+/**
+ * REGISTRAR ACCESOS
+ * Una fila por registro leído (un listado se inserta por lotes)
+ *
+ * @param {Array<Object>} entradas - [{ usuario_id, ip, entidad, entidad_id, adolescente_id, listado }]
+ */
+const registrar = async (entradas) => {
+    for (let i = 0; i < entradas.length; i += TAMANO_LOTE) {
+        const lote = entradas.slice(i, i + TAMANO_LOTE);
+
+        const sql = `
+    INSERT INTO acceso_dato (usuario_id, ip, entidad, entidad_id, adolescente_id, listado)
+    VALUES ${lote.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+  `;
+
+        await executeQuery(sql, lote.flatMap(entrada => [
+            entrada.usuario_id || null,
+            entrada.ip || null,
+            entrada.entidad,
+            entrada.entidad_id,
+            entrada.adolescente_id || null,
+            !!entrada.listado
+        ]));
+    }
+};
+
+/**
+ * OBTENER ADOLESCENTES DUEÑOS DE DOMICILIOS (el suyo o el de su tutor)
+ *
+ * @returns {Object} - { [domicilio_id]: adolescente_id }
+ */
+const getAdolescentesPorDomicilio = async (domicilioIds) => {
+    if (domicilioIds.length === 0) return {};
+
+    const marcadores = domicilioIds.map(() => '?').join(', ');
+    const sql = `
+        SELECT domicilio_id, id_adolescente FROM adolescente WHERE domicilio_id IN (${marcadores})
+        UNION ALL
+        SELECT domicilio_id, adolescente_id FROM tutor WHERE domicilio_id IN (${marcadores})
+    `;
+    const rows = await executeQuery(sql, [...domicilioIds, ...domicilioIds]);
+
+    const adolescentes = {};
+    rows.forEach(row => {
+        if (!adolescentes[row.domicilio_id]) {
+            adolescentes[row.domicilio_id] = row.id_adolescente;
+        }
+    });
+
+    return adolescentes;
+};
+
+/**
+ * Construir WHERE a partir de filtros
+ */
+const buildFilters = (filters) => {
+    const { usuario_id, entidad, entidad_id, adolescente_id, fecha_desde, fecha_hasta } = filters;
+
+    let where = ` WHERE 1=1`;
+    const params = [];
+
+    if (usuario_id) {
+        where += ` AND ad.usuario_id = ?`;
+        params.push(usuario_id);
+    }
+
+    if (entidad) {
+        where += ` AND ad.entidad = ?`;
+        params.push(entidad);
+    }
+
+    if (entidad_id) {
+        where += ` AND ad.entidad_id = ?`;
+        params.push(entidad_id);
+    }
+
+    if (adolescente_id) {
+        where += ` AND ad.adolescente_id = ?`;
+        params.push(adolescente_id);
+    }
+
+    if (fecha_desde) {
+        where += ` AND ad.fecha >= ?`;
+        params.push(fecha_desde);
+    }
+
+    if (fecha_hasta) {
+        where += ` AND ad.fecha < DATE_ADD(?, INTERVAL 1 DAY)`;
+        params.push(fecha_hasta);
+    }
+
+    return { where, params };
+};
+
+/**
+ * OBTENER ACCESOS (con filtros)
+ */
+const getAll = async (filters = {}) => {
+    const { limit, offset } = filters;
+    const { where, params } = buildFilters(filters);
+
+    let sql = `
+    SELECT
+      ad.*,
+      u.usuario,
+      u.nombre as usuario_nombre,
+      a.nombre as adolescente_nombre
+    FROM acceso_dato ad
+    LEFT JOIN usuario u ON ad.usuario_id = u.id_usuario
+    LEFT JOIN adolescente a ON ad.adolescente_id = a.id_adolescente
+    ${where}
+    ORDER BY ad.fecha DESC, ad.id_acceso DESC
+  `;
+
+    if (limit) {
+        const limitInt = parseInt(limit) || 20;
+        const offsetInt = parseInt(offset) || 0;
+        sql += ` LIMIT ${limitInt} OFFSET ${offsetInt}`;
+    }
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * CONTAR ACCESOS (con filtros)
+ */
+const getCount = async (filters = {}) => {
+    const { where, params } = buildFilters(filters);
+
+    const sql = `SELECT COUNT(*) as total FROM acceso_dato ad ${where}`;
+    const [result] = await executeQuery(sql, params);
+
+    return result.total;
+};
+
+/**
+ * REPORTE POR USUARIO
+ * Total de lecturas y adolescentes distintos consultados por cada usuario
+ */
+const getResumenPorUsuario = async (filters = {}) => {
+    const { where, params } = buildFilters(filters);
+
+    const sql = `
+    SELECT
+      ad.usuario_id,
+      u.usuario,
+      u.nombre as usuario_nombre,
+      COUNT(*) as total_accesos,
+      COUNT(DISTINCT ad.adolescente_id) as adolescentes_distintos,
+      SUM(ad.entidad = 'adolescente') as accesos_adolescente,
+      SUM(ad.entidad = 'victima') as accesos_victima,
+      SUM(ad.entidad = 'domicilio') as accesos_domicilio,
+      SUM(ad.entidad = 'tutor') as accesos_tutor,
+      SUM(ad.entidad = 'proceso') as accesos_proceso,
+      MIN(ad.fecha) as primer_acceso,
+      MAX(ad.fecha) as ultimo_acceso
+    FROM acceso_dato ad
+    LEFT JOIN usuario u ON ad.usuario_id = u.id_usuario
+    ${where}
+    GROUP BY ad.usuario_id, u.usuario, u.nombre
+    ORDER BY total_accesos DESC
+  `;
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * REPORTE POR ADOLESCENTE
+ * Quién consultó los datos de cada adolescente y cuántas veces
+ */
+const getResumenPorAdolescente = async (filters = {}) => {
+    const { where, params } = buildFilters(filters);
+
+    const sql = `
+    SELECT
+      ad.adolescente_id,
+      a.nombre as adolescente_nombre,
+      a.iniciales as adolescente_iniciales,
+      ad.usuario_id,
+      u.usuario,
+      u.nombre as usuario_nombre,
+      COUNT(*) as total_accesos,
+      MIN(ad.fecha) as primer_acceso,
+      MAX(ad.fecha) as ultimo_acceso
+    FROM acceso_dato ad
+    LEFT JOIN adolescente a ON ad.adolescente_id = a.id_adolescente
+    LEFT JOIN usuario u ON ad.usuario_id = u.id_usuario
+    ${where}
+      AND ad.adolescente_id IS NOT NULL
+    GROUP BY ad.adolescente_id, a.nombre, a.iniciales, ad.usuario_id, u.usuario, u.nombre
+    ORDER BY ad.adolescente_id, total_accesos DESC
+  `;
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * VOLUMEN INUSUAL
+ *
+ * Horas en las que un usuario abrió al menos `umbral` registros distintos
+ * en detalle (las filas de listados se reportan aparte, en registros_en_listados).
+ * Se agrupa por hora de reloj (ej: 10:00-10:59).
+ */
+const getVolumenInusual = async (filters = {}) => {
+    const umbral = parseInt(filters.umbral, 10) || ACCESO_UMBRAL_POR_HORA;
+    const { where, params } = buildFilters(filters);
+
+    const sql = `
+    SELECT
+      ad.usuario_id,
+      u.usuario,
+      u.nombre as usuario_nombre,
+      DATE_FORMAT(ad.fecha, '%Y-%m-%d %H:00:00') as hora,
+      COUNT(*) as total_accesos,
+      COUNT(DISTINCT CASE WHEN ad.listado = FALSE THEN CONCAT(ad.entidad, ':', ad.entidad_id) END) as registros_distintos,
+      COUNT(DISTINCT CASE WHEN ad.listado = TRUE THEN CONCAT(ad.entidad, ':', ad.entidad_id) END) as registros_en_listados,
+      COUNT(DISTINCT ad.adolescente_id) as adolescentes_distintos
+    FROM acceso_dato ad
+    LEFT JOIN usuario u ON ad.usuario_id = u.id_usuario
+    ${where}
+    GROUP BY ad.usuario_id, u.usuario, u.nombre, hora
+    HAVING registros_distintos >= ?
+    ORDER BY hora DESC, registros_distintos DESC
+  `;
+
+    const rows = await executeQuery(sql, [...params, umbral]);
+
+    return { umbral, resultados: rows };
+};
+
+/**
+ * CONTAR REGISTROS DISTINTOS ABIERTOS EN DETALLE POR UN USUARIO EN LA ÚLTIMA HORA
+ */
+const countRegistrosUltimaHora = async (usuarioId) => {
+    const sql = `
+    SELECT COUNT(DISTINCT entidad, entidad_id) as total
+    FROM acceso_dato
+    WHERE usuario_id = ? AND listado = FALSE AND fecha > NOW() - INTERVAL 1 HOUR
+  `;
+
+    const [result] = await executeQuery(sql, [usuarioId]);
+    return result.total;
+};
+
+/**
+ * MARCAR VOLUMEN INUSUAL
+ * Una marca por usuario y hora de reloj; si ya existe solo sube el conteo
+ *
+ * @returns {boolean} - true si la marca es nueva
+ */
+const marcarVolumenInusual = async (usuarioId, registrosDistintos) => {
+    // INSERT IGNORE: affectedRows es 1 solo si la fila es nueva (con
+    // ON DUPLICATE KEY UPDATE un duplicado sin cambios también da 1)
+    const result = await executeQuery(`
+    INSERT IGNORE INTO acceso_volumen_inusual (usuario_id, ventana, registros_distintos, umbral)
+    VALUES (?, DATE_FORMAT(NOW(), '%Y-%m-%d %H:00:00'), ?, ?)
+  `, [usuarioId, registrosDistintos, ACCESO_UMBRAL_POR_HORA]);
+
+    if (result.affectedRows === 1) {
+        return true;
+    }
+
+    await executeQuery(`
+    UPDATE acceso_volumen_inusual
+    SET registros_distintos = GREATEST(registros_distintos, ?)
+    WHERE usuario_id = ? AND ventana = DATE_FORMAT(NOW(), '%Y-%m-%d %H:00:00')
+  `, [registrosDistintos, usuarioId]);
+
+    return false;
+};
+
+/**
+ * Construir WHERE de las marcas de volumen inusual
+ */
+const buildFiltersMarcas = (filters) => {
+    const { usuario_id, fecha_desde, fecha_hasta } = filters;
+
+    let where = ` WHERE 1=1`;
+    const params = [];
+
+    if (usuario_id) {
+        where += ` AND m.usuario_id = ?`;
+        params.push(usuario_id);
+    }
+
+    if (fecha_desde) {
+        where += ` AND m.ventana >= ?`;
+        params.push(fecha_desde);
+    }
+
+    if (fecha_hasta) {
+        where += ` AND m.ventana < DATE_ADD(?, INTERVAL 1 DAY)`;
+        params.push(fecha_hasta);
+    }
+
+    return { where, params };
+};
+
+/**
+ * OBTENER MARCAS DE VOLUMEN INUSUAL (más recientes primero)
+ */
+const getMarcasVolumenInusual = async (filters = {}) => {
+    const { limit, offset } = filters;
+    const { where, params } = buildFiltersMarcas(filters);
+
+    let sql = `
+    SELECT
+      m.*,
+      u.usuario,
+      u.nombre as usuario_nombre
+    FROM acceso_volumen_inusual m
+    LEFT JOIN usuario u ON m.usuario_id = u.id_usuario
+    ${where}
+    ORDER BY m.ventana DESC, m.id_marca DESC
+  `;
+
+    if (limit) {
+        const limitInt = parseInt(limit) || 20;
+        const offsetInt = parseInt(offset) || 0;
+        sql += ` LIMIT ${limitInt} OFFSET ${offsetInt}`;
+    }
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * CONTAR MARCAS DE VOLUMEN INUSUAL
+ */
+const getCountMarcasVolumenInusual = async (filters = {}) => {
+    const { where, params } = buildFiltersMarcas(filters);
+
+    const sql = `SELECT COUNT(*) as total FROM acceso_volumen_inusual m ${where}`;
+    const [result] = await executeQuery(sql, params);
+
+    return result.total;
+};
+
+module.exports = {
+    ACCESO_UMBRAL_POR_HORA,
+    registrar,
+    getAdolescentesPorDomicilio,
+    getAll,
+    getCount,
+    getResumenPorUsuario,
+    getResumenPorAdolescente,
+    getVolumenInusual,
+    countRegistrosUltimaHora,
+    marcarVolumenInusual,
+    getMarcasVolumenInusual,
+    getCountMarcasVolumenInusual
+};
@@ -7,13 +7,14 @@ const { NotFoundError, ConflictError, BadRequestError } = require('../utils/erro
  * MODELO DE ACTOR JURÍDICO
  *
  * Gestiona defensores, fiscales, jueces, asesores, etc.
+ * El correo (opcional) se usa para enviarles notificaciones del proceso.
  */
 
 /**
  * CREAR ACTOR JURÍDICO
  */
 const create = async (actorData) => {
-    const { nombre, tipo } = actorData;
+    const { nombre, tipo, correo } = actorData;
 
     // Verificar que no exista la combinación nombre + tipo
     const existente = await getByNombreYTipo(nombre, tipo);
@@ -24,11 +25,11 @@ const create = async (actorData) => {
     }
 
     const sql = `
-    INSERT INTO actor_juridico (nombre, tipo)
-    VALUES (?, ?)
+    INSERT INTO actor_juridico (nombre, tipo, correo)
+    VALUES (?, ?, ?)
   `;
 
-    const result = await executeQuery(sql, [nombre, tipo]);
+    const result = await executeQuery(sql, [nombre, tipo, correo || null]);
 
     return result.insertId;
 };
@@ -102,6 +103,11 @@ const update = async (id, actorData) => {
         values.push(actorData.tipo);
     }
 
+    if (actorData.correo !== undefined) {
+        updates.push('correo = ?');
+        values.push(actorData.correo || null);
+    }
+
     if (updates.length === 0) {
         throw new BadRequestError('No hay campos para actualizar');
     }
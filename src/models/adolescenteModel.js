@@ -2,7 +2,15 @@
 
 const {executeQuery, executeTransaction} = require('../config/database');
 const {NotFoundError, ConflictError, BadRequestError} = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const { registrarOmision } = require('../utils/limitesSancion');
+const { VALIDATION } = require('../config/constants');
 const domicilioModel = require('./domicilioModel');
+const papeleraModel = require('./papeleraModel');
+const { sqlProcesoActivo, paramsActivo, getProcesoActivo } = require('../utils/procesosAdolescente');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { buscarDuplicados } = require('../utils/duplicadosAdolescente');
+const { prepararCurp, validarCurpUnica } = require('../utils/curp');
 
 /**
  * MODELO DE ADOLESCENTES
@@ -30,37 +38,85 @@ const calcularEdad = (fechaNacimiento) => {
 };
 
 /**
- * HELPER: Validar edad entre 12 y 17 años
+ * HELPER: Validar edad mínima de 12 años
+ *
+ * No hay máximo: lo que cuenta es la edad al momento de la conducta
+ * (se revisa al imponer medidas sancionadoras, ver utils/limitesSancion),
+ * y el adolescente puede ser mayor de edad al registrarse.
+ * Para cargar información histórica se usa la omisión auditada.
  */
 const validarEdadAdolescente = (fechaNacimiento) => {
-    // ⚠️ VALIDACIÓN DESACTIVADA TEMPORALMENTE PARA MIGRACIÓN
-    return; // ← Agregar esta línea
-
-    /* COMENTAR TODO ESTO:
     if (!fechaNacimiento) {
         throw new BadRequestError('La fecha de nacimiento es obligatoria');
     }
 
     const edad = calcularEdad(fechaNacimiento);
 
-    if (edad < 12 || edad > 17) {
+    if (edad === null || isNaN(edad)) {
+        throw new BadRequestError('Formato de fecha de nacimiento inválido (use YYYY-MM-DD)');
+    }
+
+    if (edad < VALIDATION.EDAD_MINIMA_ADOLESCENTE) {
         throw new BadRequestError(
-            `La edad debe estar entre 12 y 17 años. Edad calculada: ${edad} años`
+            `La edad mínima es de ${VALIDATION.EDAD_MINIMA_ADOLESCENTE} años. Edad calculada: ${edad} años`
         );
     }
 
     return edad;
-    */
+};
+
+/**
+ * HELPER: Registrar en auditoría la omisión de la validación de edad
+ */
+const registrarOmisionEdad = async (id, fechaNacimiento, omision) => {
+    if (!omision) return;
+
+    let violaciones = [];
+    try {
+        if (fechaNacimiento !== undefined) validarEdadAdolescente(fechaNacimiento);
+    } catch (error) {
+        violaciones = [error.message];
+    }
+
+    await registrarOmision({
+        entidad: 'adolescente',
+        entidadId: id,
+        procesoId: null,
+        omision,
+        violaciones
+    });
+};
+
+/**
+ * Campos que se contrastan con la CURP (ver utils/curp)
+ */
+const CAMPOS_CURP = ['curp', 'fecha_nacimiento', 'sexo', 'lugar_nacimiento_estado', 'nacionalidad'];
+
+/**
+ * HELPER: CURP normalizada y revisada contra los datos de nacimiento
+ * 400 si el formato es inválido, 409 si otro adolescente ya la tiene
+ *
+ * @returns {Promise<Object>} - { curp, curp_revision, curp_observaciones }
+ */
+const revisarCurpAdolescente = async (datos, excluirId = null) => {
+    const revision = prepararCurp(datos.curp, datos);
+    await validarCurpUnica('adolescente', 'id_adolescente', revision.curp, excluirId);
+    return revision;
 };
 
 /**
  * CREAR ADOLESCENTE (con domicilio opcional)
+ * opciones.omision: { motivo } para omitir la validación de edad
  */
-const create = async (adolescenteData) => {
+const create = async (adolescenteData, opciones = {}) => {
     // Validar edad
-    validarEdadAdolescente(adolescenteData.fecha_nacimiento);
+    if (!opciones.omision) {
+        validarEdadAdolescente(adolescenteData.fecha_nacimiento);
+    }
 
-    return await executeTransaction(async (connection) => {
+    const curp = await revisarCurpAdolescente(adolescenteData);
+
+    const adolescenteId = await executeTransaction(async (connection) => {
         let domicilioId = adolescenteData.domicilio_id || null;
 
         // Crear domicilio si se proporcionó como objeto (opcional)
@@ -85,8 +141,9 @@ const create = async (adolescenteData) => {
                                      otro_idioma_lengua, escolaridad, ocupacion, estado_civil,
                                      lugar_nacimiento_municipio, lugar_nacimiento_estado,
                                      fuma_cigarro, consume_alcohol, consume_drogas, tipo_droga,
-                                     telefono, correo, domicilio_id)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                                     telefono, correo, domicilio_id,
+                                     curp, curp_revision, curp_observaciones)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const [result] = await connection.execute(sql, [
@@ -108,18 +165,25 @@ const create = async (adolescenteData) => {
             adolescenteData.tipo_droga || null,
             adolescenteData.telefono || null,
             adolescenteData.correo || null,
-            domicilioId
+            domicilioId,
+            curp.curp,
+            curp.curp_revision,
+            curp.curp_observaciones
         ]);
 
         return result.insertId;
     });
+
+    await registrarOmisionEdad(adolescenteId, adolescenteData.fecha_nacimiento, opciones.omision);
+
+    return adolescenteId;
 };
 
 /**
  * OBTENER TODOS (con paginación y filtros)
  */
 const getAll = async (options = {}) => {
-    const {search, sexo, edad_min, edad_max, limit, offset} = options;
+    const {search, sexo, edad_min, edad_max, curp, curp_revision, limit, offset} = options;
 
     let sql = `
         SELECT a.*,
@@ -128,15 +192,27 @@ const getAll = async (options = {}) => {
                d.colonia      as domicilio_colonia
         FROM adolescente a
                  LEFT JOIN domicilio d ON a.domicilio_id = d.id_domicilio
-        WHERE 1 = 1
+        WHERE a.eliminado_en IS NULL
     `;
 
     const params = [];
 
-    // Búsqueda por nombre o iniciales
+    // Búsqueda por nombre, iniciales o CURP
     if (search) {
-        sql += ` AND (a.nombre LIKE ? OR a.iniciales LIKE ?)`;
-        params.push(`%${search}%`, `%${search}%`);
+        sql += ` AND (a.nombre LIKE ? OR a.iniciales LIKE ? OR a.curp LIKE ?)`;
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    // CURP exacta
+    if (curp) {
+        sql += ` AND a.curp = ?`;
+        params.push(curp);
+    }
+
+    // CURP marcada para revisión
+    if (curp_revision !== undefined && curp_revision !== null) {
+        sql += ` AND a.curp_revision = ?`;
+        params.push(curp_revision);
     }
 
     // Filtro por sexo
@@ -184,16 +260,26 @@ const getAll = async (options = {}) => {
  * CONTAR TOTAL (para paginación)
  */
 const getCount = async (filters = {}) => {
-    const {search, sexo, edad_min, edad_max} = filters;
+    const {search, sexo, edad_min, edad_max, curp, curp_revision} = filters;
 
     let sql = `SELECT COUNT(*) as total
                FROM adolescente
-               WHERE 1 = 1`;
+               WHERE eliminado_en IS NULL`;
     const params = [];
 
     if (search) {
-        sql += ` AND (nombre LIKE ? OR iniciales LIKE ?)`;
-        params.push(`%${search}%`, `%${search}%`);
+        sql += ` AND (nombre LIKE ? OR iniciales LIKE ? OR curp LIKE ?)`;
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    if (curp) {
+        sql += ` AND curp = ?`;
+        params.push(curp);
+    }
+
+    if (curp_revision !== undefined && curp_revision !== null) {
+        sql += ` AND curp_revision = ?`;
+        params.push(curp_revision);
     }
 
     if (sexo) {
@@ -232,6 +318,7 @@ const getById = async (id) => {
         FROM adolescente a
                  LEFT JOIN domicilio d ON a.domicilio_id = d.id_domicilio
         WHERE a.id_adolescente = ?
+          AND a.eliminado_en IS NULL
     `;
 
     const [adolescente] = await executeQuery(sql, [id]);
@@ -264,17 +351,24 @@ const getById = async (id) => {
 
 /**
  * ACTUALIZAR ADOLESCENTE (con domicilio)
+ * opciones.omision: { motivo } para omitir la validación de edad
  */
-const update = async (id, adolescenteData) => {
+const update = async (id, adolescenteData, opciones = {}) => {
     // Verificar que existe
     const adolescenteActual = await getById(id);
 
     // Validar edad si se actualiza fecha de nacimiento
-    if (adolescenteData.fecha_nacimiento) {
+    if (adolescenteData.fecha_nacimiento && !opciones.omision) {
         validarEdadAdolescente(adolescenteData.fecha_nacimiento);
     }
 
-    return await executeTransaction(async (connection) => {
+    // Si cambia la CURP o un dato de nacimiento se vuelve a revisar
+    if (CAMPOS_CURP.some(campo => adolescenteData[campo] !== undefined)) {
+        const curp = await revisarCurpAdolescente({...adolescenteActual, ...adolescenteData}, id);
+        Object.assign(adolescenteData, curp);
+    }
+
+    await executeTransaction(async (connection) => {
         // Actualizar domicilio si se proporcionó
         if (adolescenteData.domicilio) {
             if (adolescenteActual.domicilio_id) {
@@ -319,7 +413,8 @@ const update = async (id, adolescenteData) => {
             'otro_idioma_lengua', 'escolaridad', 'ocupacion', 'estado_civil',
             'lugar_nacimiento_municipio', 'lugar_nacimiento_estado',
             'fuma_cigarro', 'consume_alcohol', 'consume_drogas', 'tipo_droga',
-            'telefono', 'correo', 'domicilio_id'
+            'telefono', 'correo', 'domicilio_id',
+            'curp', 'curp_revision', 'curp_observaciones'
         ];
 
         campos.forEach(campo => {
@@ -345,48 +440,31 @@ const update = async (id, adolescenteData) => {
 
         return id;
     });
+
+    await registrarOmisionEdad(id, adolescenteData.fecha_nacimiento, opciones.omision);
+
+    return id;
 };
 
 /**
- * ELIMINAR ADOLESCENTE
- * Solo si no tiene proceso asignado
+ * ELIMINAR ADOLESCENTE (a la papelera)
+ * Solo si no tiene proceso asignado. El domicilio se queda con él y se
+ * borra al purgarlo.
  */
 const remove = async (id) => {
     const adolescente = await getById(id);
 
-    // Verificar que no tenga proceso
-    const procesoCheck = `
-        SELECT id_proceso
-        FROM proceso
-        WHERE adolescente_id = ?
-    `;
-
-    const [proceso] = await executeQuery(procesoCheck, [id]);
-
-    if (proceso) {
+    // Verificar que no tenga proceso (fuera de la papelera)
+    if (await tieneProceso(id)) {
         throw new ConflictError(
             'No se puede eliminar el adolescente porque tiene un proceso asignado. ' +
             'Primero debe eliminarse el proceso.'
         );
     }
 
-    return await executeTransaction(async (connection) => {
-        // Eliminar adolescente
-        const sql = `DELETE
-                     FROM adolescente
-                     WHERE id_adolescente = ?`;
-        await connection.execute(sql, [id]);
-
-        // Eliminar domicilio si existe y no está en uso
-        if (adolescente.domicilio_id) {
-            const domicilioSql = `DELETE
-                                  FROM domicilio
-                                  WHERE id_domicilio = ?`;
-            await connection.execute(domicilioSql, [adolescente.domicilio_id]);
-        }
+    await papeleraModel.enviar('adolescente', id);
 
-        return adolescente;
-    });
+    return adolescente;
 };
 
 /**
@@ -397,24 +475,214 @@ const tieneProceso = async (id) => {
         SELECT COUNT(*) as count
         FROM proceso
         WHERE adolescente_id = ?
+          AND eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [id]);
     return result.count > 0;
 };
 
+/**
+ * ADOLESCENTES SIN PROCESO ACTIVO (se les puede abrir uno)
+ */
 const getSinProceso = async () => {
     const sql = `
         SELECT a.*
         FROM adolescente a
-                 LEFT JOIN proceso p ON a.id_adolescente = p.adolescente_id
+                 LEFT JOIN proceso p ON a.id_adolescente = p.adolescente_id AND ${sqlProcesoActivo('p')}
         WHERE p.id_proceso IS NULL
+          AND a.eliminado_en IS NULL
         ORDER BY a.nombre ASC
     `;
-    return await executeQuery(sql);
+    return await executeQuery(sql, paramsActivo());
+};
+
+/**
+ * POSIBLES DUPLICADOS (pares con puntaje, ver utils/duplicadosAdolescente)
+ *
+ * @param {Object} filters - { puntaje_minimo, limit }
+ */
+const getDuplicados = async (filters = {}) => {
+    const { puntaje_minimo = 60, limit = 50 } = filters;
+
+    const adolescentes = await executeQuery(`
+        SELECT a.id_adolescente, a.nombre, a.iniciales, a.fecha_nacimiento, a.sexo,
+               a.lugar_nacimiento_municipio, a.lugar_nacimiento_estado,
+               (SELECT COUNT(*) FROM proceso p
+                WHERE p.adolescente_id = a.id_adolescente AND p.eliminado_en IS NULL) as total_procesos
+        FROM adolescente a
+        WHERE a.eliminado_en IS NULL
+    `);
+
+    return buscarDuplicados(adolescentes, puntaje_minimo).slice(0, limit);
+};
+
+/**
+ * Campos que la fusión completa en el registro que se conserva
+ * (solo si ahí están vacíos)
+ */
+const CAMPOS_FUSION = [
+    'iniciales', 'sexo', 'nacionalidad', 'idioma', 'otro_idioma_lengua',
+    'escolaridad', 'ocupacion', 'estado_civil',
+    'lugar_nacimiento_municipio', 'lugar_nacimiento_estado',
+    'tipo_droga', 'telefono', 'correo', 'curp'
+];
+
+/**
+ * FUSIONAR ADOLESCENTES DUPLICADOS
+ *
+ * En una transacción: los procesos, tutores y accesos del duplicado pasan al
+ * que se conserva, que además toma su domicilio y los campos que le falten; el
+ * duplicado queda en la papelera con fusionado_en_id. No se puede si ambos
+ * tienen un proceso activo (se revisa dentro de la transacción) o CURP
+ * distintas. La auditoría del duplicado va en la misma transacción.
+ *
+ * @param {number} conservarId - Registro que se conserva
+ * @param {number} duplicadoId - Registro que se fusiona en él
+ * @returns {Promise<Object>} - { procesos_movidos, domicilio_movido, campos_completados }
+ */
+const fusionar = async (conservarId, duplicadoId) => {
+    if (Number(conservarId) === Number(duplicadoId)) {
+        throw new BadRequestError('No se puede fusionar un adolescente consigo mismo');
+    }
+
+    const conservar = await getById(conservarId);
+    const duplicado = await getById(duplicadoId);
+
+    if (conservar.curp && duplicado.curp && conservar.curp !== duplicado.curp) {
+        throw new ConflictError(
+            `Los registros tienen CURP distintas (${conservar.curp} y ${duplicado.curp}); ` +
+            `no corresponden a la misma persona.`
+        );
+    }
+
+    const camposCompletados = CAMPOS_FUSION.filter(campo =>
+        (conservar[campo] === null || conservar[campo] === '') &&
+        duplicado[campo] !== null && duplicado[campo] !== ''
+    );
+    const domicilioMovido = !conservar.domicilio_id && duplicado.domicilio_id
+        ? duplicado.domicilio_id
+        : null;
+
+    return await executeTransaction(async (connection) => {
+        // Ambos registros bloqueados: otra fusión de cualquiera de los dos
+        // espera a que esta termine
+        await connection.execute(
+            `SELECT id_adolescente FROM adolescente WHERE id_adolescente IN (?, ?) ORDER BY id_adolescente FOR UPDATE`,
+            [conservarId, duplicadoId]
+        );
+
+        const activoConservar = await getProcesoActivo(conservarId, null, connection);
+        const activoDuplicado = await getProcesoActivo(duplicadoId, null, connection);
+
+        if (activoConservar && activoDuplicado) {
+            throw new ConflictError(
+                `Ambos registros tienen un proceso activo (${activoConservar.id_proceso} y ` +
+                `${activoDuplicado.id_proceso}). Concluya o archive uno antes de fusionarlos.`
+            );
+        }
+
+        const [procesos] = await connection.execute(
+            `SELECT id_proceso FROM proceso WHERE adolescente_id = ?`,
+            [duplicadoId]
+        );
+
+        await connection.execute(
+            `UPDATE proceso SET adolescente_id = ? WHERE adolescente_id = ?`,
+            [conservarId, duplicadoId]
+        );
+
+        // El contacto principal del registro conservado sigue siéndolo
+        const [principal] = await connection.execute(
+            `SELECT id_tutor FROM tutor
+             WHERE adolescente_id = ? AND es_contacto_principal = TRUE AND eliminado_en IS NULL`,
+            [conservarId]
+        );
+
+        if (principal.length > 0) {
+            await connection.execute(
+                `UPDATE tutor SET es_contacto_principal = FALSE WHERE adolescente_id = ?`,
+                [duplicadoId]
+            );
+        }
+
+        await connection.execute(
+            `UPDATE tutor SET adolescente_id = ? WHERE adolescente_id = ?`,
+            [conservarId, duplicadoId]
+        );
+
+        await connection.execute(
+            `UPDATE acceso_dato SET adolescente_id = ? WHERE adolescente_id = ?`,
+            [conservarId, duplicadoId]
+        );
+
+        const updates = camposCompletados.map(campo => `${campo} = ?`);
+        const values = camposCompletados.map(campo => duplicado[campo]);
+
+        // La CURP es única: se libera en el duplicado antes de pasarla y se
+        // revisa contra los datos que quedan en el registro conservado
+        if (camposCompletados.includes('curp')) {
+            await connection.execute(
+                `UPDATE adolescente
+                 SET curp = NULL, curp_revision = FALSE, curp_observaciones = NULL
+                 WHERE id_adolescente = ?`,
+                [duplicadoId]
+            );
+
+            const completado = {...conservar};
+            camposCompletados.forEach(campo => { completado[campo] = duplicado[campo]; });
+            const revision = prepararCurp(duplicado.curp, completado);
+
+            updates.push('curp_revision = ?', 'curp_observaciones = ?');
+            values.push(revision.curp_revision, revision.curp_observaciones);
+        }
+
+        if (domicilioMovido) {
+            updates.push('domicilio_id = ?');
+            values.push(domicilioMovido);
+
+            await connection.execute(
+                `UPDATE adolescente SET domicilio_id = NULL WHERE id_adolescente = ?`,
+                [duplicadoId]
+            );
+        }
+
+        if (updates.length > 0) {
+            await connection.execute(
+                `UPDATE adolescente SET ${updates.join(', ')} WHERE id_adolescente = ?`,
+                [...values, conservarId]
+            );
+        }
+
+        await connection.execute(
+            `UPDATE adolescente SET fusionado_en_id = ? WHERE id_adolescente = ?`,
+            [conservarId, duplicadoId]
+        );
+
+        await papeleraModel.enviar('adolescente', duplicadoId, connection);
+
+        const resultado = {
+            procesos_movidos: procesos.map(proceso => proceso.id_proceso),
+            domicilio_movido: domicilioMovido,
+            campos_completados: camposCompletados
+        };
+
+        // El registro que se conserva lo audita auditarModelo; aquí el duplicado
+        await registrarAuditoria({
+            connection,
+            entidad: 'adolescente',
+            entidadId: Number(duplicadoId),
+            procesoId: null,
+            accion: 'FUSIONAR',
+            antes: duplicado,
+            despues: { ...duplicado, fusionado_en_id: Number(conservarId), ...resultado }
+        });
+
+        return resultado;
+    });
 };
 
-module.exports = {
+module.exports = auditarModelo('adolescente', {
     create,
     getAll,
     getCount,
@@ -424,5 +692,12 @@ module.exports = {
     tieneProceso,
     calcularEdad,
     validarEdadAdolescente,
-    getSinProceso
-};
\ No newline at end of file
+    getSinProceso,
+    getDuplicados,
+    fusionar
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR',
+    fusionar: 'FUSIONAR'
+});
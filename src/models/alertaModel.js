@@ -0,0 +1,323 @@
+// src/models/alertaModel.js
+
+const { executeQuery } = require('../config/database');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * MODELO DE ALERTAS
+ *
+ * Alertas generadas por las reglas diarias (utils/alertas.js) para cada
+ * usuario destinatario, y sus preferencias de suscripción.
+ * Cada usuario solo ve y modifica sus propias alertas.
+ */
+
+// Filas por INSERT al guardar alertas generadas
+const LOTE_INSERCION = 200;
+
+/**
+ * OBTENER USUARIOS DESTINATARIOS DE UN TIPO DE ALERTA
+ *
+ * Usuarios activos suscritos al tipo, o sin preferencia guardada cuyo
+ * rol es destinatario por defecto de la regla.
+ */
+const getUsuariosDestino = async (tipo, rolesPorDefecto = []) => {
+    const params = [tipo];
+
+    let sql = `
+    SELECT
+      u.id_usuario,
+      u.nombre,
+      u.correo,
+      u.actor_id,
+      r.nombre as rol_nombre,
+      s.dias_anticipacion
+    FROM usuario u
+    LEFT JOIN rol r ON u.rol_id = r.id_rol
+    LEFT JOIN alerta_suscripcion s ON s.usuario_id = u.id_usuario AND s.tipo = ?
+    WHERE u.activo = TRUE
+      AND (s.activa = TRUE
+  `;
+
+    if (rolesPorDefecto.length > 0) {
+        sql += ` OR (s.id_alerta_suscripcion IS NULL AND r.nombre IN (${rolesPorDefecto.map(() => '?').join(', ')}))`;
+        params.push(...rolesPorDefecto);
+    }
+
+    sql += `)`;
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * ACTORES ASIGNADOS A LOS PROCESOS
+ * Para dirigir la alerta al responsable (usuario.actor_id) en lugar de a
+ * todo el rol
+ *
+ * @returns {Promise<Array>} - [{ proceso_id, tipo_carpeta, actor_id }]
+ */
+const getActoresAsignados = async (procesoIds) => {
+    if (procesoIds.length === 0) {
+        return [];
+    }
+
+    const sql = `
+    SELECT DISTINCT paj.proceso_id, paj.tipo_carpeta, paj.actor_id
+    FROM proceso_actor_juridico paj
+    INNER JOIN usuario u ON u.actor_id = paj.actor_id AND u.activo = TRUE
+    WHERE paj.proceso_id IN (${procesoIds.map(() => '?').join(', ')})
+  `;
+
+    return await executeQuery(sql, procesoIds);
+};
+
+/**
+ * GUARDAR ALERTAS GENERADAS
+ * Las que ya existen (mismo usuario, tipo y referencia) se ignoran
+ *
+ * @returns {Promise<number>} - Alertas nuevas
+ */
+const insertarAlertas = async (alertas) => {
+    let nuevas = 0;
+
+    for (let i = 0; i < alertas.length; i += LOTE_INSERCION) {
+        const lote = alertas.slice(i, i + LOTE_INSERCION);
+
+        const sql = `
+      INSERT IGNORE INTO alerta (
+        usuario_id, tipo, referencia, titulo, mensaje,
+        proceso_id, entidad, entidad_id, fecha_evento
+      ) VALUES ${lote.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+    `;
+
+        const params = [];
+        lote.forEach(alerta => {
+            params.push(
+                alerta.usuario_id,
+                alerta.tipo,
+                alerta.referencia,
+                alerta.titulo,
+                alerta.mensaje,
+                alerta.proceso_id || null,
+                alerta.entidad || null,
+                alerta.entidad_id || null,
+                alerta.fecha_evento || null
+            );
+        });
+
+        const result = await executeQuery(sql, params);
+        nuevas += result.affectedRows;
+    }
+
+    return nuevas;
+};
+
+/**
+ * Construir WHERE a partir de filtros
+ */
+const buildFilters = (usuarioId, filters) => {
+    const { tipo, leida, atendida, proceso_id } = filters;
+
+    let where = ` WHERE al.usuario_id = ?`;
+    const params = [usuarioId];
+
+    if (tipo) {
+        where += ` AND al.tipo = ?`;
+        params.push(tipo);
+    }
+
+    if (leida !== undefined) {
+        where += leida === true || leida === 'true' ? ` AND al.leida_en IS NOT NULL` : ` AND al.leida_en IS NULL`;
+    }
+
+    if (atendida !== undefined) {
+        where += atendida === true || atendida === 'true' ? ` AND al.atendida_en IS NOT NULL` : ` AND al.atendida_en IS NULL`;
+    }
+
+    if (proceso_id) {
+        where += ` AND al.proceso_id = ?`;
+        params.push(proceso_id);
+    }
+
+    return { where, params };
+};
+
+/**
+ * OBTENER ALERTAS DE UN USUARIO
+ * Filtros: tipo, leida, atendida, proceso_id, limit, offset
+ */
+const getAll = async (usuarioId, filters = {}) => {
+    const { limit, offset } = filters;
+    const { where, params } = buildFilters(usuarioId, filters);
+
+    let sql = `
+    SELECT
+      al.*,
+      a.nombre as adolescente_nombre,
+      a.iniciales as adolescente_iniciales
+    FROM alerta al
+    LEFT JOIN proceso p ON al.proceso_id = p.id_proceso
+    LEFT JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+    ${where}
+    ORDER BY al.atendida_en IS NULL DESC, al.fecha_evento IS NULL, al.fecha_evento ASC, al.id_alerta DESC
+  `;
+
+    if (limit) {
+        const limitInt = parseInt(limit) || 20;
+        const offsetInt = parseInt(offset) || 0;
+        sql += ` LIMIT ${limitInt} OFFSET ${offsetInt}`;
+    }
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * CONTAR ALERTAS DE UN USUARIO
+ */
+const getCount = async (usuarioId, filters = {}) => {
+    const { where, params } = buildFilters(usuarioId, filters);
+
+    const [result] = await executeQuery(`SELECT COUNT(*) as total FROM alerta al ${where}`, params);
+    return result.total;
+};
+
+/**
+ * RESUMEN DE ALERTAS PENDIENTES DE UN USUARIO
+ */
+const getResumen = async (usuarioId) => {
+    const sql = `
+    SELECT
+      tipo,
+      COUNT(CASE WHEN leida_en IS NULL THEN 1 END) as no_leidas,
+      COUNT(*) as pendientes
+    FROM alerta
+    WHERE usuario_id = ?
+      AND atendida_en IS NULL
+    GROUP BY tipo
+    ORDER BY tipo
+  `;
+
+    const porTipo = await executeQuery(sql, [usuarioId]);
+
+    return {
+        no_leidas: porTipo.reduce((total, fila) => total + fila.no_leidas, 0),
+        pendientes: porTipo.reduce((total, fila) => total + fila.pendientes, 0),
+        por_tipo: porTipo
+    };
+};
+
+/**
+ * OBTENER POR ID (solo del usuario)
+ */
+const getById = async (id, usuarioId) => {
+    const sql = `SELECT * FROM alerta WHERE id_alerta = ? AND usuario_id = ?`;
+    const [alerta] = await executeQuery(sql, [id, usuarioId]);
+
+    if (!alerta) {
+        throw new NotFoundError('Alerta no encontrada');
+    }
+
+    return alerta;
+};
+
+/**
+ * MARCAR COMO LEÍDA
+ */
+const marcarLeida = async (id, usuarioId) => {
+    await getById(id, usuarioId);
+
+    await executeQuery(
+        `UPDATE alerta SET leida_en = COALESCE(leida_en, NOW()) WHERE id_alerta = ?`,
+        [id]
+    );
+
+    return await getById(id, usuarioId);
+};
+
+/**
+ * MARCAR TODAS COMO LEÍDAS
+ *
+ * @returns {Promise<number>} - Alertas marcadas
+ */
+const marcarTodasLeidas = async (usuarioId) => {
+    const result = await executeQuery(
+        `UPDATE alerta SET leida_en = NOW() WHERE usuario_id = ? AND leida_en IS NULL`,
+        [usuarioId]
+    );
+
+    return result.affectedRows;
+};
+
+/**
+ * MARCAR COMO ATENDIDA (también queda leída)
+ */
+const marcarAtendida = async (id, usuarioId) => {
+    await getById(id, usuarioId);
+
+    await executeQuery(`
+    UPDATE alerta
+    SET leida_en = COALESCE(leida_en, NOW()),
+        atendida_en = COALESCE(atendida_en, NOW())
+    WHERE id_alerta = ?
+  `, [id]);
+
+    return await getById(id, usuarioId);
+};
+
+/**
+ * OBTENER PREFERENCIAS GUARDADAS DE UN USUARIO
+ */
+const getSuscripciones = async (usuarioId) => {
+    const sql = `SELECT * FROM alerta_suscripcion WHERE usuario_id = ? ORDER BY tipo`;
+    return await executeQuery(sql, [usuarioId]);
+};
+
+/**
+ * GUARDAR PREFERENCIA DE UN TIPO
+ */
+const guardarSuscripcion = async (usuarioId, tipo, data) => {
+    const activa = data.activa !== undefined ? !!data.activa : true;
+    const diasAnticipacion = data.dias_anticipacion !== undefined && data.dias_anticipacion !== null
+        ? parseInt(data.dias_anticipacion, 10)
+        : null;
+
+    await executeQuery(`
+    INSERT INTO alerta_suscripcion (usuario_id, tipo, activa, dias_anticipacion)
+    VALUES (?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE activa = VALUES(activa), dias_anticipacion = VALUES(dias_anticipacion)
+  `, [usuarioId, tipo, activa, diasAnticipacion]);
+
+    const [suscripcion] = await executeQuery(
+        `SELECT * FROM alerta_suscripcion WHERE usuario_id = ? AND tipo = ?`,
+        [usuarioId, tipo]
+    );
+
+    return suscripcion;
+};
+
+/**
+ * ELIMINAR PREFERENCIA (vuelve al valor por defecto del rol)
+ */
+const eliminarSuscripcion = async (usuarioId, tipo) => {
+    const result = await executeQuery(
+        `DELETE FROM alerta_suscripcion WHERE usuario_id = ? AND tipo = ?`,
+        [usuarioId, tipo]
+    );
+
+    return result.affectedRows > 0;
+};
+
+module.exports = {
+    getUsuariosDestino,
+    getActoresAsignados,
+    insertarAlertas,
+    getAll,
+    getCount,
+    getResumen,
+    getById,
+    marcarLeida,
+    marcarTodasLeidas,
+    marcarAtendida,
+    getSuscripciones,
+    guardarSuscripcion,
+    eliminarSuscripcion
+};
@@ -1,19 +1,71 @@
 // src/models/audienciaModel.js
 
-const {executeQuery} = require('../config/database');
-const {NotFoundError, BadRequestError} = require('../utils/errorHandler');
+const {executeQuery, executeTransaction} = require('../config/database');
+const {NotFoundError, BadRequestError, ConflictError} = require('../utils/errorHandler');
+const { auditarModelo, registrarAuditoria } = require('../utils/auditoria');
+const salaModel = require('./salaModel');
+const papeleraModel = require('./papeleraModel');
+const {
+    normalizarInicio,
+    normalizarDuracion,
+    bloquearAgenda,
+    buscarConflictos,
+    verificarConflictos,
+    registrarForzado
+} = require('../utils/agendaAudiencias');
+const { resolverTipoAudiencia } = require('../utils/tiposAudiencia');
+const {
+    ESTADO_AUDIENCIA,
+    MOTIVO_DIFERIMIENTO,
+    TIPO_PARTE_AUDIENCIA,
+    TIPO_ACTOR
+} = require('../config/constants');
 
 /**
  * MODELO DE AUDIENCIA
  *
  * Gestiona audiencias por proceso
  * Pueden estar asociadas a diferentes carpetas (CJ, CJO, CEMCI, CEMS)
+ *
+ * fecha_audiencia es el inicio (fecha y hora) y duracion_minutos la
+ * duración prevista. Crear o reprogramar revisa conflictos de agenda
+ * (utils/agendaAudiencias.js); opciones.forzado permite guardar de todos modos.
+ *
+ * CICLO DE VIDA:
+ * PROGRAMADA -> CELEBRADA (asistencia, duración real y resoluciones)
+ *            -> DIFERIDA  (motivo y enlace a la audiencia reprogramada)
+ *            -> CANCELADA (motivo)
+ * Solo una audiencia PROGRAMADA se reprograma o cambia de estado.
+ * cj.numero_total_audiencias se recalcula con las CELEBRADA de la carpeta.
+ *
+ * TIPO: tipo_audiencia_id apunta al catálogo tipo_audiencia y la columna tipo
+ * guarda su nombre (utils/tiposAudiencia.js). Sin duracion_minutos se usa la
+ * duración típica del tipo.
  */
 
+/**
+ * RECALCULAR cj.numero_total_audiencias (audiencias CELEBRADA de la carpeta)
+ */
+const recalcularTotalCj = async (...cjIds) => {
+    for (const cjId of new Set(cjIds.filter(Boolean))) {
+        await executeQuery(`
+            UPDATE cj
+            SET numero_total_audiencias = (
+                SELECT COUNT(*) FROM audiencia
+                WHERE cj_id = ? AND estado = ? AND eliminado_en IS NULL
+            )
+            WHERE id_cj = ?
+        `, [cjId, ESTADO_AUDIENCIA.CELEBRADA, cjId]);
+    }
+};
+
 /**
  * CREAR AUDIENCIA
+ *
+ * @param {Object} opciones - { forzado, reemplaza, connection } con connection
+ *                            el INSERT y su auditoría van en esa transacción
  */
-const create = async (audienciaData) => {
+const create = async (audienciaData, opciones = {}) => {
     const {
         proceso_id,
         cj_id,
@@ -21,14 +73,16 @@ const create = async (audienciaData) => {
         cemci_id,
         cems_id,
         fecha_audiencia,
-        tipo,
+        duracion_minutos,
+        sala_id,
         observaciones
     } = audienciaData;
 
     // Verificar que el proceso existe
     const procesoCheck = `SELECT id_proceso
                           FROM proceso
-                          WHERE id_proceso = ?`;
+                          WHERE id_proceso = ?
+                            AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -42,24 +96,96 @@ const create = async (audienciaData) => {
         );
     }
 
+    if (sala_id) {
+        await salaModel.getActivaById(sala_id);
+    }
+
+    const tipo = await resolverTipoAudiencia(audienciaData, { cj_id, cjo_id, cemci_id, cems_id });
+
+    const agenda = {
+        // Al diferir, la audiencia original no choca con su reprogramación
+        id_audiencia: opciones.reemplaza || null,
+        proceso_id,
+        fecha_audiencia: normalizarInicio(fecha_audiencia),
+        duracion_minutos: normalizarDuracion(
+            duracion_minutos !== undefined && duracion_minutos !== null && duracion_minutos !== ''
+                ? duracion_minutos
+                : tipo && tipo.duracion_tipica_minutos
+        ),
+        sala_id: sala_id || null
+    };
+
     const sql = `
-        INSERT INTO audiencia (proceso_id, cj_id, cjo_id, cemci_id, cems_id,
-                               fecha_audiencia, tipo, observaciones)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO audiencia (proceso_id, cj_id, cjo_id, cemci_id, cems_id, fecha_audiencia,
+                               duracion_minutos, sala_id, tipo_audiencia_id, tipo, observaciones)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
-    const result = await executeQuery(sql, [
+    const params = [
         proceso_id,
         cj_id || null,
         cjo_id || null,
         cemci_id || null,
         cems_id || null,
-        fecha_audiencia,
-        tipo || null,
+        agenda.fecha_audiencia,
+        agenda.duracion_minutos,
+        agenda.sala_id,
+        tipo ? tipo.id_tipo_audiencia : null,
+        tipo ? tipo.nombre : null,
         observaciones || null
-    ]);
+    ];
+
+    // Revisar la agenda y guardar con la sala, el adolescente y los actores
+    // bloqueados, para que otra petición no ocupe el mismo horario en medio
+    const guardar = async (connection) => {
+        await bloquearAgenda(connection, agenda);
+
+        const conflictos = await buscarConflictos(agenda, connection);
+        verificarConflictos(conflictos, opciones.forzado);
+
+        const [result] = await connection.execute(sql, params);
+        const audienciaId = result.insertId;
+
+        if (opciones.connection) {
+            // Fuera del wrapper de auditoría: se audita en la misma transacción
+            await registrarAuditoria({
+                connection,
+                entidad: 'audiencia',
+                entidadId: audienciaId,
+                procesoId: proceso_id,
+                accion: 'CREAR',
+                despues: {
+                    id_audiencia: audienciaId,
+                    proceso_id,
+                    cj_id: cj_id || null,
+                    cjo_id: cjo_id || null,
+                    cemci_id: cemci_id || null,
+                    cems_id: cems_id || null,
+                    fecha_audiencia: agenda.fecha_audiencia,
+                    duracion_minutos: agenda.duracion_minutos,
+                    sala_id: agenda.sala_id,
+                    tipo_audiencia_id: tipo ? tipo.id_tipo_audiencia : null,
+                    tipo: tipo ? tipo.nombre : null
+                }
+            });
+        }
+
+        if (conflictos.length > 0) {
+            await registrarForzado({
+                audienciaId,
+                procesoId: proceso_id,
+                forzado: opciones.forzado,
+                conflictos,
+                connection
+            });
+        }
 
-    return result.insertId;
+        return audienciaId;
+    };
+
+    return opciones.connection
+        ? await guardar(opciones.connection)
+        : await executeTransaction(guardar);
 };
 
 /**
@@ -70,6 +196,9 @@ const getAll = async (filters = {}) => {
         tipo,
         fecha_desde,
         fecha_hasta,
+        sala_id,
+        estado,
+        tipo_audiencia_id,
         page = 1,
         limit = 10
     } = filters;
@@ -80,7 +209,8 @@ const getAll = async (filters = {}) => {
         FROM audiencia aud
         INNER JOIN proceso p ON aud.proceso_id = p.id_proceso
         INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
-        WHERE 1=1
+        LEFT JOIN sala s ON aud.sala_id = s.id_sala
+        WHERE aud.eliminado_en IS NULL
     `;
 
     const params = [];
@@ -100,6 +230,21 @@ const getAll = async (filters = {}) => {
         params.push(fecha_hasta);
     }
 
+    if (sala_id) {
+        baseSql += ` AND aud.sala_id = ?`;
+        params.push(sala_id);
+    }
+
+    if (estado) {
+        baseSql += ` AND aud.estado = ?`;
+        params.push(estado);
+    }
+
+    if (tipo_audiencia_id) {
+        baseSql += ` AND aud.tipo_audiencia_id = ?`;
+        params.push(tipo_audiencia_id);
+    }
+
     // 🔹 Total
     const countSql = `SELECT COUNT(*) as total ${baseSql}`;
     const [countResult] = await executeQuery(countSql, params);
@@ -112,6 +257,7 @@ const getAll = async (filters = {}) => {
     const dataSql = `
         SELECT 
             aud.*,
+            s.nombre as sala_nombre,
             a.nombre as adolescente_nombre,
             a.iniciales as adolescente_iniciales
         ${baseSql}
@@ -135,6 +281,7 @@ const getAll = async (filters = {}) => {
 const getById = async (id) => {
     const sql = `
         SELECT aud.*,
+               s.nombre    as sala_nombre,
                a.nombre    as adolescente_nombre,
                a.iniciales as adolescente_iniciales,
                cj.numero_cj,
@@ -148,7 +295,9 @@ const getById = async (id) => {
                  LEFT JOIN cjo ON aud.cjo_id = cjo.id_cjo
                  LEFT JOIN cemci ON aud.cemci_id = cemci.id_cemci
                  LEFT JOIN cems ON aud.cems_id = cems.id_cems
+                 LEFT JOIN sala s ON aud.sala_id = s.id_sala
         WHERE aud.id_audiencia = ?
+          AND aud.eliminado_en IS NULL
     `;
 
     const [audiencia] = await executeQuery(sql, [id]);
@@ -157,7 +306,29 @@ const getById = async (id) => {
         throw new NotFoundError('Audiencia no encontrada');
     }
 
-    return audiencia;
+    const [asistencia, resoluciones, origen] = await Promise.all([
+        executeQuery(`
+            SELECT asi.*,
+                   aj.nombre as actor_nombre,
+                   aj.tipo   as actor_tipo
+            FROM audiencia_asistencia asi
+                     LEFT JOIN actor_juridico aj ON asi.actor_id = aj.id_actor
+            WHERE asi.audiencia_id = ?
+            ORDER BY asi.id_audiencia_asistencia
+        `, [id]),
+        executeQuery(
+            `SELECT * FROM audiencia_resolucion WHERE audiencia_id = ? ORDER BY id_audiencia_resolucion`,
+            [id]
+        ),
+        executeQuery(`SELECT id_audiencia FROM audiencia WHERE reprogramada_id = ?`, [id])
+    ]);
+
+    return {
+        ...audiencia,
+        diferida_de_id: origen.length > 0 ? origen[0].id_audiencia : null,
+        asistencia,
+        resoluciones
+    };
 };
 
 /**
@@ -166,16 +337,22 @@ const getById = async (id) => {
 const getByProcesoId = async (procesoId) => {
     const sql = `
         SELECT aud.*,
+               s.nombre    as sala_nombre,
+               a.iniciales as adolescente_iniciales,
                cj.numero_cj,
                cjo.numero_cjo,
                cemci.numero_cemci,
                cems.numero_cems
         FROM audiencia aud
+                 INNER JOIN proceso p ON aud.proceso_id = p.id_proceso
+                 INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
                  LEFT JOIN cj ON aud.cj_id = cj.id_cj
                  LEFT JOIN cjo ON aud.cjo_id = cjo.id_cjo
                  LEFT JOIN cemci ON aud.cemci_id = cemci.id_cemci
                  LEFT JOIN cems ON aud.cems_id = cems.id_cems
+                 LEFT JOIN sala s ON aud.sala_id = s.id_sala
         WHERE aud.proceso_id = ?
+          AND aud.eliminado_en IS NULL
         ORDER BY aud.fecha_audiencia DESC
     `;
 
@@ -201,12 +378,15 @@ const getByCarpeta = async (tipoCarpeta, carpetaId) => {
 
     const sql = `
         SELECT aud.*,
+               s.nombre    as sala_nombre,
                a.nombre    as adolescente_nombre,
                a.iniciales as adolescente_iniciales
         FROM audiencia aud
                  INNER JOIN proceso p ON aud.proceso_id = p.id_proceso
                  INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+                 LEFT JOIN sala s ON aud.sala_id = s.id_sala
         WHERE aud.${campo} = ?
+          AND aud.eliminado_en IS NULL
         ORDER BY aud.fecha_audiencia DESC
     `;
 
@@ -216,21 +396,68 @@ const getByCarpeta = async (tipoCarpeta, carpetaId) => {
 /**
  * ACTUALIZAR AUDIENCIA
  */
-const update = async (id, audienciaData) => {
-    await getById(id);
+const update = async (id, audienciaData, opciones = {}) => {
+    const actual = await getById(id);
+    const datos = { ...audienciaData };
+
+    if (datos.fecha_audiencia !== undefined) {
+        datos.fecha_audiencia = normalizarInicio(datos.fecha_audiencia);
+    }
+
+    if (datos.duracion_minutos !== undefined) {
+        datos.duracion_minutos = normalizarDuracion(datos.duracion_minutos);
+    }
+
+    const reprograma = ['fecha_audiencia', 'duracion_minutos', 'sala_id']
+        .some(campo => datos[campo] !== undefined);
+
+    if (reprograma && actual.estado !== ESTADO_AUDIENCIA.PROGRAMADA) {
+        throw new ConflictError(
+            `Solo se puede reprogramar una audiencia PROGRAMADA (estado actual: ${actual.estado}). ` +
+            `Para cambiar la fecha, difiérala`
+        );
+    }
+
+    if (datos.sala_id !== undefined) {
+        datos.sala_id = datos.sala_id || null;
+
+        if (datos.sala_id && datos.sala_id !== actual.sala_id) {
+            await salaModel.getActivaById(datos.sala_id);
+        }
+    }
+
+    // Tipo: al cambiarlo o al cambiar de carpeta se valida contra el catálogo
+    const cambiaCarpeta = ['cj_id', 'cjo_id', 'cemci_id', 'cems_id']
+        .some(campo => datos[campo] !== undefined);
+
+    if (datos.tipo_audiencia_id !== undefined || datos.tipo !== undefined || (cambiaCarpeta && actual.tipo_audiencia_id)) {
+        const carpetas = {};
+        ['cj_id', 'cjo_id', 'cemci_id', 'cems_id'].forEach(campo => {
+            carpetas[campo] = datos[campo] !== undefined ? datos[campo] : actual[campo];
+        });
+
+        const cambiaTipo = datos.tipo_audiencia_id !== undefined || datos.tipo !== undefined;
+        const tipo = await resolverTipoAudiencia(
+            cambiaTipo ? datos : { tipo_audiencia_id: actual.tipo_audiencia_id },
+            carpetas
+        );
+
+        datos.tipo_audiencia_id = tipo ? tipo.id_tipo_audiencia : null;
+        datos.tipo = tipo ? tipo.nombre : null;
+    }
 
     const updates = [];
     const values = [];
 
     const campos = [
-        'cj_id', 'cjo_id', 'cemci_id', 'cems_id',
-        'fecha_audiencia', 'tipo', 'observaciones'
+        'cj_id', 'cjo_id', 'cemci_id', 'cems_id', 'fecha_audiencia', 'duracion_minutos',
+        'sala_id', 'tipo_audiencia_id', 'tipo', 'observaciones'
     ];
 
     campos.forEach(campo => {
-        if (audienciaData[campo] !== undefined) {
+        if (datos[campo] !== undefined) {
             updates.push(`${campo} = ?`);
-            values.push(audienciaData[campo]);
+            values.push(datos[campo]);
         }
     });
 
@@ -246,24 +473,320 @@ const update = async (id, audienciaData) => {
         WHERE id_audiencia = ?
     `;
 
-    await executeQuery(sql, values);
+    if (reprograma) {
+        // Reprogramación: revisar la agenda con los valores resultantes y
+        // guardar en la misma transacción, con la agenda bloqueada
+        const agenda = {
+            id_audiencia: actual.id_audiencia,
+            proceso_id: actual.proceso_id,
+            fecha_audiencia: datos.fecha_audiencia !== undefined ? datos.fecha_audiencia : actual.fecha_audiencia,
+            duracion_minutos: datos.duracion_minutos !== undefined ? datos.duracion_minutos : actual.duracion_minutos,
+            sala_id: datos.sala_id !== undefined ? datos.sala_id : actual.sala_id
+        };
+
+        await executeTransaction(async (connection) => {
+            await bloquearAgenda(connection, agenda);
+
+            const conflictos = await buscarConflictos(agenda, connection);
+            verificarConflictos(conflictos, opciones.forzado);
+
+            await connection.execute(sql, values);
+
+            if (conflictos.length > 0) {
+                await registrarForzado({
+                    audienciaId: actual.id_audiencia,
+                    procesoId: actual.proceso_id,
+                    forzado: opciones.forzado,
+                    conflictos,
+                    connection
+                });
+            }
+        });
+    } else {
+        await executeQuery(sql, values);
+    }
+
+    if (datos.cj_id !== undefined && datos.cj_id !== actual.cj_id) {
+        await recalcularTotalCj(actual.cj_id, datos.cj_id);
+    }
+
     return await getById(id);
 };
 
 /**
- * ELIMINAR AUDIENCIA
+ * ELIMINAR AUDIENCIA (a la papelera)
  */
 const remove = async (id) => {
     const audiencia = await getById(id);
 
-    const sql = `DELETE
-                 FROM audiencia
-                 WHERE id_audiencia = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('audiencia', id);
+
+    await recalcularTotalCj(audiencia.cj_id);
 
     return audiencia;
 };
 
+// ===================================================
+// CICLO DE VIDA
+// ===================================================
+
+/**
+ * Obtener la audiencia exigiendo que siga PROGRAMADA
+ */
+const getProgramada = async (id, accion) => {
+    const audiencia = await getById(id);
+
+    if (audiencia.estado !== ESTADO_AUDIENCIA.PROGRAMADA) {
+        throw new ConflictError(
+            `Solo se puede ${accion} una audiencia PROGRAMADA (estado actual: ${audiencia.estado})`
+        );
+    }
+
+    return audiencia;
+};
+
+/**
+ * Validar la asistencia de las partes
+ *
+ * @param {Array<Object>} asistencia - { tipo_parte, actor_id?, victima_id?, nombre?, asistio, observaciones? }
+ */
+const validarAsistencia = (asistencia) => {
+    if (!Array.isArray(asistencia)) {
+        throw new BadRequestError('asistencia debe ser una lista');
+    }
+
+    const tipos = Object.values(TIPO_PARTE_AUDIENCIA);
+
+    return asistencia.map((parte, i) => {
+        const tipoParte = String(parte.tipo_parte || '').toUpperCase();
+
+        if (!tipos.includes(tipoParte)) {
+            throw new BadRequestError(`asistencia[${i}].tipo_parte debe ser: ${tipos.join(', ')}`);
+        }
+
+        if (tipoParte === TIPO_PARTE_AUDIENCIA.ACTOR && !parte.actor_id) {
+            throw new BadRequestError(`asistencia[${i}] requiere actor_id`);
+        }
+
+        if (tipoParte === TIPO_PARTE_AUDIENCIA.VICTIMA && !parte.victima_id) {
+            throw new BadRequestError(`asistencia[${i}] requiere victima_id`);
+        }
+
+        if (tipoParte === TIPO_PARTE_AUDIENCIA.OTRO && !parte.nombre) {
+            throw new BadRequestError(`asistencia[${i}] requiere nombre`);
+        }
+
+        if (typeof parte.asistio !== 'boolean') {
+            throw new BadRequestError(`asistencia[${i}].asistio debe ser true o false`);
+        }
+
+        return {
+            tipo_parte: tipoParte,
+            actor_id: tipoParte === TIPO_PARTE_AUDIENCIA.ACTOR ? parte.actor_id : null,
+            victima_id: tipoParte === TIPO_PARTE_AUDIENCIA.VICTIMA ? parte.victima_id : null,
+            nombre: tipoParte === TIPO_PARTE_AUDIENCIA.OTRO ? String(parte.nombre).trim() : null,
+            asistio: parte.asistio,
+            observaciones: parte.observaciones || null
+        };
+    });
+};
+
+/**
+ * Validar las resoluciones tomadas
+ *
+ * @param {Array<Object>} resoluciones - { tipo?, descripcion }
+ */
+const validarResoluciones = (resoluciones) => {
+    if (!Array.isArray(resoluciones)) {
+        throw new BadRequestError('resoluciones debe ser una lista');
+    }
+
+    return resoluciones.map((resolucion, i) => {
+        if (!resolucion.descripcion || !String(resolucion.descripcion).trim()) {
+            throw new BadRequestError(`resoluciones[${i}] requiere descripcion`);
+        }
+
+        return {
+            tipo: resolucion.tipo || null,
+            descripcion: String(resolucion.descripcion).trim()
+        };
+    });
+};
+
+/**
+ * CELEBRAR AUDIENCIA
+ *
+ * @param {Object} data - { duracion_real_minutos?, asistencia?, resoluciones? }
+ */
+const celebrar = async (id, data) => {
+    const audiencia = await getProgramada(id, 'celebrar');
+
+    const duracionReal = data.duracion_real_minutos !== undefined && data.duracion_real_minutos !== null
+        ? normalizarDuracion(data.duracion_real_minutos)
+        : null;
+    const asistencia = validarAsistencia(data.asistencia || []);
+    const resoluciones = validarResoluciones(data.resoluciones || []);
+
+    await executeTransaction(async (connection) => {
+        // Solo si sigue PROGRAMADA (otra petición pudo cambiarla entre tanto)
+        const [result] = await connection.execute(`
+            UPDATE audiencia
+            SET estado = ?, duracion_real_minutos = ?, estado_actualizado_en = NOW()
+            WHERE id_audiencia = ?
+              AND estado = ?
+        `, [ESTADO_AUDIENCIA.CELEBRADA, duracionReal, id, ESTADO_AUDIENCIA.PROGRAMADA]);
+
+        if (result.affectedRows === 0) {
+            throw new ConflictError('La audiencia dejó de estar PROGRAMADA; no se celebró');
+        }
+
+        for (const parte of asistencia) {
+            await connection.execute(`
+                INSERT INTO audiencia_asistencia (audiencia_id, tipo_parte, actor_id, victima_id,
+                                                  nombre, asistio, observaciones)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [id, parte.tipo_parte, parte.actor_id, parte.victima_id, parte.nombre, parte.asistio, parte.observaciones]);
+        }
+
+        for (const resolucion of resoluciones) {
+            await connection.execute(
+                `INSERT INTO audiencia_resolucion (audiencia_id, tipo, descripcion) VALUES (?, ?, ?)`,
+                [id, resolucion.tipo, resolucion.descripcion]
+            );
+        }
+    });
+
+    await recalcularTotalCj(audiencia.cj_id);
+
+    return await getById(id);
+};
+
+/**
+ * DIFERIR AUDIENCIA
+ *
+ * La reprogramación es una audiencia nueva: se crea con
+ * data.reprogramacion { fecha_audiencia, duracion_minutos?, sala_id?, tipo_audiencia_id? } (copia
+ * proceso, carpetas, tipo y sala) o se enlaza una ya creada con
+ * data.reprogramada_id (otra audiencia PROGRAMADA del proceso, fuera de la
+ * papelera). Sin ninguna queda diferida sin fecha. Crear la nueva y marcar
+ * la original como DIFERIDA ocurre en una sola transacción.
+ *
+ * @param {Object} data - { motivo_diferimiento, motivo_estado?, reprogramacion?, reprogramada_id? }
+ * @param {Object} opciones - { forzado } para la audiencia nueva
+ * @returns {Promise<Object>} - { audiencia, reprogramada }
+ */
+const diferir = async (id, data, opciones = {}) => {
+    const audiencia = await getProgramada(id, 'diferir');
+    const motivos = Object.values(MOTIVO_DIFERIMIENTO);
+    const motivo = String(data.motivo_diferimiento || '').toUpperCase();
+
+    if (!motivos.includes(motivo)) {
+        throw new BadRequestError(`motivo_diferimiento debe ser: ${motivos.join(', ')}`);
+    }
+
+    if (data.reprogramacion && data.reprogramada_id) {
+        throw new BadRequestError('Envíe reprogramacion o reprogramada_id, no ambos');
+    }
+
+    const reprogramadaId = await executeTransaction(async (connection) => {
+        let nuevaId = null;
+
+        if (data.reprogramada_id) {
+            // Se bloquea la fila: no puede cambiar de estado hasta terminar
+            const [filas] = await connection.execute(`
+                SELECT id_audiencia, proceso_id, estado
+                FROM audiencia
+                WHERE id_audiencia = ?
+                  AND eliminado_en IS NULL
+                FOR UPDATE
+            `, [data.reprogramada_id]);
+            const [reprogramada] = filas;
+
+            if (!reprogramada) {
+                throw new NotFoundError('La audiencia reprogramada no existe o está en la papelera');
+            }
+
+            if (reprogramada.proceso_id !== audiencia.proceso_id || reprogramada.id_audiencia === audiencia.id_audiencia) {
+                throw new BadRequestError('La audiencia reprogramada debe ser otra audiencia del mismo proceso');
+            }
+
+            if (reprogramada.estado !== ESTADO_AUDIENCIA.PROGRAMADA) {
+                throw new ConflictError(
+                    `La audiencia reprogramada debe estar PROGRAMADA (estado actual: ${reprogramada.estado})`
+                );
+            }
+
+            nuevaId = reprogramada.id_audiencia;
+        }
+
+        if (data.reprogramacion) {
+            nuevaId = await create({
+                proceso_id: audiencia.proceso_id,
+                cj_id: audiencia.cj_id,
+                cjo_id: audiencia.cjo_id,
+                cemci_id: audiencia.cemci_id,
+                cems_id: audiencia.cems_id,
+                tipo_audiencia_id: data.reprogramacion.tipo_audiencia_id || audiencia.tipo_audiencia_id,
+                fecha_audiencia: data.reprogramacion.fecha_audiencia,
+                duracion_minutos: data.reprogramacion.duracion_minutos !== undefined
+                    ? data.reprogramacion.duracion_minutos
+                    : audiencia.duracion_minutos,
+                sala_id: data.reprogramacion.sala_id !== undefined
+                    ? data.reprogramacion.sala_id
+                    : audiencia.sala_id,
+                observaciones: data.reprogramacion.observaciones
+            }, { forzado: opciones.forzado, reemplaza: audiencia.id_audiencia, connection });
+        }
+
+        // Solo si sigue PROGRAMADA (otra petición pudo cambiarla entre tanto)
+        const [result] = await connection.execute(`
+            UPDATE audiencia
+            SET estado = ?, motivo_diferimiento = ?, motivo_estado = ?,
+                reprogramada_id = ?, estado_actualizado_en = NOW()
+            WHERE id_audiencia = ?
+              AND estado = ?
+        `, [ESTADO_AUDIENCIA.DIFERIDA, motivo, data.motivo_estado || null, nuevaId, id, ESTADO_AUDIENCIA.PROGRAMADA]);
+
+        if (result.affectedRows === 0) {
+            throw new ConflictError('La audiencia dejó de estar PROGRAMADA; no se difirió');
+        }
+
+        return nuevaId;
+    });
+
+    return {
+        audiencia: await getById(id),
+        reprogramada: reprogramadaId ? await getById(reprogramadaId) : null
+    };
+};
+
+/**
+ * CANCELAR AUDIENCIA
+ *
+ * @param {Object} data - { motivo_estado }
+ */
+const cancelar = async (id, data) => {
+    await getProgramada(id, 'cancelar');
+
+    if (!data.motivo_estado || !String(data.motivo_estado).trim()) {
+        throw new BadRequestError('motivo_estado es requerido para cancelar');
+    }
+
+    // Solo si sigue PROGRAMADA (otra petición pudo cambiarla entre tanto)
+    const result = await executeQuery(`
+        UPDATE audiencia
+        SET estado = ?, motivo_estado = ?, estado_actualizado_en = NOW()
+        WHERE id_audiencia = ?
+          AND estado = ?
+    `, [ESTADO_AUDIENCIA.CANCELADA, String(data.motivo_estado).trim(), id, ESTADO_AUDIENCIA.PROGRAMADA]);
+
+    if (result.affectedRows === 0) {
+        throw new ConflictError('La audiencia dejó de estar PROGRAMADA; no se canceló');
+    }
+
+    return await getById(id);
+};
+
 /**
  * CONTAR AUDIENCIAS DE UN PROCESO
  */
@@ -272,6 +795,7 @@ const countByProceso = async (procesoId) => {
         SELECT COUNT(*) as total
         FROM audiencia
         WHERE proceso_id = ?
+          AND eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [procesoId]);
@@ -284,6 +808,7 @@ const countByProceso = async (procesoId) => {
 const getProximas = async (dias = 30) => {
     const sql = `
         SELECT aud.*,
+               s.nombre    as sala_nombre,
                a.nombre    as adolescente_nombre,
                a.iniciales as adolescente_iniciales,
                cj.numero_cj,
@@ -297,7 +822,9 @@ const getProximas = async (dias = 30) => {
                  LEFT JOIN cjo ON aud.cjo_id = cjo.id_cjo
                  LEFT JOIN cemci ON aud.cemci_id = cemci.id_cemci
                  LEFT JOIN cems ON aud.cems_id = cems.id_cems
+                 LEFT JOIN sala s ON aud.sala_id = s.id_sala
         WHERE aud.fecha_audiencia BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)
+          AND aud.eliminado_en IS NULL
         ORDER BY aud.fecha_audiencia ASC
     `;
 
@@ -312,6 +839,7 @@ const getDelDia = async (fecha = null) => {
 
     const sql = `
         SELECT aud.*,
+               s.nombre    as sala_nombre,
                a.nombre    as adolescente_nombre,
                a.iniciales as adolescente_iniciales,
                cj.numero_cj,
@@ -325,49 +853,156 @@ const getDelDia = async (fecha = null) => {
                  LEFT JOIN cjo ON aud.cjo_id = cjo.id_cjo
                  LEFT JOIN cemci ON aud.cemci_id = cemci.id_cemci
                  LEFT JOIN cems ON aud.cems_id = cems.id_cems
+                 LEFT JOIN sala s ON aud.sala_id = s.id_sala
         WHERE DATE (aud.fecha_audiencia) = ?
+          AND aud.eliminado_en IS NULL
         ORDER BY aud.fecha_audiencia ASC
     `;
 
     return await executeQuery(sql, [fechaBusqueda]);
 };
 
+/**
+ * Porcentaje de diferimiento: diferidas / (celebradas + diferidas)
+ */
+const porcentajeDiferimiento = (celebradas, diferidas) => (
+    celebradas + diferidas > 0
+        ? Math.round((diferidas * 1000) / (celebradas + diferidas)) / 10
+        : null
+);
+
 /**
  * ESTADÍSTICAS
+ * Filtros: fecha_desde, fecha_hasta (fecha de la audiencia)
+ *
+ * Incluye conteo por estado, motivos de diferimiento y, por juez (actor
+ * jurídico tipo juez asignado al proceso), su porcentaje de diferimiento
+ * y motivos.
  */
-const getStats = async () => {
+const getStats = async (filters = {}) => {
+    const { fecha_desde, fecha_hasta } = filters;
+
+    let where = ` WHERE aud.eliminado_en IS NULL`;
+    const params = [];
+
+    if (fecha_desde) {
+        where += ` AND aud.fecha_audiencia >= ?`;
+        params.push(fecha_desde);
+    }
+
+    if (fecha_hasta) {
+        where += ` AND aud.fecha_audiencia < DATE_ADD(?, INTERVAL 1 DAY)`;
+        params.push(fecha_hasta);
+    }
+
     const sql = `
-        SELECT COUNT(*)                                                 as total,
-               COUNT(CASE WHEN cj_id IS NOT NULL THEN 1 END)            as audiencias_cj,
-               COUNT(CASE WHEN cjo_id IS NOT NULL THEN 1 END)           as audiencias_cjo,
-               COUNT(CASE WHEN cemci_id IS NOT NULL THEN 1 END)         as audiencias_cemci,
-               COUNT(CASE WHEN cems_id IS NOT NULL THEN 1 END)          as audiencias_cems,
-               COUNT(CASE WHEN fecha_audiencia >= CURDATE() THEN 1 END) as proximas,
-               COUNT(CASE WHEN fecha_audiencia < CURDATE() THEN 1 END)  as pasadas
-        FROM audiencia
+        SELECT COUNT(*)                                                     as total,
+               COUNT(CASE WHEN aud.cj_id IS NOT NULL THEN 1 END)            as audiencias_cj,
+               COUNT(CASE WHEN aud.cjo_id IS NOT NULL THEN 1 END)           as audiencias_cjo,
+               COUNT(CASE WHEN aud.cemci_id IS NOT NULL THEN 1 END)         as audiencias_cemci,
+               COUNT(CASE WHEN aud.cems_id IS NOT NULL THEN 1 END)          as audiencias_cems,
+               COUNT(CASE WHEN aud.fecha_audiencia >= CURDATE() THEN 1 END) as proximas,
+               COUNT(CASE WHEN aud.fecha_audiencia < CURDATE() THEN 1 END)  as pasadas,
+               COUNT(CASE WHEN aud.estado = ? THEN 1 END)                   as programadas,
+               COUNT(CASE WHEN aud.estado = ? THEN 1 END)                   as celebradas,
+               COUNT(CASE WHEN aud.estado = ? THEN 1 END)                   as diferidas,
+               COUNT(CASE WHEN aud.estado = ? THEN 1 END)                   as canceladas
+        FROM audiencia aud
+        ${where}
     `;
 
-    const [stats] = await executeQuery(sql);
-    return stats;
+    const estados = [
+        ESTADO_AUDIENCIA.PROGRAMADA,
+        ESTADO_AUDIENCIA.CELEBRADA,
+        ESTADO_AUDIENCIA.DIFERIDA,
+        ESTADO_AUDIENCIA.CANCELADA
+    ];
+
+    // Por juez: un proceso puede tener al juez en varias carpetas (DISTINCT)
+    const porJuezSql = `
+        SELECT aj.id_actor                                                         as juez_id,
+               aj.nombre                                                           as juez_nombre,
+               COUNT(DISTINCT aud.id_audiencia)                                    as total,
+               COUNT(DISTINCT CASE WHEN aud.estado = ? THEN aud.id_audiencia END)  as celebradas,
+               COUNT(DISTINCT CASE WHEN aud.estado = ? THEN aud.id_audiencia END)  as diferidas,
+               COUNT(DISTINCT CASE WHEN aud.estado = ? THEN aud.id_audiencia END)  as canceladas
+        FROM audiencia aud
+                 INNER JOIN proceso_actor_juridico paj ON paj.proceso_id = aud.proceso_id
+                 INNER JOIN actor_juridico aj ON aj.id_actor = paj.actor_id AND aj.tipo = ?
+        ${where}
+        GROUP BY aj.id_actor, aj.nombre
+        ORDER BY aj.nombre
+    `;
+
+    const motivosJuezSql = `
+        SELECT aj.id_actor                      as juez_id,
+               aud.motivo_diferimiento          as motivo,
+               COUNT(DISTINCT aud.id_audiencia) as total
+        FROM audiencia aud
+                 INNER JOIN proceso_actor_juridico paj ON paj.proceso_id = aud.proceso_id
+                 INNER JOIN actor_juridico aj ON aj.id_actor = paj.actor_id AND aj.tipo = ?
+        ${where} AND aud.estado = ?
+        GROUP BY aj.id_actor, aud.motivo_diferimiento
+        ORDER BY total DESC
+    `;
+
+    const motivosSql = `
+        SELECT aud.motivo_diferimiento as motivo,
+               COUNT(*)                as total
+        FROM audiencia aud
+        ${where} AND aud.estado = ?
+        GROUP BY aud.motivo_diferimiento
+        ORDER BY total DESC
+    `;
+
+    const [[stats], porJuez, motivosJuez, motivos] = await Promise.all([
+        executeQuery(sql, [...estados, ...params]),
+        executeQuery(porJuezSql, [
+            ESTADO_AUDIENCIA.CELEBRADA,
+            ESTADO_AUDIENCIA.DIFERIDA,
+            ESTADO_AUDIENCIA.CANCELADA,
+            TIPO_ACTOR.JUEZ,
+            ...params
+        ]),
+        executeQuery(motivosJuezSql, [TIPO_ACTOR.JUEZ, ...params, ESTADO_AUDIENCIA.DIFERIDA]),
+        executeQuery(motivosSql, [...params, ESTADO_AUDIENCIA.DIFERIDA])
+    ]);
+
+    return {
+        ...stats,
+        porcentaje_diferimiento: porcentajeDiferimiento(stats.celebradas, stats.diferidas),
+        motivos_diferimiento: motivos,
+        por_juez: porJuez.map(juez => ({
+            ...juez,
+            porcentaje_diferimiento: porcentajeDiferimiento(juez.celebradas, juez.diferidas),
+            motivos: motivosJuez
+                .filter(fila => fila.juez_id === juez.juez_id)
+                .map(({ motivo, total }) => ({ motivo, total }))
+        }))
+    };
 };
 
 /**
  * ESTADÍSTICAS POR TIPO
+ * Agrupa por el catálogo; los textos libres aún sin mapear van juntos
  */
 const getStatsByTipo = async () => {
     const sql = `
-        SELECT tipo,
-               COUNT(*) as total
-        FROM audiencia
-        WHERE tipo IS NOT NULL
-        GROUP BY tipo
+        SELECT ta.id_tipo_audiencia                    as tipo_audiencia_id,
+               COALESCE(ta.nombre, 'Sin tipo de catálogo') as tipo,
+               COUNT(*)                                as total
+        FROM audiencia aud
+                 LEFT JOIN tipo_audiencia ta ON aud.tipo_audiencia_id = ta.id_tipo_audiencia
+        WHERE aud.eliminado_en IS NULL
+          AND (aud.tipo_audiencia_id IS NOT NULL OR aud.tipo IS NOT NULL)
+        GROUP BY ta.id_tipo_audiencia, ta.nombre
         ORDER BY total DESC
     `;
 
     return await executeQuery(sql);
 };
 
-module.exports = {
+module.exports = auditarModelo('audiencia', {
     create,
     getAll,
     getById,
@@ -375,9 +1010,19 @@ module.exports = {
     getByCarpeta,
     update,
     remove,
+    celebrar,
+    diferir,
+    cancelar,
     countByProceso,
     getProximas,
     getDelDia,
     getStats,
     getStatsByTipo
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR',
+    celebrar: 'CELEBRAR',
+    diferir: 'DIFERIR',
+    cancelar: 'CANCELAR'
+});
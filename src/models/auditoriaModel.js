@@ -0,0 +1,198 @@
+// src/models/auditoriaModel.js
+
+const { executeQuery } = require('../config/database');
+const { NotFoundError } = require('../utils/errorHandler');
+
+/**
+ * MODELO DE AUDITORÍA
+ *
+ * Bitácora de escrituras sobre registros judiciales.
+ * Los registros se generan desde utils/auditoria.js; aquí solo
+ * se insertan y consultan.
+ */
+
+/**
+ * REGISTRAR ENTRADA
+ * connection: opcional, para escribir dentro de la transacción del llamador
+ */
+const registrar = async (entrada, connection = null) => {
+    const {
+        usuario_id,
+        ip,
+        entidad,
+        entidad_id,
+        proceso_id,
+        accion,
+        datos_anteriores,
+        datos_nuevos
+    } = entrada;
+
+    const sql = `
+    INSERT INTO auditoria (
+      usuario_id, ip, entidad, entidad_id, proceso_id,
+      accion, datos_anteriores, datos_nuevos
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+    const params = [
+        usuario_id || null,
+        ip || null,
+        entidad,
+        entidad_id || null,
+        proceso_id || null,
+        accion,
+        datos_anteriores ? JSON.stringify(datos_anteriores) : null,
+        datos_nuevos ? JSON.stringify(datos_nuevos) : null
+    ];
+
+    if (connection) {
+        const [result] = await connection.execute(sql, params);
+        return result.insertId;
+    }
+
+    const result = await executeQuery(sql, params);
+
+    return result.insertId;
+};
+
+/**
+ * Construir WHERE a partir de filtros
+ */
+const buildFilters = (filters) => {
+    const { usuario_id, entidad, entidad_id, proceso_id, accion, fecha_desde, fecha_hasta } = filters;
+
+    let where = ` WHERE 1=1`;
+    const params = [];
+
+    if (usuario_id) {
+        where += ` AND au.usuario_id = ?`;
+        params.push(usuario_id);
+    }
+
+    if (entidad) {
+        where += ` AND au.entidad = ?`;
+        params.push(entidad);
+    }
+
+    if (entidad_id) {
+        where += ` AND au.entidad_id = ?`;
+        params.push(entidad_id);
+    }
+
+    // Incluye los cambios a carpetas compartidas con coimputados, que quedan
+    // registrados con el proceso_id de solo uno de ellos
+    if (proceso_id) {
+        where += ` AND (au.proceso_id = ? OR EXISTS (
+            SELECT 1 FROM proceso_carpeta pc
+            WHERE pc.id_proceso = ?
+              AND ((au.entidad = 'cj' AND au.entidad_id = pc.cj_id)
+                OR (au.entidad = 'cjo' AND au.entidad_id = pc.cjo_id)
+                OR (au.entidad = 'cemci' AND au.entidad_id = pc.cemci_id)
+                OR (au.entidad = 'cems' AND au.entidad_id = pc.cems_id))
+        ))`;
+        params.push(proceso_id, proceso_id);
+    }
+
+    if (accion) {
+        where += ` AND au.accion = ?`;
+        params.push(accion);
+    }
+
+    if (fecha_desde) {
+        where += ` AND au.fecha >= ?`;
+        params.push(fecha_desde);
+    }
+
+    if (fecha_hasta) {
+        where += ` AND au.fecha < DATE_ADD(?, INTERVAL 1 DAY)`;
+        params.push(fecha_hasta);
+    }
+
+    return { where, params };
+};
+
+/**
+ * OBTENER TODAS (con filtros)
+ */
+const getAll = async (filters = {}) => {
+    const { limit, offset } = filters;
+    const { where, params } = buildFilters(filters);
+
+    let sql = `
+    SELECT
+      au.*,
+      u.usuario,
+      u.nombre as usuario_nombre
+    FROM auditoria au
+    LEFT JOIN usuario u ON au.usuario_id = u.id_usuario
+    ${where}
+    ORDER BY au.fecha DESC, au.id_auditoria DESC
+  `;
+
+    if (limit) {
+        const limitInt = parseInt(limit) || 20;
+        const offsetInt = parseInt(offset) || 0;
+        sql += ` LIMIT ${limitInt} OFFSET ${offsetInt}`;
+    }
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * CONTAR (con filtros)
+ */
+const getCount = async (filters = {}) => {
+    const { where, params } = buildFilters(filters);
+
+    const sql = `SELECT COUNT(*) as total FROM auditoria au ${where}`;
+    const [result] = await executeQuery(sql, params);
+
+    return result.total;
+};
+
+/**
+ * OBTENER POR ID
+ */
+const getById = async (id) => {
+    const sql = `
+    SELECT
+      au.*,
+      u.usuario,
+      u.nombre as usuario_nombre
+    FROM auditoria au
+    LEFT JOIN usuario u ON au.usuario_id = u.id_usuario
+    WHERE au.id_auditoria = ?
+  `;
+
+    const [registro] = await executeQuery(sql, [id]);
+
+    if (!registro) {
+        throw new NotFoundError('Registro de auditoría no encontrado');
+    }
+
+    return registro;
+};
+
+/**
+ * OBTENER ENTIDADES AUDITADAS
+ * Para llenar filtros en el frontend
+ */
+const getEntidades = async () => {
+    const sql = `
+    SELECT entidad, COUNT(*) as total
+    FROM auditoria
+    GROUP BY entidad
+    ORDER BY entidad
+  `;
+
+    return await executeQuery(sql);
+};
+
+module.exports = {
+    registrar,
+    getAll,
+    getCount,
+    getById,
+    getEntidades
+};
@@ -13,6 +13,10 @@ const bcrypt = require('bcrypt');
 // Número de rondas para bcrypt (10 es un buen balance seguridad/velocidad)
 const SALT_ROUNDS = 10;
 
+// Hash de relleno: cuando el usuario no existe se compara contra este hash
+// para que la respuesta tarde lo mismo que con una contraseña incorrecta
+const DUMMY_HASH = bcrypt.hashSync('usuario-inexistente', SALT_ROUNDS);
+
 /**
  * BUSCAR USUARIO POR USERNAME
  * Incluye información del rol
@@ -50,6 +54,7 @@ const findById = async (id) => {
       u.usuario,
       u.correo,
       u.activo,
+      u.actor_id,
       r.nombre as rol_nombre,
       r.descripcion as rol_descripcion
     FROM usuario u
@@ -133,9 +138,11 @@ const create = async (userData) => {
 /**
  * VERIFICAR CONTRASEÑA
  * Compara la contraseña en texto plano con el hash
+ * Si no hay hash (usuario inexistente) igual ejecuta bcrypt y retorna false
  */
 const verifyPassword = async (plainPassword, hashedPassword) => {
-    return await bcrypt.compare(plainPassword, hashedPassword);
+    const isValid = await bcrypt.compare(plainPassword, hashedPassword || DUMMY_HASH);
+    return !!hashedPassword && isValid;
 };
 
 /**
@@ -183,6 +190,21 @@ const update = async (userId, data) => {
         values.push(data.activo);
     }
 
+    // Registro de actor jurídico del usuario (calendario personal)
+    if (data.actor_id !== undefined) {
+        if (data.actor_id) {
+            const [actor] = await executeQuery(
+                'SELECT id_actor FROM actor_juridico WHERE id_actor = ?',
+                [data.actor_id]
+            );
+            if (!actor) {
+                throw new NotFoundError('Actor jurídico no encontrado');
+            }
+        }
+        updates.push('actor_id = ?');
+        values.push(data.actor_id || null);
+    }
+
     if (updates.length === 0) {
         throw new Error('No hay campos para actualizar');
     }
@@ -229,6 +251,7 @@ const getAll = async (filters = {}) => {
       u.usuario,
       u.correo,
       u.activo,
+      u.actor_id,
       r.nombre as rol_nombre,
       r.descripcion as rol_descripcion
     FROM usuario u
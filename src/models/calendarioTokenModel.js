@@ -0,0 +1,96 @@
+// src/models/calendarioTokenModel.js
+
+const crypto = require('crypto');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { hashToken } = require('../utils/jwt');
+
+/**
+ * MODELO DE TOKENS DE CALENDARIO
+ *
+ * Token por usuario para suscribirse a los calendarios .ics sin JWT.
+ * Solo hay un token activo por usuario: generar uno revoca el anterior.
+ * El token en texto plano se entrega una sola vez; se guarda su hash.
+ */
+
+/**
+ * GENERAR TOKEN (revoca el activo)
+ * Retorna el token en texto plano
+ */
+const generar = async (usuarioId) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await executeTransaction(async (connection) => {
+        await connection.execute(
+            `UPDATE calendario_token SET revocado_en = NOW()
+             WHERE usuario_id = ? AND revocado_en IS NULL`,
+            [usuarioId]
+        );
+
+        await connection.execute(
+            `INSERT INTO calendario_token (usuario_id, token_hash) VALUES (?, ?)`,
+            [usuarioId, hashToken(token)]
+        );
+    });
+
+    return token;
+};
+
+/**
+ * OBTENER TOKEN ACTIVO DE UN USUARIO (sin el hash)
+ */
+const getActivo = async (usuarioId) => {
+    const sql = `
+    SELECT id_calendario_token, usuario_id, creado_en, ultimo_uso_en
+    FROM calendario_token
+    WHERE usuario_id = ? AND revocado_en IS NULL
+  `;
+
+    const [token] = await executeQuery(sql, [usuarioId]);
+    return token || null;
+};
+
+/**
+ * REVOCAR TOKEN ACTIVO DE UN USUARIO
+ * Retorna true si había uno activo
+ */
+const revocar = async (usuarioId) => {
+    const result = await executeQuery(
+        `UPDATE calendario_token SET revocado_en = NOW()
+         WHERE usuario_id = ? AND revocado_en IS NULL`,
+        [usuarioId]
+    );
+
+    return result.affectedRows > 0;
+};
+
+/**
+ * BUSCAR USUARIO POR TOKEN
+ * Retorna el id del usuario si el token está activo (y registra el uso)
+ */
+const validar = async (token) => {
+    const sql = `
+    SELECT id_calendario_token, usuario_id
+    FROM calendario_token
+    WHERE token_hash = ? AND revocado_en IS NULL
+  `;
+
+    const [activo] = await executeQuery(sql, [hashToken(String(token))]);
+
+    if (!activo) {
+        return null;
+    }
+
+    await executeQuery(
+        `UPDATE calendario_token SET ultimo_uso_en = NOW() WHERE id_calendario_token = ?`,
+        [activo.id_calendario_token]
+    );
+
+    return activo.usuario_id;
+};
+
+module.exports = {
+    generar,
+    getActivo,
+    revocar,
+    validar
+};
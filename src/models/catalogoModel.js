@@ -2,6 +2,7 @@
 
 const {executeQuery} = require('../config/database');
 const {NotFoundError, ConflictError} = require('../utils/errorHandler');
+const {ROLES} = require('../config/constants');
 
 /**
  * MODELO DE CATÁLOGOS
@@ -13,6 +14,8 @@ const {NotFoundError, ConflictError} = require('../utils/errorHandler');
  * - tipo_medida_sancionadora
  * - tipo_medida_cautelar
  * - tipo_reparacion
+ * - tipo_audiencia
+ * - tipo_sentencia
  */
 
 // =====================================================
@@ -61,6 +64,23 @@ const getTableConfig = (tipo) => {
             nameField: 'nombre',
             hasDescription: false,
             extraFields: []
+        },
+        'tipos-audiencia': {
+            table: 'tipo_audiencia',
+            idField: 'id_tipo_audiencia',
+            nameField: 'nombre',
+            hasDescription: true,
+            extraFields: [
+                'aplica_cj', 'aplica_cjo', 'aplica_cemci', 'aplica_cems',
+                'duracion_tipica_minutos', 'activo'
+            ]
+        },
+        'tipos-sentencia': {
+            table: 'tipo_sentencia',
+            idField: 'id_tipo_sentencia',
+            nameField: 'nombre',
+            hasDescription: true,
+            extraFields: ['crea_cems', 'concluye_proceso', 'cierra_cemci', 'activo']
         }
     };
 
@@ -191,7 +211,17 @@ const update = async (tipo, id, data) => {
     const config = getTableConfig(tipo);
 
     // Verificar que existe
-    await getById(tipo, id);
+    const record = await getById(tipo, id);
+
+    // Los permisos de Admin se reconocen por el nombre del rol: no se puede
+    // renombrar el rol Administrador ni darle ese nombre a otro
+    if (tipo === 'roles' && data.nombre && data.nombre !== record.nombre) {
+        const esAdmin = (nombre) => String(nombre).trim().toLowerCase() === ROLES.ADMIN.toLowerCase();
+
+        if (esAdmin(record.nombre) || esAdmin(data.nombre)) {
+            throw new ConflictError(`El rol "${ROLES.ADMIN}" no se puede renombrar ni asignar a otro rol`);
+        }
+    }
 
     // Construir SET dinámicamente
     const updates = [];
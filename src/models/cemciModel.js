@@ -1,7 +1,11 @@
 // src/models/cemciModel.js
 
-const { executeQuery } = require('../config/database');
+const { executeQuery, executeTransaction } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo, procesoPorCarpeta } = require('../utils/auditoria');
+const historialEstadoModel = require('./historialEstadoModel');
+const papeleraModel = require('./papeleraModel');
+const { AMBITO_ESTADO } = require('../config/constants');
 const {validarFormatoNumeroCarpeta, existeNumeroCarpeta} = require("../utils/carpetaUtils");
 
 /**
@@ -26,7 +30,7 @@ const create = async (cemciData) => {
     } = cemciData;
 
     // Verificar que la CJ existe
-    const cjCheck = `SELECT id_cj FROM cj WHERE id_cj = ?`;
+    const cjCheck = `SELECT id_cj FROM cj WHERE id_cj = ? AND eliminado_en IS NULL`;
     const [cj] = await executeQuery(cjCheck, [cj_id]);
 
     if (!cj) {
@@ -35,7 +39,7 @@ const create = async (cemciData) => {
 
     // Verificar CJO si se proporciona
     if (cjo_id) {
-        const cjoCheck = `SELECT id_cjo FROM cjo WHERE id_cjo = ?`;
+        const cjoCheck = `SELECT id_cjo FROM cjo WHERE id_cjo = ? AND eliminado_en IS NULL`;
         const [cjo] = await executeQuery(cjoCheck, [cjo_id]);
 
         if (!cjo) {
@@ -75,13 +79,18 @@ const getAll = async (filters = {}) => {
             cj.numero_cj,
             cjo.numero_cjo,
             ep.nombre as estado_procesal_nombre,
-            pc.id_proceso as proceso_id
+            pc.id_proceso as proceso_id,
+            (SELECT COUNT(*) FROM proceso_carpeta pc2
+             WHERE pc2.cemci_id = c.id_cemci) as total_procesos
         FROM cemci c
                  INNER JOIN cj ON c.cj_id = cj.id_cj
                  LEFT JOIN cjo ON c.cjo_id = cjo.id_cjo
                  LEFT JOIN estado_procesal ep ON c.estado_procesal_id = ep.id_estado
-                 LEFT JOIN proceso_carpeta pc ON c.id_cemci = pc.cemci_id
-        WHERE 1=1
+                 LEFT JOIN proceso_carpeta pc ON pc.id_proceso = (
+                     -- Con coimputados, el primer proceso vinculado
+                     SELECT MIN(pc2.id_proceso) FROM proceso_carpeta pc2 WHERE pc2.cemci_id = c.id_cemci
+                 )
+        WHERE c.eliminado_en IS NULL
     `;
     const params = [];
 
@@ -116,13 +125,19 @@ const getById = async (id) => {
             cj.numero_cj,
             cjo.numero_cjo,
             ep.nombre as estado_procesal_nombre,
-            pc.id_proceso as proceso_id
+            pc.id_proceso as proceso_id,
+            (SELECT COUNT(*) FROM proceso_carpeta pc2
+             WHERE pc2.cemci_id = c.id_cemci) as total_procesos
         FROM cemci c
                  INNER JOIN cj ON c.cj_id = cj.id_cj
                  LEFT JOIN cjo ON c.cjo_id = cjo.id_cjo
                  LEFT JOIN estado_procesal ep ON c.estado_procesal_id = ep.id_estado
-                 LEFT JOIN proceso_carpeta pc ON c.id_cemci = pc.cemci_id
+                 LEFT JOIN proceso_carpeta pc ON pc.id_proceso = (
+                     -- Con coimputados, el primer proceso vinculado
+                     SELECT MIN(pc2.id_proceso) FROM proceso_carpeta pc2 WHERE pc2.cemci_id = c.id_cemci
+                 )
         WHERE c.id_cemci = ?
+          AND c.eliminado_en IS NULL
     `;
 
     const [cemci] = await executeQuery(sql, [id]);
@@ -147,6 +162,7 @@ const getByCjId = async (cjId) => {
                  INNER JOIN cj ON c.cj_id = cj.id_cj
                  LEFT JOIN estado_procesal ep ON c.estado_procesal_id = ep.id_estado
         WHERE c.cj_id = ?
+          AND c.eliminado_en IS NULL
     `;
 
     const [cemci] = await executeQuery(sql, [cjId]);
@@ -157,17 +173,29 @@ const getByCjId = async (cjId) => {
  * ACTUALIZAR CEMCI
  */
 const update = async (id, cemciData) => {
-    await getById(id);
+    const actual = await getById(id);
 
     const updates = [];
     const values = [];
 
+    // El estado procesal solo cambia por transiciones permitidas y queda en el historial
+    const cambio = cemciData.estado_procesal_id !== undefined
+        ? await historialEstadoModel.prepararCambio(
+            AMBITO_ESTADO.ESTADO_PROCESAL, actual.estado_procesal_id, cemciData.estado_procesal_id, cemciData,
+            { entidad: 'cemci', entidad_id: actual.id_cemci }
+        )
+        : null;
+
     const campos = [
         'numero_cemci', 'cjo_id', 'fecha_recepcion_cemci',
         'estado_procesal_id', 'concluido', 'observaciones'
     ];
 
     campos.forEach(campo => {
+        if (campo === 'estado_procesal_id' && !cambio) {
+            return;
+        }
+
         if (cemciData[campo] !== undefined) {
             updates.push(`${campo} = ?`);
             values.push(cemciData[campo]);
@@ -175,6 +203,11 @@ const update = async (id, cemciData) => {
     });
 
     if (updates.length === 0) {
+        // Mismo estado procesal que el actual: no hay cambio que registrar
+        if (cemciData.estado_procesal_id !== undefined) {
+            return actual;
+        }
+
         throw new BadRequestError('No hay campos para actualizar');
     }
 
@@ -186,18 +219,40 @@ const update = async (id, cemciData) => {
         WHERE id_cemci = ?
     `;
 
-    await executeQuery(sql, values);
+    await executeTransaction(async (connection) => {
+        await connection.execute(sql, values);
+
+        if (!cambio) {
+            return;
+        }
+
+        // Una entrada por proceso vinculado (coimputados); sin proceso
+        // (carpeta capturada a mano y aún no vinculada) no hay historial
+        const [carpetas] = await connection.execute(
+            `SELECT id_proceso FROM proceso_carpeta WHERE cemci_id = ?`,
+            [id]
+        );
+
+        for (const carpeta of carpetas) {
+            await historialEstadoModel.registrar(connection, {
+                proceso_id: carpeta.id_proceso,
+                entidad: 'cemci',
+                entidad_id: Number(id),
+                ambito: AMBITO_ESTADO.ESTADO_PROCESAL
+            }, cambio);
+        }
+    });
+
     return await getById(id);
 };
 
 /**
- * ELIMINAR CEMCI
+ * ELIMINAR CEMCI (a la papelera)
  */
 const remove = async (id) => {
     const cemci = await getById(id);
 
-    const sql = `DELETE FROM cemci WHERE id_cemci = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('cemci', id);
 
     return cemci;
 };
@@ -208,7 +263,7 @@ const remove = async (id) => {
 const getCount = async (filters = {}) => {
     const { estado_procesal_id } = filters;
 
-    let sql = `SELECT COUNT(*) as total FROM cemci WHERE 1=1`;
+    let sql = `SELECT COUNT(*) as total FROM cemci WHERE eliminado_en IS NULL`;
     const params = [];
 
     if (estado_procesal_id) {
@@ -232,6 +287,7 @@ const getStats = async () => {
             COUNT(CASE WHEN concluido IS NOT NULL THEN 1 END) as concluidas,
             COUNT(CASE WHEN concluido IS NULL THEN 1 END) as activas
         FROM cemci
+        WHERE eliminado_en IS NULL
     `;
 
     const [stats] = await executeQuery(sql);
@@ -243,9 +299,11 @@ const getStats = async () => {
  */
 const tieneCemci = async (procesoId) => {
     const sql = `
-        SELECT cemci_id
-        FROM proceso_carpeta
-        WHERE id_proceso = ?
+        SELECT pc.cemci_id
+        FROM proceso_carpeta pc
+                 INNER JOIN cemci ON pc.cemci_id = cemci.id_cemci
+        WHERE pc.id_proceso = ?
+          AND cemci.eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [procesoId]);
@@ -282,7 +340,7 @@ const updateNumero = async (id, nuevoNumero) => {
     return await getById(id);
 };
 
-module.exports = {
+module.exports = auditarModelo('cemci', {
     updateNumero,
     create,
     getAll,
@@ -293,4 +351,11 @@ module.exports = {
     getCount,
     getStats,
     tieneCemci
-};
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    updateNumero: 'ACTUALIZAR_NUMERO',
+    remove: 'ELIMINAR'
+}, {
+    proceso: procesoPorCarpeta('cemci_id')
+});
@@ -2,6 +2,8 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE CEMCI_SEGUIMIENTO
@@ -28,7 +30,7 @@ const create = async (seguimientoData) => {
     } = seguimientoData;
 
     // Verificar que CEMCI existe
-    const cemciCheck = `SELECT id_cemci FROM cemci WHERE id_cemci = ?`;
+    const cemciCheck = `SELECT id_cemci FROM cemci WHERE id_cemci = ? AND eliminado_en IS NULL`;
     const [cemci] = await executeQuery(cemciCheck, [cemci_id]);
 
     if (!cemci) {
@@ -36,7 +38,7 @@ const create = async (seguimientoData) => {
     }
 
     // Verificar que proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -98,6 +100,7 @@ const getByCemciId = async (cemciId) => {
                  INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
                  INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
         WHERE cs.cemci_id = ?
+          AND cs.eliminado_en IS NULL
         ORDER BY cs.fecha_radicacion DESC
     `;
 
@@ -116,6 +119,7 @@ const getByProcesoId = async (procesoId) => {
         FROM cemci_seguimiento cs
                  INNER JOIN cemci c ON cs.cemci_id = c.id_cemci
         WHERE cs.proceso_id = ?
+          AND cs.eliminado_en IS NULL
     `;
 
     const [seguimiento] = await executeQuery(sql, [procesoId]);
@@ -137,6 +141,7 @@ const getById = async (id) => {
                  INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
                  INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
         WHERE cs.id_seguimiento = ?
+          AND cs.eliminado_en IS NULL
     `;
 
     const [seguimiento] = await executeQuery(sql, [id]);
@@ -192,13 +197,12 @@ const update = async (id, seguimientoData) => {
 };
 
 /**
- * ELIMINAR SEGUIMIENTO
+ * ELIMINAR SEGUIMIENTO (a la papelera)
  */
 const remove = async (id) => {
     const seguimiento = await getById(id);
 
-    const sql = `DELETE FROM cemci_seguimiento WHERE id_seguimiento = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('cemci_seguimiento', id);
 
     return seguimiento;
 };
@@ -211,6 +215,7 @@ const countByCemci = async (cemciId) => {
         SELECT COUNT(*) as total
         FROM cemci_seguimiento
         WHERE cemci_id = ?
+          AND eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [cemciId]);
@@ -239,6 +244,7 @@ const getSuspendidos = async () => {
                  INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
                  INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
         WHERE cs.fecha_suspension IS NOT NULL
+          AND cs.eliminado_en IS NULL
         ORDER BY cs.fecha_suspension DESC
     `;
 
@@ -256,13 +262,14 @@ const getStats = async () => {
             COUNT(CASE WHEN fecha_radicacion IS NOT NULL THEN 1 END) as radicados,
             COUNT(CASE WHEN fecha_aprobacion_plan_actividades IS NOT NULL THEN 1 END) as con_plan_aprobado
         FROM cemci_seguimiento
+        WHERE eliminado_en IS NULL
     `;
 
     const [stats] = await executeQuery(sql);
     return stats;
 };
 
-module.exports = {
+module.exports = auditarModelo('cemci_seguimiento', {
     create,
     getByCemciId,
     getByProcesoId,
@@ -273,4 +280,8 @@ module.exports = {
     tieneSeguimiento,
     getSuspendidos,
     getStats
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+});
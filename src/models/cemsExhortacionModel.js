@@ -2,6 +2,8 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE CEMS_EXHORTACION
@@ -25,7 +27,7 @@ const create = async (exhortacionData) => {
     } = exhortacionData;
 
     // Verificar que CEMS existe
-    const cemsCheck = `SELECT id_cems FROM cems WHERE id_cems = ?`;
+    const cemsCheck = `SELECT id_cems FROM cems WHERE id_cems = ? AND eliminado_en IS NULL`;
     const [cems] = await executeQuery(cemsCheck, [cems_id]);
 
     if (!cems) {
@@ -33,7 +35,7 @@ const create = async (exhortacionData) => {
     }
 
     // Verificar que proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -89,6 +91,7 @@ const getByCemsId = async (cemsId) => {
     INNER JOIN proceso p ON ce.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE ce.cems_id = ?
+      AND ce.eliminado_en IS NULL
     ORDER BY ce.fecha_exhortacion_reparacion_dano DESC
   `;
 
@@ -106,6 +109,7 @@ const getByProcesoId = async (procesoId) => {
     FROM cems_exhortacion ce
     INNER JOIN cems cs ON ce.cems_id = cs.id_cems
     WHERE ce.proceso_id = ?
+      AND ce.eliminado_en IS NULL
   `;
 
     const [exhortacion] = await executeQuery(sql, [procesoId]);
@@ -127,6 +131,7 @@ const getById = async (id) => {
     INNER JOIN proceso p ON ce.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE ce.id_exhortacion = ?
+      AND ce.eliminado_en IS NULL
   `;
 
     const [exhortacion] = await executeQuery(sql, [id]);
@@ -179,13 +184,12 @@ const update = async (id, exhortacionData) => {
 };
 
 /**
- * ELIMINAR EXHORTACIÓN
+ * ELIMINAR EXHORTACIÓN (a la papelera)
  */
 const remove = async (id) => {
     const exhortacion = await getById(id);
 
-    const sql = `DELETE FROM cems_exhortacion WHERE id_exhortacion = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('cems_exhortacion', id);
 
     return exhortacion;
 };
@@ -198,6 +202,7 @@ const countByCems = async (cemsId) => {
     SELECT COUNT(*) as total 
     FROM cems_exhortacion 
     WHERE cems_id = ?
+      AND eliminado_en IS NULL
   `;
 
     const [result] = await executeQuery(sql, [cemsId]);
@@ -214,13 +219,14 @@ const getStats = async () => {
       COUNT(CASE WHEN exhortacion_reparacion_dano = TRUE THEN 1 END) as reparacion_dano,
       COUNT(CASE WHEN exhortacion_cumplimiento = TRUE THEN 1 END) as cumplimiento
     FROM cems_exhortacion
+    WHERE eliminado_en IS NULL
   `;
 
     const [stats] = await executeQuery(sql);
     return stats;
 };
 
-module.exports = {
+module.exports = auditarModelo('cems_exhortacion', {
     create,
     getByCemsId,
     getByProcesoId,
@@ -229,4 +235,8 @@ module.exports = {
     remove,
     countByCems,
     getStats
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+});
@@ -1,13 +1,18 @@
 // src/models/cemsModel.js
 
-const { executeQuery } = require('../config/database');
+const { executeQuery, executeTransaction } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo, procesoPorCarpeta } = require('../utils/auditoria');
+const historialEstadoModel = require('./historialEstadoModel');
+const papeleraModel = require('./papeleraModel');
+const { AMBITO_ESTADO } = require('../config/constants');
 
 /**
  * MODELO DE CEMS
  *
  * CEMS = Carpeta de Ejecución de Medidas Sancionadoras
- * Se crea automáticamente cuando la sentencia es CONDENATORIA o MIXTA
+ * Se crea automáticamente con las sentencias cuyo tipo tiene crea_cems
+ * (Condenatoria, Mixta, Procedimiento abreviado; utils/flujoSentencia.js)
  */
 
 /**
@@ -34,7 +39,7 @@ const create = async (cemsData) => {
     } = cemsData;
 
     // Verificar que la CJ existe
-    const cjCheck = `SELECT id_cj FROM cj WHERE id_cj = ?`;
+    const cjCheck = `SELECT id_cj FROM cj WHERE id_cj = ? AND eliminado_en IS NULL`;
     const [cj] = await executeQuery(cjCheck, [cj_id]);
 
     if (!cj) {
@@ -42,7 +47,7 @@ const create = async (cemsData) => {
     }
 
     // Verificar que la CJO existe
-    const cjoCheck = `SELECT id_cjo FROM cjo WHERE id_cjo = ?`;
+    const cjoCheck = `SELECT id_cjo FROM cjo WHERE id_cjo = ? AND eliminado_en IS NULL`;
     const [cjo] = await executeQuery(cjoCheck, [cjo_id]);
 
     if (!cjo) {
@@ -51,7 +56,7 @@ const create = async (cemsData) => {
 
     // Verificar CEMCI si se proporciona
     if (cemci_id) {
-        const cemciCheck = `SELECT id_cemci FROM cemci WHERE id_cemci = ?`;
+        const cemciCheck = `SELECT id_cemci FROM cemci WHERE id_cemci = ? AND eliminado_en IS NULL`;
         const [cemci] = await executeQuery(cemciCheck, [cemci_id]);
 
         if (!cemci) {
@@ -105,18 +110,23 @@ const getAll = async (filters = {}) => {
             cemci.numero_cemci,
             ep.nombre as estado_procesal_nombre,
             pc.id_proceso as proceso_id,
+            (SELECT COUNT(*) FROM proceso_carpeta pc2
+             WHERE pc2.cems_id = cs.id_cems) as total_procesos,
             (SELECT COUNT(*) FROM medida_sancionadora ms
-             WHERE ms.proceso_id = pc.id_proceso) as total_medidas,
+             WHERE ms.proceso_id = pc.id_proceso AND ms.eliminado_en IS NULL) as total_medidas,
             (SELECT ms.id_medida FROM medida_sancionadora ms
-             WHERE ms.proceso_id = pc.id_proceso
+             WHERE ms.proceso_id = pc.id_proceso AND ms.eliminado_en IS NULL
                 LIMIT 1) as medida_id
         FROM cems cs
             INNER JOIN cj ON cs.cj_id = cj.id_cj
             INNER JOIN cjo ON cs.cjo_id = cjo.id_cjo
             LEFT JOIN cemci ON cs.cemci_id = cemci.id_cemci
             LEFT JOIN estado_procesal ep ON cs.estado_procesal_id = ep.id_estado
-            LEFT JOIN proceso_carpeta pc ON cs.id_cems = pc.cems_id
-        WHERE 1=1
+            LEFT JOIN proceso_carpeta pc ON pc.id_proceso = (
+                -- Con coimputados, el primer proceso vinculado
+                SELECT MIN(pc2.id_proceso) FROM proceso_carpeta pc2 WHERE pc2.cems_id = cs.id_cems
+            )
+        WHERE cs.eliminado_en IS NULL
     `;
     const params = [];
 
@@ -160,18 +170,24 @@ const getById = async (id) => {
             cemci.numero_cemci,
             ep.nombre as estado_procesal_nombre,
             pc.id_proceso as proceso_id,
+            (SELECT COUNT(*) FROM proceso_carpeta pc2
+             WHERE pc2.cems_id = cs.id_cems) as total_procesos,
             (SELECT COUNT(*) FROM medida_sancionadora ms
-             WHERE ms.proceso_id = pc.id_proceso) as total_medidas,
+             WHERE ms.proceso_id = pc.id_proceso AND ms.eliminado_en IS NULL) as total_medidas,
             (SELECT ms.id_medida FROM medida_sancionadora ms
-             WHERE ms.proceso_id = pc.id_proceso
+             WHERE ms.proceso_id = pc.id_proceso AND ms.eliminado_en IS NULL
                 LIMIT 1) as medida_id
         FROM cems cs
             INNER JOIN cj ON cs.cj_id = cj.id_cj
             INNER JOIN cjo ON cs.cjo_id = cjo.id_cjo
             LEFT JOIN cemci ON cs.cemci_id = cemci.id_cemci
             LEFT JOIN estado_procesal ep ON cs.estado_procesal_id = ep.id_estado
-            LEFT JOIN proceso_carpeta pc ON cs.id_cems = pc.cems_id
+            LEFT JOIN proceso_carpeta pc ON pc.id_proceso = (
+                -- Con coimputados, el primer proceso vinculado
+                SELECT MIN(pc2.id_proceso) FROM proceso_carpeta pc2 WHERE pc2.cems_id = cs.id_cems
+            )
         WHERE cs.id_cems = ?
+          AND cs.eliminado_en IS NULL
     `;
 
     const [cems] = await executeQuery(sql, [id]);
@@ -198,6 +214,7 @@ const getByCjoId = async (cjoId) => {
                  INNER JOIN cjo ON cs.cjo_id = cjo.id_cjo
                  LEFT JOIN estado_procesal ep ON cs.estado_procesal_id = ep.id_estado
         WHERE cs.cjo_id = ?
+          AND cs.eliminado_en IS NULL
     `;
 
     const [cems] = await executeQuery(sql, [cjoId]);
@@ -208,11 +225,19 @@ const getByCjoId = async (cjoId) => {
  * ACTUALIZAR CEMS
  */
 const update = async (id, cemsData) => {
-    await getById(id);
+    const actual = await getById(id);
 
     const updates = [];
     const values = [];
 
+    // El estado procesal solo cambia por transiciones permitidas y queda en el historial
+    const cambio = cemsData.estado_procesal_id !== undefined
+        ? await historialEstadoModel.prepararCambio(
+            AMBITO_ESTADO.ESTADO_PROCESAL, actual.estado_procesal_id, cemsData.estado_procesal_id, cemsData,
+            { entidad: 'cems', entidad_id: actual.id_cems }
+        )
+        : null;
+
     const campos = [
         'numero_cems', 'cemci_id', 'fecha_recepcion', 'estado_procesal_id',
         'status', 'jto', 'cmva', 'ceip', 'plan_actividad_fecha_inicio',
@@ -221,6 +246,10 @@ const update = async (id, cemsData) => {
     ];
 
     campos.forEach(campo => {
+        if (campo === 'estado_procesal_id' && !cambio) {
+            return;
+        }
+
         if (cemsData[campo] !== undefined) {
             updates.push(`${campo} = ?`);
             values.push(cemsData[campo]);
@@ -228,6 +257,11 @@ const update = async (id, cemsData) => {
     });
 
     if (updates.length === 0) {
+        // Mismo estado procesal que el actual: no hay cambio que registrar
+        if (cemsData.estado_procesal_id !== undefined) {
+            return actual;
+        }
+
         throw new BadRequestError('No hay campos para actualizar');
     }
 
@@ -239,18 +273,40 @@ const update = async (id, cemsData) => {
         WHERE id_cems = ?
     `;
 
-    await executeQuery(sql, values);
+    await executeTransaction(async (connection) => {
+        await connection.execute(sql, values);
+
+        if (!cambio) {
+            return;
+        }
+
+        // Una entrada por proceso vinculado (coimputados); sin proceso
+        // (carpeta capturada a mano y aún no vinculada) no hay historial
+        const [carpetas] = await connection.execute(
+            `SELECT id_proceso FROM proceso_carpeta WHERE cems_id = ?`,
+            [id]
+        );
+
+        for (const carpeta of carpetas) {
+            await historialEstadoModel.registrar(connection, {
+                proceso_id: carpeta.id_proceso,
+                entidad: 'cems',
+                entidad_id: Number(id),
+                ambito: AMBITO_ESTADO.ESTADO_PROCESAL
+            }, cambio);
+        }
+    });
+
     return await getById(id);
 };
 
 /**
- * ELIMINAR CEMS
+ * ELIMINAR CEMS (a la papelera)
  */
 const remove = async (id) => {
     const cems = await getById(id);
 
-    const sql = `DELETE FROM cems WHERE id_cems = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('cems', id);
 
     return cems;
 };
@@ -265,7 +321,7 @@ const getCount = async (filters = {}) => {
                FROM cems cs
                         INNER JOIN cj ON cs.cj_id = cj.id_cj
                         INNER JOIN cjo ON cs.cjo_id = cjo.id_cjo
-               WHERE 1=1`;
+               WHERE cs.eliminado_en IS NULL`;
 
     const params = [];
 
@@ -302,6 +358,7 @@ const getStats = async () => {
             COUNT(CASE WHEN status = FALSE THEN 1 END) as inactivos,
             COUNT(CASE WHEN declinacion_comperencia = TRUE THEN 1 END) as con_declinacion
         FROM cems
+        WHERE eliminado_en IS NULL
     `;
 
     const [stats] = await executeQuery(sql);
@@ -313,9 +370,11 @@ const getStats = async () => {
  */
 const tieneCems = async (procesoId) => {
     const sql = `
-        SELECT cems_id
-        FROM proceso_carpeta
-        WHERE id_proceso = ?
+        SELECT pc.cems_id
+        FROM proceso_carpeta pc
+                 INNER JOIN cems ON pc.cems_id = cems.id_cems
+        WHERE pc.id_proceso = ?
+          AND cems.eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [procesoId]);
@@ -351,7 +410,7 @@ const updateNumero = async (id, nuevoNumero) => {
     return await getById(id);
 };
 
-module.exports = {
+module.exports = auditarModelo('cems', {
     updateNumero,
     create,
     getAll,
@@ -362,4 +421,11 @@ module.exports = {
     getCount,
     getStats,
     tieneCems
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    updateNumero: 'ACTUALIZAR_NUMERO',
+    remove: 'ELIMINAR'
+}, {
+    proceso: procesoPorCarpeta('cems_id')
+});
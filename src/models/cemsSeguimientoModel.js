@@ -2,6 +2,8 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE CEMS_SEGUIMIENTO
@@ -29,7 +31,7 @@ const create = async (seguimientoData) => {
     } = seguimientoData;
 
     // Verificar que CEMS existe
-    const cemsCheck = `SELECT id_cems FROM cems WHERE id_cems = ?`;
+    const cemsCheck = `SELECT id_cems FROM cems WHERE id_cems = ? AND eliminado_en IS NULL`;
     const [cems] = await executeQuery(cemsCheck, [cems_id]);
 
     if (!cems) {
@@ -37,7 +39,7 @@ const create = async (seguimientoData) => {
     }
 
     // Verificar que proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -101,6 +103,7 @@ const getByCemsId = async (cemsId) => {
     INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE cs.cems_id = ?
+      AND cs.eliminado_en IS NULL
     ORDER BY cs.cumplimiento_orden DESC
   `;
 
@@ -118,6 +121,7 @@ const getByProcesoId = async (procesoId) => {
     FROM cems_seguimiento cs
     INNER JOIN cems ce ON cs.cems_id = ce.id_cems
     WHERE cs.proceso_id = ?
+      AND cs.eliminado_en IS NULL
   `;
 
     const [seguimiento] = await executeQuery(sql, [procesoId]);
@@ -139,6 +143,7 @@ const getById = async (id) => {
     INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE cs.id_seguimiento = ?
+      AND cs.eliminado_en IS NULL
   `;
 
     const [seguimiento] = await executeQuery(sql, [id]);
@@ -195,13 +200,12 @@ const update = async (id, seguimientoData) => {
 };
 
 /**
- * ELIMINAR SEGUIMIENTO
+ * ELIMINAR SEGUIMIENTO (a la papelera)
  */
 const remove = async (id) => {
     const seguimiento = await getById(id);
 
-    const sql = `DELETE FROM cems_seguimiento WHERE id_seguimiento = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('cems_seguimiento', id);
 
     return seguimiento;
 };
@@ -214,6 +218,7 @@ const countByCems = async (cemsId) => {
     SELECT COUNT(*) as total 
     FROM cems_seguimiento 
     WHERE cems_id = ?
+      AND eliminado_en IS NULL
   `;
 
     const [result] = await executeQuery(sql, [cemsId]);
@@ -234,6 +239,7 @@ const getCumplimientoAnticipado = async () => {
     INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE cs.cumplimiento_anticipado = TRUE
+      AND cs.eliminado_en IS NULL
     ORDER BY cs.cumplimiento_orden DESC
   `;
 
@@ -254,6 +260,7 @@ const getSustraidos = async () => {
     INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE cs.se_declaro_sustraido IS NOT NULL
+      AND cs.eliminado_en IS NULL
     ORDER BY cs.se_declaro_sustraido DESC
   `;
 
@@ -274,6 +281,7 @@ const getConOrdenLibrada = async () => {
     INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE cs.se_libra_orden = TRUE
+      AND cs.eliminado_en IS NULL
     ORDER BY cs.cumplimiento_orden DESC
   `;
 
@@ -291,13 +299,14 @@ const getStats = async () => {
       COUNT(CASE WHEN se_libra_orden = TRUE THEN 1 END) as con_orden_librada,
       COUNT(CASE WHEN se_declaro_sustraido IS NOT NULL THEN 1 END) as sustraidos
     FROM cems_seguimiento
+    WHERE eliminado_en IS NULL
   `;
 
     const [stats] = await executeQuery(sql);
     return stats;
 };
 
-module.exports = {
+module.exports = auditarModelo('cems_seguimiento', {
     create,
     getByCemsId,
     getByProcesoId,
@@ -309,4 +318,8 @@ module.exports = {
     getSustraidos,
     getConOrdenLibrada,
     getStats
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+});
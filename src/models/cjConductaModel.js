@@ -2,6 +2,9 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo, procesoPorCarpeta } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
+const { sqlReincidente } = require('../utils/procesosAdolescente');
 
 /**
  * MODELO DE CJ_CONDUCTA
@@ -81,6 +84,7 @@ const getByCjId = async (cjId) => {
                  LEFT JOIN conducta c ON cc.conducta_id = c.id_conducta
                  LEFT JOIN calificativa_delito cal ON cc.calificativa_id = cal.id_calificativa
         WHERE cc.cj_id = ?
+          AND cc.eliminado_en IS NULL
         ORDER BY cc.fecha_conducta DESC, cc.id_conducta DESC
     `;
 
@@ -134,6 +138,7 @@ const getById = async (id) => {
                  LEFT JOIN conducta c ON cc.conducta_id = c.id_conducta
                  LEFT JOIN calificativa_delito cal ON cc.calificativa_id = cal.id_calificativa
         WHERE cc.id_conducta = ?
+          AND cc.eliminado_en IS NULL
     `;
 
     const [conducta] = await executeQuery(sql, [id]);
@@ -245,13 +250,12 @@ const update = async (id, conductaData) => {
 };
 
 /**
- * ELIMINAR CONDUCTA
+ * ELIMINAR CONDUCTA (a la papelera)
  */
 const remove = async (id) => {
     const conducta = await getById(id);
 
-    const sql = `DELETE FROM cj_conducta WHERE id_conducta = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('cj_conducta', id);
 
     return conducta;
 };
@@ -260,7 +264,7 @@ const remove = async (id) => {
  * CONTAR CONDUCTAS DE UNA CJ
  */
 const countByCjId = async (cjId) => {
-    const sql = `SELECT COUNT(*) as total FROM cj_conducta WHERE cj_id = ?`;
+    const sql = `SELECT COUNT(*) as total FROM cj_conducta WHERE cj_id = ? AND eliminado_en IS NULL`;
     const [result] = await executeQuery(sql, [cjId]);
     return result.total;
 };
@@ -276,6 +280,7 @@ const getStats = async () => {
         FROM cj_conducta cc
                  INNER JOIN calificativa_delito cal ON cc.calificativa_id = cal.id_calificativa
         WHERE cc.calificativa_id IS NOT NULL
+          AND cc.eliminado_en IS NULL
         GROUP BY cal.id_calificativa, cal.nombre
         ORDER BY total DESC
     `;
@@ -296,6 +301,7 @@ const getMasFrecuentes = async (limit = 10) => {
             COUNT(cc.id_conducta) as total_casos
         FROM cj_conducta cc
                  INNER JOIN conducta c ON cc.conducta_id = c.id_conducta
+        WHERE cc.eliminado_en IS NULL
         GROUP BY c.id_conducta, c.nombre
         ORDER BY total_casos DESC
         LIMIT ${limitInt}
@@ -316,6 +322,7 @@ const getStatsByDelitoCalificativa = async () => {
         FROM cj_conducta cc
         INNER JOIN conducta c ON cc.conducta_id = c.id_conducta
         INNER JOIN calificativa_delito cal ON cc.calificativa_id = cal.id_calificativa
+        WHERE cc.eliminado_en IS NULL
         GROUP BY c.id_conducta, c.nombre, cal.id_calificativa, cal.nombre
         ORDER BY total DESC
         LIMIT 20
@@ -354,6 +361,8 @@ const getPorMunicipio = async (filters = {}) => {
                     INNER JOIN cj cj2 ON cc2.cj_id = cj2.id_cj
                     INNER JOIN domicilio d2 ON cj2.domicilio_hechos_id = d2.id_domicilio
                 WHERE d2.municipio = d.municipio
+                  AND cc2.eliminado_en IS NULL
+                  AND cj2.eliminado_en IS NULL
                 GROUP BY c2.id_conducta
                 ORDER BY COUNT(*) DESC
                 LIMIT 1
@@ -363,6 +372,8 @@ const getPorMunicipio = async (filters = {}) => {
             INNER JOIN domicilio d ON cj.domicilio_hechos_id = d.id_domicilio
         WHERE d.municipio IS NOT NULL
           AND cc.conducta_id IS NOT NULL
+          AND cc.eliminado_en IS NULL
+          AND cj.eliminado_en IS NULL
           ${whereExtra}
         GROUP BY d.municipio
         ORDER BY total_conductas DESC
@@ -409,6 +420,8 @@ const getPorEdad = async (filters = {}) => {
             INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
             INNER JOIN conducta c ON cc.conducta_id = c.id_conducta
         WHERE a.fecha_nacimiento IS NOT NULL
+          AND cc.eliminado_en IS NULL
+          AND cj.eliminado_en IS NULL
           ${whereExtra}
         GROUP BY rango_edad, c.id_conducta, c.nombre
         HAVING rango_edad IN ('12-13', '14-15', '16-17')
@@ -437,17 +450,28 @@ const getPorEdad = async (filters = {}) => {
 
 /**
  * REINCIDENCIA POR CONDUCTA
+ * Un caso es de reincidente si algún proceso de la CJ tiene procesos previos
  */
 const getReincidencia = async () => {
     const sql = `
         SELECT
             c.nombre                                                                   AS conducta,
             COUNT(*)                                                                   AS total_casos,
-            COUNT(CASE WHEN cj.reincidente = 1 THEN 1 END)                            AS reincidentes,
-            ROUND(COUNT(CASE WHEN cj.reincidente = 1 THEN 1 END) / COUNT(*) * 100, 1) AS porcentaje
-        FROM cj_conducta cc
-            INNER JOIN conducta c ON cc.conducta_id = c.id_conducta
-            INNER JOIN cj ON cc.cj_id = cj.id_cj
+            COUNT(CASE WHEN reincidente THEN 1 END)                                   AS reincidentes,
+            ROUND(COUNT(CASE WHEN reincidente THEN 1 END) / COUNT(*) * 100, 1)        AS porcentaje
+        FROM (
+            SELECT cc.conducta_id,
+                   EXISTS (
+                       SELECT 1 FROM proceso_carpeta pc
+                       WHERE pc.cj_id = cc.cj_id
+                         AND ${sqlReincidente('pc.id_proceso')}
+                   ) AS reincidente
+            FROM cj_conducta cc
+                INNER JOIN cj ON cc.cj_id = cj.id_cj
+            WHERE cc.eliminado_en IS NULL
+              AND cj.eliminado_en IS NULL
+        ) casos
+            INNER JOIN conducta c ON casos.conducta_id = c.id_conducta
         GROUP BY c.id_conducta, c.nombre
         ORDER BY porcentaje DESC, total_casos DESC
     `;
@@ -455,7 +479,7 @@ const getReincidencia = async () => {
     return await executeQuery(sql);
 };
 
-module.exports = {
+module.exports = auditarModelo('cj_conducta', {
     create,
     getByCjId,
     getById,
@@ -468,4 +492,11 @@ module.exports = {
     getPorMunicipio,
     getPorEdad,
     getReincidencia
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+}, {
+    idCreado: (resultado) => resultado.id_conducta,
+    proceso: procesoPorCarpeta('cj_id', 'cj_id')
+});
@@ -2,11 +2,17 @@
 const {pool} = require('../config/database');
 const {executeQuery} = require('../config/database');
 const {NotFoundError, ConflictError, BadRequestError, validateDateSequence} = require('../utils/errorHandler');
+const { auditarModelo, procesoPorCarpeta } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
+const { sqlReincidente } = require('../utils/procesosAdolescente');
 
 /**
  * MODELO DE CJ (Carpeta Judicial)
  *
  * La CJ es el origen de todo proceso judicial
+ *
+ * reincidente no se captura: se calcula con los procesos previos del
+ * adolescente (ver utils/procesosAdolescente)
  */
 
 /**
@@ -35,12 +41,10 @@ const create = async (cjData) => {
         audiencia_intermedia,
         fecha_audiencia_intermedia,
         estatus_carpeta_preliminar,
-        reincidente,
         sustraido,
         fecha_sustraccion,
         medidas_proteccion,
         numero_toca_apelacion,
-        numero_total_audiencias,
         corporacion_ejecutora,
         representante_pp_nnya,
         tipo_representacion_pp_nnya,
@@ -83,11 +87,11 @@ const create = async (cjData) => {
                         suspension_condicional_proceso_prueba, plazo_suspension,
                         fecha_suspension, fecha_terminacion_suspension,
                         audiencia_intermedia, fecha_audiencia_intermedia,
-                        estatus_carpeta_preliminar, reincidente, sustraido, fecha_sustraccion,
+                        estatus_carpeta_preliminar, sustraido, fecha_sustraccion,
                         medidas_proteccion, numero_toca_apelacion, numero_total_audiencias,
                         corporacion_ejecutora, representante_pp_nnya, tipo_representacion_pp_nnya,
                         observaciones, observaciones_adicionales, domicilio_hechos_id)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const result = await executeQuery(sql, [
@@ -112,12 +116,11 @@ const create = async (cjData) => {
         audiencia_intermedia || false,
         fecha_audiencia_intermedia || null,
         estatus_carpeta_preliminar || null,
-        reincidente || false,
         sustraido || false,
         fecha_sustraccion || null,
         medidas_proteccion || null,
         numero_toca_apelacion || null,
-        numero_total_audiencias || 0,
+        0, // numero_total_audiencias: se calcula con las audiencias celebradas
         corporacion_ejecutora || null,
         representante_pp_nnya || null,
         tipo_representacion_pp_nnya || null,
@@ -148,8 +151,8 @@ const getAll = async (filters = {}) => {
         LEFT JOIN proceso_carpeta pc ON c.id_cj = pc.cj_id
         LEFT JOIN proceso p ON pc.id_proceso = p.id_proceso
         LEFT JOIN adolescente a ON p.adolescente_id = a.id_adolescente
-        LEFT JOIN cjo ON c.id_cj = cjo.cj_id
-        WHERE 1=1
+        LEFT JOIN cjo ON c.id_cj = cjo.cj_id AND cjo.eliminado_en IS NULL
+        WHERE c.eliminado_en IS NULL
     `;
 
     const params = [];
@@ -172,7 +175,7 @@ const getAll = async (filters = {}) => {
     }
 
     if (reincidente !== undefined && reincidente !== '') {
-        baseSql += ` AND c.reincidente = ?`;
+        baseSql += ` AND ${sqlReincidente('p.id_proceso')} = ?`;
         params.push(reincidente === '1' || reincidente === 1 || reincidente === true);
     }
 
@@ -182,13 +185,13 @@ const getAll = async (filters = {}) => {
             // Con medidas cautelares
             baseSql += ` AND EXISTS (
                 SELECT 1 FROM medida_cautelar mc 
-                WHERE mc.proceso_id = p.id_proceso
+                WHERE mc.proceso_id = p.id_proceso AND mc.eliminado_en IS NULL
             )`;
         } else {
             // Sin medidas cautelares
             baseSql += ` AND NOT EXISTS (
                 SELECT 1 FROM medida_cautelar mc 
-                WHERE mc.proceso_id = p.id_proceso
+                WHERE mc.proceso_id = p.id_proceso AND mc.eliminado_en IS NULL
             )`;
         }
     }
@@ -202,6 +205,7 @@ const getAll = async (filters = {}) => {
     const dataSql = `
         SELECT 
             c.*,
+            ${sqlReincidente('p.id_proceso')} as reincidente,
             a.nombre as adolescente_nombre,
             a.iniciales as adolescente_iniciales,
             pc.id_proceso,
@@ -210,11 +214,12 @@ const getAll = async (filters = {}) => {
             cjo.numero_cjo,
             (SELECT COUNT(*) 
              FROM medida_cautelar mc 
-             WHERE mc.proceso_id = p.id_proceso) as total_medidas_cautelares,
+             WHERE mc.proceso_id = p.id_proceso AND mc.eliminado_en IS NULL) as total_medidas_cautelares,
             (SELECT COUNT(*) 
              FROM medida_cautelar mc 
              WHERE mc.proceso_id = p.id_proceso 
-             AND mc.revocacion_medida = FALSE) as medidas_activas
+             AND mc.revocacion_medida = FALSE
+             AND mc.eliminado_en IS NULL) as medidas_activas
         ${baseSql}
         ORDER BY c.fecha_ingreso DESC 
         LIMIT ? OFFSET ?
@@ -244,11 +249,18 @@ const getById = async (id) => {
                d.municipio    as domicilio_hechos_municipio,
                d.calle_numero as domicilio_hechos_calle,
                d.colonia      as domicilio_hechos_colonia,
-               pc.id_proceso  as proceso_id
+               pc.id_proceso  as proceso_id,
+               ${sqlReincidente('pc.id_proceso')} as reincidente,
+               (SELECT COUNT(*) FROM proceso_carpeta pc2
+                WHERE pc2.cj_id = c.id_cj) as total_procesos
         FROM cj c
                  LEFT JOIN domicilio d ON c.domicilio_hechos_id = d.id_domicilio
-                 LEFT JOIN proceso_carpeta pc ON c.id_cj = pc.cj_id
+                 LEFT JOIN proceso_carpeta pc ON pc.id_proceso = (
+                     -- Con coimputados, el primer proceso vinculado (ver GET /cj/:id/procesos)
+                     SELECT MIN(pc2.id_proceso) FROM proceso_carpeta pc2 WHERE pc2.cj_id = c.id_cj
+                 )
         WHERE c.id_cj = ?
+          AND c.eliminado_en IS NULL
     `;
 
     const [cj] = await executeQuery(sql, [id]);
@@ -320,8 +332,8 @@ const update = async (id, cjData) => {
         'suspension_condicional_proceso_prueba', 'plazo_suspension',
         'fecha_suspension', 'fecha_terminacion_suspension',
         'audiencia_intermedia', 'fecha_audiencia_intermedia',
-        'estatus_carpeta_preliminar', 'reincidente', 'sustraido', 'fecha_sustraccion',
-        'medidas_proteccion', 'numero_toca_apelacion', 'numero_total_audiencias',
+        'estatus_carpeta_preliminar', 'sustraido', 'fecha_sustraccion',
+        'medidas_proteccion', 'numero_toca_apelacion',
         'corporacion_ejecutora', 'representante_pp_nnya', 'tipo_representacion_pp_nnya',
         'observaciones', 'observaciones_adicionales', 'domicilio_hechos_id'
     ];
@@ -361,7 +373,7 @@ const update = async (id, cjData) => {
 };
 
 /**
- * ELIMINAR CJ
+ * ELIMINAR CJ (a la papelera)
  */
 const remove = async (id) => {
     const cj = await getById(id);
@@ -369,7 +381,8 @@ const remove = async (id) => {
     // Verificar si tiene CJO asociado
     const cjoCheck = `SELECT id_cjo
                       FROM cjo
-                      WHERE cj_id = ?`;
+                      WHERE cj_id = ?
+                        AND eliminado_en IS NULL`;
     const [cjo] = await executeQuery(cjoCheck, [id]);
 
     if (cjo) {
@@ -379,10 +392,7 @@ const remove = async (id) => {
         );
     }
 
-    const sql = `DELETE
-                 FROM cj
-                 WHERE id_cj = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('cj', id);
 
     return cj;
 };
@@ -395,7 +405,7 @@ const getCount = async (filters = {}) => {
 
     let sql = `SELECT COUNT(*) as total
                FROM cj
-               WHERE 1 = 1`;
+               WHERE eliminado_en IS NULL`;
     const params = [];
 
     if (tipo_fuero) {
@@ -408,16 +418,20 @@ const getCount = async (filters = {}) => {
         params.push(vinculacion);
     }
 
+    // Reincidente: algún proceso de la CJ tiene procesos previos
     if (reincidente !== undefined) {
-        sql += ` AND reincidente = ?`;
-        params.push(reincidente);
+        sql += ` AND ${reincidente ? '' : 'NOT '}EXISTS (
+            SELECT 1 FROM proceso_carpeta pcr
+            WHERE pcr.cj_id = cj.id_cj
+              AND ${sqlReincidente('pcr.id_proceso')}
+        )`;
     }
 
     const [result] = await executeQuery(sql, params);
     return result.total;
 };
 
-module.exports = {
+module.exports = auditarModelo('cj', {
     create,
     getAll,
     getById,
@@ -425,4 +439,10 @@ module.exports = {
     update,
     remove,
     getCount
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+}, {
+    proceso: procesoPorCarpeta('cj_id')
+});
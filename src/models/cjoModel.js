@@ -2,13 +2,19 @@
 
 const { executeQuery, executeTransaction } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
-const { generarNumeroCarpeta } = require('../utils/carpetaUtils');
+const { auditarModelo, procesoPorCarpeta } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
+const { resolverTipoSentencia, aplicarFlujoSentencia } = require('../utils/flujoSentencia');
 
 /**
  * MODELO DE CJO (CARPETA JUICIO ORAL)
  *
  * Relación: 1:1 con CJ
  * Se crea cuando el proceso va a juicio oral
+ *
+ * SENTENCIA: tipo_sentencia_id apunta al catálogo tipo_sentencia y la
+ * columna sentencia guarda su nombre. Al dictarla (al crear o al cambiar de
+ * tipo) se aplica su flujo en la misma transacción (utils/flujoSentencia.js).
  */
 
 /**
@@ -22,7 +28,6 @@ const create = async (cjoData) => {
         fuero,
         fecha_ingreso,
         fecha_auto_apertura,
-        sentencia,
         fecha_sentencia,
         monto_reparacion_dano,
         fecha_causo_estado,
@@ -36,7 +41,7 @@ const create = async (cjoData) => {
     } = cjoData;
 
     // Verificar que la CJ existe y obtener su tipo_fuero
-    const cjCheck = `SELECT id_cj, tipo_fuero FROM cj WHERE id_cj = ?`;
+    const cjCheck = `SELECT id_cj, tipo_fuero FROM cj WHERE id_cj = ? AND eliminado_en IS NULL`;
     const [cj] = await executeQuery(cjCheck, [cj_id]);
 
     if (!cj) {
@@ -54,17 +59,19 @@ const create = async (cjoData) => {
     // Si no se proporciona fuero, usar el de CJ
     const fueroFinal = fuero || cj.tipo_fuero;
 
+    const tipoSentencia = await resolverTipoSentencia(cjoData);
+
     // Ejecutar en transacción
     return await executeTransaction(async (connection) => {
         // 1. Crear CJO
         const sql = `
             INSERT INTO cjo (
                 numero_cjo, cj_id, fuero, fecha_ingreso, fecha_auto_apertura,
-                sentencia, fecha_sentencia, monto_reparacion_dano, fecha_causo_estado,
-                toca_apelacion, fecha_sentencia_enviada_ejecucion,
+                sentencia, tipo_sentencia_id, fecha_sentencia, monto_reparacion_dano,
+                fecha_causo_estado, toca_apelacion, fecha_sentencia_enviada_ejecucion,
                 juez_envia, juez_recibe, compurga_totalidad,
                 representante_pp_nnya, tipo_representacion_pp_nnya
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
 
         const [result] = await connection.execute(sql, [
@@ -73,7 +80,8 @@ const create = async (cjoData) => {
             fueroFinal,
             fecha_ingreso || null,
             fecha_auto_apertura || null,
-            sentencia || null,
+            tipoSentencia ? tipoSentencia.nombre : null,
+            tipoSentencia ? tipoSentencia.id_tipo_sentencia : null,
             fecha_sentencia || null,
             monto_reparacion_dano || null,
             fecha_causo_estado || null,
@@ -88,42 +96,25 @@ const create = async (cjoData) => {
 
         const cjo_id = result.insertId;
 
-        // 2. Obtener proceso_id desde proceso_carpeta
-        const procesoSql = `SELECT id_proceso FROM proceso_carpeta WHERE cj_id = ?`;
-        const [rows] = await connection.execute(procesoSql, [cj_id]);
-        const procesoCarpeta = rows[0];
+        // 2. Vincular la CJO a los procesos de la CJ (coimputados incluidos)
+        //    que aún no tienen una
+        const updateSql = `UPDATE proceso_carpeta SET cjo_id = ? WHERE cj_id = ? AND cjo_id IS NULL`;
+        const [update] = await connection.execute(updateSql, [cjo_id, cj_id]);
 
-        if (!procesoCarpeta) {
+        if (update.affectedRows === 0) {
             throw new Error('No se encontró el proceso asociado a la CJ');
         }
 
-        // 3. Actualizar proceso_carpeta con CJO
-        const updateSql = `UPDATE proceso_carpeta SET cjo_id = ? WHERE id_proceso = ?`;
-        await connection.execute(updateSql, [cjo_id, procesoCarpeta.id_proceso]);
-
-        // 4. Si la sentencia es CONDENATORIA o MIXTA, crear CEMS
-        let cems_id = null;
-        if (sentencia &&
-            (sentencia.toLowerCase().includes('condenatori') ||
-                sentencia.toLowerCase().includes('mixta'))) {
-
-            const numeroCems = await generarNumeroCarpeta('CEMS');
-
-            const cemsSql = `INSERT INTO cems (numero_cems, cj_id, cjo_id) VALUES (?, ?, ?)`;
-            const [cemsResult] = await connection.execute(cemsSql, [numeroCems, cj_id, cjo_id]);
-
-            cems_id = cemsResult.insertId;
-
-            await connection.execute(
-                `UPDATE proceso_carpeta SET cems_id = ? WHERE id_proceso = ?`,
-                [cems_id, procesoCarpeta.id_proceso]
-            );
-        }
+        // 3. Flujo de la sentencia (CEMS, conclusión del proceso, CEMCI)
+        const flujo = tipoSentencia
+            ? await aplicarFlujoSentencia(connection, { id_cjo: cjo_id, cj_id }, tipoSentencia)
+            : null;
 
         return {
             cjo_id,
-            cems_creado: !!cems_id,
-            cems_id
+            cems_creado: !!(flujo && flujo.cems_creado),
+            cems_id: flujo ? flujo.cems_id : null,
+            flujo_sentencia: flujo
         };
     });
 };
@@ -132,13 +123,13 @@ const create = async (cjoData) => {
  * OBTENER TODAS LAS CJO
  */
 const getAll = async (filters = {}) => {
-    const { fuero, sentencia, search, limit = 10, offset = 0 } = filters;
+    const { fuero, sentencia, tipo_sentencia_id, search, limit = 10, offset = 0 } = filters;
 
     let sql = `
         SELECT cjo.*, cj.numero_cj
         FROM cjo
                  INNER JOIN cj ON cjo.cj_id = cj.id_cj
-        WHERE 1=1
+        WHERE cjo.eliminado_en IS NULL
     `;
     const params = [];
 
@@ -158,6 +149,11 @@ const getAll = async (filters = {}) => {
         params.push(`%${sentencia}%`);
     }
 
+    if (tipo_sentencia_id) {
+        sql += ` AND cjo.tipo_sentencia_id = ?`;
+        params.push(tipo_sentencia_id);
+    }
+
     sql += ` ORDER BY cjo.fecha_ingreso DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`;
     return await executeQuery(sql, params);
 };
@@ -171,6 +167,7 @@ const getById = async (id) => {
         FROM cjo
                  INNER JOIN cj ON cjo.cj_id = cj.id_cj
         WHERE cjo.id_cjo = ?
+          AND cjo.eliminado_en IS NULL
     `;
 
     const [cjo] = await executeQuery(sql, [id]);
@@ -186,16 +183,30 @@ const getById = async (id) => {
  * OBTENER POR CJ_ID
  */
 const getByCjId = async (cjId) => {
-    const sql = `SELECT * FROM cjo WHERE cj_id = ?`;
+    const sql = `SELECT * FROM cjo WHERE cj_id = ? AND eliminado_en IS NULL`;
     const [cjo] = await executeQuery(sql, [cjId]);
     return cjo || null;
 };
 
 /**
  * ACTUALIZAR CJO
+ * Si cambia el tipo de sentencia se aplica el flujo del nuevo tipo
  */
 const update = async (id, cjoData) => {
     const cjoActual = await getById(id);
+    const datos = { ...cjoData };
+
+    let tipoSentencia = null;
+
+    if (datos.tipo_sentencia_id !== undefined || datos.sentencia !== undefined) {
+        tipoSentencia = await resolverTipoSentencia(datos);
+
+        datos.tipo_sentencia_id = tipoSentencia ? tipoSentencia.id_tipo_sentencia : null;
+        datos.sentencia = tipoSentencia ? tipoSentencia.nombre : null;
+    }
+
+    const cambiaSentencia = !!tipoSentencia
+        && tipoSentencia.id_tipo_sentencia !== cjoActual.tipo_sentencia_id;
 
     const updates = [];
     const values = [];
@@ -203,16 +214,16 @@ const update = async (id, cjoData) => {
     // NOTA: 'fuero' NO está en la lista porque solo se actualiza desde CJ
     const campos = [
         'numero_cjo', 'fecha_ingreso', 'fecha_auto_apertura',
-        'sentencia', 'fecha_sentencia', 'monto_reparacion_dano', 'fecha_causo_estado',
-        'toca_apelacion', 'fecha_sentencia_enviada_ejecucion',
+        'sentencia', 'tipo_sentencia_id', 'fecha_sentencia', 'monto_reparacion_dano',
+        'fecha_causo_estado', 'toca_apelacion', 'fecha_sentencia_enviada_ejecucion',
         'juez_envia', 'juez_recibe', 'compurga_totalidad',
         'representante_pp_nnya', 'tipo_representacion_pp_nnya'
     ];
 
     campos.forEach(campo => {
-        if (cjoData[campo] !== undefined) {
+        if (datos[campo] !== undefined) {
             updates.push(`${campo} = ?`);
-            values.push(cjoData[campo]);
+            values.push(datos[campo]);
         }
     });
 
@@ -222,61 +233,29 @@ const update = async (id, cjoData) => {
 
     values.push(id);
 
-    return await executeTransaction(async (connection) => {
+    const flujo = await executeTransaction(async (connection) => {
         const sql = `UPDATE cjo SET ${updates.join(', ')} WHERE id_cjo = ?`;
         await connection.execute(sql, values);
 
-        let cems_id = null;
-
-        if (cjoData.sentencia &&
-            (cjoData.sentencia.toLowerCase().includes('condenatori') ||
-                cjoData.sentencia.toLowerCase().includes('mixta')) &&
-            (!cjoActual.sentencia ||
-                (!cjoActual.sentencia.toLowerCase().includes('condenatori') &&
-                    !cjoActual.sentencia.toLowerCase().includes('mixta')))) {
-
-            const cemsCheck = `
-                SELECT cems_id FROM proceso_carpeta pc
-                                        INNER JOIN cjo ON pc.cjo_id = cjo.id_cjo
-                WHERE cjo.id_cjo = ?
-            `;
-            const [cemsRows] = await connection.execute(cemsCheck, [id]);
-            const pc = cemsRows[0];
-
-            if (!pc || !pc.cems_id) {
-                const procesoSql = `SELECT id_proceso FROM proceso_carpeta WHERE cjo_id = ?`;
-                const [procesoRows] = await connection.execute(procesoSql, [id]);
-                const proceso = procesoRows[0];
-
-                const numeroCems = await generarNumeroCarpeta('CEMS');
-
-                const cemsSql = `INSERT INTO cems (numero_cems, cj_id, cjo_id) VALUES (?, ?, ?)`;
-                const [cemsResult] = await connection.execute(cemsSql, [numeroCems, cjoActual.cj_id, id]);
-
-                cems_id = cemsResult.insertId;
-
-                await connection.execute(
-                    `UPDATE proceso_carpeta SET cems_id = ? WHERE id_proceso = ?`,
-                    [cems_id, proceso.id_proceso]
-                );
-            }
-        }
-
-        return {
-            cjo: await getById(id),
-            cems_creado: !!cems_id,
-            cems_id
-        };
+        return cambiaSentencia
+            ? await aplicarFlujoSentencia(connection, cjoActual, tipoSentencia)
+            : null;
     });
+
+    return {
+        cjo: await getById(id),
+        cems_creado: !!(flujo && flujo.cems_creado),
+        cems_id: flujo ? flujo.cems_id : null,
+        flujo_sentencia: flujo
+    };
 };
 
 /**
- * ELIMINAR CJO
+ * ELIMINAR CJO (a la papelera)
  */
 const remove = async (id) => {
     const cjo = await getById(id);
-    const sql = `DELETE FROM cjo WHERE id_cjo = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('cjo', id);
     return cjo;
 };
 
@@ -285,7 +264,7 @@ const remove = async (id) => {
  */
 const getCount = async (filters = {}) => {
     const { fuero } = filters;
-    let sql = `SELECT COUNT(*) as total FROM cjo WHERE 1=1`;
+    let sql = `SELECT COUNT(*) as total FROM cjo WHERE eliminado_en IS NULL`;
     const params = [];
 
     if (fuero) {
@@ -299,25 +278,44 @@ const getCount = async (filters = {}) => {
 
 /**
  * ESTADÍSTICAS
+ * Por tipo del catálogo; generan_cems cuenta los tipos con crea_cems
  */
 const getStats = async () => {
     const sql = `
         SELECT
             COUNT(*) as total,
-            SUM(CASE WHEN sentencia LIKE '%condenatori%' THEN 1 ELSE 0 END) as condenatorias,
-            SUM(CASE WHEN sentencia LIKE '%mixta%' THEN 1 ELSE 0 END) as mixtas,
-            SUM(CASE WHEN sentencia LIKE '%absolutori%' THEN 1 ELSE 0 END) as absolutorias,
-            SUM(CASE WHEN sentencia IS NULL THEN 1 ELSE 0 END) as sin_sentencia,
-            SUM(CASE WHEN sentencia LIKE '%condenatori%' OR sentencia LIKE '%mixta%' THEN 1 ELSE 0 END) as generan_cems,
-            AVG(monto_reparacion_dano) as promedio_reparacion
+            SUM(CASE WHEN ts.nombre = 'Condenatoria' THEN 1 ELSE 0 END) as condenatorias,
+            SUM(CASE WHEN ts.nombre = 'Mixta' THEN 1 ELSE 0 END) as mixtas,
+            SUM(CASE WHEN ts.nombre = 'Absolutoria' THEN 1 ELSE 0 END) as absolutorias,
+            SUM(CASE WHEN cjo.tipo_sentencia_id IS NULL THEN 1 ELSE 0 END) as sin_sentencia,
+            SUM(CASE WHEN ts.crea_cems THEN 1 ELSE 0 END) as generan_cems,
+            SUM(CASE WHEN ts.concluye_proceso THEN 1 ELSE 0 END) as concluyen_proceso,
+            AVG(cjo.monto_reparacion_dano) as promedio_reparacion
         FROM cjo
+                 LEFT JOIN tipo_sentencia ts ON cjo.tipo_sentencia_id = ts.id_tipo_sentencia
+        WHERE cjo.eliminado_en IS NULL
     `;
 
-    const [stats] = await executeQuery(sql);
-    return stats;
+    const porTipoSql = `
+        SELECT ts.id_tipo_sentencia as tipo_sentencia_id,
+               ts.nombre            as tipo,
+               COUNT(*)             as total
+        FROM cjo
+                 INNER JOIN tipo_sentencia ts ON cjo.tipo_sentencia_id = ts.id_tipo_sentencia
+        WHERE cjo.eliminado_en IS NULL
+        GROUP BY ts.id_tipo_sentencia, ts.nombre
+        ORDER BY total DESC
+    `;
+
+    const [[stats], porTipo] = await Promise.all([
+        executeQuery(sql),
+        executeQuery(porTipoSql)
+    ]);
+
+    return { ...stats, por_tipo: porTipo };
 };
 
-module.exports = {
+module.exports = auditarModelo('cjo', {
     create,
     getAll,
     getById,
@@ -326,4 +324,11 @@ module.exports = {
     remove,
     getCount,
     getStats
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+}, {
+    idCreado: (resultado) => resultado.cjo_id,
+    proceso: procesoPorCarpeta('cjo_id')
+});
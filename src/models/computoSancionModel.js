@@ -0,0 +1,257 @@
+// src/models/computoSancionModel.js
+
+const { executeQuery, executeTransaction } = require('../config/database');
+const condenaModel = require('./condenaModel');
+const internamientoModel = require('./internamientoModel');
+const { BadRequestError } = require('../utils/errorHandler');
+const { registrarAuditoria } = require('../utils/auditoria');
+const {
+    toFechaISO,
+    hoyISO,
+    sumarDiasNaturales,
+    diferenciaDias,
+    sumarMeses
+} = require('../utils/calendario');
+
+/**
+ * CÓMPUTO DE LA SANCIÓN
+ *
+ * Fecha de compurgación = inicio_computo_sancion
+ *                         + suma de las medidas sancionadoras (años, meses, días)
+ *                         - días en medidas cautelares privativas (abono)
+ *
+ * Medidas cautelares privativas: las de tipos con genera_cemci = TRUE.
+ * Cada periodo corre de fecha_medida_cautelar al día de su revocación
+ * (inclusive) y se corta en inicio_computo_sancion; los periodos que se
+ * enciman se cuentan una sola vez.
+ *
+ * La fecha de cumplimiento del internamiento se calcula igual, pero solo
+ * con las medidas privativas (tipo_medida_sancionadora.es_privativa).
+ */
+
+/**
+ * Sumar años, meses y días de un conjunto de medidas
+ */
+const sumarPlazos = (medidas) => medidas.reduce((total, medida) => ({
+    anios: total.anios + (medida.plazo_anios || 0),
+    meses: total.meses + (medida.plazo_meses || 0),
+    dias: total.dias + (medida.plazo_dias || 0)
+}), { anios: 0, meses: 0, dias: 0 });
+
+/**
+ * Aplicar una duración (años, meses, días) a una fecha
+ */
+const aplicarDuracion = (fechaISO, duracion) => {
+    const conMeses = sumarMeses(fechaISO, duracion.anios * 12 + duracion.meses);
+    return sumarDiasNaturales(conMeses, duracion.dias);
+};
+
+/**
+ * Periodos en medidas cautelares privativas, acotados al inicio del cómputo
+ * Sin inicio del cómputo, los periodos abiertos corren hasta hoy
+ */
+const getPeriodosPrivativos = async (procesoId, inicioComputo, hoy) => {
+    const sql = `
+    SELECT
+      mc.id_medida_cautelar,
+      mc.fecha_medida_cautelar,
+      mc.fecha_revocacion_medida,
+      tmc.nombre as tipo_medida_nombre
+    FROM medida_cautelar mc
+    INNER JOIN tipo_medida_cautelar tmc ON mc.tipo_medida_cautelar_id = tmc.id_tipo_medida_cautelar
+    WHERE mc.proceso_id = ?
+      AND tmc.genera_cemci = TRUE
+      AND mc.fecha_medida_cautelar IS NOT NULL
+      AND mc.eliminado_en IS NULL
+    ORDER BY mc.fecha_medida_cautelar ASC
+  `;
+
+    const medidas = await executeQuery(sql, [procesoId]);
+    const corte = inicioComputo || sumarDiasNaturales(hoy, 1);
+
+    return medidas
+        .map(medida => {
+            const desde = toFechaISO(medida.fecha_medida_cautelar);
+            const revocacion = toFechaISO(medida.fecha_revocacion_medida);
+
+            // Fin exclusivo: el día de la revocación sí cuenta
+            const finRevocacion = revocacion ? sumarDiasNaturales(revocacion, 1) : corte;
+            const hasta = finRevocacion < corte ? finRevocacion : corte;
+
+            return {
+                medida_cautelar_id: medida.id_medida_cautelar,
+                tipo_medida_nombre: medida.tipo_medida_nombre,
+                desde,
+                hasta: sumarDiasNaturales(hasta, -1),
+                dias: Math.max(0, diferenciaDias(desde, hasta))
+            };
+        })
+        .filter(periodo => periodo.dias > 0);
+};
+
+/**
+ * Días cubiertos por los periodos sin contar dos veces los que se enciman
+ */
+const contarDiasSinTraslape = (periodos) => {
+    let total = 0;
+    let finAnterior = null;
+
+    [...periodos]
+        .sort((a, b) => a.desde.localeCompare(b.desde))
+        .forEach(periodo => {
+            const finExclusivo = sumarDiasNaturales(periodo.hasta, 1);
+            const desde = finAnterior && finAnterior > periodo.desde ? finAnterior : periodo.desde;
+
+            if (finExclusivo > desde) {
+                total += diferenciaDias(desde, finExclusivo);
+                finAnterior = finExclusivo;
+            }
+        });
+
+    return total;
+};
+
+/**
+ * Fecha de fin descontando el abono (nunca antes del inicio del cómputo)
+ */
+const calcularFin = (inicio, duracion, diasAbono) => {
+    if (!inicio) return null;
+
+    const finSinAbono = aplicarDuracion(inicio, duracion);
+    const fin = sumarDiasNaturales(finSinAbono, -diasAbono);
+
+    return fin < inicio ? inicio : fin;
+};
+
+/**
+ * CALCULAR CÓMPUTO DE UNA CONDENA
+ */
+const calcular = async (condenaId) => {
+    const condena = await condenaModel.getById(condenaId);
+    const hoy = hoyISO();
+    const inicio = toFechaISO(condena.inicio_computo_sancion);
+
+    const medidas = await executeQuery(`
+    SELECT
+      ms.id_medida,
+      ms.plazo_anios,
+      ms.plazo_meses,
+      ms.plazo_dias,
+      tms.nombre as tipo_nombre,
+      tms.es_privativa
+    FROM medida_sancionadora ms
+    INNER JOIN tipo_medida_sancionadora tms
+      ON ms.tipo_medida_sancionadora_id = tms.id_tipo_medida_sancionadora
+    WHERE ms.proceso_id = ?
+      AND ms.eliminado_en IS NULL
+    ORDER BY ms.id_medida ASC
+  `, [condena.proceso_id]);
+
+    const periodos = await getPeriodosPrivativos(condena.proceso_id, inicio, hoy);
+    const diasAbono = contarDiasSinTraslape(periodos);
+
+    const duracion = sumarPlazos(medidas);
+    const duracionPrivativa = sumarPlazos(medidas.filter(medida => medida.es_privativa));
+    const tienePrivativas = medidas.some(medida => medida.es_privativa);
+
+    const fechaCompurga = calcularFin(inicio, duracion, diasAbono);
+    const fechaFinInternamiento = tienePrivativas
+        ? calcularFin(inicio, duracionPrivativa, diasAbono)
+        : null;
+
+    // Días compurgados: abono + días transcurridos desde el inicio del cómputo
+    let diasCompurgados = diasAbono;
+    let diasRestantes = null;
+
+    if (inicio && fechaCompurga) {
+        const corte = hoy < fechaCompurga ? hoy : fechaCompurga;
+        diasCompurgados += Math.max(0, diferenciaDias(inicio, corte));
+        diasRestantes = Math.max(0, diferenciaDias(hoy, fechaCompurga));
+    }
+
+    return {
+        condena_id: condena.id_condena,
+        proceso_id: condena.proceso_id,
+        inicio_computo_sancion: inicio,
+        medidas,
+        duracion,
+        duracion_total_dias: inicio ? diferenciaDias(inicio, aplicarDuracion(inicio, duracion)) : null,
+        abono: {
+            dias: diasAbono,
+            periodos
+        },
+        fecha_compurga: fechaCompurga,
+        fecha_cumplimiento_internamiento: fechaFinInternamiento,
+        dias_compurgados: diasCompurgados,
+        dias_restantes: diasRestantes,
+        compurgada: fechaCompurga ? fechaCompurga <= hoy : false,
+        compurga_registrada: toFechaISO(condena.compurga)
+    };
+};
+
+/**
+ * APLICAR CÓMPUTO
+ * Guarda la fecha calculada en condena.compurga y, si el proceso tiene
+ * internamiento y medidas privativas, en internamiento.fecha_cumplimiento
+ */
+const aplicar = async (condenaId) => {
+    const computo = await calcular(condenaId);
+
+    if (!computo.inicio_computo_sancion) {
+        throw new BadRequestError('La condena no tiene inicio_computo_sancion; no se puede calcular la compurgación');
+    }
+
+    if (computo.medidas.length === 0) {
+        throw new BadRequestError('El proceso no tiene medidas sancionadoras registradas');
+    }
+
+    const condena = await condenaModel.getById(condenaId);
+    const internamiento = await internamientoModel.getByProcesoId(computo.proceso_id);
+    const actualizarInternamiento = !!(internamiento && computo.fecha_cumplimiento_internamiento);
+
+    // Condena e internamiento se guardan juntos (y se auditan en la misma transacción)
+    await executeTransaction(async (connection) => {
+        await connection.execute(
+            `UPDATE condena SET compurga = ? WHERE id_condena = ?`,
+            [computo.fecha_compurga, condenaId]
+        );
+
+        await registrarAuditoria({
+            connection,
+            entidad: 'condena',
+            entidadId: Number(condenaId),
+            procesoId: computo.proceso_id,
+            accion: 'ACTUALIZAR',
+            antes: { compurga: toFechaISO(condena.compurga) },
+            despues: { compurga: computo.fecha_compurga }
+        });
+
+        if (actualizarInternamiento) {
+            await connection.execute(
+                `UPDATE internamiento SET fecha_cumplimiento = ? WHERE id_internamiento = ?`,
+                [computo.fecha_cumplimiento_internamiento, internamiento.id_internamiento]
+            );
+
+            await registrarAuditoria({
+                connection,
+                entidad: 'internamiento',
+                entidadId: internamiento.id_internamiento,
+                procesoId: computo.proceso_id,
+                accion: 'ACTUALIZAR',
+                antes: { fecha_cumplimiento: toFechaISO(internamiento.fecha_cumplimiento) },
+                despues: { fecha_cumplimiento: computo.fecha_cumplimiento_internamiento }
+            });
+        }
+    });
+
+    return {
+        ...computo,
+        compurga_registrada: computo.fecha_compurga,
+        internamiento_actualizado: actualizarInternamiento
+    };
+};
+
+module.exports = {
+    calcular,
+    aplicar
+};
@@ -2,6 +2,8 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE CONDENA
@@ -23,7 +25,7 @@ const create = async (condenaData) => {
     } = condenaData;
 
     // Verificar que el proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -75,7 +77,7 @@ const getAll = async (filters = {}) => {
     INNER JOIN proceso p ON c.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     LEFT JOIN tipo_reparacion tr ON c.tipo_reparacion_id = tr.id_tipo_reparacion
-    WHERE 1=1
+    WHERE c.eliminado_en IS NULL
   `;
     const params = [];
 
@@ -104,6 +106,7 @@ const getById = async (id) => {
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     LEFT JOIN tipo_reparacion tr ON c.tipo_reparacion_id = tr.id_tipo_reparacion
     WHERE c.id_condena = ?
+      AND c.eliminado_en IS NULL
   `;
 
     const [condena] = await executeQuery(sql, [id]);
@@ -126,6 +129,7 @@ const getByProcesoId = async (procesoId) => {
     FROM condena c
     LEFT JOIN tipo_reparacion tr ON c.tipo_reparacion_id = tr.id_tipo_reparacion
     WHERE c.proceso_id = ?
+      AND c.eliminado_en IS NULL
   `;
 
     const [condena] = await executeQuery(sql, [procesoId]);
@@ -192,13 +196,12 @@ const marcarCumplida = async (id) => {
 };
 
 /**
- * ELIMINAR CONDENA
+ * ELIMINAR CONDENA (a la papelera)
  */
 const remove = async (id) => {
     const condena = await getById(id);
 
-    const sql = `DELETE FROM condena WHERE id_condena = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('condena', id);
 
     return condena;
 };
@@ -214,13 +217,14 @@ const getStats = async () => {
       COUNT(CASE WHEN cumplida = FALSE THEN 1 END) as activas,
       COUNT(CASE WHEN tipo_reparacion_id IS NOT NULL THEN 1 END) as con_reparacion
     FROM condena
+    WHERE eliminado_en IS NULL
   `;
 
     const [stats] = await executeQuery(sql);
     return stats;
 };
 
-module.exports = {
+module.exports = auditarModelo('condena', {
     create,
     getAll,
     getById,
@@ -229,4 +233,9 @@ module.exports = {
     marcarCumplida,
     remove,
     getStats
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    marcarCumplida: 'MARCAR_CUMPLIDA',
+    remove: 'ELIMINAR'
+});
@@ -0,0 +1,155 @@
+// src/models/diaInhabilModel.js
+
+const { executeQuery } = require('../config/database');
+const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { toFechaISO } = require('../utils/calendario');
+
+/**
+ * MODELO DE DÍAS INHÁBILES
+ *
+ * Calendario del tribunal: fechas (además de sábados y domingos) en las
+ * que no corren los plazos en días hábiles.
+ */
+
+/**
+ * Validar y normalizar la fecha recibida
+ */
+const validarFecha = (fecha) => {
+    const fechaISO = toFechaISO(fecha);
+
+    if (!fechaISO || isNaN(new Date(`${fechaISO}T00:00:00Z`).getTime())) {
+        throw new BadRequestError('Formato de fecha inválido (use YYYY-MM-DD)');
+    }
+
+    return fechaISO;
+};
+
+/**
+ * OBTENER TODOS
+ * Filtros: anio, fecha_desde, fecha_hasta
+ */
+const getAll = async (filters = {}) => {
+    const { anio, fecha_desde, fecha_hasta } = filters;
+
+    let sql = `SELECT * FROM dia_inhabil WHERE 1=1`;
+    const params = [];
+
+    if (anio) {
+        sql += ` AND YEAR(fecha) = ?`;
+        params.push(anio);
+    }
+
+    if (fecha_desde) {
+        sql += ` AND fecha >= ?`;
+        params.push(fecha_desde);
+    }
+
+    if (fecha_hasta) {
+        sql += ` AND fecha <= ?`;
+        params.push(fecha_hasta);
+    }
+
+    sql += ` ORDER BY fecha ASC`;
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * OBTENER POR ID
+ */
+const getById = async (id) => {
+    const sql = `SELECT * FROM dia_inhabil WHERE id_dia_inhabil = ?`;
+    const [dia] = await executeQuery(sql, [id]);
+
+    if (!dia) {
+        throw new NotFoundError('Día inhábil no encontrado');
+    }
+
+    return dia;
+};
+
+/**
+ * Verificar que la fecha no esté registrada en otro día
+ */
+const verificarFechaDisponible = async (fecha, excludeId = null) => {
+    let sql = `SELECT id_dia_inhabil FROM dia_inhabil WHERE fecha = ?`;
+    const params = [fecha];
+
+    if (excludeId) {
+        sql += ` AND id_dia_inhabil != ?`;
+        params.push(excludeId);
+    }
+
+    const [existente] = await executeQuery(sql, params);
+
+    if (existente) {
+        throw new ConflictError(`La fecha ${fecha} ya está registrada como día inhábil`);
+    }
+};
+
+/**
+ * CREAR
+ */
+const create = async (data) => {
+    const fecha = validarFecha(data.fecha);
+    await verificarFechaDisponible(fecha);
+
+    const sql = `INSERT INTO dia_inhabil (fecha, descripcion) VALUES (?, ?)`;
+    const result = await executeQuery(sql, [fecha, data.descripcion]);
+
+    return await getById(result.insertId);
+};
+
+/**
+ * ACTUALIZAR
+ */
+const update = async (id, data) => {
+    const actual = await getById(id);
+
+    const fecha = data.fecha !== undefined ? validarFecha(data.fecha) : toFechaISO(actual.fecha);
+    await verificarFechaDisponible(fecha, id);
+
+    const sql = `UPDATE dia_inhabil SET fecha = ?, descripcion = ? WHERE id_dia_inhabil = ?`;
+    await executeQuery(sql, [
+        fecha,
+        data.descripcion !== undefined ? data.descripcion : actual.descripcion,
+        id
+    ]);
+
+    return await getById(id);
+};
+
+/**
+ * ELIMINAR
+ */
+const remove = async (id) => {
+    const dia = await getById(id);
+
+    await executeQuery(`DELETE FROM dia_inhabil WHERE id_dia_inhabil = ?`, [id]);
+
+    return dia;
+};
+
+/**
+ * OBTENER FECHAS INHÁBILES A PARTIR DE UNA FECHA
+ * Para el cálculo de plazos en días hábiles
+ *
+ * @returns {Promise<Set<string>>} - Fechas 'YYYY-MM-DD'
+ */
+const getFechasDesde = async (fechaDesde) => {
+    const rows = await executeQuery(
+        `SELECT fecha FROM dia_inhabil WHERE fecha >= ? ORDER BY fecha`,
+        [fechaDesde]
+    );
+
+    return new Set(rows.map(row => toFechaISO(row.fecha)));
+};
+
+module.exports = {
+    getAll,
+    getById,
+    create,
+    update,
+    remove,
+    getFechasDesde
+};
@@ -2,6 +2,8 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE DOMICILIOS
@@ -34,7 +36,7 @@ const create = async (domicilioData) => {
  * OBTENER POR ID
  */
 const getById = async (id) => {
-    const sql = `SELECT * FROM domicilio WHERE id_domicilio = ?`;
+    const sql = `SELECT * FROM domicilio WHERE id_domicilio = ? AND eliminado_en IS NULL`;
     const [domicilio] = await executeQuery(sql, [id]);
 
     if (!domicilio) {
@@ -74,29 +76,27 @@ const update = async (id, domicilioData) => {
 };
 
 /**
- * ELIMINAR DOMICILIO
+ * ELIMINAR DOMICILIO (a la papelera)
  * Solo si no está siendo usado por ningún adolescente
  */
 const remove = async (id) => {
     const domicilio = await getById(id);
 
-    const sql = `DELETE FROM domicilio WHERE id_domicilio = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('domicilio', id);
 
     return domicilio;
 };
 
 /**
- * VERIFICAR SI DOMICILIO ESTÁ EN USO
+ * VERIFICAR SI DOMICILIO ESTÁ EN USO (adolescente o tutor)
  */
 const isInUse = async (id) => {
     const sql = `
-        SELECT COUNT(*) as count
-        FROM adolescente
-        WHERE domicilio_id = ?
+        SELECT (SELECT COUNT(*) FROM adolescente WHERE domicilio_id = ? AND eliminado_en IS NULL) +
+               (SELECT COUNT(*) FROM tutor WHERE domicilio_id = ? AND eliminado_en IS NULL) as count
     `;
 
-    const [result] = await executeQuery(sql, [id]);
+    const [result] = await executeQuery(sql, [id, id]);
     return result.count > 0;
 };
 
@@ -106,7 +106,7 @@ const isInUse = async (id) => {
 const getAll = async (filters = {}) => {
     const { es_lugar_hechos, search } = filters;
 
-    let sql = `SELECT * FROM domicilio WHERE 1=1`;
+    let sql = `SELECT * FROM domicilio WHERE eliminado_en IS NULL`;
     const params = [];
 
     // Filtrar por tipo
@@ -130,7 +130,7 @@ const getAll = async (filters = {}) => {
  * OBTENER SOLO DOMICILIOS PERSONALES (adolescentes)
  */
 const getDomiciliosPersonales = async () => {
-    const sql = `SELECT * FROM domicilio WHERE es_lugar_hechos = FALSE`;
+    const sql = `SELECT * FROM domicilio WHERE es_lugar_hechos = FALSE AND eliminado_en IS NULL`;
     return await executeQuery(sql);
 };
 
@@ -138,11 +138,11 @@ const getDomiciliosPersonales = async () => {
  * OBTENER SOLO LUGARES DE HECHOS
  */
 const getLugaresHechos = async () => {
-    const sql = `SELECT * FROM domicilio WHERE es_lugar_hechos = TRUE`;
+    const sql = `SELECT * FROM domicilio WHERE es_lugar_hechos = TRUE AND eliminado_en IS NULL`;
     return await executeQuery(sql);
 };
 
-module.exports = {
+module.exports = auditarModelo('domicilio', {
     create,
     getById,
     update,
@@ -151,4 +151,10 @@ module.exports = {
     getAll,
     getDomiciliosPersonales,
     getLugaresHechos
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+}, {
+    idCreado: (resultado) => resultado.id_domicilio
+});
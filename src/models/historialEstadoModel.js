@@ -0,0 +1,383 @@
+// src/models/historialEstadoModel.js
+
+const { executeQuery } = require('../config/database');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const { getRequestContext } = require('../middlewares/requestContext');
+const { toFechaISO, hoyISO } = require('../utils/calendario');
+const { AMBITO_ESTADO } = require('../config/constants');
+
+/**
+ * MODELO DE HISTORIAL DE ESTADOS
+ *
+ * - transicion_estado: cambios permitidos por ámbito (origen -> destino).
+ *   Asignar el primer estado (sin estado anterior) siempre se permite.
+ * - historial_estado: cada cambio de proceso.status_id o del
+ *   estado_procesal_id de CEMCI/CEMS, con motivo y fecha.
+ *
+ * Los modelos de proceso, CEMCI y CEMS usan prepararCambio() antes de
+ * actualizar y registrar() dentro de la misma transacción.
+ */
+
+// Catálogo de cada ámbito
+const CATALOGO = {
+    [AMBITO_ESTADO.STATUS]: { tabla: 'status', id: 'id_status' },
+    [AMBITO_ESTADO.ESTADO_PROCESAL]: { tabla: 'estado_procesal', id: 'id_estado' }
+};
+
+const MOTIVO_INICIAL = 'Estado inicial';
+
+// Entidades con historial por ámbito
+const ENTIDADES = {
+    [AMBITO_ESTADO.STATUS]: ['proceso'],
+    [AMBITO_ESTADO.ESTADO_PROCESAL]: ['cemci', 'cems']
+};
+
+const validarAmbito = (ambito) => {
+    if (!CATALOGO[ambito]) {
+        throw new BadRequestError(`ambito debe ser uno de: ${Object.keys(CATALOGO).join(', ')}`);
+    }
+
+    return CATALOGO[ambito];
+};
+
+/**
+ * Nombre de un estado del catálogo (NotFound si no existe)
+ */
+const getEstado = async (ambito, id) => {
+    const catalogo = validarAmbito(ambito);
+
+    const [estado] = await executeQuery(
+        `SELECT ${catalogo.id} as id, nombre FROM ${catalogo.tabla} WHERE ${catalogo.id} = ?`,
+        [id]
+    );
+
+    if (!estado) {
+        throw new NotFoundError(`Estado ${id} no encontrado en ${catalogo.tabla}`);
+    }
+
+    return estado;
+};
+
+// =====================================================
+// TRANSICIONES PERMITIDAS
+// =====================================================
+
+/**
+ * OBTENER TRANSICIONES
+ *
+ * @param {string|null} ambito - STATUS, ESTADO_PROCESAL o null para todas
+ */
+const getTransiciones = async (ambito = null) => {
+    if (ambito) {
+        validarAmbito(ambito);
+    }
+
+    const sql = `
+        SELECT t.*,
+               CASE t.ambito WHEN 'STATUS' THEN so.nombre ELSE eo.nombre END as origen_nombre,
+               CASE t.ambito WHEN 'STATUS' THEN sd.nombre ELSE ed.nombre END as destino_nombre
+        FROM transicion_estado t
+                 LEFT JOIN status so ON t.ambito = 'STATUS' AND so.id_status = t.origen_id
+                 LEFT JOIN status sd ON t.ambito = 'STATUS' AND sd.id_status = t.destino_id
+                 LEFT JOIN estado_procesal eo ON t.ambito = 'ESTADO_PROCESAL' AND eo.id_estado = t.origen_id
+                 LEFT JOIN estado_procesal ed ON t.ambito = 'ESTADO_PROCESAL' AND ed.id_estado = t.destino_id
+        ${ambito ? 'WHERE t.ambito = ?' : ''}
+        ORDER BY t.ambito, origen_nombre, destino_nombre
+    `;
+
+    return await executeQuery(sql, ambito ? [ambito] : []);
+};
+
+/**
+ * OBTENER TRANSICIÓN POR ID
+ */
+const getTransicionById = async (id) => {
+    const [transicion] = await executeQuery(
+        `SELECT * FROM transicion_estado WHERE id_transicion = ?`,
+        [id]
+    );
+
+    if (!transicion) {
+        throw new NotFoundError('Transición no encontrada');
+    }
+
+    return transicion;
+};
+
+/**
+ * CREAR TRANSICIÓN
+ *
+ * @param {Object} data - { ambito, origen_id, destino_id }
+ */
+const createTransicion = async ({ ambito, origen_id, destino_id }) => {
+    const [origen, destino] = await Promise.all([
+        getEstado(ambito, origen_id),
+        getEstado(ambito, destino_id)
+    ]);
+
+    if (origen.id === destino.id) {
+        throw new BadRequestError('El estado de origen y el de destino deben ser distintos');
+    }
+
+    try {
+        const result = await executeQuery(
+            `INSERT INTO transicion_estado (ambito, origen_id, destino_id) VALUES (?, ?, ?)`,
+            [ambito, origen.id, destino.id]
+        );
+
+        return result.insertId;
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            throw new ConflictError(`La transición "${origen.nombre}" → "${destino.nombre}" ya existe`);
+        }
+        throw error;
+    }
+};
+
+/**
+ * ELIMINAR TRANSICIÓN
+ */
+const removeTransicion = async (id) => {
+    const transicion = await getTransicionById(id);
+    await executeQuery(`DELETE FROM transicion_estado WHERE id_transicion = ?`, [id]);
+    return transicion;
+};
+
+// =====================================================
+// CAMBIOS DE ESTADO
+// =====================================================
+
+/**
+ * PREPARAR CAMBIO DE ESTADO
+ * Valida motivo, fecha y transición. No escribe nada.
+ *
+ * @param {string} ambito - AMBITO_ESTADO
+ * @param {number|null} anteriorId - Estado actual
+ * @param {number|null} nuevoId - Estado solicitado
+ * @param {Object} data - { motivo_cambio (opcional para el primer estado), fecha_cambio? (default hoy) }
+ * @param {Object|null} registro - { entidad, entidad_id } para no fechar antes del último cambio
+ * @returns {Promise<Object|null>} - { anteriorId, nuevoId, motivo, fecha } o null si no cambia
+ */
+const prepararCambio = async (ambito, anteriorId, nuevoId, data = {}, registro = null) => {
+    const anterior = anteriorId ? Number(anteriorId) : null;
+    const nuevo = nuevoId ? Number(nuevoId) : null;
+
+    if (anterior === nuevo) {
+        return null;
+    }
+
+    if (!nuevo) {
+        throw new BadRequestError('El estado no se puede quitar, solo cambiar a otro permitido');
+    }
+
+    // El primer estado (alta de la carpeta) no exige motivo
+    const motivo = data.motivo_cambio
+        ? String(data.motivo_cambio).trim()
+        : (anterior ? '' : MOTIVO_INICIAL);
+
+    if (!motivo) {
+        throw new BadRequestError('motivo_cambio es requerido para cambiar el estado');
+    }
+
+    if (motivo.length > 500) {
+        throw new BadRequestError('motivo_cambio no puede tener más de 500 caracteres');
+    }
+
+    const fecha = data.fecha_cambio ? toFechaISO(data.fecha_cambio) : hoyISO();
+
+    if (!fecha) {
+        throw new BadRequestError('fecha_cambio debe tener formato YYYY-MM-DD');
+    }
+
+    if (fecha > hoyISO()) {
+        throw new BadRequestError('fecha_cambio no puede ser futura');
+    }
+
+    if (registro) {
+        const [ultimo] = await executeQuery(`
+            SELECT MAX(fecha) as fecha
+            FROM historial_estado
+            WHERE entidad = ? AND entidad_id = ? AND ambito = ?
+        `, [registro.entidad, registro.entidad_id, ambito]);
+
+        const ultimaFecha = ultimo ? toFechaISO(ultimo.fecha) : null;
+
+        if (ultimaFecha && fecha < ultimaFecha) {
+            throw new BadRequestError(`fecha_cambio no puede ser anterior al último cambio de estado (${ultimaFecha})`);
+        }
+    }
+
+    const destino = await getEstado(ambito, nuevo);
+
+    if (anterior) {
+        const [permitida] = await executeQuery(`
+            SELECT id_transicion
+            FROM transicion_estado
+            WHERE ambito = ? AND origen_id = ? AND destino_id = ?
+        `, [ambito, anterior, nuevo]);
+
+        if (!permitida) {
+            const origen = await getEstado(ambito, anterior);
+            const catalogo = CATALOGO[ambito];
+            const permitidas = await executeQuery(`
+                SELECT t.destino_id, c.nombre as destino_nombre
+                FROM transicion_estado t
+                         INNER JOIN ${catalogo.tabla} c ON c.${catalogo.id} = t.destino_id
+                WHERE t.ambito = ? AND t.origen_id = ?
+                ORDER BY c.nombre
+            `, [ambito, anterior]);
+
+            // errors (error.details en la respuesta): los estados a los que sí puede pasar
+            throw new ConflictError(
+                `No se permite pasar de "${origen.nombre}" a "${destino.nombre}"`,
+                permitidas
+            );
+        }
+    }
+
+    return { anteriorId: anterior, nuevoId: nuevo, motivo, fecha };
+};
+
+/**
+ * REGISTRAR CAMBIO EN EL HISTORIAL
+ *
+ * @param {Object|null} connection - Conexión de la transacción (null: executeQuery)
+ * @param {Object} registro - { proceso_id, entidad, entidad_id, ambito }
+ * @param {Object} cambio - Resultado de prepararCambio
+ */
+const registrar = async (connection, registro, cambio) => {
+    const { usuario_id } = getRequestContext();
+
+    const sql = `
+        INSERT INTO historial_estado (proceso_id, entidad, entidad_id, ambito, estado_anterior_id,
+                                      estado_nuevo_id, motivo, fecha, usuario_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const params = [
+        registro.proceso_id,
+        registro.entidad,
+        registro.entidad_id,
+        registro.ambito,
+        cambio.anteriorId,
+        cambio.nuevoId,
+        cambio.motivo,
+        cambio.fecha,
+        usuario_id || null
+    ];
+
+    if (connection) {
+        await connection.execute(sql, params);
+    } else {
+        await executeQuery(sql, params);
+    }
+};
+
+/**
+ * HISTORIAL DE ESTADOS DE UN PROCESO (proceso, CEMCI y CEMS)
+ */
+const getByProceso = async (procesoId) => {
+    const sql = `
+        SELECT h.id_historial,
+               h.entidad,
+               h.entidad_id,
+               h.ambito,
+               h.estado_anterior_id,
+               CASE h.ambito WHEN 'STATUS' THEN sa.nombre ELSE ea.nombre END as estado_anterior_nombre,
+               h.estado_nuevo_id,
+               CASE h.ambito WHEN 'STATUS' THEN sn.nombre ELSE en.nombre END as estado_nuevo_nombre,
+               h.motivo,
+               h.fecha,
+               h.usuario_id,
+               u.nombre as usuario_nombre,
+               h.registrado_en
+        FROM historial_estado h
+                 LEFT JOIN status sa ON h.ambito = 'STATUS' AND sa.id_status = h.estado_anterior_id
+                 LEFT JOIN status sn ON h.ambito = 'STATUS' AND sn.id_status = h.estado_nuevo_id
+                 LEFT JOIN estado_procesal ea ON h.ambito = 'ESTADO_PROCESAL' AND ea.id_estado = h.estado_anterior_id
+                 LEFT JOIN estado_procesal en ON h.ambito = 'ESTADO_PROCESAL' AND en.id_estado = h.estado_nuevo_id
+                 LEFT JOIN usuario u ON h.usuario_id = u.id_usuario
+        WHERE h.proceso_id = ?
+        ORDER BY h.fecha, h.id_historial
+    `;
+
+    return await executeQuery(sql, [procesoId]);
+};
+
+/**
+ * PERMANENCIA EN CADA ESTADO
+ * Cada registro del historial abre un periodo que termina con el siguiente
+ * cambio de la misma carpeta; el periodo actual termina hoy (en_curso).
+ * Una carpeta con coimputados tiene una entrada por proceso vinculado para
+ * el mismo cambio: se cuenta una sola vez.
+ *
+ * @param {Object} filters - { ambito (default ESTADO_PROCESAL), entidad? (cemci, cems) }
+ * @returns {Promise<Array>} - [{ estado_id, estado_nombre, periodos, en_curso,
+ *                               promedio_dias, promedio_dias_concluidos, min_dias, max_dias }]
+ */
+const getPermanencia = async (filters = {}) => {
+    const ambito = filters.ambito || AMBITO_ESTADO.ESTADO_PROCESAL;
+    const catalogo = validarAmbito(ambito);
+    const params = [ambito];
+
+    let filtroEntidad = '';
+
+    if (filters.entidad) {
+        if (!ENTIDADES[ambito].includes(filters.entidad)) {
+            throw new BadRequestError(`entidad debe ser una de: ${ENTIDADES[ambito].join(', ')}`);
+        }
+
+        filtroEntidad = 'AND h.entidad = ?';
+        params.push(filters.entidad);
+    }
+
+    const sql = `
+        SELECT periodo.estado_id,
+               c.nombre                                             as estado_nombre,
+               COUNT(*)                                             as periodos,
+               SUM(periodo.fin IS NULL)                             as en_curso,
+               ROUND(AVG(DATEDIFF(COALESCE(periodo.fin, CURDATE()), periodo.inicio))) as promedio_dias,
+               ROUND(AVG(CASE WHEN periodo.fin IS NOT NULL
+                              THEN DATEDIFF(periodo.fin, periodo.inicio) END)) as promedio_dias_concluidos,
+               MIN(DATEDIFF(COALESCE(periodo.fin, CURDATE()), periodo.inicio)) as min_dias,
+               MAX(DATEDIFF(COALESCE(periodo.fin, CURDATE()), periodo.inicio)) as max_dias
+        FROM (
+            SELECT cambio.estado_nuevo_id as estado_id,
+                   cambio.fecha           as inicio,
+                   LEAD(cambio.fecha) OVER (
+                       PARTITION BY cambio.entidad, cambio.entidad_id
+                       ORDER BY cambio.fecha, cambio.id_historial
+                   )                      as fin
+            FROM (
+                SELECT h.entidad, h.entidad_id, h.estado_nuevo_id, h.fecha,
+                       MIN(h.id_historial) as id_historial
+                FROM historial_estado h
+                WHERE h.ambito = ? ${filtroEntidad}
+                GROUP BY h.entidad, h.entidad_id, h.estado_anterior_id, h.estado_nuevo_id,
+                         h.fecha, h.motivo, h.usuario_id
+            ) cambio
+        ) periodo
+                 INNER JOIN ${catalogo.tabla} c ON c.${catalogo.id} = periodo.estado_id
+        GROUP BY periodo.estado_id, c.nombre
+        ORDER BY c.nombre
+    `;
+
+    return await executeQuery(sql, params);
+};
+
+module.exports = auditarModelo('transicion_estado', {
+    getTransiciones,
+    getTransicionById,
+    createTransicion,
+    removeTransicion,
+    prepararCambio,
+    registrar,
+    getByProceso,
+    getPermanencia
+}, {
+    createTransicion: 'CREAR',
+    removeTransicion: 'ELIMINAR'
+}, {
+    obtener: getTransicionById
+});
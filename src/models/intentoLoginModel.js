@@ -0,0 +1,271 @@
+// src/models/intentoLoginModel.js
+
+const { executeQuery } = require('../config/database');
+
+/**
+ * MODELO DE INTENTOS DE LOGIN
+ *
+ * Protección contra fuerza bruta:
+ * - Registra cada intento por nombre de usuario y por IP
+ * - Calcula un retraso progresivo según los fallos recientes
+ * - Bloquea temporalmente el usuario o la IP al superar el umbral
+ *
+ * Los fallos se cuentan dentro de una ventana de tiempo y se reinician
+ * con un login exitoso (solo por usuario), un bloqueo o un desbloqueo.
+ */
+
+const LOGIN_MAX_INTENTOS = parseInt(process.env.LOGIN_MAX_INTENTOS, 10) || 5;
+const LOGIN_MAX_INTENTOS_IP = parseInt(process.env.LOGIN_MAX_INTENTOS_IP, 10) || 20;
+const LOGIN_VENTANA_MINUTOS = parseInt(process.env.LOGIN_VENTANA_MINUTOS, 10) || 15;
+const LOGIN_BLOQUEO_MINUTOS = parseInt(process.env.LOGIN_BLOQUEO_MINUTOS, 10) || 15;
+const LOGIN_RETRASO_BASE_MS = parseInt(process.env.LOGIN_RETRASO_BASE_MS, 10) || 500;
+const LOGIN_RETRASO_MAX_MS = parseInt(process.env.LOGIN_RETRASO_MAX_MS, 10) || 8000;
+
+/**
+ * OBTENER BLOQUEO ACTIVO
+ * Busca un bloqueo vigente para el usuario o para la IP
+ */
+const getBloqueoActivo = async (usuario, ip) => {
+    const sql = `
+    SELECT *
+    FROM bloqueo_login
+    WHERE ((tipo = 'USUARIO' AND valor = ?) OR (tipo = 'IP' AND valor = ?))
+      AND bloqueado_hasta > NOW()
+      AND desbloqueado_en IS NULL
+    ORDER BY bloqueado_hasta DESC
+    LIMIT 1
+  `;
+
+    const [bloqueo] = await executeQuery(sql, [usuario, ip || '']);
+    return bloqueo || null;
+};
+
+/**
+ * CONTAR FALLOS RECIENTES
+ * tipo: 'USUARIO' | 'IP'
+ */
+const contarFallidosRecientes = async (tipo, valor) => {
+    const columna = tipo === 'USUARIO' ? 'usuario' : 'ip';
+
+    // Solo un login exitoso del propio usuario reinicia su contador;
+    // para la IP no, o bastaría una cuenta válida para seguir probando
+    const reinicioExitoso = tipo === 'USUARIO'
+        ? `(SELECT MAX(fecha) FROM intento_login WHERE usuario = ? AND exitoso = TRUE)`
+        : `NULL`;
+
+    const sql = `
+    SELECT COUNT(*) as total
+    FROM intento_login
+    WHERE ${columna} = ?
+      AND exitoso = FALSE
+      AND fecha > GREATEST(
+          NOW() - INTERVAL ? MINUTE,
+          COALESCE(${reinicioExitoso}, '1970-01-01'),
+          COALESCE((
+              SELECT MAX(COALESCE(desbloqueado_en, creado_en))
+              FROM bloqueo_login
+              WHERE tipo = ? AND valor = ?
+          ), '1970-01-01')
+      )
+  `;
+
+    const params = tipo === 'USUARIO'
+        ? [valor, LOGIN_VENTANA_MINUTOS, valor, tipo, valor]
+        : [valor, LOGIN_VENTANA_MINUTOS, tipo, valor];
+
+    const [result] = await executeQuery(sql, params);
+    return result.total;
+};
+
+/**
+ * CREAR BLOQUEO
+ */
+const crearBloqueo = async (tipo, valor, intentos) => {
+    const sql = `
+    INSERT INTO bloqueo_login (tipo, valor, intentos, bloqueado_hasta)
+    VALUES (?, ?, ?, NOW() + INTERVAL ? MINUTE)
+  `;
+
+    await executeQuery(sql, [tipo, valor, intentos, LOGIN_BLOQUEO_MINUTOS]);
+};
+
+/**
+ * REGISTRAR INTENTO EXITOSO
+ */
+const registrarExitoso = async (usuario, usuarioId, ip) => {
+    const sql = `
+    INSERT INTO intento_login (usuario, usuario_id, ip, exitoso)
+    VALUES (?, ?, ?, TRUE)
+  `;
+
+    await executeQuery(sql, [usuario, usuarioId, ip || null]);
+};
+
+/**
+ * REGISTRAR INTENTO FALLIDO
+ *
+ * Si el usuario o la IP alcanzan su umbral se crea el bloqueo.
+ * Retorna { fallidos, bloqueado } donde fallidos es el conteo del usuario
+ */
+const registrarFallido = async (usuario, usuarioId, ip, motivo) => {
+    const sql = `
+    INSERT INTO intento_login (usuario, usuario_id, ip, exitoso, motivo)
+    VALUES (?, ?, ?, FALSE, ?)
+  `;
+
+    await executeQuery(sql, [usuario, usuarioId || null, ip || null, motivo]);
+
+    const fallidos = await contarFallidosRecientes('USUARIO', usuario);
+    let bloqueado = false;
+
+    if (fallidos >= LOGIN_MAX_INTENTOS) {
+        await crearBloqueo('USUARIO', usuario, fallidos);
+        bloqueado = true;
+    }
+
+    if (ip) {
+        const fallidosIp = await contarFallidosRecientes('IP', ip);
+
+        if (fallidosIp >= LOGIN_MAX_INTENTOS_IP) {
+            await crearBloqueo('IP', ip, fallidosIp);
+            bloqueado = true;
+        }
+    }
+
+    return { fallidos, bloqueado };
+};
+
+/**
+ * CALCULAR RETRASO PROGRESIVO (ms)
+ * Se duplica con cada fallo: 500, 1000, 2000, 4000... hasta el máximo
+ */
+const calcularRetraso = (fallidos) => {
+    if (fallidos <= 0) return 0;
+
+    return Math.min(
+        LOGIN_RETRASO_BASE_MS * Math.pow(2, fallidos - 1),
+        LOGIN_RETRASO_MAX_MS
+    );
+};
+
+/**
+ * DESBLOQUEAR USUARIO
+ * Levanta los bloqueos vigentes del usuario y reinicia su contador
+ * Retorna el número de bloqueos levantados
+ */
+const desbloquearUsuario = async (usuario, adminId) => {
+    const sql = `
+    UPDATE bloqueo_login
+    SET desbloqueado_en = NOW(), desbloqueado_por = ?
+    WHERE tipo = 'USUARIO'
+      AND valor = ?
+      AND bloqueado_hasta > NOW()
+      AND desbloqueado_en IS NULL
+  `;
+
+    const result = await executeQuery(sql, [adminId, usuario]);
+    return result.affectedRows;
+};
+
+/**
+ * OBTENER INTENTOS FALLIDOS
+ */
+const getFallidos = async (filters = {}) => {
+    const { usuario, usuario_id, ip, fecha_desde, fecha_hasta, limit, offset } = filters;
+
+    let sql = `
+    SELECT
+      il.id_intento,
+      il.usuario,
+      il.usuario_id,
+      il.ip,
+      il.motivo,
+      il.fecha
+    FROM intento_login il
+    WHERE il.exitoso = FALSE
+  `;
+    const params = [];
+
+    if (usuario) {
+        sql += ` AND il.usuario = ?`;
+        params.push(usuario);
+    }
+
+    if (usuario_id) {
+        sql += ` AND il.usuario_id = ?`;
+        params.push(usuario_id);
+    }
+
+    if (ip) {
+        sql += ` AND il.ip = ?`;
+        params.push(ip);
+    }
+
+    if (fecha_desde) {
+        sql += ` AND il.fecha >= ?`;
+        params.push(fecha_desde);
+    }
+
+    if (fecha_hasta) {
+        sql += ` AND il.fecha < DATE_ADD(?, INTERVAL 1 DAY)`;
+        params.push(fecha_hasta);
+    }
+
+    sql += ` ORDER BY il.fecha DESC`;
+
+    if (limit) {
+        const limitInt = parseInt(limit) || 20;
+        const offsetInt = parseInt(offset) || 0;
+        sql += ` LIMIT ${limitInt} OFFSET ${offsetInt}`;
+    }
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * CONTAR INTENTOS FALLIDOS
+ */
+const getCountFallidos = async (filters = {}) => {
+    const { usuario, usuario_id, ip, fecha_desde, fecha_hasta } = filters;
+
+    let sql = `SELECT COUNT(*) as total FROM intento_login WHERE exitoso = FALSE`;
+    const params = [];
+
+    if (usuario) {
+        sql += ` AND usuario = ?`;
+        params.push(usuario);
+    }
+
+    if (usuario_id) {
+        sql += ` AND usuario_id = ?`;
+        params.push(usuario_id);
+    }
+
+    if (ip) {
+        sql += ` AND ip = ?`;
+        params.push(ip);
+    }
+
+    if (fecha_desde) {
+        sql += ` AND fecha >= ?`;
+        params.push(fecha_desde);
+    }
+
+    if (fecha_hasta) {
+        sql += ` AND fecha < DATE_ADD(?, INTERVAL 1 DAY)`;
+        params.push(fecha_hasta);
+    }
+
+    const [result] = await executeQuery(sql, params);
+    return result.total;
+};
+
+module.exports = {
+    getBloqueoActivo,
+    registrarExitoso,
+    registrarFallido,
+    calcularRetraso,
+    desbloquearUsuario,
+    getFallidos,
+    getCountFallidos
+};
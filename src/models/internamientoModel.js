@@ -2,6 +2,8 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE INTERNAMIENTO
@@ -20,7 +22,7 @@ const create = async (internamientoData) => {
     } = internamientoData;
 
     // Verificar que el proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -62,6 +64,7 @@ const getAll = async () => {
     FROM internamiento i
     INNER JOIN proceso p ON i.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+    WHERE i.eliminado_en IS NULL
     ORDER BY i.fecha_cumplimiento DESC
   `;
 
@@ -81,6 +84,7 @@ const getById = async (id) => {
     INNER JOIN proceso p ON i.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE i.id_internamiento = ?
+      AND i.eliminado_en IS NULL
   `;
 
     const [internamiento] = await executeQuery(sql, [id]);
@@ -97,7 +101,7 @@ const getById = async (id) => {
  */
 const getByProcesoId = async (procesoId) => {
     const sql = `
-    SELECT * FROM internamiento WHERE proceso_id = ?
+    SELECT * FROM internamiento WHERE proceso_id = ? AND eliminado_en IS NULL
   `;
 
     const [internamiento] = await executeQuery(sql, [procesoId]);
@@ -127,13 +131,12 @@ const update = async (id, internamientoData) => {
 };
 
 /**
- * ELIMINAR INTERNAMIENTO
+ * ELIMINAR INTERNAMIENTO (a la papelera)
  */
 const remove = async (id) => {
     const internamiento = await getById(id);
 
-    const sql = `DELETE FROM internamiento WHERE id_internamiento = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('internamiento', id);
 
     return internamiento;
 };
@@ -152,6 +155,7 @@ const getCumplidos = async () => {
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE i.fecha_cumplimiento IS NOT NULL
       AND i.fecha_cumplimiento <= CURDATE()
+      AND i.eliminado_en IS NULL
     ORDER BY i.fecha_cumplimiento DESC
   `;
 
@@ -170,8 +174,8 @@ const getActivos = async () => {
     FROM internamiento i
     INNER JOIN proceso p ON i.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
-    WHERE i.fecha_cumplimiento IS NULL
-       OR i.fecha_cumplimiento > CURDATE()
+    WHERE (i.fecha_cumplimiento IS NULL OR i.fecha_cumplimiento > CURDATE())
+      AND i.eliminado_en IS NULL
     ORDER BY i.fecha_cumplimiento ASC
   `;
 
@@ -188,13 +192,14 @@ const getStats = async () => {
       COUNT(CASE WHEN fecha_cumplimiento IS NOT NULL AND fecha_cumplimiento <= CURDATE() THEN 1 END) as cumplidos,
       COUNT(CASE WHEN fecha_cumplimiento IS NULL OR fecha_cumplimiento > CURDATE() THEN 1 END) as activos
     FROM internamiento
+    WHERE eliminado_en IS NULL
   `;
 
     const [stats] = await executeQuery(sql);
     return stats;
 };
 
-module.exports = {
+module.exports = auditarModelo('internamiento', {
     create,
     getAll,
     getById,
@@ -204,4 +209,8 @@ module.exports = {
     getCumplidos,
     getActivos,
     getStats
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+});
@@ -2,6 +2,8 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE LIBERTAD
@@ -24,7 +26,7 @@ const create = async (libertadData) => {
     } = libertadData;
 
     // Verificar que el proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -76,7 +78,7 @@ const getAll = async (filters = {}) => {
     FROM libertad l
     INNER JOIN proceso p ON l.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
-    WHERE 1=1
+    WHERE l.eliminado_en IS NULL
   `;
     const params = [];
 
@@ -103,6 +105,7 @@ const getById = async (id) => {
     INNER JOIN proceso p ON l.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE l.id_libertad = ?
+      AND l.eliminado_en IS NULL
   `;
 
     const [libertad] = await executeQuery(sql, [id]);
@@ -119,7 +122,7 @@ const getById = async (id) => {
  */
 const getByProcesoId = async (procesoId) => {
     const sql = `
-    SELECT * FROM libertad WHERE proceso_id = ?
+    SELECT * FROM libertad WHERE proceso_id = ? AND eliminado_en IS NULL
   `;
 
     const [libertad] = await executeQuery(sql, [procesoId]);
@@ -188,13 +191,12 @@ const marcarCumplida = async (id, fechaCumplimiento = null) => {
 };
 
 /**
- * ELIMINAR LIBERTAD
+ * ELIMINAR LIBERTAD (a la papelera)
  */
 const remove = async (id) => {
     const libertad = await getById(id);
 
-    const sql = `DELETE FROM libertad WHERE id_libertad = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('libertad', id);
 
     return libertad;
 };
@@ -212,6 +214,7 @@ const getActivas = async () => {
     INNER JOIN proceso p ON l.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE l.cumplida = FALSE
+      AND l.eliminado_en IS NULL
     ORDER BY l.fecha_inicial_ejecucion DESC
   `;
 
@@ -232,6 +235,7 @@ const getProximasVencer = async (dias = 30) => {
     INNER JOIN proceso p ON l.proceso_id = p.id_proceso
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE l.cumplida = FALSE
+      AND l.eliminado_en IS NULL
       AND l.termino_obligaciones IS NOT NULL
       AND l.termino_obligaciones BETWEEN CURDATE() AND DATE_ADD(CURDATE(), INTERVAL ? DAY)
     ORDER BY l.termino_obligaciones ASC
@@ -251,13 +255,14 @@ const getStats = async () => {
       COUNT(CASE WHEN cumplida = FALSE THEN 1 END) as activas,
       COUNT(CASE WHEN termino_obligaciones < CURDATE() AND cumplida = FALSE THEN 1 END) as vencidas
     FROM libertad
+    WHERE eliminado_en IS NULL
   `;
 
     const [stats] = await executeQuery(sql);
     return stats;
 };
 
-module.exports = {
+module.exports = auditarModelo('libertad', {
     create,
     getAll,
     getById,
@@ -268,4 +273,9 @@ module.exports = {
     getActivas,
     getProximasVencer,
     getStats
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    marcarCumplida: 'MARCAR_CUMPLIDA',
+    remove: 'ELIMINAR'
+});
@@ -2,7 +2,9 @@
 
 const {executeQuery, executeTransaction} = require('../config/database');
 const {NotFoundError, ConflictError, BadRequestError} = require('../utils/errorHandler');
+const { auditarModelo, registrarAuditoria } = require('../utils/auditoria');
 const {generarNumeroCarpeta} = require('../utils/carpetaUtils');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE MEDIDA CAUTELAR
@@ -27,7 +29,8 @@ const create = async (medidaData) => {
     // Verificar que el proceso existe
     const procesoCheck = `SELECT id_proceso
                           FROM proceso
-                          WHERE id_proceso = ?`;
+                          WHERE id_proceso = ?
+                            AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -108,6 +111,16 @@ const create = async (medidaData) => {
 
                 cemci_id = cemciResult.insertId;
 
+                // El INSERT no pasa por cemciModel: se audita en la misma transacción
+                await registrarAuditoria({
+                    connection,
+                    entidad: 'cemci',
+                    entidadId: cemci_id,
+                    procesoId: proceso_id,
+                    accion: 'CREAR',
+                    despues: { id_cemci: cemci_id, numero_cemci: numeroCemci, cj_id }
+                });
+
                 // Actualizar proceso_carpeta con el CEMCI
                 const updateProcesoCarpeta = `
                     UPDATE proceso_carpeta
@@ -140,6 +153,7 @@ const getByProcesoId = async (procesoId) => {
         FROM medida_cautelar mc
                  LEFT JOIN tipo_medida_cautelar tmc ON mc.tipo_medida_cautelar_id = tmc.id_tipo_medida_cautelar
         WHERE mc.proceso_id = ?
+          AND mc.eliminado_en IS NULL
         ORDER BY mc.fecha_medida_cautelar DESC
     `;
 
@@ -160,6 +174,7 @@ const getById = async (id) => {
         FROM medida_cautelar mc
                  LEFT JOIN tipo_medida_cautelar tmc ON mc.tipo_medida_cautelar_id = tmc.id_tipo_medida_cautelar
         WHERE mc.id_medida_cautelar = ?
+          AND mc.eliminado_en IS NULL
     `;
 
     const [medida] = await executeQuery(sql, [id]);
@@ -233,15 +248,12 @@ const revocar = async (id, revocarData) => {  // ← ASEGÚRATE QUE TENGA 2 PAR
 };
 
 /**
- * ELIMINAR MEDIDA CAUTELAR
+ * ELIMINAR MEDIDA CAUTELAR (a la papelera)
  */
 const remove = async (id) => {
     const medida = await getById(id);
 
-    const sql = `DELETE
-                 FROM medida_cautelar
-                 WHERE id_medida_cautelar = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('medida_cautelar', id);
 
     return medida;
 };
@@ -258,6 +270,7 @@ const tieneMedidasPrivativas = async (procesoId) => {
         WHERE mc.proceso_id = ?
           AND tmc.genera_cemci = TRUE
           AND mc.revocacion_medida = FALSE
+          AND mc.eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [procesoId]);
@@ -272,6 +285,7 @@ const countByProceso = async (procesoId) => {
         SELECT COUNT(*) as total
         FROM medida_cautelar
         WHERE proceso_id = ?
+          AND eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [procesoId]);
@@ -291,6 +305,7 @@ const getMedidasActivas = async (procesoId) => {
                             ON mc.tipo_medida_cautelar_id = tmc.id_tipo_medida_cautelar
         WHERE mc.proceso_id = ?
           AND mc.revocacion_medida = FALSE
+          AND mc.eliminado_en IS NULL
         ORDER BY mc.fecha_medida_cautelar DESC
     `;
 
@@ -310,6 +325,7 @@ const getStats = async () => {
         FROM medida_cautelar mc
                  INNER JOIN tipo_medida_cautelar tmc
                             ON mc.tipo_medida_cautelar_id = tmc.id_tipo_medida_cautelar
+        WHERE mc.eliminado_en IS NULL
         GROUP BY tmc.nombre
         ORDER BY total DESC
     `;
@@ -329,6 +345,7 @@ const getAll = async (filters = {}) => {
             ON mc.proceso_id = p.id_proceso
         LEFT JOIN adolescente a 
             ON p.adolescente_id = a.id_adolescente
+        WHERE mc.eliminado_en IS NULL
     `;
 
     // 🔹 1. Total
@@ -363,7 +380,7 @@ const getAll = async (filters = {}) => {
     };
 };
 
-module.exports = {
+module.exports = auditarModelo('medida_cautelar', {
     create,
     getByProcesoId,
     getById,
@@ -375,4 +392,11 @@ module.exports = {
     getMedidasActivas,
     getStats,
     getAll
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    revocar: 'REVOCAR',
+    remove: 'ELIMINAR'
+}, {
+    idCreado: (resultado) => resultado.medida_id
+});
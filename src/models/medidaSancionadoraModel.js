@@ -2,6 +2,9 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const { evaluarMedida, verificarLimites, registrarOmision } = require('../utils/limitesSancion');
+const papeleraModel = require('./papeleraModel');
 
 /**
  * MODELO DE MEDIDA SANCIONADORA
@@ -10,10 +13,26 @@ const { NotFoundError, BadRequestError } = require('../utils/errorHandler');
  * Relación 1:N con proceso (un proceso puede tener múltiples medidas)
  */
 
+/**
+ * Registrar en auditoría la omisión de límites (si se solicitó)
+ */
+const registrarOmisionSiAplica = async (id, procesoId, evaluacion, omision) => {
+    if (!omision) return;
+
+    await registrarOmision({
+        entidad: 'medida_sancionadora',
+        entidadId: id,
+        procesoId,
+        omision,
+        violaciones: evaluacion.violaciones
+    });
+};
+
 /**
  * CREAR MEDIDA SANCIONADORA
+ * opciones.omision: { motivo } para omitir los límites por edad (ver utils/limitesSancion)
  */
-const create = async (medidaData) => {
+const create = async (medidaData, opciones = {}) => {
     const {
         proceso_id,
         tipo_medida_sancionadora_id,
@@ -23,7 +42,7 @@ const create = async (medidaData) => {
     } = medidaData;
 
     // Verificar que el proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [proceso_id]);
 
     if (!proceso) {
@@ -41,6 +60,17 @@ const create = async (medidaData) => {
         throw new NotFoundError('El tipo de medida sancionadora no existe');
     }
 
+    // Límites por grupo de edad
+    const evaluacion = await evaluarMedida({
+        proceso_id,
+        es_privativa: tipo.es_privativa,
+        tipo_nombre: tipo.nombre,
+        plazo_anios,
+        plazo_meses,
+        plazo_dias
+    });
+    verificarLimites(evaluacion, opciones.omision);
+
     const sql = `
         INSERT INTO medida_sancionadora (
             proceso_id,
@@ -59,6 +89,8 @@ const create = async (medidaData) => {
         plazo_dias || 0
     ]);
 
+    await registrarOmisionSiAplica(result.insertId, proceso_id, evaluacion, opciones.omision);
+
     return result.insertId;
 };
 
@@ -79,6 +111,7 @@ const getAll = async () => {
                             ON ms.tipo_medida_sancionadora_id = tms.id_tipo_medida_sancionadora
                  INNER JOIN proceso p ON ms.proceso_id = p.id_proceso
                  INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+        WHERE ms.eliminado_en IS NULL
         ORDER BY ms.id_medida DESC
     `;
 
@@ -98,6 +131,7 @@ const getByProcesoId = async (procesoId) => {
                  INNER JOIN tipo_medida_sancionadora tms
                             ON ms.tipo_medida_sancionadora_id = tms.id_tipo_medida_sancionadora
         WHERE ms.proceso_id = ?
+          AND ms.eliminado_en IS NULL
         ORDER BY ms.id_medida DESC
     `;
 
@@ -119,6 +153,7 @@ const getById = async (id) => {
                             ON ms.tipo_medida_sancionadora_id = tms.id_tipo_medida_sancionadora
                  INNER JOIN proceso p ON ms.proceso_id = p.id_proceso  
         WHERE ms.id_medida = ?
+          AND ms.eliminado_en IS NULL
     `;
 
     const [medida] = await executeQuery(sql, [id]);
@@ -132,9 +167,10 @@ const getById = async (id) => {
 
 /**
  * ACTUALIZAR MEDIDA SANCIONADORA
+ * Los límites por edad se revisan con los valores resultantes
  */
-const update = async (id, medidaData) => {
-    await getById(id);
+const update = async (id, medidaData, opciones = {}) => {
+    const actual = await getById(id);
 
     const updates = [];
     const values = [];
@@ -157,6 +193,31 @@ const update = async (id, medidaData) => {
         throw new BadRequestError('No hay campos para actualizar');
     }
 
+    let tipo = { es_privativa: actual.es_privativa, nombre: actual.tipo_nombre };
+
+    if (medidaData.tipo_medida_sancionadora_id !== undefined) {
+        [tipo] = await executeQuery(
+            `SELECT * FROM tipo_medida_sancionadora WHERE id_tipo_medida_sancionadora = ?`,
+            [medidaData.tipo_medida_sancionadora_id]
+        );
+
+        if (!tipo) {
+            throw new NotFoundError('El tipo de medida sancionadora no existe');
+        }
+    }
+
+    const plazo = (campo) => (medidaData[campo] !== undefined ? medidaData[campo] : actual[campo]);
+
+    const evaluacion = await evaluarMedida({
+        proceso_id: actual.proceso_id,
+        es_privativa: tipo.es_privativa,
+        tipo_nombre: tipo.nombre,
+        plazo_anios: plazo('plazo_anios'),
+        plazo_meses: plazo('plazo_meses'),
+        plazo_dias: plazo('plazo_dias')
+    });
+    verificarLimites(evaluacion, opciones.omision);
+
     values.push(id);
 
     const sql = `
@@ -166,17 +227,19 @@ const update = async (id, medidaData) => {
     `;
 
     await executeQuery(sql, values);
+
+    await registrarOmisionSiAplica(id, actual.proceso_id, evaluacion, opciones.omision);
+
     return await getById(id);
 };
 
 /**
- * ELIMINAR MEDIDA SANCIONADORA
+ * ELIMINAR MEDIDA SANCIONADORA (a la papelera)
  */
 const remove = async (id) => {
     const medida = await getById(id);
 
-    const sql = `DELETE FROM medida_sancionadora WHERE id_medida = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('medida_sancionadora', id);
 
     return medida;
 };
@@ -189,6 +252,7 @@ const countByProceso = async (procesoId) => {
         SELECT COUNT(*) as total
         FROM medida_sancionadora
         WHERE proceso_id = ?
+          AND eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [procesoId]);
@@ -212,6 +276,7 @@ const getPrivativas = async () => {
                  INNER JOIN proceso p ON ms.proceso_id = p.id_proceso
                  INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
         WHERE tms.es_privativa = TRUE
+          AND ms.eliminado_en IS NULL
         ORDER BY ms.id_medida DESC
     `;
 
@@ -235,6 +300,7 @@ const getNoPrivativas = async () => {
                  INNER JOIN proceso p ON ms.proceso_id = p.id_proceso
                  INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
         WHERE tms.es_privativa = FALSE
+          AND ms.eliminado_en IS NULL
         ORDER BY ms.id_medida DESC
     `;
 
@@ -252,6 +318,7 @@ const tieneMedidasPrivativas = async (procesoId) => {
         ON ms.tipo_medida_sancionadora_id = tms.id_tipo_medida_sancionadora
         WHERE ms.proceso_id = ?
           AND tms.es_privativa = TRUE
+          AND ms.eliminado_en IS NULL
     `;
 
     const [result] = await executeQuery(sql, [procesoId]);
@@ -283,6 +350,7 @@ const getStats = async () => {
         FROM medida_sancionadora ms
                  INNER JOIN tipo_medida_sancionadora tms
                             ON ms.tipo_medida_sancionadora_id = tms.id_tipo_medida_sancionadora
+        WHERE ms.eliminado_en IS NULL
         GROUP BY tms.nombre, tms.es_privativa
         ORDER BY total DESC
     `;
@@ -303,6 +371,7 @@ const getStatsGenerales = async () => {
         FROM medida_sancionadora ms
                  INNER JOIN tipo_medida_sancionadora tms
                             ON ms.tipo_medida_sancionadora_id = tms.id_tipo_medida_sancionadora
+        WHERE ms.eliminado_en IS NULL
     `;
 
     const [stats] = await executeQuery(sql);
@@ -338,6 +407,10 @@ const getPorConducta = async (filters = {}) => {
             INNER JOIN tipo_medida_sancionadora tms
                 ON ms.tipo_medida_sancionadora_id = tms.id_tipo_medida_sancionadora
         WHERE c.nombre IS NOT NULL
+          AND cc.eliminado_en IS NULL
+          AND cj.eliminado_en IS NULL
+          AND p.eliminado_en IS NULL
+          AND ms.eliminado_en IS NULL
           ${whereExtra}
         GROUP BY c.id_conducta, c.nombre, tms.id_tipo_medida_sancionadora, tms.nombre
         ORDER BY c.nombre, total DESC
@@ -357,7 +430,7 @@ const getPorConducta = async (filters = {}) => {
     return Array.from(map.values());
 };
 
-module.exports = {
+module.exports = auditarModelo('medida_sancionadora', {
     create,
     getAll,
     getByProcesoId,
@@ -372,4 +445,8 @@ module.exports = {
     getStats,
     getStatsGenerales,
     getPorConducta
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+});
@@ -0,0 +1,354 @@
+// src/models/notificacionModel.js
+
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+const { ESTADO_NOTIFICACION } = require('../config/constants');
+
+/**
+ * MODELO DE NOTIFICACIONES (bandeja de salida de correo)
+ *
+ * Las notificaciones se encolan como PENDIENTE y el proceso de envío
+ * (utils/notificaciones.js) las toma por lotes:
+ *
+ * PENDIENTE -> ENVIANDO -> ENVIADA
+ *                       -> PENDIENTE (reintento con espera exponencial)
+ *                       -> FALLIDA (se agotaron los intentos)
+ *
+ * Una notificación FALLIDA solo vuelve a la cola con reenviar().
+ */
+
+// Espera antes del reintento N: ESPERA_BASE_SEGUNDOS * 2^(N-1), con tope
+const ESPERA_BASE_SEGUNDOS = 60;
+const ESPERA_MAXIMA_SEGUNDOS = 6 * 60 * 60;
+
+// Columnas que no se regresan en los listados (cuerpo del correo)
+const COLUMNAS_LISTADO = `
+  n.id_notificacion, n.plantilla, n.referencia, n.destinatario_correo,
+  n.destinatario_nombre, n.usuario_id, n.actor_id, n.tutor_id, n.proceso_id, n.asunto,
+  n.estado, n.intentos, n.max_intentos, n.proximo_intento, n.ultimo_error,
+  n.message_id, n.enviada_en, n.creado_en, n.actualizado_en
+`;
+
+/**
+ * ENCOLAR NOTIFICACIONES
+ * Las que repiten una referencia ya encolada se ignoran
+ *
+ * @param {Array<Object>} notificaciones - { plantilla, referencia, destinatario_correo,
+ *        destinatario_nombre, usuario_id, actor_id, tutor_id, proceso_id, asunto, texto, html }
+ * @returns {Promise<number>} - Notificaciones nuevas
+ */
+const encolar = async (notificaciones) => {
+    let nuevas = 0;
+
+    for (const notificacion of notificaciones) {
+        const result = await executeQuery(`
+      INSERT IGNORE INTO notificacion (
+        plantilla, referencia, destinatario_correo, destinatario_nombre,
+        usuario_id, actor_id, tutor_id, proceso_id, asunto, cuerpo_texto, cuerpo_html
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+            notificacion.plantilla,
+            notificacion.referencia || null,
+            notificacion.destinatario_correo,
+            notificacion.destinatario_nombre || null,
+            notificacion.usuario_id || null,
+            notificacion.actor_id || null,
+            notificacion.tutor_id || null,
+            notificacion.proceso_id || null,
+            notificacion.asunto,
+            notificacion.texto,
+            notificacion.html || null
+        ]);
+
+        nuevas += result.affectedRows;
+    }
+
+    return nuevas;
+};
+
+/**
+ * TOMAR LOTE DE PENDIENTES
+ * Las marca como ENVIANDO con un identificador de lote para que otro
+ * proceso de envío no las tome también
+ */
+const tomarPendientes = async (limite) => {
+    const lote = crypto.randomUUID();
+    const limiteInt = parseInt(limite) || 20;
+
+    const result = await executeQuery(`
+    UPDATE notificacion
+    SET estado = ?, lote = ?
+    WHERE estado = ?
+      AND proximo_intento <= NOW()
+    ORDER BY proximo_intento ASC, id_notificacion ASC
+    LIMIT ${limiteInt}
+  `, [ESTADO_NOTIFICACION.ENVIANDO, lote, ESTADO_NOTIFICACION.PENDIENTE]);
+
+    if (result.affectedRows === 0) {
+        return [];
+    }
+
+    return await executeQuery(
+        `SELECT * FROM notificacion WHERE lote = ? ORDER BY id_notificacion ASC`,
+        [lote]
+    );
+};
+
+/**
+ * LIBERAR NOTIFICACIONES ATORADAS EN ENVIANDO
+ * (el proceso que las tomó terminó antes de registrar el resultado)
+ *
+ * @returns {Promise<number>} - Notificaciones devueltas a la cola
+ */
+const liberarAtoradas = async (minutos) => {
+    const result = await executeQuery(`
+    UPDATE notificacion
+    SET estado = ?, lote = NULL
+    WHERE estado = ?
+      AND actualizado_en < NOW() - INTERVAL ? MINUTE
+  `, [ESTADO_NOTIFICACION.PENDIENTE, ESTADO_NOTIFICACION.ENVIANDO, parseInt(minutos) || 15]);
+
+    return result.affectedRows;
+};
+
+/**
+ * MARCAR COMO ENVIADA
+ */
+const marcarEnviada = async (id, messageId) => {
+    await executeQuery(`
+    UPDATE notificacion
+    SET estado = ?,
+        intentos = intentos + 1,
+        message_id = ?,
+        ultimo_error = NULL,
+        lote = NULL,
+        enviada_en = NOW()
+    WHERE id_notificacion = ?
+  `, [ESTADO_NOTIFICACION.ENVIADA, messageId || null, id]);
+};
+
+/**
+ * Segundos de espera antes del siguiente intento
+ */
+const calcularEspera = (intentos) => Math.min(
+    ESPERA_BASE_SEGUNDOS * Math.pow(2, Math.max(0, intentos - 1)),
+    ESPERA_MAXIMA_SEGUNDOS
+);
+
+/**
+ * REGISTRAR INTENTO FALLIDO
+ * Vuelve a PENDIENTE con espera exponencial o queda FALLIDA si se
+ * agotaron los intentos
+ *
+ * @returns {Promise<string>} - Estado resultante
+ */
+const marcarFallo = async (notificacion, error) => {
+    const intentos = notificacion.intentos + 1;
+    const agotada = intentos >= notificacion.max_intentos;
+    const estado = agotada ? ESTADO_NOTIFICACION.FALLIDA : ESTADO_NOTIFICACION.PENDIENTE;
+
+    await executeQuery(`
+    UPDATE notificacion
+    SET estado = ?,
+        intentos = ?,
+        ultimo_error = ?,
+        lote = NULL,
+        proximo_intento = NOW() + INTERVAL ? SECOND
+    WHERE id_notificacion = ?
+  `, [
+        estado,
+        intentos,
+        String(error || 'Error desconocido').substring(0, 500),
+        agotada ? 0 : calcularEspera(intentos),
+        notificacion.id_notificacion
+    ]);
+
+    return estado;
+};
+
+/**
+ * Construir WHERE a partir de filtros
+ */
+const buildFilters = (filters) => {
+    const { estado, plantilla, proceso_id, usuario_id, actor_id, tutor_id, destinatario, fecha_desde, fecha_hasta } = filters;
+
+    let where = ` WHERE 1=1`;
+    const params = [];
+
+    if (estado) {
+        where += ` AND n.estado = ?`;
+        params.push(estado);
+    }
+
+    if (plantilla) {
+        where += ` AND n.plantilla = ?`;
+        params.push(plantilla);
+    }
+
+    if (proceso_id) {
+        where += ` AND n.proceso_id = ?`;
+        params.push(proceso_id);
+    }
+
+    if (usuario_id) {
+        where += ` AND n.usuario_id = ?`;
+        params.push(usuario_id);
+    }
+
+    if (actor_id) {
+        where += ` AND n.actor_id = ?`;
+        params.push(actor_id);
+    }
+
+    if (tutor_id) {
+        where += ` AND n.tutor_id = ?`;
+        params.push(tutor_id);
+    }
+
+    if (destinatario) {
+        where += ` AND n.destinatario_correo LIKE ?`;
+        params.push(`%${destinatario}%`);
+    }
+
+    if (fecha_desde) {
+        where += ` AND n.creado_en >= ?`;
+        params.push(fecha_desde);
+    }
+
+    if (fecha_hasta) {
+        where += ` AND n.creado_en < DATE_ADD(?, INTERVAL 1 DAY)`;
+        params.push(fecha_hasta);
+    }
+
+    return { where, params };
+};
+
+/**
+ * OBTENER NOTIFICACIONES
+ * Filtros: estado, plantilla, proceso_id, usuario_id, actor_id, tutor_id,
+ * destinatario, fecha_desde, fecha_hasta, limit, offset
+ */
+const getAll = async (filters = {}) => {
+    const { limit, offset } = filters;
+    const { where, params } = buildFilters(filters);
+
+    let sql = `
+    SELECT ${COLUMNAS_LISTADO}
+    FROM notificacion n
+    ${where}
+    ORDER BY n.id_notificacion DESC
+  `;
+
+    if (limit) {
+        const limitInt = parseInt(limit) || 20;
+        const offsetInt = parseInt(offset) || 0;
+        sql += ` LIMIT ${limitInt} OFFSET ${offsetInt}`;
+    }
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * CONTAR NOTIFICACIONES
+ */
+const getCount = async (filters = {}) => {
+    const { where, params } = buildFilters(filters);
+
+    const [result] = await executeQuery(`SELECT COUNT(*) as total FROM notificacion n ${where}`, params);
+    return result.total;
+};
+
+/**
+ * RESUMEN POR ESTADO
+ */
+const getResumen = async () => {
+    const porEstado = await executeQuery(`
+    SELECT estado, COUNT(*) as total
+    FROM notificacion
+    GROUP BY estado
+  `);
+
+    const resumen = Object.values(ESTADO_NOTIFICACION).reduce((acc, estado) => {
+        acc[estado] = 0;
+        return acc;
+    }, {});
+
+    porEstado.forEach(fila => {
+        resumen[fila.estado] = fila.total;
+    });
+
+    return resumen;
+};
+
+/**
+ * OBTENER POR ID (con el cuerpo del correo)
+ */
+const getById = async (id) => {
+    const sql = `SELECT * FROM notificacion WHERE id_notificacion = ?`;
+    const [notificacion] = await executeQuery(sql, [id]);
+
+    if (!notificacion) {
+        throw new NotFoundError('Notificación no encontrada');
+    }
+
+    return notificacion;
+};
+
+/**
+ * REENVIAR UNA NOTIFICACIÓN FALLIDA
+ * Vuelve a la cola con los intentos en cero
+ */
+const reenviar = async (id) => {
+    const notificacion = await getById(id);
+
+    if (notificacion.estado !== ESTADO_NOTIFICACION.FALLIDA) {
+        throw new ConflictError(
+            `Solo se pueden reenviar notificaciones FALLIDA (estado actual: ${notificacion.estado})`
+        );
+    }
+
+    await executeQuery(`
+    UPDATE notificacion
+    SET estado = ?, intentos = 0, proximo_intento = NOW()
+    WHERE id_notificacion = ?
+  `, [ESTADO_NOTIFICACION.PENDIENTE, id]);
+
+    return await getById(id);
+};
+
+/**
+ * REENVIAR TODAS LAS FALLIDAS (opcionalmente de una plantilla)
+ *
+ * @returns {Promise<number>} - Notificaciones devueltas a la cola
+ */
+const reenviarFallidas = async (plantilla = null) => {
+    const params = [ESTADO_NOTIFICACION.PENDIENTE, ESTADO_NOTIFICACION.FALLIDA];
+    let sql = `
+    UPDATE notificacion
+    SET estado = ?, intentos = 0, proximo_intento = NOW()
+    WHERE estado = ?
+  `;
+
+    if (plantilla) {
+        sql += ` AND plantilla = ?`;
+        params.push(plantilla);
+    }
+
+    const result = await executeQuery(sql, params);
+    return result.affectedRows;
+};
+
+module.exports = {
+    encolar,
+    tomarPendientes,
+    liberarAtoradas,
+    marcarEnviada,
+    marcarFallo,
+    getAll,
+    getCount,
+    getResumen,
+    getById,
+    reenviar,
+    reenviarFallidas
+};
@@ -0,0 +1,576 @@
+// src/models/papeleraModel.js
+
+const { executeQuery, executeTransaction } = require('../config/database');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errorHandler');
+const { registrarAuditoria } = require('../utils/auditoria');
+const { getRequestContext } = require('../middlewares/requestContext');
+const { ESTADO_AUDIENCIA, STATUS_PROCESO_CERRADO } = require('../config/constants');
+const { validarSinProcesoActivo } = require('../utils/procesosAdolescente');
+
+/**
+ * MODELO DE PAPELERA
+ *
+ * Borrado lógico de los expedientes. El remove() de cada modelo llama a
+ * enviar(): la fila queda con eliminado_en / eliminado_por y las consultas
+ * de los modelos la ocultan (AND eliminado_en IS NULL). Desde aquí se
+ * listan, restauran o purgan (DELETE definitivo).
+ *
+ * - Restaurar exige que los registros de los que depende (padres) existan y
+ *   no estén en la papelera: una CJO no vuelve si su CJ sigue eliminada.
+ * - Purgar exige que nada dependa del registro, ni siquiera en la papelera.
+ */
+
+/**
+ * REGISTROS CON PAPELERA (slug de la URL → tabla)
+ *
+ * - descripcion: expresión SQL para identificar la fila en el listado
+ * - padres: columnas que apuntan a otro tipo de la papelera; carpeta: true
+ *   si la relación es vía proceso_carpeta (columna = carpeta del registro)
+ * - proceso: columna con el proceso (para auditoría); carpeta: vía proceso_carpeta
+ */
+const REGISTROS = {
+    'adolescentes': {
+        tabla: 'adolescente',
+        id: 'id_adolescente',
+        descripcion: `nombre`,
+        padres: [{ tipo: 'domicilios', columna: 'domicilio_id' }]
+    },
+    'tutores': {
+        tabla: 'tutor',
+        id: 'id_tutor',
+        descripcion: `CONCAT(nombre, ' (', parentesco, ')')`,
+        padres: [
+            { tipo: 'adolescentes', columna: 'adolescente_id' },
+            { tipo: 'domicilios', columna: 'domicilio_id' }
+        ]
+    },
+    'domicilios': {
+        tabla: 'domicilio',
+        id: 'id_domicilio',
+        descripcion: `CONCAT_WS(', ', calle_numero, colonia, municipio)`,
+        padres: []
+    },
+    'procesos': {
+        tabla: 'proceso',
+        id: 'id_proceso',
+        descripcion: `CONCAT('Proceso ', id_proceso)`,
+        padres: [{ tipo: 'adolescentes', columna: 'adolescente_id' }],
+        proceso: 'id_proceso'
+    },
+    'cj': {
+        tabla: 'cj',
+        id: 'id_cj',
+        descripcion: `numero_cj`,
+        padres: [
+            { tipo: 'procesos', columna: 'cj_id', carpeta: true },
+            { tipo: 'domicilios', columna: 'domicilio_hechos_id' }
+        ],
+        carpeta: 'cj_id'
+    },
+    'cjo': {
+        tabla: 'cjo',
+        id: 'id_cjo',
+        descripcion: `numero_cjo`,
+        padres: [{ tipo: 'cj', columna: 'cj_id' }],
+        carpeta: 'cjo_id'
+    },
+    'cemci': {
+        tabla: 'cemci',
+        id: 'id_cemci',
+        descripcion: `numero_cemci`,
+        padres: [
+            { tipo: 'cj', columna: 'cj_id' },
+            { tipo: 'cjo', columna: 'cjo_id' }
+        ],
+        carpeta: 'cemci_id'
+    },
+    'cems': {
+        tabla: 'cems',
+        id: 'id_cems',
+        descripcion: `numero_cems`,
+        padres: [
+            { tipo: 'cj', columna: 'cj_id' },
+            { tipo: 'cjo', columna: 'cjo_id' },
+            { tipo: 'cemci', columna: 'cemci_id' }
+        ],
+        carpeta: 'cems_id'
+    },
+    'audiencias': {
+        tabla: 'audiencia',
+        id: 'id_audiencia',
+        descripcion: `CONCAT(COALESCE(tipo, 'Audiencia'), ' ', DATE_FORMAT(fecha_audiencia, '%Y-%m-%d %H:%i'))`,
+        padres: [
+            { tipo: 'procesos', columna: 'proceso_id' },
+            { tipo: 'cj', columna: 'cj_id' },
+            { tipo: 'cjo', columna: 'cjo_id' },
+            { tipo: 'cemci', columna: 'cemci_id' },
+            { tipo: 'cems', columna: 'cems_id' }
+        ],
+        proceso: 'proceso_id'
+    },
+    'victimas': {
+        tabla: 'victima',
+        id: 'id_victima',
+        descripcion: `COALESCE(nombre, iniciales)`,
+        padres: []
+    },
+    'medidas-cautelares': {
+        tabla: 'medida_cautelar',
+        id: 'id_medida_cautelar',
+        descripcion: `CONCAT('Medida cautelar ', DATE_FORMAT(fecha_medida_cautelar, '%Y-%m-%d'))`,
+        padres: [{ tipo: 'procesos', columna: 'proceso_id' }],
+        proceso: 'proceso_id'
+    },
+    'medidas-sancionadoras': {
+        tabla: 'medida_sancionadora',
+        id: 'id_medida',
+        descripcion: `CONCAT('Medida sancionadora ', id_medida)`,
+        padres: [{ tipo: 'procesos', columna: 'proceso_id' }],
+        proceso: 'proceso_id'
+    },
+    'condenas': {
+        tabla: 'condena',
+        id: 'id_condena',
+        descripcion: `CONCAT('Condena del proceso ', proceso_id)`,
+        padres: [{ tipo: 'procesos', columna: 'proceso_id' }],
+        proceso: 'proceso_id'
+    },
+    'internamientos': {
+        tabla: 'internamiento',
+        id: 'id_internamiento',
+        descripcion: `CONCAT('Internamiento del proceso ', proceso_id)`,
+        padres: [{ tipo: 'procesos', columna: 'proceso_id' }],
+        proceso: 'proceso_id'
+    },
+    'libertades': {
+        tabla: 'libertad',
+        id: 'id_libertad',
+        descripcion: `CONCAT('Libertad del proceso ', proceso_id)`,
+        padres: [{ tipo: 'procesos', columna: 'proceso_id' }],
+        proceso: 'proceso_id'
+    },
+    'cj-conductas': {
+        tabla: 'cj_conducta',
+        id: 'id_conducta',
+        descripcion: `CONCAT('Conducta de la CJ ', cj_id)`,
+        padres: [{ tipo: 'cj', columna: 'cj_id' }]
+    },
+    'cemci-seguimientos': {
+        tabla: 'cemci_seguimiento',
+        id: 'id_seguimiento',
+        descripcion: `CONCAT('Seguimiento de la CEMCI ', cemci_id)`,
+        padres: [
+            { tipo: 'cemci', columna: 'cemci_id' },
+            { tipo: 'procesos', columna: 'proceso_id' }
+        ],
+        proceso: 'proceso_id'
+    },
+    'cems-seguimientos': {
+        tabla: 'cems_seguimiento',
+        id: 'id_seguimiento',
+        descripcion: `CONCAT('Seguimiento de la CEMS ', cems_id)`,
+        padres: [
+            { tipo: 'cems', columna: 'cems_id' },
+            { tipo: 'procesos', columna: 'proceso_id' }
+        ],
+        proceso: 'proceso_id'
+    },
+    'cems-exhortaciones': {
+        tabla: 'cems_exhortacion',
+        id: 'id_exhortacion',
+        descripcion: `CONCAT('Exhortación de la CEMS ', cems_id)`,
+        padres: [
+            { tipo: 'cems', columna: 'cems_id' },
+            { tipo: 'procesos', columna: 'proceso_id' }
+        ],
+        proceso: 'proceso_id'
+    }
+};
+
+const ACCION_RESTAURAR = 'RESTAURAR';
+const ACCION_PURGAR = 'PURGAR';
+
+/**
+ * HELPER: Configuración del tipo (400 si no existe)
+ */
+const getConfig = (tipo) => {
+    const config = REGISTROS[tipo];
+
+    if (!config) {
+        throw new BadRequestError(
+            `Tipo de registro inválido. Valores permitidos: ${Object.keys(REGISTROS).join(', ')}`
+        );
+    }
+
+    return config;
+};
+
+/**
+ * ENVIAR A LA PAPELERA
+ * Lo llama el remove() de cada modelo en lugar del DELETE
+ *
+ * @param {string} tabla - Tabla del registro
+ * @param {number} id - Id del registro
+ * @param {Object|null} connection - Conexión de la transacción (null: executeQuery)
+ */
+const enviar = async (tabla, id, connection = null) => {
+    const config = Object.values(REGISTROS).find(c => c.tabla === tabla);
+
+    if (!config) {
+        throw new Error(`La tabla ${tabla} no tiene papelera`);
+    }
+
+    const { usuario_id } = getRequestContext();
+
+    const sql = `
+        UPDATE ${config.tabla}
+        SET eliminado_en = NOW(), eliminado_por = ?
+        WHERE ${config.id} = ? AND eliminado_en IS NULL
+    `;
+    const params = [usuario_id || null, id];
+
+    if (connection) {
+        await connection.execute(sql, params);
+    } else {
+        await executeQuery(sql, params);
+    }
+};
+
+/**
+ * HELPER: Fila en la papelera (404 si no existe o no está eliminada)
+ */
+const getEliminado = async (config, id) => {
+    const [registro] = await executeQuery(
+        `SELECT * FROM ${config.tabla} WHERE ${config.id} = ? AND eliminado_en IS NOT NULL`,
+        [id]
+    );
+
+    if (!registro) {
+        throw new NotFoundError('El registro no está en la papelera');
+    }
+
+    return registro;
+};
+
+/**
+ * HELPER: Proceso del registro (para auditoría)
+ */
+const getProcesoId = async (config, registro, id) => {
+    if (config.proceso) {
+        return registro[config.proceso] || null;
+    }
+
+    if (config.carpeta) {
+        const [row] = await executeQuery(
+            `SELECT id_proceso FROM proceso_carpeta WHERE ${config.carpeta} = ? LIMIT 1`,
+            [id]
+        );
+        return row ? row.id_proceso : null;
+    }
+
+    return null;
+};
+
+/**
+ * HELPER: UNION de las filas eliminadas de cada tipo
+ */
+const buildUnion = (filters) => {
+    const { tipo, search } = filters;
+    const tipos = tipo ? [tipo] : Object.keys(REGISTROS);
+    tipos.forEach(getConfig);
+
+    const params = [];
+    const selects = tipos.map(t => {
+        const config = REGISTROS[t];
+        let sql = `
+            SELECT '${t}' as tipo,
+                   ${config.id} as id,
+                   ${config.descripcion} as descripcion,
+                   eliminado_en,
+                   eliminado_por
+            FROM ${config.tabla}
+            WHERE eliminado_en IS NOT NULL
+        `;
+
+        if (search) {
+            sql += ` AND ${config.descripcion} LIKE ?`;
+            params.push(`%${search}%`);
+        }
+
+        return sql;
+    });
+
+    return { union: selects.join(' UNION ALL '), params };
+};
+
+/**
+ * LISTAR PAPELERA (todas las tablas, más recientes primero)
+ *
+ * @param {Object} filters - { tipo?, search?, limit, offset }
+ */
+const getAll = async (filters = {}) => {
+    const { union, params } = buildUnion(filters);
+    const limitInt = parseInt(filters.limit) || 20;
+    const offsetInt = parseInt(filters.offset) || 0;
+
+    const sql = `
+        SELECT p.*, u.nombre as eliminado_por_nombre
+        FROM (${union}) p
+                 LEFT JOIN usuario u ON p.eliminado_por = u.id_usuario
+        ORDER BY p.eliminado_en DESC, p.tipo, p.id DESC
+        LIMIT ${limitInt} OFFSET ${offsetInt}
+    `;
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * CONTAR REGISTROS EN LA PAPELERA
+ */
+const getCount = async (filters = {}) => {
+    const { union, params } = buildUnion(filters);
+
+    const [result] = await executeQuery(`SELECT COUNT(*) as total FROM (${union}) p`, params);
+    return result.total;
+};
+
+/**
+ * OBTENER REGISTRO DE LA PAPELERA (fila completa)
+ */
+const getById = async (tipo, id) => {
+    return await getEliminado(getConfig(tipo), id);
+};
+
+/**
+ * PADRES QUE IMPIDEN RESTAURAR (no existen o siguen en la papelera)
+ */
+const getPadresFaltantes = async (config, registro, id) => {
+    const faltantes = [];
+
+    for (const padre of config.padres) {
+        const padreConfig = REGISTROS[padre.tipo];
+        let padreId = registro[padre.columna];
+
+        if (padre.carpeta) {
+            const [row] = await executeQuery(
+                `SELECT id_proceso FROM proceso_carpeta WHERE ${padre.columna} = ? LIMIT 1`,
+                [id]
+            );
+            padreId = row ? row.id_proceso : null;
+        }
+
+        if (!padreId) continue;
+
+        const [fila] = await executeQuery(
+            `SELECT eliminado_en FROM ${padreConfig.tabla} WHERE ${padreConfig.id} = ?`,
+            [padreId]
+        );
+
+        if (!fila || fila.eliminado_en) {
+            faltantes.push({
+                tipo: padre.tipo,
+                id: padreId,
+                motivo: fila ? 'en la papelera' : 'no existe'
+            });
+        }
+    }
+
+    return faltantes;
+};
+
+/**
+ * RESTAURAR
+ * 409 con error.details si algún padre no existe o sigue en la papelera;
+ * 409 si es un proceso activo y el adolescente ya tiene otro, o un
+ * adolescente fusionado con otro
+ */
+const restore = async (tipo, id) => {
+    const config = getConfig(tipo);
+    const registro = await getEliminado(config, id);
+
+    const faltantes = await getPadresFaltantes(config, registro, id);
+
+    if (faltantes.length > 0) {
+        throw new ConflictError(
+            'No se puede restaurar: depende de registros eliminados o inexistentes. ' +
+            'Restaure primero los que estén en la papelera.',
+            faltantes
+        );
+    }
+
+    // Un duplicado fusionado no vuelve: sus procesos ya son del otro registro
+    if (config.tabla === 'adolescente' && registro.fusionado_en_id) {
+        throw new ConflictError(
+            `No se puede restaurar: el adolescente se fusionó con el ${registro.fusionado_en_id}`
+        );
+    }
+
+    // Un proceso activo no vuelve si el adolescente ya abrió otro
+    if (config.tabla === 'proceso') {
+        const [status] = await executeQuery(
+            `SELECT nombre FROM status WHERE id_status = ?`,
+            [registro.status_id]
+        );
+
+        if (!STATUS_PROCESO_CERRADO.includes(status && status.nombre)) {
+            await validarSinProcesoActivo(registro.adolescente_id);
+        }
+    }
+
+    await executeQuery(
+        `UPDATE ${config.tabla} SET eliminado_en = NULL, eliminado_por = NULL WHERE ${config.id} = ?`,
+        [id]
+    );
+
+    // El total de audiencias celebradas de la CJ cuenta solo las no eliminadas
+    if (config.tabla === 'audiencia' && registro.cj_id && registro.estado === ESTADO_AUDIENCIA.CELEBRADA) {
+        await recalcularTotalAudienciasCj(registro.cj_id);
+    }
+
+    await registrarAuditoria({
+        entidad: config.tabla,
+        entidadId: Number(id),
+        procesoId: await getProcesoId(config, registro, id),
+        accion: ACCION_RESTAURAR,
+        antes: { eliminado_en: registro.eliminado_en, eliminado_por: registro.eliminado_por },
+        despues: { eliminado_en: null, eliminado_por: null }
+    });
+
+    return { tipo, id: Number(id), restaurado: true };
+};
+
+/**
+ * HELPER: cj.numero_total_audiencias (mismo cálculo que audienciaModel)
+ */
+const recalcularTotalAudienciasCj = async (cjId) => {
+    await executeQuery(`
+        UPDATE cj
+        SET numero_total_audiencias = (
+            SELECT COUNT(*) FROM audiencia
+            WHERE cj_id = ? AND estado = ? AND eliminado_en IS NULL
+        )
+        WHERE id_cj = ?
+    `, [cjId, ESTADO_AUDIENCIA.CELEBRADA, cjId]);
+};
+
+/**
+ * DEPENDIENTES QUE IMPIDEN PURGAR (activos o en la papelera)
+ */
+const getDependientes = async (tipo, id) => {
+    const dependientes = [];
+
+    for (const [hijoTipo, hijo] of Object.entries(REGISTROS)) {
+        for (const padre of hijo.padres) {
+            if (padre.tipo !== tipo) continue;
+
+            // Carpeta vinculada al proceso: proceso_carpeta
+            const sql = padre.carpeta
+                ? `SELECT COUNT(*) as total, SUM(h.eliminado_en IS NOT NULL) as en_papelera
+                   FROM proceso_carpeta pc
+                            INNER JOIN ${hijo.tabla} h ON pc.${padre.columna} = h.${hijo.id}
+                   WHERE pc.id_proceso = ?`
+                : `SELECT COUNT(*) as total, SUM(eliminado_en IS NOT NULL) as en_papelera
+                   FROM ${hijo.tabla}
+                   WHERE ${padre.columna} = ?`;
+
+            const [row] = await executeQuery(sql, [id]);
+
+            if (row.total > 0) {
+                dependientes.push({
+                    tipo: hijoTipo,
+                    total: Number(row.total),
+                    en_papelera: Number(row.en_papelera) || 0
+                });
+            }
+        }
+    }
+
+    return dependientes;
+};
+
+/**
+ * PURGAR (DELETE definitivo)
+ * 409 con error.details si otros registros dependen de él
+ */
+const purge = async (tipo, id) => {
+    const config = getConfig(tipo);
+    const registro = await getEliminado(config, id);
+
+    const dependientes = await getDependientes(tipo, id);
+
+    if (dependientes.length > 0) {
+        throw new ConflictError(
+            'No se puede purgar: hay registros que dependen de él. Elimínelos y púrguelos primero.',
+            dependientes
+        );
+    }
+
+    const procesoId = await getProcesoId(config, registro, id);
+
+    try {
+        await executeTransaction(async (connection) => {
+            // Carpeta: quitarla del proceso
+            if (config.carpeta) {
+                await connection.execute(
+                    `UPDATE proceso_carpeta SET ${config.carpeta} = NULL WHERE ${config.carpeta} = ?`,
+                    [id]
+                );
+            }
+
+            if (config.tabla === 'proceso') {
+                await connection.execute(`DELETE FROM proceso_carpeta WHERE id_proceso = ?`, [id]);
+            }
+
+            await connection.execute(`DELETE FROM ${config.tabla} WHERE ${config.id} = ?`, [id]);
+
+            // El domicilio del adolescente o del tutor se borra con él
+            // (si no lo comparte con un tutor o con el adolescente)
+            if ((config.tabla === 'adolescente' || config.tabla === 'tutor') && registro.domicilio_id) {
+                await connection.execute(`
+                    DELETE FROM domicilio
+                    WHERE id_domicilio = ?
+                      AND NOT EXISTS (SELECT 1 FROM adolescente WHERE domicilio_id = ?)
+                      AND NOT EXISTS (SELECT 1 FROM tutor WHERE domicilio_id = ?)
+                `, [registro.domicilio_id, registro.domicilio_id, registro.domicilio_id]);
+            }
+        });
+    } catch (error) {
+        // Referencias fuera de la papelera (víctimas vinculadas, actores, etc.)
+        if (error.code === 'ER_ROW_IS_REFERENCED_2' || error.code === 'ER_ROW_IS_REFERENCED') {
+            throw new ConflictError(
+                'No se puede purgar: el registro sigue referenciado por otras tablas (vínculos, historial, etc.)'
+            );
+        }
+        throw error;
+    }
+
+    await registrarAuditoria({
+        entidad: config.tabla,
+        entidadId: Number(id),
+        procesoId,
+        accion: ACCION_PURGAR,
+        antes: registro,
+        despues: null
+    });
+
+    return registro;
+};
+
+/**
+ * TIPOS DE REGISTRO CON PAPELERA
+ */
+const getTipos = () => Object.entries(REGISTROS).map(([tipo, config]) => ({
+    tipo,
+    tabla: config.tabla
+}));
+
+module.exports = {
+    REGISTROS,
+    enviar,
+    getAll,
+    getCount,
+    getById,
+    restore,
+    purge,
+    getTipos
+};
@@ -0,0 +1,264 @@
+// src/models/permisoModel.js
+
+const { executeQuery, executeTransaction } = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errorHandler');
+const { RECURSOS, ACCIONES_PERMISO } = require('../config/constants');
+
+/**
+ * MODELO DE PERMISOS (matriz rol × recurso × acción)
+ *
+ * La matriz completa se guarda en memoria para no consultar la base de
+ * datos en cada request. Se recarga al vencer el TTL o cuando se editan
+ * los permisos desde este mismo proceso.
+ */
+
+const PERMISOS_CACHE_TTL_SEGUNDOS = parseInt(process.env.PERMISOS_CACHE_TTL_SEGUNDOS, 10) || 60;
+
+// { matriz: { [rol_id]: { rol_nombre, permisos: { [recurso]: [acciones] } } }, cargadoEn }
+let cache = null;
+
+/**
+ * INVALIDAR CACHÉ
+ */
+const invalidarCache = () => {
+    cache = null;
+};
+
+/**
+ * CARGAR MATRIZ COMPLETA
+ * Incluye roles sin permisos (con objeto vacío)
+ */
+const cargarMatriz = async () => {
+    const sql = `
+    SELECT
+      r.id_rol,
+      r.nombre as rol_nombre,
+      p.recurso,
+      p.accion
+    FROM rol r
+    LEFT JOIN permiso_rol p ON p.rol_id = r.id_rol
+    ORDER BY r.id_rol, p.recurso, p.accion
+  `;
+
+    const rows = await executeQuery(sql);
+    const matriz = {};
+
+    rows.forEach(row => {
+        if (!matriz[row.id_rol]) {
+            matriz[row.id_rol] = {
+                rol_nombre: row.rol_nombre,
+                permisos: {}
+            };
+        }
+
+        if (row.recurso) {
+            const permisos = matriz[row.id_rol].permisos;
+            if (!permisos[row.recurso]) {
+                permisos[row.recurso] = [];
+            }
+            permisos[row.recurso].push(row.accion);
+        }
+    });
+
+    return matriz;
+};
+
+/**
+ * OBTENER MATRIZ (desde caché si está vigente)
+ */
+const getMatriz = async () => {
+    const ahora = Date.now();
+
+    if (!cache || ahora - cache.cargadoEn > PERMISOS_CACHE_TTL_SEGUNDOS * 1000) {
+        cache = {
+            matriz: await cargarMatriz(),
+            cargadoEn: ahora
+        };
+    }
+
+    return cache.matriz;
+};
+
+/**
+ * VERIFICAR PERMISO DE UN ROL
+ */
+const rolTienePermiso = async (rolId, recurso, accion) => {
+    const matriz = await getMatriz();
+    const rol = matriz[rolId];
+
+    if (!rol || !rol.permisos[recurso]) {
+        return false;
+    }
+
+    return rol.permisos[recurso].includes(accion);
+};
+
+/**
+ * OBTENER NOMBRES DE ROLES CON UN PERMISO
+ * Para mensajes de error
+ */
+const getRolesConPermiso = async (recurso, accion) => {
+    const matriz = await getMatriz();
+
+    return Object.values(matriz)
+        .filter(rol => rol.permisos[recurso] && rol.permisos[recurso].includes(accion))
+        .map(rol => rol.rol_nombre);
+};
+
+/**
+ * PERMISOS QUE UN ROL TIENE Y OTRO NO
+ * Para impedir que un usuario asigne o gestione un rol con más permisos que el suyo
+ *
+ * @returns {Array<string>} - ['recurso:accion', ...] (vacío si no excede)
+ */
+const getPermisosExcedentes = async (rolId, rolIdReferencia) => {
+    const matriz = await getMatriz();
+    const rol = matriz[rolId];
+    const referencia = matriz[rolIdReferencia];
+
+    if (!rol) {
+        return [];
+    }
+
+    const excedentes = [];
+
+    Object.entries(rol.permisos).forEach(([recurso, acciones]) => {
+        const propias = (referencia && referencia.permisos[recurso]) || [];
+
+        acciones
+            .filter(accion => !propias.includes(accion))
+            .forEach(accion => excedentes.push(`${recurso}:${accion}`));
+    });
+
+    return excedentes;
+};
+
+/**
+ * OBTENER PERMISOS DE UN ROL
+ * Retorna todos los recursos con sus acciones (vacío si no tiene)
+ */
+const getByRolId = async (rolId) => {
+    const rolCheck = `SELECT id_rol, nombre, descripcion FROM rol WHERE id_rol = ?`;
+    const [rol] = await executeQuery(rolCheck, [rolId]);
+
+    if (!rol) {
+        throw new NotFoundError('Rol no encontrado');
+    }
+
+    const sql = `
+    SELECT recurso, accion
+    FROM permiso_rol
+    WHERE rol_id = ?
+  `;
+    const rows = await executeQuery(sql, [rolId]);
+
+    const permisos = {};
+    Object.values(RECURSOS).forEach(recurso => {
+        permisos[recurso] = [];
+    });
+
+    rows.forEach(row => {
+        if (permisos[row.recurso]) {
+            permisos[row.recurso].push(row.accion);
+        }
+    });
+
+    return {
+        ...rol,
+        permisos
+    };
+};
+
+/**
+ * OBTENER MATRIZ COMPLETA PARA ADMINISTRACIÓN
+ * Siempre desde la base de datos (no desde caché)
+ */
+const getAll = async () => {
+    const matriz = await cargarMatriz();
+
+    return Object.entries(matriz).map(([idRol, rol]) => {
+        const permisos = {};
+        Object.values(RECURSOS).forEach(recurso => {
+            permisos[recurso] = rol.permisos[recurso] || [];
+        });
+
+        return {
+            id_rol: parseInt(idRol),
+            nombre: rol.rol_nombre,
+            permisos
+        };
+    });
+};
+
+/**
+ * REEMPLAZAR PERMISOS DE UN ROL
+ *
+ * permisos: { CJ: ['consultar', 'crear'], usuarios: [], ... }
+ * Solo se modifican los recursos incluidos; los omitidos quedan igual
+ */
+const setPermisosRol = async (rolId, permisos) => {
+    if (!permisos || typeof permisos !== 'object' || Array.isArray(permisos)) {
+        throw new BadRequestError('permisos debe ser un objeto { recurso: [acciones] }');
+    }
+
+    const recursosValidos = Object.values(RECURSOS);
+    const errores = [];
+
+    Object.entries(permisos).forEach(([recurso, acciones]) => {
+        if (!recursosValidos.includes(recurso)) {
+            errores.push(`Recurso inválido: ${recurso}`);
+            return;
+        }
+
+        if (!Array.isArray(acciones)) {
+            errores.push(`Las acciones de ${recurso} deben ser un arreglo`);
+            return;
+        }
+
+        acciones.forEach(accion => {
+            if (!ACCIONES_PERMISO.includes(accion)) {
+                errores.push(`Acción inválida en ${recurso}: ${accion}`);
+            }
+        });
+    });
+
+    if (errores.length > 0) {
+        throw new BadRequestError(
+            `${errores.join('. ')}. Recursos válidos: ${recursosValidos.join(', ')}. ` +
+            `Acciones válidas: ${ACCIONES_PERMISO.join(', ')}`
+        );
+    }
+
+    // Verificar que el rol existe
+    await getByRolId(rolId);
+
+    await executeTransaction(async (connection) => {
+        for (const [recurso, acciones] of Object.entries(permisos)) {
+            await connection.execute(
+                `DELETE FROM permiso_rol WHERE rol_id = ? AND recurso = ?`,
+                [rolId, recurso]
+            );
+
+            for (const accion of new Set(acciones)) {
+                await connection.execute(
+                    `INSERT INTO permiso_rol (rol_id, recurso, accion) VALUES (?, ?, ?)`,
+                    [rolId, recurso, accion]
+                );
+            }
+        }
+    });
+
+    invalidarCache();
+
+    return await getByRolId(rolId);
+};
+
+module.exports = {
+    rolTienePermiso,
+    getRolesConPermiso,
+    getPermisosExcedentes,
+    getByRolId,
+    getAll,
+    setPermisosRol,
+    invalidarCache
+};
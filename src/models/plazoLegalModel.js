@@ -0,0 +1,315 @@
+// src/models/plazoLegalModel.js
+
+const { executeQuery } = require('../config/database');
+const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { UNIDAD_PLAZO } = require('../config/constants');
+
+/**
+ * MODELO DEL CATÁLOGO DE PLAZOS LEGALES
+ *
+ * Cada plazo toma sus fechas de una FUENTE. Las fuentes y sus columnas
+ * están fijas aquí (no en la base de datos) porque se usan para armar
+ * SQL: el catálogo solo puede apuntar a columnas de esta lista.
+ */
+
+/**
+ * FUENTES DE FECHAS
+ *
+ * carpeta: carpeta a la que pertenece el plazo
+ * entidad: tabla del registro de origen
+ * id / proceso: columnas con el id del registro y del proceso
+ * desde: FROM/JOIN (el registro de origen siempre con alias x)
+ * filtro: condición adicional (opcional)
+ * campos: columnas que se pueden usar como inicio, cumplimiento o duración
+ */
+const FUENTES_PLAZO = {
+    cj: {
+        carpeta: 'CJ',
+        entidad: 'cj',
+        id: 'x.id_cj',
+        proceso: 'pc.id_proceso',
+        desde: `FROM proceso_carpeta pc INNER JOIN cj x ON x.id_cj = pc.cj_id`,
+        campos: [
+            'fecha_ingreso', 'fecha_control', 'fecha_formulacion', 'fecha_vinculacion',
+            'fecha_suspension', 'fecha_terminacion_suspension', 'plazo_suspension',
+            'fecha_audiencia_intermedia', 'fecha_sustraccion'
+        ]
+    },
+    cjo: {
+        carpeta: 'CJO',
+        entidad: 'cjo',
+        id: 'x.id_cjo',
+        proceso: 'pc.id_proceso',
+        desde: `FROM proceso_carpeta pc INNER JOIN cjo x ON x.id_cjo = pc.cjo_id`,
+        campos: [
+            'fecha_ingreso', 'fecha_auto_apertura', 'fecha_sentencia',
+            'fecha_causo_estado', 'fecha_sentencia_enviada_ejecucion'
+        ]
+    },
+    cemci: {
+        carpeta: 'CEMCI',
+        entidad: 'cemci',
+        id: 'x.id_cemci',
+        proceso: 'pc.id_proceso',
+        desde: `FROM proceso_carpeta pc INNER JOIN cemci x ON x.id_cemci = pc.cemci_id`,
+        campos: ['fecha_recepcion_cemci']
+    },
+    cems: {
+        carpeta: 'CEMS',
+        entidad: 'cems',
+        id: 'x.id_cems',
+        proceso: 'pc.id_proceso',
+        desde: `FROM proceso_carpeta pc INNER JOIN cems x ON x.id_cems = pc.cems_id`,
+        campos: ['fecha_recepcion', 'plan_actividad_fecha_inicio']
+    },
+    cemci_seguimiento: {
+        carpeta: 'CEMCI',
+        entidad: 'cemci_seguimiento',
+        id: 'x.id_seguimiento',
+        proceso: 'x.proceso_id',
+        desde: `FROM cemci_seguimiento x`,
+        campos: [
+            'fecha_recepcion_plan_actividades', 'fecha_aprobacion_plan_actividades',
+            'fecha_audiencia_inicial_cemci', 'fecha_radicacion', 'fecha_suspension'
+        ]
+    },
+    libertad: {
+        carpeta: 'CEMS',
+        entidad: 'libertad',
+        id: 'x.id_libertad',
+        proceso: 'x.proceso_id',
+        desde: `FROM libertad x`,
+        campos: ['fecha_inicial_ejecucion', 'termino_obligaciones', 'fecha_cumplimiento']
+    },
+    internamiento: {
+        carpeta: 'CEMS',
+        entidad: 'internamiento',
+        id: 'x.id_internamiento',
+        proceso: 'x.proceso_id',
+        desde: `FROM internamiento x`,
+        campos: ['fecha_cumplimiento']
+    },
+    condena: {
+        carpeta: 'CJO',
+        entidad: 'condena',
+        id: 'x.id_condena',
+        proceso: 'x.proceso_id',
+        desde: `FROM condena x`,
+        campos: ['inicio_computo_sancion']
+    },
+    internamiento_preventivo: {
+        carpeta: 'CJ',
+        entidad: 'medida_cautelar',
+        id: 'x.id_medida_cautelar',
+        proceso: 'x.proceso_id',
+        desde: `FROM medida_cautelar x
+                INNER JOIN tipo_medida_cautelar tmc ON x.tipo_medida_cautelar_id = tmc.id_tipo_medida_cautelar`,
+        // Medidas privativas: tipos con genera_cemci (igual que el cómputo de la sanción)
+        filtro: `tmc.genera_cemci = TRUE`,
+        campos: ['fecha_medida_cautelar', 'fecha_revocacion_medida']
+    }
+};
+
+const CAMPOS = [
+    'clave', 'nombre', 'descripcion', 'fundamento_legal', 'fuente',
+    'campo_inicio', 'campo_cumplimiento', 'cantidad', 'unidad',
+    'campo_duracion', 'dias_aviso', 'activo'
+];
+
+/**
+ * VALIDAR DEFINICIÓN DE UN PLAZO
+ * Fuente y columnas deben existir en FUENTES_PLAZO
+ */
+const validarDefinicion = (plazo) => {
+    const errores = [];
+    const fuente = FUENTES_PLAZO[plazo.fuente];
+
+    if (!fuente) {
+        throw new BadRequestError(
+            `Fuente inválida: ${plazo.fuente}. Fuentes válidas: ${Object.keys(FUENTES_PLAZO).join(', ')}`
+        );
+    }
+
+    ['campo_inicio', 'campo_cumplimiento', 'campo_duracion'].forEach(campo => {
+        if (plazo[campo] && !fuente.campos.includes(plazo[campo])) {
+            errores.push(`${campo} inválido para ${plazo.fuente}: ${plazo[campo]}`);
+        }
+    });
+
+    if (!plazo.campo_inicio) {
+        errores.push('campo_inicio es obligatorio');
+    }
+
+    if (plazo.campo_duracion) {
+        if (plazo.cantidad !== null && plazo.cantidad !== undefined) {
+            errores.push('Use cantidad/unidad o campo_duracion, no ambos');
+        }
+    } else {
+        if (plazo.cantidad === null || plazo.cantidad === undefined || parseInt(plazo.cantidad) < 0) {
+            errores.push('cantidad debe ser un número mayor o igual a 0');
+        }
+        if (!Object.values(UNIDAD_PLAZO).includes(plazo.unidad)) {
+            errores.push(`unidad inválida. Unidades válidas: ${Object.values(UNIDAD_PLAZO).join(', ')}`);
+        }
+    }
+
+    if (errores.length > 0) {
+        throw new BadRequestError(
+            `${errores.join('. ')}. Campos válidos de ${plazo.fuente}: ${fuente.campos.join(', ')}`
+        );
+    }
+};
+
+/**
+ * OBTENER TODOS
+ */
+const getAll = async (filters = {}) => {
+    const { activo, fuente } = filters;
+
+    let sql = `SELECT * FROM plazo_legal WHERE 1=1`;
+    const params = [];
+
+    if (activo !== undefined) {
+        sql += ` AND activo = ?`;
+        params.push(activo === true || activo === 'true');
+    }
+
+    if (fuente) {
+        sql += ` AND fuente = ?`;
+        params.push(fuente);
+    }
+
+    sql += ` ORDER BY fuente, clave`;
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * OBTENER POR ID
+ */
+const getById = async (id) => {
+    const sql = `SELECT * FROM plazo_legal WHERE id_plazo_legal = ?`;
+    const [plazo] = await executeQuery(sql, [id]);
+
+    if (!plazo) {
+        throw new NotFoundError('Plazo legal no encontrado');
+    }
+
+    return plazo;
+};
+
+/**
+ * Verificar que la clave no esté en uso
+ */
+const verificarClaveDisponible = async (clave, excludeId = null) => {
+    let sql = `SELECT id_plazo_legal FROM plazo_legal WHERE clave = ?`;
+    const params = [clave];
+
+    if (excludeId) {
+        sql += ` AND id_plazo_legal != ?`;
+        params.push(excludeId);
+    }
+
+    const [existente] = await executeQuery(sql, params);
+
+    if (existente) {
+        throw new ConflictError(`Ya existe un plazo con la clave ${clave}`);
+    }
+};
+
+/**
+ * Normalizar valores antes de guardar
+ */
+const normalizar = (plazo) => ({
+    ...plazo,
+    descripcion: plazo.descripcion || null,
+    fundamento_legal: plazo.fundamento_legal || null,
+    campo_cumplimiento: plazo.campo_cumplimiento || null,
+    campo_duracion: plazo.campo_duracion || null,
+    cantidad: plazo.campo_duracion ? null : parseInt(plazo.cantidad),
+    unidad: plazo.campo_duracion ? null : plazo.unidad,
+    dias_aviso: plazo.dias_aviso !== undefined && plazo.dias_aviso !== null ? parseInt(plazo.dias_aviso) : 3,
+    activo: plazo.activo !== undefined ? !!plazo.activo : true
+});
+
+/**
+ * CREAR
+ */
+const create = async (data) => {
+    validarDefinicion(data);
+    await verificarClaveDisponible(data.clave);
+
+    const plazo = normalizar(data);
+
+    const sql = `
+    INSERT INTO plazo_legal (${CAMPOS.join(', ')})
+    VALUES (${CAMPOS.map(() => '?').join(', ')})
+  `;
+
+    const result = await executeQuery(sql, CAMPOS.map(campo => plazo[campo]));
+
+    return await getById(result.insertId);
+};
+
+/**
+ * ACTUALIZAR
+ * Se valida la definición resultante (actual + cambios)
+ */
+const update = async (id, data) => {
+    const actual = await getById(id);
+
+    const cambios = {};
+    CAMPOS.forEach(campo => {
+        if (data[campo] !== undefined) {
+            cambios[campo] = data[campo];
+        }
+    });
+
+    // Cambiar a campo_duracion limpia cantidad/unidad y viceversa
+    if (cambios.campo_duracion) {
+        cambios.cantidad = null;
+        cambios.unidad = null;
+    } else if (cambios.cantidad !== undefined || cambios.unidad !== undefined) {
+        cambios.campo_duracion = null;
+    }
+
+    const plazo = { ...actual, ...cambios };
+
+    validarDefinicion(plazo);
+
+    if (cambios.clave) {
+        await verificarClaveDisponible(cambios.clave, id);
+    }
+
+    const valores = normalizar(plazo);
+
+    const sql = `
+    UPDATE plazo_legal
+    SET ${CAMPOS.map(campo => `${campo} = ?`).join(', ')}
+    WHERE id_plazo_legal = ?
+  `;
+
+    await executeQuery(sql, [...CAMPOS.map(campo => valores[campo]), id]);
+
+    return await getById(id);
+};
+
+/**
+ * ELIMINAR
+ */
+const remove = async (id) => {
+    const plazo = await getById(id);
+
+    await executeQuery(`DELETE FROM plazo_legal WHERE id_plazo_legal = ?`, [id]);
+
+    return plazo;
+};
+
+module.exports = {
+    FUENTES_PLAZO,
+    getAll,
+    getById,
+    create,
+    update,
+    remove
+};
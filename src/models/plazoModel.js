@@ -0,0 +1,232 @@
+// src/models/plazoModel.js
+
+const { executeQuery } = require('../config/database');
+const plazoLegalModel = require('./plazoLegalModel');
+const diaInhabilModel = require('./diaInhabilModel');
+const { ESTADO_PLAZO } = require('../config/constants');
+const {
+    toFechaISO,
+    hoyISO,
+    sumarDiasNaturales,
+    diferenciaDias,
+    sumarDuracion,
+    parseDuracionTexto
+} = require('../utils/calendario');
+
+/**
+ * MOTOR DE PLAZOS
+ *
+ * Calcula los vencimientos de los plazos del catálogo (plazo_legal) sobre
+ * los registros de cada proceso. Por cada plazo activo se hace UNA consulta
+ * a su fuente; el cálculo de fechas se hace en JS con el calendario del
+ * tribunal (días inhábiles).
+ *
+ * Estados:
+ * - CUMPLIDO: el campo de cumplimiento ya tiene fecha
+ * - VENCIDO: sin cumplir y la fecha de vencimiento ya pasó
+ * - POR_VENCER: sin cumplir y faltan dias_aviso días o menos
+ * - EN_TIEMPO: sin cumplir y faltan más de dias_aviso días
+ * - INDETERMINADO: no se pudo interpretar la duración capturada
+ */
+
+const { FUENTES_PLAZO } = plazoLegalModel;
+
+/**
+ * Verificar que la definición siga apuntando a columnas permitidas
+ * (el catálogo pudo editarse directo en la base de datos)
+ */
+const definicionValida = (plazo) => {
+    const fuente = FUENTES_PLAZO[plazo.fuente];
+    if (!fuente) return false;
+
+    return ['campo_inicio', 'campo_cumplimiento', 'campo_duracion']
+        .every(campo => !plazo[campo] || fuente.campos.includes(plazo[campo]));
+};
+
+/**
+ * CONSULTAR REGISTROS DE UN PLAZO
+ * options: { procesoId, soloPendientes }
+ */
+const getRegistros = async (plazo, options = {}) => {
+    const fuente = FUENTES_PLAZO[plazo.fuente];
+    const params = [];
+
+    let sql = `
+    SELECT
+      ${fuente.proceso} as proceso_id,
+      ${fuente.id} as entidad_id,
+      x.${plazo.campo_inicio} as fecha_inicio,
+      ${plazo.campo_cumplimiento ? `x.${plazo.campo_cumplimiento}` : 'NULL'} as fecha_cumplimiento,
+      ${plazo.campo_duracion ? `x.${plazo.campo_duracion}` : 'NULL'} as duracion_texto,
+      p.adolescente_id,
+      a.nombre as adolescente_nombre,
+      a.iniciales as adolescente_iniciales
+    ${fuente.desde}
+    INNER JOIN proceso p ON p.id_proceso = ${fuente.proceso}
+    LEFT JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+    WHERE x.${plazo.campo_inicio} IS NOT NULL
+      AND x.eliminado_en IS NULL
+      AND p.eliminado_en IS NULL
+  `;
+
+    if (fuente.filtro) {
+        sql += ` AND ${fuente.filtro}`;
+    }
+
+    if (options.procesoId) {
+        sql += ` AND ${fuente.proceso} = ?`;
+        params.push(options.procesoId);
+    }
+
+    if (options.soloPendientes && plazo.campo_cumplimiento) {
+        sql += ` AND x.${plazo.campo_cumplimiento} IS NULL`;
+    }
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * CALCULAR VENCIMIENTO Y ESTADO DE UN REGISTRO
+ */
+const calcular = (plazo, registro, inhabiles, hoy) => {
+    const fuente = FUENTES_PLAZO[plazo.fuente];
+    const fechaInicio = toFechaISO(registro.fecha_inicio);
+    const fechaCumplimiento = toFechaISO(registro.fecha_cumplimiento);
+
+    const partes = plazo.campo_duracion
+        ? parseDuracionTexto(registro.duracion_texto)
+        : [{ cantidad: plazo.cantidad, unidad: plazo.unidad }];
+
+    const fechaVencimiento = partes
+        ? partes.reduce((fecha, parte) => sumarDuracion(fecha, parte.cantidad, parte.unidad, inhabiles), fechaInicio)
+        : null;
+
+    let estado;
+    let diasRestantes = null;
+
+    if (fechaCumplimiento) {
+        estado = ESTADO_PLAZO.CUMPLIDO;
+    } else if (!fechaVencimiento) {
+        estado = ESTADO_PLAZO.INDETERMINADO;
+    } else {
+        diasRestantes = diferenciaDias(hoy, fechaVencimiento);
+
+        if (diasRestantes < 0) {
+            estado = ESTADO_PLAZO.VENCIDO;
+        } else if (diasRestantes <= plazo.dias_aviso) {
+            estado = ESTADO_PLAZO.POR_VENCER;
+        } else {
+            estado = ESTADO_PLAZO.EN_TIEMPO;
+        }
+    }
+
+    return {
+        id_plazo_legal: plazo.id_plazo_legal,
+        clave: plazo.clave,
+        nombre: plazo.nombre,
+        fundamento_legal: plazo.fundamento_legal,
+        carpeta: fuente.carpeta,
+        entidad: fuente.entidad,
+        entidad_id: registro.entidad_id,
+        proceso_id: registro.proceso_id,
+        adolescente_id: registro.adolescente_id,
+        adolescente_nombre: registro.adolescente_nombre,
+        adolescente_iniciales: registro.adolescente_iniciales,
+        duracion: plazo.campo_duracion
+            ? registro.duracion_texto
+            : `${plazo.cantidad} ${plazo.unidad}`,
+        fecha_inicio: fechaInicio,
+        fecha_vencimiento: fechaVencimiento,
+        fecha_cumplimiento: fechaCumplimiento,
+        cumplido_en_tiempo: fechaCumplimiento && fechaVencimiento
+            ? fechaCumplimiento <= fechaVencimiento
+            : null,
+        dias_restantes: diasRestantes,
+        estado
+    };
+};
+
+/**
+ * CALCULAR PLAZOS ACTIVOS
+ * options: { procesoId, soloPendientes }
+ */
+const calcularPlazos = async (options = {}) => {
+    const plazos = (await plazoLegalModel.getAll({ activo: true })).filter(definicionValida);
+
+    const registrosPorPlazo = await Promise.all(
+        plazos.map(plazo => getRegistros(plazo, options))
+    );
+
+    // Días inhábiles desde la fecha de inicio más antigua
+    const inicios = registrosPorPlazo
+        .flat()
+        .map(registro => toFechaISO(registro.fecha_inicio))
+        .filter(Boolean)
+        .sort();
+
+    if (inicios.length === 0) {
+        return [];
+    }
+
+    const inhabiles = await diaInhabilModel.getFechasDesde(inicios[0]);
+    const hoy = hoyISO();
+
+    const resultados = [];
+    plazos.forEach((plazo, i) => {
+        registrosPorPlazo[i].forEach(registro => {
+            resultados.push(calcular(plazo, registro, inhabiles, hoy));
+        });
+    });
+
+    return resultados;
+};
+
+/**
+ * Ordenar por vencimiento (sin vencimiento al final)
+ */
+const ordenarPorVencimiento = (a, b) => {
+    if (!a.fecha_vencimiento) return 1;
+    if (!b.fecha_vencimiento) return -1;
+    return a.fecha_vencimiento.localeCompare(b.fecha_vencimiento);
+};
+
+/**
+ * OBTENER PLAZOS DE UN PROCESO (cumplidos y pendientes)
+ */
+const getByProcesoId = async (procesoId) => {
+    const plazos = await calcularPlazos({ procesoId });
+    return plazos.sort(ordenarPorVencimiento);
+};
+
+/**
+ * OBTENER PLAZOS PENDIENTES QUE VENCEN PRONTO
+ *
+ * filters:
+ * - vencen_en: días a partir de hoy (default 7)
+ * - incluir_vencidos: incluir también los ya vencidos sin cumplir
+ * - estado, carpeta, clave: filtros opcionales
+ */
+const getProximos = async (filters = {}) => {
+    const vencenEn = parseInt(filters.vencen_en, 10);
+    const dias = isNaN(vencenEn) ? 7 : vencenEn;
+    const incluirVencidos = filters.incluir_vencidos === true || filters.incluir_vencidos === 'true';
+
+    const hoy = hoyISO();
+    const limite = sumarDiasNaturales(hoy, dias);
+
+    const plazos = await calcularPlazos({ soloPendientes: true });
+
+    return plazos
+        .filter(plazo => plazo.estado !== ESTADO_PLAZO.CUMPLIDO && plazo.fecha_vencimiento)
+        .filter(plazo => plazo.fecha_vencimiento <= limite)
+        .filter(plazo => incluirVencidos || plazo.fecha_vencimiento >= hoy)
+        .filter(plazo => !filters.estado || plazo.estado === filters.estado)
+        .filter(plazo => !filters.carpeta || plazo.carpeta === filters.carpeta)
+        .filter(plazo => !filters.clave || plazo.clave === filters.clave)
+        .sort(ordenarPorVencimiento);
+};
+
+module.exports = {
+    getByProcesoId,
+    getProximos
+};
@@ -2,6 +2,7 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+const { auditarModelo, procesoPorArgumento } = require('../utils/auditoria');
 
 /**
  * MODELO DE PROCESO_ACTOR_JURIDICO
@@ -22,7 +23,7 @@ const { NotFoundError, ConflictError } = require('../utils/errorHandler');
  */
 const asignar = async (procesoId, tipoCarpeta, actorId) => {
     // Verificar que el proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [procesoId]);
 
     if (!proceso) {
@@ -153,6 +154,7 @@ const getProcesosByActor = async (actorId) => {
     INNER JOIN proceso_actor_juridico paj ON p.id_proceso = paj.proceso_id
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE paj.actor_id = ?
+      AND p.eliminado_en IS NULL
     ORDER BY p.id_proceso DESC, paj.tipo_carpeta
   `;
 
@@ -260,7 +262,7 @@ const asignarMultiples = async (procesoId, tipoCarpeta, actoresIds) => {
     return resultados;
 };
 
-module.exports = {
+module.exports = auditarModelo('proceso_actor_juridico', {
     asignar,
     desasignar,
     getActoresByProceso,
@@ -272,4 +274,12 @@ module.exports = {
     getActoresAgrupadosPorCarpeta,
     reasignar,
     asignarMultiples
-};
\ No newline at end of file
+}, {
+    asignar: { accion: 'ASIGNAR', id: (args) => args[2] },
+    desasignar: { accion: 'DESASIGNAR', id: (args) => args[2] },
+    reasignar: { accion: 'REASIGNAR', id: (args) => args[4] },
+    asignarMultiples: { accion: 'ASIGNAR', id: () => null }
+}, {
+    obtener: null,
+    proceso: procesoPorArgumento()
+});
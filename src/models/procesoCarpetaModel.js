@@ -1,15 +1,42 @@
 // src/models/procesoCarpetaModel.js
 
 const { executeQuery } = require('../config/database');
-const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo, procesoPorCampo } = require('../utils/auditoria');
 
 /**
  * MODELO DE PROCESO_CARPETA
  *
  * Tabla puente que relaciona un proceso con sus carpetas (CJ, CJO, CEMCI, CEMS)
- * Un proceso tiene máximo una de cada carpeta
+ * Un proceso tiene máximo una de cada carpeta; una carpeta puede estar en
+ * varios procesos (coimputados: adolescentes en la misma carpeta)
  */
 
+/**
+ * CARPETAS COMPARTIBLES (tipo → columna en proceso_carpeta y tabla)
+ */
+const CARPETAS = {
+    cj: { columna: 'cj_id', tabla: 'cj', id: 'id_cj', nombre: 'CJ' },
+    cjo: { columna: 'cjo_id', tabla: 'cjo', id: 'id_cjo', nombre: 'CJO' },
+    cemci: { columna: 'cemci_id', tabla: 'cemci', id: 'id_cemci', nombre: 'CEMCI' },
+    cems: { columna: 'cems_id', tabla: 'cems', id: 'id_cems', nombre: 'CEMS' }
+};
+
+/**
+ * HELPER: Configuración de la carpeta (400 si el tipo no existe)
+ */
+const getCarpeta = (tipo) => {
+    const carpeta = CARPETAS[tipo];
+
+    if (!carpeta) {
+        throw new BadRequestError(
+            `Tipo de carpeta inválido. Valores permitidos: ${Object.keys(CARPETAS).join(', ')}`
+        );
+    }
+
+    return carpeta;
+};
+
 /**
  * CREAR RELACIÓN PROCESO-CARPETA
  * Se crea cuando se crea el proceso con CJ
@@ -43,11 +70,16 @@ const create = async (procesoCarpetaData) => {
 
 /**
  * OBTENER POR ID DE PROCESO
+ * Las carpetas en la papelera se reportan como null
  */
 const getByProcesoId = async (procesoId) => {
     const sql = `
         SELECT
-            pc.*,
+            pc.id_proceso,
+            cj.id_cj as cj_id,
+            cjo.id_cjo as cjo_id,
+            cemci.id_cemci as cemci_id,
+            cems.id_cems as cems_id,
             cj.numero_cj,
             cj.fecha_ingreso as cj_fecha_ingreso,
             cjo.numero_cjo,
@@ -57,10 +89,10 @@ const getByProcesoId = async (procesoId) => {
             cems.numero_cems,
             cems.fecha_recepcion as cems_fecha_recepcion
         FROM proceso_carpeta pc
-                 LEFT JOIN cj ON pc.cj_id = cj.id_cj
-                 LEFT JOIN cjo ON pc.cjo_id = cjo.id_cjo
-                 LEFT JOIN cemci ON pc.cemci_id = cemci.id_cemci
-                 LEFT JOIN cems ON pc.cems_id = cems.id_cems
+                 LEFT JOIN cj ON pc.cj_id = cj.id_cj AND cj.eliminado_en IS NULL
+                 LEFT JOIN cjo ON pc.cjo_id = cjo.id_cjo AND cjo.eliminado_en IS NULL
+                 LEFT JOIN cemci ON pc.cemci_id = cemci.id_cemci AND cemci.eliminado_en IS NULL
+                 LEFT JOIN cems ON pc.cems_id = cems.id_cems AND cems.eliminado_en IS NULL
         WHERE pc.id_proceso = ?
     `;
 
@@ -154,6 +186,103 @@ const agregarCEMS = async (procesoId, cemsId) => {
     return await update(procesoId, { cems_id: cemsId });
 };
 
+/**
+ * PROCESOS QUE COMPARTEN UNA CARPETA (coimputados)
+ */
+const getProcesosByCarpeta = async (tipo, carpetaId) => {
+    const { columna } = getCarpeta(tipo);
+
+    const sql = `
+        SELECT p.id_proceso,
+               p.adolescente_id,
+               a.nombre    as adolescente_nombre,
+               a.iniciales as adolescente_iniciales,
+               p.status_id,
+               s.nombre    as status_nombre
+        FROM proceso_carpeta pc
+                 INNER JOIN proceso p ON pc.id_proceso = p.id_proceso
+                 INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+                 LEFT JOIN status s ON p.status_id = s.id_status
+        WHERE pc.${columna} = ?
+          AND p.eliminado_en IS NULL
+        ORDER BY p.id_proceso
+    `;
+
+    return await executeQuery(sql, [carpetaId]);
+};
+
+/**
+ * VINCULAR CARPETA EXISTENTE A UN PROCESO (coimputado)
+ * La CJO, CEMCI o CEMS debe ser de la misma CJ que el proceso y el
+ * adolescente no puede estar ya en esa carpeta por otro proceso
+ */
+const vincular = async (procesoId, tipo, carpetaId) => {
+    const carpeta = getCarpeta(tipo);
+
+    const [proceso] = await executeQuery(
+        `SELECT id_proceso, adolescente_id FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`,
+        [procesoId]
+    );
+
+    if (!proceso) {
+        throw new NotFoundError('Proceso no encontrado');
+    }
+
+    const [registro] = await executeQuery(
+        `SELECT * FROM ${carpeta.tabla} WHERE ${carpeta.id} = ? AND eliminado_en IS NULL`,
+        [carpetaId]
+    );
+
+    if (!registro) {
+        throw new NotFoundError(`La ${carpeta.nombre} especificada no existe`);
+    }
+
+    const [actual] = await executeQuery(
+        `SELECT * FROM proceso_carpeta WHERE id_proceso = ?`,
+        [procesoId]
+    );
+
+    if (actual && actual[carpeta.columna]) {
+        throw new ConflictError(
+            actual[carpeta.columna] === Number(carpetaId)
+                ? `La ${carpeta.nombre} ya está vinculada a este proceso`
+                : `Este proceso ya tiene una carpeta ${carpeta.nombre} asignada`
+        );
+    }
+
+    if (tipo !== 'cj') {
+        if (!actual || !actual.cj_id) {
+            throw new BadRequestError('El proceso debe tener una CJ antes de vincular otras carpetas');
+        }
+
+        if (registro.cj_id !== actual.cj_id) {
+            throw new BadRequestError(
+                `La ${carpeta.nombre} pertenece a otra CJ; solo se comparte entre procesos de la misma CJ`
+            );
+        }
+    }
+
+    const coimputados = await getProcesosByCarpeta(tipo, carpetaId);
+
+    if (coimputados.some(otro => otro.adolescente_id === proceso.adolescente_id)) {
+        throw new ConflictError(`El adolescente ya está en esta ${carpeta.nombre} por otro proceso`);
+    }
+
+    if (actual) {
+        await executeQuery(
+            `UPDATE proceso_carpeta SET ${carpeta.columna} = ? WHERE id_proceso = ?`,
+            [carpetaId, procesoId]
+        );
+    } else {
+        await executeQuery(
+            `INSERT INTO proceso_carpeta (id_proceso, cj_id) VALUES (?, ?)`,
+            [procesoId, carpetaId]
+        );
+    }
+
+    return await getByProcesoId(procesoId);
+};
+
 /**
  * VERIFICAR SI PROCESO TIENE CJ
  */
@@ -203,7 +332,7 @@ const remove = async (procesoId) => {
     return procesoCarpeta;
 };
 
-module.exports = {
+module.exports = auditarModelo('proceso_carpeta', {
     create,
     getByProcesoId,
     update,
@@ -214,5 +343,18 @@ module.exports = {
     tieneCJO,
     tieneCEMCI,
     tieneCEMS,
-    remove
-};
\ No newline at end of file
+    remove,
+    getProcesosByCarpeta,
+    vincular
+}, {
+    create: { accion: 'CREAR', id: (args) => args[0].id_proceso },
+    update: 'ACTUALIZAR',
+    agregarCJO: 'AGREGAR_CJO',
+    agregarCEMCI: 'AGREGAR_CEMCI',
+    agregarCEMS: 'AGREGAR_CEMS',
+    remove: 'ELIMINAR',
+    vincular: 'VINCULAR'
+}, {
+    obtener: getByProcesoId,
+    proceso: procesoPorCampo('id_proceso')
+});
@@ -2,17 +2,31 @@
 
 const {executeQuery, executeTransaction} = require('../config/database');
 const {NotFoundError, ConflictError, BadRequestError} = require('../utils/errorHandler');
+const { auditarModelo, procesoPorCampo } = require('../utils/auditoria');
+const historialEstadoModel = require('./historialEstadoModel');
+const papeleraModel = require('./papeleraModel');
+const { AMBITO_ESTADO, STATUS_PROCESO_CERRADO } = require('../config/constants');
+const {
+    sqlProcesoActivo,
+    paramsActivo,
+    sqlProcesosPrevios,
+    validarSinProcesoActivo
+} = require('../utils/procesosAdolescente');
 
 /**
  * MODELO DE PROCESO
  *
  * El proceso es la entidad central del sistema.
- * Relación 1:1 con adolescente (un adolescente solo puede tener un proceso)
+ * Un adolescente puede tener varios procesos (reingreso), pero solo uno
+ * activo a la vez (ver utils/procesosAdolescente)
+ *
+ * status_id cambia solo por transiciones permitidas, con motivo_cambio y
+ * fecha_cambio, y cada cambio queda en historial_estado.
  */
 
 /**
  * CREAR PROCESO
- * Solo puede haber un proceso por adolescente
+ * El adolescente no puede tener otro proceso activo
  */
 const create = async (procesoData) => {
     const {adolescente_id, status_id, observaciones} = procesoData;
@@ -20,25 +34,20 @@ const create = async (procesoData) => {
     // Verificar que el adolescente existe
     const adolescenteCheck = `SELECT id_adolescente
                               FROM adolescente
-                              WHERE id_adolescente = ?`;
+                              WHERE id_adolescente = ?
+                                AND eliminado_en IS NULL`;
     const [adolescente] = await executeQuery(adolescenteCheck, [adolescente_id]);
 
     if (!adolescente) {
         throw new NotFoundError('El adolescente especificado no existe');
     }
 
-    // Verificar que el adolescente NO tenga ya un proceso
-    const procesoCheck = `SELECT id_proceso
-                          FROM proceso
-                          WHERE adolescente_id = ?`;
-    const [procesoExistente] = await executeQuery(procesoCheck, [adolescente_id]);
+    // Verificar que el adolescente NO tenga otro proceso activo
+    await validarSinProcesoActivo(adolescente_id);
 
-    if (procesoExistente) {
-        throw new ConflictError(
-            `El adolescente ya tiene un proceso asignado (ID: ${procesoExistente.id_proceso}). ` +
-            `Un adolescente solo puede tener un proceso.`
-        );
-    }
+    const cambio = await historialEstadoModel.prepararCambio(
+        AMBITO_ESTADO.STATUS, null, status_id, procesoData
+    );
 
     // Crear el proceso
     const sql = `
@@ -46,13 +55,24 @@ const create = async (procesoData) => {
         VALUES (?, ?, ?)
     `;
 
-    const result = await executeQuery(sql, [
-        adolescente_id,
-        status_id || null,
-        observaciones || null
-    ]);
-
-    return result.insertId;
+    return await executeTransaction(async (connection) => {
+        const [result] = await connection.execute(sql, [
+            adolescente_id,
+            status_id || null,
+            observaciones || null
+        ]);
+
+        if (cambio) {
+            await historialEstadoModel.registrar(connection, {
+                proceso_id: result.insertId,
+                entidad: 'proceso',
+                entidad_id: result.insertId,
+                ambito: AMBITO_ESTADO.STATUS
+            }, cambio);
+        }
+
+        return result.insertId;
+    });
 };
 
 /**
@@ -72,8 +92,8 @@ const getAll = async (filters = {}) => {
                  INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
                  LEFT JOIN status s ON p.status_id = s.id_status
                  LEFT JOIN proceso_carpeta pc ON p.id_proceso = pc.id_proceso
-                 LEFT JOIN cj ON pc.cj_id = cj.id_cj
-        WHERE 1 = 1
+                 LEFT JOIN cj ON pc.cj_id = cj.id_cj AND cj.eliminado_en IS NULL
+        WHERE p.eliminado_en IS NULL
     `;
 
     const params = [];
@@ -114,11 +134,13 @@ const getById = async (id) => {
                a.sexo             as adolescente_sexo,
                a.nacionalidad     as adolescente_nacionalidad,
                a.escolaridad      as adolescente_escolaridad,
-               s.nombre           as status_nombre
+               s.nombre           as status_nombre,
+               ${sqlProcesosPrevios('p.id_proceso')} as procesos_previos
         FROM proceso p
                  LEFT JOIN adolescente a ON p.adolescente_id = a.id_adolescente
                  LEFT JOIN status s ON p.status_id = s.id_status
         WHERE p.id_proceso = ?
+          AND p.eliminado_en IS NULL
     `;
 
     const [proceso] = await executeQuery(sql, [id]);
@@ -127,6 +149,8 @@ const getById = async (id) => {
         throw new NotFoundError('Proceso no encontrado');
     }
 
+    proceso.reincidente = proceso.procesos_previos > 0;
+
     // Estructurar adolescente como objeto separado
     proceso.adolescente = {
         id_adolescente: proceso.adolescente_id,
@@ -151,33 +175,97 @@ const getById = async (id) => {
 
 /**
  * OBTENER POR ADOLESCENTE ID
+ * El proceso activo o, si todos están cerrados, el más reciente
  */
 const getByAdolescenteId = async (adolescenteId) => {
+    const procesos = await getHistorialByAdolescenteId(adolescenteId);
+
+    return procesos.find(proceso => proceso.activo)
+        || procesos[procesos.length - 1]
+        || null;
+};
+
+/**
+ * HISTORIAL DE PROCESOS DEL ADOLESCENTE (del más antiguo al más reciente)
+ * Cada proceso con su CJ, si está activo, cuántos procesos tuvo antes y si
+ * alguno de ellos terminó en condena (reincidente)
+ */
+const getHistorialByAdolescenteId = async (adolescenteId) => {
     const sql = `
         SELECT p.*,
-               s.nombre as status_nombre
+               s.nombre         as status_nombre,
+               cj.id_cj         as cj_id,
+               cj.numero_cj     as cj_numero,
+               cj.fecha_ingreso as cj_fecha_ingreso,
+               cjo.numero_cjo   as cjo_numero,
+               COALESCE(ts.crea_cems, FALSE) as condenatoria,
+               ${sqlProcesoActivo('p')} as activo
         FROM proceso p
                  LEFT JOIN status s ON p.status_id = s.id_status
+                 LEFT JOIN proceso_carpeta pc ON p.id_proceso = pc.id_proceso
+                 LEFT JOIN cj ON pc.cj_id = cj.id_cj AND cj.eliminado_en IS NULL
+                 LEFT JOIN cjo ON pc.cjo_id = cjo.id_cjo AND cjo.eliminado_en IS NULL
+                 LEFT JOIN tipo_sentencia ts ON cjo.tipo_sentencia_id = ts.id_tipo_sentencia
         WHERE p.adolescente_id = ?
+          AND p.eliminado_en IS NULL
+        ORDER BY p.id_proceso ASC
     `;
 
-    const [proceso] = await executeQuery(sql, [adolescenteId]);
-    return proceso || null;
+    const procesos = await executeQuery(sql, [...paramsActivo(), adolescenteId]);
+
+    // Mismos criterios que sqlProcesosPrevios y sqlReincidente
+    let condenasPrevias = 0;
+
+    return procesos.map((proceso, i) => {
+        const resultado = {
+            ...proceso,
+            activo: Boolean(proceso.activo),
+            condenatoria: Boolean(proceso.condenatoria),
+            procesos_previos: i,
+            reincidente: condenasPrevias > 0
+        };
+
+        if (resultado.condenatoria) {
+            condenasPrevias++;
+        }
+
+        return resultado;
+    });
 };
 
 /**
  * ACTUALIZAR PROCESO
+ *
+ * @param {Object} procesoData - { status_id?, observaciones?, motivo_cambio?, fecha_cambio? }
  */
 const update = async (id, procesoData) => {
     // Verificar que existe
-    await getById(id);
+    const actual = await getById(id);
 
     const updates = [];
     const values = [];
 
-    if (procesoData.status_id !== undefined) {
+    const cambio = procesoData.status_id !== undefined
+        ? await historialEstadoModel.prepararCambio(
+            AMBITO_ESTADO.STATUS, actual.status_id, procesoData.status_id, procesoData,
+            { entidad: 'proceso', entidad_id: actual.id_proceso }
+        )
+        : null;
+
+    if (cambio) {
+        // Reabrir un proceso cerrado: no puede haber otro activo
+        const [nuevoStatus] = await executeQuery(
+            `SELECT nombre FROM status WHERE id_status = ?`,
+            [cambio.nuevoId]
+        );
+
+        if (STATUS_PROCESO_CERRADO.includes(actual.status_nombre)
+            && !STATUS_PROCESO_CERRADO.includes(nuevoStatus && nuevoStatus.nombre)) {
+            await validarSinProcesoActivo(actual.adolescente_id, actual.id_proceso);
+        }
+
         updates.push('status_id = ?');
-        values.push(procesoData.status_id);
+        values.push(cambio.nuevoId);
     }
 
     if (procesoData.observaciones !== undefined) {
@@ -186,6 +274,11 @@ const update = async (id, procesoData) => {
     }
 
     if (updates.length === 0) {
+        // Mismo status que el actual: no hay cambio que registrar
+        if (procesoData.status_id !== undefined) {
+            return actual;
+        }
+
         throw new BadRequestError('No hay campos para actualizar');
     }
 
@@ -197,45 +290,54 @@ const update = async (id, procesoData) => {
         WHERE id_proceso = ?
     `;
 
-    await executeQuery(sql, values);
+    await executeTransaction(async (connection) => {
+        await connection.execute(sql, values);
+
+        if (cambio) {
+            await historialEstadoModel.registrar(connection, {
+                proceso_id: Number(id),
+                entidad: 'proceso',
+                entidad_id: Number(id),
+                ambito: AMBITO_ESTADO.STATUS
+            }, cambio);
+        }
+    });
+
     return await getById(id);
 };
 
 /**
- * ELIMINAR PROCESO
+ * ELIMINAR PROCESO (a la papelera)
  * Solo si no tiene carpetas asociadas
  */
 const remove = async (id) => {
     const proceso = await getById(id);
 
-    // Verificar si tiene carpetas en proceso_carpeta
-    const carpetaCheck = `SELECT *
-                          FROM proceso_carpeta
-                          WHERE id_proceso = ?`;
-    const [carpeta] = await executeQuery(carpetaCheck, [id]);
-
-    if (carpeta) {
+    // Verificar si tiene carpetas (fuera de la papelera)
+    if (await tieneCarpetas(id)) {
         throw new ConflictError(
             'No se puede eliminar el proceso porque tiene carpetas asociadas (CJ, CJO, CEMCI o CEMS). ' +
             'Primero debe eliminar las carpetas.'
         );
     }
 
-    const sql = `DELETE
-                 FROM proceso
-                 WHERE id_proceso = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('proceso', id);
 
     return proceso;
 };
 
 /**
- * VERIFICAR SI TIENE CARPETAS
+ * VERIFICAR SI TIENE CARPETAS (las que están en la papelera no cuentan)
  */
 const tieneCarpetas = async (id) => {
     const sql = `SELECT COUNT(*) as count
-                 FROM proceso_carpeta
-                 WHERE id_proceso = ?`;
+                 FROM proceso_carpeta pc
+                          LEFT JOIN cj ON pc.cj_id = cj.id_cj AND cj.eliminado_en IS NULL
+                          LEFT JOIN cjo ON pc.cjo_id = cjo.id_cjo AND cjo.eliminado_en IS NULL
+                          LEFT JOIN cemci ON pc.cemci_id = cemci.id_cemci AND cemci.eliminado_en IS NULL
+                          LEFT JOIN cems ON pc.cems_id = cems.id_cems AND cems.eliminado_en IS NULL
+                 WHERE pc.id_proceso = ?
+                   AND COALESCE(cj.id_cj, cjo.id_cjo, cemci.id_cemci, cems.id_cems) IS NOT NULL`;
     const [result] = await executeQuery(sql, [id]);
     return result.count > 0;
 };
@@ -248,7 +350,7 @@ const getCount = async (filters = {}) => {
 
     let sql = `SELECT COUNT(*) as total
                FROM proceso
-               WHERE 1 = 1`;
+               WHERE eliminado_en IS NULL`;
     const params = [];
 
     if (status_id) {
@@ -293,6 +395,8 @@ const getTendencia = async (filters = {}) => {
             INNER JOIN proceso_carpeta pc ON p.id_proceso = pc.id_proceso
             INNER JOIN cj ON pc.cj_id = cj.id_cj
         WHERE cj.fecha_ingreso IS NOT NULL
+          AND p.eliminado_en IS NULL
+          AND cj.eliminado_en IS NULL
           ${whereExtra}
         GROUP BY periodo
         ORDER BY periodo ASC
@@ -313,6 +417,8 @@ const getTiempoPromedio = async () => {
             INNER JOIN cjo ON cj.id_cj = cjo.cj_id
         WHERE cjo.fecha_sentencia IS NOT NULL
           AND cj.fecha_ingreso IS NOT NULL
+          AND p.eliminado_en IS NULL
+          AND cjo.eliminado_en IS NULL
     `;
 
     const sqlPorSentencia = `
@@ -325,6 +431,8 @@ const getTiempoPromedio = async () => {
             INNER JOIN cjo ON cj.id_cj = cjo.cj_id
         WHERE cjo.fecha_sentencia IS NOT NULL
           AND cj.fecha_ingreso IS NOT NULL
+          AND p.eliminado_en IS NULL
+          AND cjo.eliminado_en IS NULL
           AND cjo.sentencia IS NOT NULL
         GROUP BY cjo.sentencia
         ORDER BY promedio_dias DESC
@@ -343,15 +451,22 @@ const getTiempoPromedio = async () => {
     };
 };
 
-module.exports = {
+module.exports = auditarModelo('proceso', {
     create,
     getAll,
     getById,
     getByAdolescenteId,
+    getHistorialByAdolescenteId,
     update,
     remove,
     tieneCarpetas,
     getCount,
     getTendencia,
     getTiempoPromedio
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+}, {
+    proceso: procesoPorCampo('id_proceso')
+});
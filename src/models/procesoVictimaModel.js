@@ -2,6 +2,7 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError } = require('../utils/errorHandler');
+const { auditarModelo, procesoPorArgumento } = require('../utils/auditoria');
 
 /**
  * MODELO DE PROCESO_VICTIMA
@@ -16,7 +17,7 @@ const { NotFoundError, ConflictError } = require('../utils/errorHandler');
  */
 const asociar = async (procesoId, victimaId) => {
     // Verificar que el proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [procesoId]);
 
     if (!proceso) {
@@ -24,7 +25,7 @@ const asociar = async (procesoId, victimaId) => {
     }
 
     // Verificar que la víctima existe
-    const victimaCheck = `SELECT id_victima FROM victima WHERE id_victima = ?`;
+    const victimaCheck = `SELECT id_victima FROM victima WHERE id_victima = ? AND eliminado_en IS NULL`;
     const [victima] = await executeQuery(victimaCheck, [victimaId]);
 
     if (!victima) {
@@ -89,6 +90,7 @@ const getVictimasByProceso = async (procesoId) => {
     FROM victima v
     INNER JOIN proceso_victima pv ON v.id_victima = pv.victima_id
     WHERE pv.proceso_id = ?
+      AND v.eliminado_en IS NULL
     ORDER BY v.nombre
   `;
 
@@ -108,6 +110,7 @@ const getProcesosByVictima = async (victimaId) => {
     INNER JOIN proceso_victima pv ON p.id_proceso = pv.proceso_id
     INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
     WHERE pv.victima_id = ?
+      AND p.eliminado_en IS NULL
     ORDER BY p.id_proceso DESC
   `;
 
@@ -146,7 +149,7 @@ const estaAsociada = async (procesoId, victimaId) => {
  */
 const asociarMultiples = async (procesoId, victimasIds) => {
     // Verificar que el proceso existe
-    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ?`;
+    const procesoCheck = `SELECT id_proceso FROM proceso WHERE id_proceso = ? AND eliminado_en IS NULL`;
     const [proceso] = await executeQuery(procesoCheck, [procesoId]);
 
     if (!proceso) {
@@ -171,7 +174,7 @@ const asociarMultiples = async (procesoId, victimasIds) => {
     return resultados;
 };
 
-module.exports = {
+module.exports = auditarModelo('proceso_victima', {
     asociar,
     desasociar,
     getVictimasByProceso,
@@ -179,4 +182,11 @@ module.exports = {
     countVictimasByProceso,
     estaAsociada,
     asociarMultiples
-};
\ No newline at end of file
+}, {
+    asociar: { accion: 'ASOCIAR', id: (args) => args[1] },
+    desasociar: { accion: 'DESASOCIAR', id: (args) => args[1] },
+    asociarMultiples: { accion: 'ASOCIAR', id: () => null }
+}, {
+    obtener: null,
+    proceso: procesoPorArgumento()
+});
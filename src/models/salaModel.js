@@ -0,0 +1,441 @@
+// src/models/salaModel.js
+
+const { executeQuery } = require('../config/database');
+const diaInhabilModel = require('./diaInhabilModel');
+const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { toFechaISO, hoyISO, sumarDiasNaturales, diferenciaDias, esDiaHabil } = require('../utils/calendario');
+const { OCUPA_AGENDA } = require('../utils/agendaAudiencias');
+const { TIPO_ACTOR } = require('../config/constants');
+
+/**
+ * MODELO DE SALAS
+ *
+ * Catálogo de salas de audiencia. Una sala con audiencias no se elimina:
+ * se desactiva (activa = FALSE) y deja de ofrecerse para programar.
+ *
+ * DISPONIBILIDAD: horarios libres por sala en días hábiles, dentro del
+ * horario de audiencias y sin empalmarse con audiencias ya programadas
+ * (las diferidas o canceladas no ocupan la sala).
+ * Variables de entorno:
+ * - AUDIENCIAS_HORA_INICIO / AUDIENCIAS_HORA_FIN: 'HH:MM' (default 09:00 a 15:00)
+ * - AUDIENCIAS_INTERVALO_MINUTOS: separación entre inicios ofrecidos (default 30)
+ */
+
+const MAX_DIAS_DISPONIBILIDAD = 31;
+const FORMATO_HORA = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Leer hora 'HH:MM' de una variable de entorno (minutos desde medianoche)
+ */
+const leerHora = (valor, porDefecto) => {
+    const partes = FORMATO_HORA.exec(valor || '') || FORMATO_HORA.exec(porDefecto);
+    return parseInt(partes[1], 10) * 60 + parseInt(partes[2], 10);
+};
+
+const INTERVALO = parseInt(process.env.AUDIENCIAS_INTERVALO_MINUTOS, 10);
+
+const HORARIO = {
+    inicio: leerHora(process.env.AUDIENCIAS_HORA_INICIO, '09:00'),
+    fin: leerHora(process.env.AUDIENCIAS_HORA_FIN, '15:00'),
+    intervalo: isNaN(INTERVALO) || INTERVALO < 5 ? 30 : INTERVALO
+};
+
+/**
+ * Validar capacidad (entero positivo o vacío)
+ */
+const validarCapacidad = (capacidad) => {
+    if (capacidad === undefined || capacidad === null || capacidad === '') {
+        return null;
+    }
+
+    const valor = Number(capacidad);
+
+    if (!Number.isInteger(valor) || valor < 1) {
+        throw new BadRequestError('capacidad debe ser un entero positivo');
+    }
+
+    return valor;
+};
+
+/**
+ * Verificar que el nombre no esté registrado en otra sala
+ */
+const verificarNombreDisponible = async (nombre, excludeId = null) => {
+    let sql = `SELECT id_sala FROM sala WHERE nombre = ?`;
+    const params = [nombre];
+
+    if (excludeId) {
+        sql += ` AND id_sala != ?`;
+        params.push(excludeId);
+    }
+
+    const [existente] = await executeQuery(sql, params);
+
+    if (existente) {
+        throw new ConflictError(`Ya existe una sala con el nombre "${nombre}"`);
+    }
+};
+
+/**
+ * OBTENER TODAS
+ * Filtros: activa, sede, videoaudiencia, capacidad_minima
+ */
+const getAll = async (filters = {}) => {
+    const { activa, sede, videoaudiencia, capacidad_minima } = filters;
+
+    let sql = `SELECT * FROM sala WHERE 1=1`;
+    const params = [];
+
+    if (activa !== undefined) {
+        sql += ` AND activa = ?`;
+        params.push(activa === true || activa === 'true');
+    }
+
+    if (sede) {
+        sql += ` AND sede LIKE ?`;
+        params.push(`%${sede}%`);
+    }
+
+    if (videoaudiencia !== undefined) {
+        sql += ` AND videoaudiencia = ?`;
+        params.push(videoaudiencia === true || videoaudiencia === 'true');
+    }
+
+    if (capacidad_minima) {
+        sql += ` AND capacidad >= ?`;
+        params.push(parseInt(capacidad_minima));
+    }
+
+    sql += ` ORDER BY sede, nombre`;
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * OBTENER POR ID
+ */
+const getById = async (id) => {
+    const sql = `SELECT * FROM sala WHERE id_sala = ?`;
+    const [sala] = await executeQuery(sql, [id]);
+
+    if (!sala) {
+        throw new NotFoundError('Sala no encontrada');
+    }
+
+    return sala;
+};
+
+/**
+ * VERIFICAR QUE UNA SALA PUEDA RECIBIR AUDIENCIAS
+ */
+const getActivaById = async (id) => {
+    const sala = await getById(id);
+
+    if (!sala.activa) {
+        throw new BadRequestError(`La sala ${sala.nombre} está desactivada`);
+    }
+
+    return sala;
+};
+
+/**
+ * CREAR
+ */
+const create = async (data) => {
+    const nombre = String(data.nombre).trim();
+    await verificarNombreDisponible(nombre);
+
+    const sql = `
+    INSERT INTO sala (nombre, sede, capacidad, videoaudiencia, activa)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+
+    const result = await executeQuery(sql, [
+        nombre,
+        data.sede || null,
+        validarCapacidad(data.capacidad),
+        !!data.videoaudiencia,
+        data.activa !== undefined ? !!data.activa : true
+    ]);
+
+    return await getById(result.insertId);
+};
+
+/**
+ * ACTUALIZAR
+ */
+const update = async (id, data) => {
+    await getById(id);
+
+    const updates = [];
+    const values = [];
+
+    if (data.nombre !== undefined) {
+        const nombre = String(data.nombre).trim();
+        await verificarNombreDisponible(nombre, id);
+        updates.push('nombre = ?');
+        values.push(nombre);
+    }
+
+    if (data.sede !== undefined) {
+        updates.push('sede = ?');
+        values.push(data.sede || null);
+    }
+
+    if (data.capacidad !== undefined) {
+        updates.push('capacidad = ?');
+        values.push(validarCapacidad(data.capacidad));
+    }
+
+    if (data.videoaudiencia !== undefined) {
+        updates.push('videoaudiencia = ?');
+        values.push(!!data.videoaudiencia);
+    }
+
+    if (data.activa !== undefined) {
+        updates.push('activa = ?');
+        values.push(!!data.activa);
+    }
+
+    if (updates.length === 0) {
+        throw new BadRequestError('No hay campos para actualizar');
+    }
+
+    values.push(id);
+
+    await executeQuery(`UPDATE sala SET ${updates.join(', ')} WHERE id_sala = ?`, values);
+
+    return await getById(id);
+};
+
+/**
+ * ELIMINAR
+ * Solo si ninguna audiencia la usa
+ */
+const remove = async (id) => {
+    const sala = await getById(id);
+
+    const [uso] = await executeQuery(
+        `SELECT COUNT(*) as total FROM audiencia WHERE sala_id = ? AND eliminado_en IS NULL`,
+        [id]
+    );
+
+    if (uso.total > 0) {
+        throw new ConflictError(
+            `No se puede eliminar la sala porque tiene ${uso.total} audiencia(s). Desactívela en su lugar.`
+        );
+    }
+
+    await executeQuery(`DELETE FROM sala WHERE id_sala = ?`, [id]);
+
+    return sala;
+};
+
+// ===================================================
+// DISPONIBILIDAD
+// ===================================================
+
+const MS_POR_MINUTO = 60 * 1000;
+
+const formatoHora = (minutos) =>
+    `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+
+/**
+ * Instante (ms) de una fecha y minutos desde medianoche
+ * Mismo criterio que las columnas DATETIME: la hora capturada como UTC
+ */
+const instante = (fechaISO, minutos) => Date.parse(`${fechaISO}T00:00:00Z`) + minutos * MS_POR_MINUTO;
+
+/**
+ * Intervalos ocupados [inicio, fin) en ms a partir de audiencias
+ */
+const aIntervalo = (audiencia) => {
+    const inicio = new Date(audiencia.fecha_audiencia).getTime();
+    return { inicio, fin: inicio + audiencia.duracion_minutos * MS_POR_MINUTO };
+};
+
+const libre = (ocupados, inicio, fin) =>
+    !ocupados.some(ocupado => ocupado.inicio < fin && ocupado.fin > inicio);
+
+/**
+ * Hora actual del servidor como 'YYYY-MM-DD HH:MM'
+ */
+const ahoraLocal = () => {
+    const ahora = new Date();
+    return `${hoyISO()} ${formatoHora(ahora.getHours() * 60 + ahora.getMinutes())}`;
+};
+
+/**
+ * BUSCAR HORARIOS LIBRES
+ *
+ * filters:
+ * - fecha (YYYY-MM-DD), fecha_hasta? (máximo 31 días)
+ * - duracion: minutos que se necesitan
+ * - requiere_juez: solo horarios con al menos un juez sin audiencia
+ * - juez_id: exigir un juez en particular
+ * - sala_id, sede, videoaudiencia, capacidad_minima
+ */
+const getDisponibilidad = async (filters) => {
+    const fecha = toFechaISO(filters.fecha);
+    const fechaHasta = filters.fecha_hasta ? toFechaISO(filters.fecha_hasta) : fecha;
+    const duracion = filters.duracion;
+
+    if (!fecha || !fechaHasta) {
+        throw new BadRequestError('Formato de fecha inválido (use YYYY-MM-DD)');
+    }
+
+    const totalDias = diferenciaDias(fecha, fechaHasta) + 1;
+
+    if (totalDias < 1 || totalDias > MAX_DIAS_DISPONIBILIDAD) {
+        throw new BadRequestError(`El rango de fechas debe ser de 1 a ${MAX_DIAS_DISPONIBILIDAD} días`);
+    }
+
+    const requiereJuez = filters.requiere_juez === true || filters.requiere_juez === 'true' || !!filters.juez_id;
+
+    let salas = await getAll({
+        activa: true,
+        sede: filters.sede,
+        videoaudiencia: filters.videoaudiencia,
+        capacidad_minima: filters.capacidad_minima
+    });
+
+    if (filters.sala_id) {
+        salas = salas.filter(sala => sala.id_sala === parseInt(filters.sala_id));
+    }
+
+    const desde = `${fecha} 00:00:00`;
+    const hasta = `${sumarDiasNaturales(fechaHasta, 1)} 00:00:00`;
+
+    // Audiencias ya programadas en las salas y, si se pide, de los jueces
+    const ocupadasSala = salas.length === 0 ? [] : await executeQuery(`
+    SELECT aud.sala_id, aud.fecha_audiencia, aud.duracion_minutos
+    FROM audiencia aud
+    WHERE aud.sala_id IN (${salas.map(() => '?').join(', ')})
+      AND ${OCUPA_AGENDA}
+      AND aud.eliminado_en IS NULL
+      AND aud.fecha_audiencia < ?
+      AND DATE_ADD(aud.fecha_audiencia, INTERVAL aud.duracion_minutos MINUTE) > ?
+  `, [...salas.map(sala => sala.id_sala), hasta, desde]);
+
+    let jueces = [];
+    let ocupadasJuez = [];
+
+    if (requiereJuez) {
+        const juezParams = [TIPO_ACTOR.JUEZ];
+        let juezFiltro = '';
+
+        if (filters.juez_id) {
+            juezFiltro = ` AND id_actor = ?`;
+            juezParams.push(parseInt(filters.juez_id));
+        }
+
+        jueces = await executeQuery(
+            `SELECT id_actor, nombre FROM actor_juridico WHERE tipo = ?${juezFiltro} ORDER BY nombre`,
+            juezParams
+        );
+
+        if (filters.juez_id && jueces.length === 0) {
+            throw new NotFoundError('Juez no encontrado');
+        }
+
+        ocupadasJuez = jueces.length === 0 ? [] : await executeQuery(`
+      SELECT DISTINCT paj.actor_id, aud.id_audiencia, aud.fecha_audiencia, aud.duracion_minutos
+      FROM proceso_actor_juridico paj
+      INNER JOIN audiencia aud ON aud.proceso_id = paj.proceso_id
+      WHERE paj.actor_id IN (${jueces.map(() => '?').join(', ')})
+        AND ${OCUPA_AGENDA}
+        AND aud.eliminado_en IS NULL
+        AND aud.fecha_audiencia < ?
+        AND DATE_ADD(aud.fecha_audiencia, INTERVAL aud.duracion_minutos MINUTE) > ?
+    `, [...jueces.map(juez => juez.id_actor), hasta, desde]);
+    }
+
+    const ocupadoPorSala = new Map(salas.map(sala => [
+        sala.id_sala,
+        ocupadasSala.filter(aud => aud.sala_id === sala.id_sala).map(aIntervalo)
+    ]));
+    const ocupadoPorJuez = new Map(jueces.map(juez => [
+        juez.id_actor,
+        ocupadasJuez.filter(aud => aud.actor_id === juez.id_actor).map(aIntervalo)
+    ]));
+
+    const inhabiles = await diaInhabilModel.getFechasDesde(fecha);
+    const ahora = ahoraLocal();
+    const dias = [];
+
+    for (let i = 0; i < totalDias; i++) {
+        const dia = sumarDiasNaturales(fecha, i);
+
+        if (!esDiaHabil(dia, inhabiles)) {
+            dias.push({
+                fecha: dia,
+                habil: false,
+                motivo: inhabiles.has(dia) ? 'Día inhábil' : 'Fin de semana',
+                salas: []
+            });
+            continue;
+        }
+
+        const salasDia = salas.map(sala => {
+            const horarios = [];
+
+            for (let minuto = HORARIO.inicio; minuto + duracion <= HORARIO.fin; minuto += HORARIO.intervalo) {
+                const inicio = `${dia} ${formatoHora(minuto)}`;
+                const desdeMs = instante(dia, minuto);
+                const hastaMs = instante(dia, minuto + duracion);
+
+                if (inicio < ahora || !libre(ocupadoPorSala.get(sala.id_sala), desdeMs, hastaMs)) {
+                    continue;
+                }
+
+                const horario = { inicio, fin: `${dia} ${formatoHora(minuto + duracion)}` };
+
+                if (requiereJuez) {
+                    horario.jueces_disponibles = jueces.filter(juez =>
+                        libre(ocupadoPorJuez.get(juez.id_actor), desdeMs, hastaMs)
+                    );
+
+                    if (horario.jueces_disponibles.length === 0) {
+                        continue;
+                    }
+                }
+
+                horarios.push(horario);
+            }
+
+            return {
+                id_sala: sala.id_sala,
+                nombre: sala.nombre,
+                sede: sala.sede,
+                capacidad: sala.capacidad,
+                videoaudiencia: !!sala.videoaudiencia,
+                horarios
+            };
+        });
+
+        dias.push({ fecha: dia, habil: true, salas: salasDia });
+    }
+
+    return {
+        fecha,
+        fecha_hasta: fechaHasta,
+        duracion_minutos: duracion,
+        requiere_juez: requiereJuez,
+        horario: {
+            inicio: formatoHora(HORARIO.inicio),
+            fin: formatoHora(HORARIO.fin),
+            intervalo_minutos: HORARIO.intervalo
+        },
+        dias
+    };
+};
+
+module.exports = {
+    getAll,
+    getById,
+    getActivaById,
+    create,
+    update,
+    remove,
+    getDisponibilidad
+};
@@ -0,0 +1,155 @@
+// src/models/sesionModel.js
+
+const { executeQuery, executeTransaction } = require('../config/database');
+const { UnauthorizedError } = require('../utils/errorHandler');
+const { generateRefreshToken, hashToken } = require('../utils/jwt');
+
+/**
+ * MODELO DE SESIONES
+ *
+ * Cada login crea una sesión en el servidor. Los access tokens llevan el
+ * id de la sesión (sid) y los refresh tokens se guardan hasheados y se
+ * rotan en cada uso.
+ *
+ * Revocar la sesión invalida de inmediato todos sus access tokens
+ * (authMiddleware la consulta en cada request) y sus refresh tokens.
+ */
+
+/**
+ * CREAR SESIÓN
+ * Retorna el id de la sesión y el refresh token en texto plano
+ */
+const create = async (usuarioId, meta = {}) => {
+    const { token, expiraEn } = generateRefreshToken();
+
+    const sesionId = await executeTransaction(async (connection) => {
+        const [result] = await connection.execute(
+            `INSERT INTO sesion (usuario_id, ip, user_agent, ultimo_uso)
+             VALUES (?, ?, ?, NOW())`,
+            [usuarioId, meta.ip || null, meta.userAgent ? meta.userAgent.substring(0, 255) : null]
+        );
+
+        await connection.execute(
+            `INSERT INTO refresh_token (sesion_id, token_hash, expira_en)
+             VALUES (?, ?, ?)`,
+            [result.insertId, hashToken(token), expiraEn]
+        );
+
+        return result.insertId;
+    });
+
+    return { sesionId, refreshToken: token };
+};
+
+/**
+ * ROTAR REFRESH TOKEN
+ *
+ * Marca el token presentado como usado y emite uno nuevo para la misma sesión.
+ * Si el token ya había sido usado (posible robo), revoca la sesión completa.
+ */
+const rotarRefreshToken = async (refreshToken) => {
+    const resultado = await executeTransaction(async (connection) => {
+        const [rows] = await connection.execute(
+            `SELECT
+                rt.id_refresh_token,
+                rt.sesion_id,
+                rt.expira_en,
+                rt.usado_en,
+                s.usuario_id,
+                s.revocada_en
+             FROM refresh_token rt
+             INNER JOIN sesion s ON rt.sesion_id = s.id_sesion
+             WHERE rt.token_hash = ?
+             FOR UPDATE`,
+            [hashToken(refreshToken)]
+        );
+
+        const actual = rows[0];
+
+        if (!actual || actual.revocada_en) {
+            return { error: 'Refresh token inválido' };
+        }
+
+        if (actual.usado_en) {
+            // Reutilización de un token ya rotado: se revoca la sesión
+            await connection.execute(
+                `UPDATE sesion
+                 SET revocada_en = NOW(), motivo_revocacion = 'reutilizacion_refresh_token'
+                 WHERE id_sesion = ?`,
+                [actual.sesion_id]
+            );
+            return { error: 'Refresh token reutilizado. La sesión fue revocada' };
+        }
+
+        if (new Date(actual.expira_en) <= new Date()) {
+            return { error: 'Refresh token expirado. Por favor inicia sesión nuevamente' };
+        }
+
+        const { token, expiraEn } = generateRefreshToken();
+
+        await connection.execute(
+            `UPDATE refresh_token SET usado_en = NOW() WHERE id_refresh_token = ?`,
+            [actual.id_refresh_token]
+        );
+
+        await connection.execute(
+            `INSERT INTO refresh_token (sesion_id, token_hash, expira_en)
+             VALUES (?, ?, ?)`,
+            [actual.sesion_id, hashToken(token), expiraEn]
+        );
+
+        await connection.execute(
+            `UPDATE sesion SET ultimo_uso = NOW() WHERE id_sesion = ?`,
+            [actual.sesion_id]
+        );
+
+        return {
+            sesionId: actual.sesion_id,
+            usuarioId: actual.usuario_id,
+            refreshToken: token
+        };
+    });
+
+    // El error se lanza fuera de la transacción para no revertir la revocación
+    if (resultado.error) {
+        throw new UnauthorizedError(resultado.error);
+    }
+
+    return resultado;
+};
+
+/**
+ * VERIFICAR SI UNA SESIÓN SIGUE ACTIVA
+ */
+const isActiva = async (sesionId, usuarioId) => {
+    const sql = `
+    SELECT id_sesion
+    FROM sesion
+    WHERE id_sesion = ? AND usuario_id = ? AND revocada_en IS NULL
+  `;
+
+    const [sesion] = await executeQuery(sql, [sesionId, usuarioId]);
+    return !!sesion;
+};
+
+/**
+ * REVOCAR TODAS LAS SESIONES DE UN USUARIO
+ * Retorna el número de sesiones revocadas
+ */
+const revocarTodasDeUsuario = async (usuarioId, motivo = 'logout') => {
+    const sql = `
+    UPDATE sesion
+    SET revocada_en = NOW(), motivo_revocacion = ?
+    WHERE usuario_id = ? AND revocada_en IS NULL
+  `;
+
+    const result = await executeQuery(sql, [motivo, usuarioId]);
+    return result.affectedRows;
+};
+
+module.exports = {
+    create,
+    rotarRefreshToken,
+    isActiva,
+    revocarTodasDeUsuario
+};
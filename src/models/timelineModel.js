@@ -0,0 +1,192 @@
+// src/models/timelineModel.js
+
+const { executeQuery } = require('../config/database');
+
+/**
+ * MODELO DE LÍNEA DE TIEMPO DE UN PROCESO
+ *
+ * Junta en una sola consulta (UNION ALL) todas las fechas registradas en
+ * las carpetas y tablas relacionadas con un proceso. Cada evento indica
+ * su tipo, la carpeta de origen y el registro del que sale la fecha.
+ * Los registros en la papelera no aparecen.
+ */
+
+/**
+ * Carpetas ligadas al proceso vía proceso_carpeta (alias x)
+ */
+const desdeCarpeta = (tabla, columnaId, columnaRelacion) => `
+    FROM proceso_carpeta pc
+    INNER JOIN ${tabla} x ON x.${columnaId} = pc.${columnaRelacion}
+    WHERE pc.id_proceso = ?`;
+
+/**
+ * Tablas con columna proceso_id (alias x)
+ */
+const desdeProceso = (tabla, joins = '') => `
+    FROM ${tabla} x
+    ${joins}
+    WHERE x.proceso_id = ?`;
+
+// Carpetas del proceso para los registros que no guardan la suya (alias pc)
+const JOIN_CARPETAS = 'LEFT JOIN proceso_carpeta pc ON pc.id_proceso = x.proceso_id';
+
+const DESDE_CJ = desdeCarpeta('cj', 'id_cj', 'cj_id');
+const DESDE_CJO = desdeCarpeta('cjo', 'id_cjo', 'cjo_id');
+const DESDE_CEMCI = desdeCarpeta('cemci', 'id_cemci', 'cemci_id');
+const DESDE_CEMS = desdeCarpeta('cems', 'id_cems', 'cems_id');
+
+const JOIN_TIPO_MEDIDA = 'LEFT JOIN tipo_medida_cautelar tmc ON x.tipo_medida_cautelar_id = tmc.id_tipo_medida_cautelar';
+
+const CARPETA_AUDIENCIA = `
+    CASE
+      WHEN x.cems_id IS NOT NULL THEN 'CEMS'
+      WHEN x.cemci_id IS NOT NULL THEN 'CEMCI'
+      WHEN x.cjo_id IS NOT NULL THEN 'CJO'
+      ELSE 'CJ'
+    END`;
+
+const CARPETA_ID_AUDIENCIA = `COALESCE(x.cems_id, x.cemci_id, x.cjo_id, x.cj_id)`;
+
+// AUDIENCIA_PROGRAMADA, AUDIENCIA_CELEBRADA, AUDIENCIA_DIFERIDA o AUDIENCIA_CANCELADA
+const TIPO_AUDIENCIA = `CONCAT('AUDIENCIA_', x.estado)`;
+
+// Tipo de audiencia y, si se difirió o canceló, motivo y audiencia reprogramada
+const DETALLE_AUDIENCIA = `
+    CONCAT_WS(' | ',
+      x.tipo,
+      CONCAT('Motivo: ', COALESCE(x.motivo_diferimiento, x.motivo_estado)),
+      CONCAT('Reprogramada en la audiencia ', x.reprogramada_id))`;
+
+/**
+ * DEFINICIÓN DE EVENTOS
+ *
+ * tipo: identificador del evento (o tipoExpr: expresión SQL)
+ * descripcion: texto fijo para mostrar
+ * detalle: expresión SQL con información adicional (o NULL)
+ * carpeta: carpeta de origen (texto fijo) o carpetaExpr (expresión SQL)
+ * carpetaId: expresión SQL con el id de la carpeta (default: id, solo para
+ *            eventos de la propia carpeta; los demás usan pc de JOIN_CARPETAS)
+ * entidad / id: tabla e id del registro de origen
+ * fecha: columna con la fecha del evento
+ */
+const EVENTOS = [
+    // ===== CJ =====
+    { tipo: 'CJ_INGRESO', descripcion: 'Ingreso de la carpeta judicial', carpeta: 'CJ', entidad: 'cj', id: 'x.id_cj', fecha: 'x.fecha_ingreso', desde: DESDE_CJ },
+    { tipo: 'CJ_CONTROL', descripcion: 'Control de detención', carpeta: 'CJ', entidad: 'cj', id: 'x.id_cj', fecha: 'x.fecha_control', desde: DESDE_CJ },
+    { tipo: 'CJ_FORMULACION', descripcion: 'Formulación de imputación', carpeta: 'CJ', entidad: 'cj', id: 'x.id_cj', fecha: 'x.fecha_formulacion', desde: DESDE_CJ },
+    { tipo: 'CJ_VINCULACION', descripcion: 'Vinculación a proceso', detalle: 'x.conducta_vinculacion', carpeta: 'CJ', entidad: 'cj', id: 'x.id_cj', fecha: 'x.fecha_vinculacion', desde: DESDE_CJ },
+    { tipo: 'CJ_SUSPENSION', descripcion: 'Suspensión condicional del proceso', detalle: 'x.plazo_suspension', carpeta: 'CJ', entidad: 'cj', id: 'x.id_cj', fecha: 'x.fecha_suspension', desde: DESDE_CJ },
+    { tipo: 'CJ_TERMINACION_SUSPENSION', descripcion: 'Terminación de la suspensión condicional', carpeta: 'CJ', entidad: 'cj', id: 'x.id_cj', fecha: 'x.fecha_terminacion_suspension', desde: DESDE_CJ },
+    { tipo: 'CJ_AUDIENCIA_INTERMEDIA', descripcion: 'Audiencia intermedia', carpeta: 'CJ', entidad: 'cj', id: 'x.id_cj', fecha: 'x.fecha_audiencia_intermedia', desde: DESDE_CJ },
+    { tipo: 'CJ_SUSTRACCION', descripcion: 'Sustracción de la acción de la justicia', carpeta: 'CJ', entidad: 'cj', id: 'x.id_cj', fecha: 'x.fecha_sustraccion', desde: DESDE_CJ },
+
+    // ===== CJO =====
+    { tipo: 'CJO_INGRESO', descripcion: 'Ingreso de la carpeta de juicio oral', carpeta: 'CJO', entidad: 'cjo', id: 'x.id_cjo', fecha: 'x.fecha_ingreso', desde: DESDE_CJO },
+    { tipo: 'CJO_AUTO_APERTURA', descripcion: 'Auto de apertura a juicio oral', carpeta: 'CJO', entidad: 'cjo', id: 'x.id_cjo', fecha: 'x.fecha_auto_apertura', desde: DESDE_CJO },
+    { tipo: 'CJO_SENTENCIA', descripcion: 'Sentencia', detalle: 'x.sentencia', carpeta: 'CJO', entidad: 'cjo', id: 'x.id_cjo', fecha: 'x.fecha_sentencia', desde: DESDE_CJO },
+    { tipo: 'CJO_CAUSO_ESTADO', descripcion: 'La sentencia causó estado', carpeta: 'CJO', entidad: 'cjo', id: 'x.id_cjo', fecha: 'x.fecha_causo_estado', desde: DESDE_CJO },
+    { tipo: 'CJO_ENVIO_EJECUCION', descripcion: 'Sentencia enviada a ejecución', carpeta: 'CJO', entidad: 'cjo', id: 'x.id_cjo', fecha: 'x.fecha_sentencia_enviada_ejecucion', desde: DESDE_CJO },
+
+    // ===== CEMCI / CEMS =====
+    { tipo: 'CEMCI_RECEPCION', descripcion: 'Recepción de la CEMCI', carpeta: 'CEMCI', entidad: 'cemci', id: 'x.id_cemci', fecha: 'x.fecha_recepcion_cemci', desde: DESDE_CEMCI },
+    { tipo: 'CEMS_RECEPCION', descripcion: 'Recepción de la CEMS', carpeta: 'CEMS', entidad: 'cems', id: 'x.id_cems', fecha: 'x.fecha_recepcion', desde: DESDE_CEMS },
+    { tipo: 'CEMS_INICIO_PLAN', descripcion: 'Inicio del plan de actividades', carpeta: 'CEMS', entidad: 'cems', id: 'x.id_cems', fecha: 'x.plan_actividad_fecha_inicio', desde: DESDE_CEMS },
+
+    // ===== Seguimiento CEMCI =====
+    { tipo: 'CEMCI_RECEPCION_PLAN', descripcion: 'Recepción del plan de actividades', carpeta: 'CEMCI', carpetaId: 'x.cemci_id', entidad: 'cemci_seguimiento', id: 'x.id_seguimiento', fecha: 'x.fecha_recepcion_plan_actividades', desde: desdeProceso('cemci_seguimiento') },
+    { tipo: 'CEMCI_APROBACION_PLAN', descripcion: 'Aprobación del plan de actividades', carpeta: 'CEMCI', carpetaId: 'x.cemci_id', entidad: 'cemci_seguimiento', id: 'x.id_seguimiento', fecha: 'x.fecha_aprobacion_plan_actividades', desde: desdeProceso('cemci_seguimiento') },
+    { tipo: 'CEMCI_AUDIENCIA_INICIAL', descripcion: 'Audiencia inicial de CEMCI', carpeta: 'CEMCI', carpetaId: 'x.cemci_id', entidad: 'cemci_seguimiento', id: 'x.id_seguimiento', fecha: 'x.fecha_audiencia_inicial_cemci', desde: desdeProceso('cemci_seguimiento') },
+    { tipo: 'CEMCI_RADICACION', descripcion: 'Radicación', carpeta: 'CEMCI', carpetaId: 'x.cemci_id', entidad: 'cemci_seguimiento', id: 'x.id_seguimiento', fecha: 'x.fecha_radicacion', desde: desdeProceso('cemci_seguimiento') },
+    { tipo: 'CEMCI_SUSPENSION', descripcion: 'Suspensión del seguimiento', detalle: 'x.motivo_suspension', carpeta: 'CEMCI', carpetaId: 'x.cemci_id', entidad: 'cemci_seguimiento', id: 'x.id_seguimiento', fecha: 'x.fecha_suspension', desde: desdeProceso('cemci_seguimiento') },
+
+    // ===== Exhortaciones CEMS =====
+    { tipo: 'CEMS_EXHORTACION_REPARACION', descripcion: 'Exhortación a la reparación del daño', carpeta: 'CEMS', carpetaId: 'x.cems_id', entidad: 'cems_exhortacion', id: 'x.id_exhortacion', fecha: 'x.fecha_exhortacion_reparacion_dano', desde: desdeProceso('cems_exhortacion') },
+    { tipo: 'CEMS_EXHORTACION_CUMPLIMIENTO', descripcion: 'Exhortación al cumplimiento', carpeta: 'CEMS', carpetaId: 'x.cems_id', entidad: 'cems_exhortacion', id: 'x.id_exhortacion', fecha: 'x.fecha_exhortacion_cumplimiento', desde: desdeProceso('cems_exhortacion') },
+
+    // ===== Audiencias =====
+    { tipoExpr: TIPO_AUDIENCIA, descripcion: 'Audiencia', detalle: DETALLE_AUDIENCIA, carpetaExpr: CARPETA_AUDIENCIA, carpetaId: CARPETA_ID_AUDIENCIA, entidad: 'audiencia', id: 'x.id_audiencia', fecha: 'x.fecha_audiencia', desde: desdeProceso('audiencia') },
+
+    // ===== Medidas cautelares =====
+    {
+        tipo: 'MEDIDA_CAUTELAR', descripcion: 'Imposición de medida cautelar', detalle: 'tmc.nombre', carpeta: 'CJ', carpetaId: 'pc.cj_id',
+        entidad: 'medida_cautelar', id: 'x.id_medida_cautelar', fecha: 'x.fecha_medida_cautelar',
+        desde: desdeProceso('medida_cautelar', `${JOIN_TIPO_MEDIDA} ${JOIN_CARPETAS}`)
+    },
+    {
+        tipo: 'MEDIDA_CAUTELAR_REVOCACION', descripcion: 'Revocación de medida cautelar', detalle: 'tmc.nombre', carpeta: 'CJ', carpetaId: 'pc.cj_id',
+        entidad: 'medida_cautelar', id: 'x.id_medida_cautelar', fecha: 'x.fecha_revocacion_medida',
+        desde: desdeProceso('medida_cautelar', `${JOIN_TIPO_MEDIDA} ${JOIN_CARPETAS}`)
+    },
+
+    // ===== Ejecución =====
+    { tipo: 'CONDENA_INICIO_COMPUTO', descripcion: 'Inicio del cómputo de la sanción', carpeta: 'CJO', carpetaId: 'pc.cjo_id', entidad: 'condena', id: 'x.id_condena', fecha: 'x.inicio_computo_sancion', desde: desdeProceso('condena', JOIN_CARPETAS) },
+    { tipo: 'INTERNAMIENTO_CUMPLIMIENTO', descripcion: 'Cumplimiento del internamiento', carpeta: 'CEMS', carpetaId: 'pc.cems_id', entidad: 'internamiento', id: 'x.id_internamiento', fecha: 'x.fecha_cumplimiento', desde: desdeProceso('internamiento', JOIN_CARPETAS) },
+    { tipo: 'LIBERTAD_INICIO_EJECUCION', descripcion: 'Inicio de ejecución de la medida en libertad', carpeta: 'CEMS', carpetaId: 'pc.cems_id', entidad: 'libertad', id: 'x.id_libertad', fecha: 'x.fecha_inicial_ejecucion', desde: desdeProceso('libertad', JOIN_CARPETAS) },
+    { tipo: 'LIBERTAD_CUMPLIMIENTO', descripcion: 'Cumplimiento de la medida en libertad', carpeta: 'CEMS', carpetaId: 'pc.cems_id', entidad: 'libertad', id: 'x.id_libertad', fecha: 'x.fecha_cumplimiento', desde: desdeProceso('libertad', JOIN_CARPETAS) }
+];
+
+/**
+ * Enlace al registro de origen (ruta de la API)
+ */
+const ENLACES = {
+    cj: (e) => `/api/cj/${e.entidad_id}`,
+    cjo: (e) => `/api/cjo/${e.entidad_id}`,
+    cemci: (e) => `/api/cemci/${e.entidad_id}`,
+    cems: (e) => `/api/cems/${e.entidad_id}`,
+    cemci_seguimiento: (e) => `/api/cemci/${e.carpeta_id}/seguimientos`,
+    cems_exhortacion: (e) => `/api/cems/${e.carpeta_id}/exhortaciones`,
+    audiencia: (e) => `/api/audiencias/${e.entidad_id}`,
+    medida_cautelar: (e) => `/api/medidas-cautelares/${e.entidad_id}`,
+    condena: (e) => `/api/condena/${e.entidad_id}`,
+    internamiento: (e) => `/api/internamiento/${e.entidad_id}`,
+    libertad: (e) => `/api/libertad/${e.entidad_id}`
+};
+
+/**
+ * Construir un SELECT del UNION para un evento
+ */
+const buildSelect = (evento, orden) => {
+    const tipo = evento.tipoExpr || `'${evento.tipo}'`;
+    const carpeta = evento.carpetaExpr || `'${evento.carpeta}'`;
+    const carpetaId = evento.carpetaId || evento.id;
+
+    return `
+    SELECT
+      ${tipo} as tipo,
+      '${evento.descripcion}' as descripcion,
+      ${evento.detalle || 'NULL'} as detalle,
+      ${carpeta} as carpeta,
+      ${carpetaId} as carpeta_id,
+      '${evento.entidad}' as entidad,
+      ${evento.id} as entidad_id,
+      ${evento.fecha} as fecha,
+      ${orden} as orden
+    ${evento.desde}
+      AND ${evento.fecha} IS NOT NULL
+      AND x.eliminado_en IS NULL`;
+};
+
+/**
+ * OBTENER LÍNEA DE TIEMPO DE UN PROCESO
+ * Eventos ordenados por fecha (los de la misma fecha, en orden procesal)
+ */
+const getByProcesoId = async (procesoId) => {
+    const sql = `
+    SELECT * FROM (
+      ${EVENTOS.map(buildSelect).join('\n      UNION ALL')}
+    ) eventos
+    ORDER BY fecha ASC, orden ASC
+  `;
+
+    const params = EVENTOS.map(() => procesoId);
+    const eventos = await executeQuery(sql, params);
+
+    return eventos.map(({ orden, ...evento }) => ({
+        ...evento,
+        enlace: ENLACES[evento.entidad](evento)
+    }));
+};
+
+module.exports = {
+    getByProcesoId
+};
@@ -0,0 +1,284 @@
+// src/models/tutorModel.js
+
+const { executeQuery, executeTransaction } = require('../config/database');
+const { NotFoundError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const { PARENTESCO } = require('../config/constants');
+const domicilioModel = require('./domicilioModel');
+const papeleraModel = require('./papeleraModel');
+
+/**
+ * MODELO DE TUTORES Y FAMILIARES
+ *
+ * Adultos responsables del adolescente (relación 1:N). El domicilio vive en
+ * la tabla domicilio: puede ser propio o el mismo del adolescente
+ * (mismo_domicilio_adolescente), y en ese caso editarlo desde el tutor crea
+ * uno nuevo en lugar de cambiar el del adolescente.
+ *
+ * - tiene_custodia: ejerce la guarda y custodia (puede haber varios)
+ * - es_contacto_principal: a lo más uno por adolescente; marcar otro lo
+ *   desmarca en los demás
+ */
+
+const PARENTESCOS = Object.values(PARENTESCO);
+
+/**
+ * HELPER: Parentesco en mayúsculas (400 si no está en el catálogo)
+ */
+const normalizarParentesco = (parentesco) => {
+    const valor = String(parentesco || '').trim().toUpperCase().replace(/\s+/g, '_');
+
+    if (!PARENTESCOS.includes(valor)) {
+        throw new BadRequestError(`parentesco debe ser: ${PARENTESCOS.join(', ')}`);
+    }
+
+    return valor;
+};
+
+/**
+ * HELPER: Adolescente (404 si no existe o está en la papelera)
+ */
+const getAdolescente = async (adolescenteId) => {
+    const [adolescente] = await executeQuery(
+        `SELECT id_adolescente, domicilio_id FROM adolescente WHERE id_adolescente = ? AND eliminado_en IS NULL`,
+        [adolescenteId]
+    );
+
+    if (!adolescente) {
+        throw new NotFoundError('Adolescente no encontrado');
+    }
+
+    return adolescente;
+};
+
+/**
+ * HELPER: ¿Otro registro (adolescente u otro tutor) usa el domicilio?
+ */
+const domicilioCompartido = async (connection, domicilioId, tutorId) => {
+    const [[result]] = await connection.execute(`
+        SELECT (SELECT COUNT(*) FROM adolescente WHERE domicilio_id = ?) +
+               (SELECT COUNT(*) FROM tutor WHERE domicilio_id = ? AND id_tutor <> ?) as total
+    `, [domicilioId, domicilioId, tutorId || 0]);
+
+    return result.total > 0;
+};
+
+/**
+ * HELPER: domicilio_id a guardar según lo que se envió
+ * undefined si no cambia. El domicilio se crea o actualiza en la
+ * transacción del tutor.
+ *
+ * @param {Object} connection - Conexión de la transacción
+ * @param {Object} data - { domicilio?, domicilio_id?, mismo_domicilio_adolescente? }
+ * @param {Object} adolescente - { domicilio_id }
+ * @param {Object|null} tutorActual - null al crear
+ */
+const resolverDomicilio = async (connection, data, adolescente, tutorActual = null) => {
+    if (data.mismo_domicilio_adolescente) {
+        if (!adolescente.domicilio_id) {
+            throw new BadRequestError('El adolescente no tiene domicilio registrado');
+        }
+        return adolescente.domicilio_id;
+    }
+
+    if (data.domicilio) {
+        const domicilio = [
+            data.domicilio.municipio || null,
+            data.domicilio.calle_numero || null,
+            data.domicilio.colonia || null
+        ];
+        const actualId = tutorActual && tutorActual.domicilio_id;
+
+        if (actualId && !(await domicilioCompartido(connection, actualId, tutorActual.id_tutor))) {
+            await connection.execute(`
+                UPDATE domicilio
+                SET municipio = ?, calle_numero = ?, colonia = ?, es_lugar_hechos = FALSE
+                WHERE id_domicilio = ?
+            `, [...domicilio, actualId]);
+            return actualId;
+        }
+
+        const [result] = await connection.execute(`
+            INSERT INTO domicilio (municipio, calle_numero, colonia, es_lugar_hechos)
+            VALUES (?, ?, ?, FALSE)
+        `, domicilio);
+        return result.insertId;
+    }
+
+    if (data.domicilio_id !== undefined) {
+        if (data.domicilio_id) {
+            await domicilioModel.getById(data.domicilio_id);
+        }
+        return data.domicilio_id || null;
+    }
+
+    return undefined;
+};
+
+/**
+ * HELPER: Desmarcar el contacto principal de los demás tutores
+ */
+const desmarcarContactoPrincipal = async (connection, adolescenteId, tutorId) => {
+    await connection.execute(
+        `UPDATE tutor SET es_contacto_principal = FALSE
+         WHERE adolescente_id = ? AND id_tutor <> ? AND eliminado_en IS NULL`,
+        [adolescenteId, tutorId]
+    );
+};
+
+/**
+ * CREAR TUTOR
+ */
+const create = async (adolescenteId, tutorData) => {
+    const adolescente = await getAdolescente(adolescenteId);
+    const parentesco = normalizarParentesco(tutorData.parentesco);
+
+    return await executeTransaction(async (connection) => {
+        const domicilioId = await resolverDomicilio(connection, tutorData, adolescente);
+
+        const [result] = await connection.execute(`
+            INSERT INTO tutor (adolescente_id, nombre, parentesco, telefono, correo,
+                               tiene_custodia, es_contacto_principal, domicilio_id, observaciones)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            adolescenteId,
+            tutorData.nombre,
+            parentesco,
+            tutorData.telefono || null,
+            tutorData.correo || null,
+            tutorData.tiene_custodia || false,
+            tutorData.es_contacto_principal || false,
+            domicilioId || null,
+            tutorData.observaciones || null
+        ]);
+
+        if (tutorData.es_contacto_principal) {
+            await desmarcarContactoPrincipal(connection, adolescenteId, result.insertId);
+        }
+
+        return result.insertId;
+    });
+};
+
+/**
+ * OBTENER POR ID (con domicilio)
+ */
+const getById = async (id) => {
+    const sql = `
+        SELECT t.*,
+               d.municipio    as domicilio_municipio,
+               d.calle_numero as domicilio_calle,
+               d.colonia      as domicilio_colonia,
+               COALESCE(t.domicilio_id = a.domicilio_id, FALSE) as mismo_domicilio_adolescente
+        FROM tutor t
+                 INNER JOIN adolescente a ON t.adolescente_id = a.id_adolescente
+                 LEFT JOIN domicilio d ON t.domicilio_id = d.id_domicilio
+        WHERE t.id_tutor = ?
+          AND t.eliminado_en IS NULL
+    `;
+
+    const [tutor] = await executeQuery(sql, [id]);
+
+    if (!tutor) {
+        throw new NotFoundError('Tutor no encontrado');
+    }
+
+    return tutor;
+};
+
+/**
+ * TUTORES DE UN ADOLESCENTE
+ * Primero el contacto principal y después quienes tienen la custodia
+ */
+const getByAdolescenteId = async (adolescenteId) => {
+    const sql = `
+        SELECT t.*,
+               d.municipio    as domicilio_municipio,
+               d.calle_numero as domicilio_calle,
+               d.colonia      as domicilio_colonia,
+               COALESCE(t.domicilio_id = a.domicilio_id, FALSE) as mismo_domicilio_adolescente
+        FROM tutor t
+                 INNER JOIN adolescente a ON t.adolescente_id = a.id_adolescente
+                 LEFT JOIN domicilio d ON t.domicilio_id = d.id_domicilio
+        WHERE t.adolescente_id = ?
+          AND t.eliminado_en IS NULL
+        ORDER BY t.es_contacto_principal DESC, t.tiene_custodia DESC, t.nombre ASC
+    `;
+
+    return await executeQuery(sql, [adolescenteId]);
+};
+
+/**
+ * ACTUALIZAR TUTOR
+ */
+const update = async (id, tutorData) => {
+    const tutorActual = await getById(id);
+    const adolescente = await getAdolescente(tutorActual.adolescente_id);
+
+    const data = { ...tutorData };
+
+    if (data.parentesco !== undefined) {
+        data.parentesco = normalizarParentesco(data.parentesco);
+    }
+
+    await executeTransaction(async (connection) => {
+        const domicilioId = await resolverDomicilio(connection, tutorData, adolescente, tutorActual);
+        if (domicilioId !== undefined) {
+            data.domicilio_id = domicilioId;
+        }
+
+        const updates = [];
+        const values = [];
+
+        const campos = [
+            'nombre', 'parentesco', 'telefono', 'correo',
+            'tiene_custodia', 'es_contacto_principal', 'domicilio_id', 'observaciones'
+        ];
+
+        campos.forEach(campo => {
+            if (data[campo] !== undefined) {
+                updates.push(`${campo} = ?`);
+                values.push(data[campo]);
+            }
+        });
+
+        if (updates.length === 0) {
+            throw new BadRequestError('No hay campos para actualizar');
+        }
+
+        await connection.execute(
+            `UPDATE tutor SET ${updates.join(', ')} WHERE id_tutor = ?`,
+            [...values, id]
+        );
+
+        if (data.es_contacto_principal) {
+            await desmarcarContactoPrincipal(connection, tutorActual.adolescente_id, id);
+        }
+    });
+
+    return await getById(id);
+};
+
+/**
+ * ELIMINAR TUTOR (a la papelera)
+ * El domicilio se queda con él y se borra al purgarlo si nadie más lo usa
+ */
+const remove = async (id) => {
+    const tutor = await getById(id);
+
+    await papeleraModel.enviar('tutor', id);
+
+    return tutor;
+};
+
+module.exports = auditarModelo('tutor', {
+    create,
+    getById,
+    getByAdolescenteId,
+    update,
+    remove
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+});
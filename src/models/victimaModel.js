@@ -2,6 +2,9 @@
 
 const { executeQuery } = require('../config/database');
 const { NotFoundError, ConflictError, BadRequestError } = require('../utils/errorHandler');
+const { auditarModelo } = require('../utils/auditoria');
+const papeleraModel = require('./papeleraModel');
+const { prepararCurp, validarCurpUnica } = require('../utils/curp');
 
 /**
  * MODELO DE VÍCTIMA
@@ -9,15 +12,26 @@ const { NotFoundError, ConflictError, BadRequestError } = require('../utils/erro
  * Gestiona las víctimas del delito
  */
 
+/**
+ * HELPER: CURP normalizada y revisada (de la víctima solo se contrasta el sexo)
+ * 400 si el formato es inválido, 409 si otra víctima ya la tiene
+ */
+const revisarCurpVictima = async (datos, excluirId = null) => {
+    const revision = prepararCurp(datos.curp, { sexo: datos.sexo });
+    await validarCurpUnica('victima', 'id_victima', revision.curp, excluirId);
+    return revision;
+};
+
 /**
  * CREAR VÍCTIMA
  */
 const create = async (victimaData) => {
     const { nombre, iniciales, sexo, edad, es_menor } = victimaData;
+    const curp = await revisarCurpVictima(victimaData);
 
     const sql = `
-    INSERT INTO victima (nombre, iniciales, sexo, edad, es_menor)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO victima (nombre, iniciales, sexo, edad, es_menor, curp, curp_revision, curp_observaciones)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `;
 
     const result = await executeQuery(sql, [
@@ -25,7 +39,10 @@ const create = async (victimaData) => {
         iniciales || null,
         sexo || 'N/A',
         edad || null,
-        es_menor !== undefined ? es_menor : false
+        es_menor !== undefined ? es_menor : false,
+        curp.curp,
+        curp.curp_revision,
+        curp.curp_observaciones
     ]);
 
     return result.insertId;
@@ -35,9 +52,9 @@ const create = async (victimaData) => {
  * OBTENER TODAS LAS VÍCTIMAS
  */
 const getAll = async (filters = {}) => {
-    const { sexo, es_menor, search } = filters;
+    const { sexo, es_menor, search, curp, curp_revision } = filters;
 
-    let sql = `SELECT * FROM victima WHERE 1=1`;
+    let sql = `SELECT * FROM victima WHERE eliminado_en IS NULL`;
     const params = [];
 
     if (sexo) {
@@ -51,8 +68,18 @@ const getAll = async (filters = {}) => {
     }
 
     if (search) {
-        sql += ` AND (nombre LIKE ? OR iniciales LIKE ?)`;
-        params.push(`%${search}%`, `%${search}%`);
+        sql += ` AND (nombre LIKE ? OR iniciales LIKE ? OR curp LIKE ?)`;
+        params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    if (curp) {
+        sql += ` AND curp = ?`;
+        params.push(curp);
+    }
+
+    if (curp_revision !== undefined) {
+        sql += ` AND curp_revision = ?`;
+        params.push(curp_revision);
     }
 
     sql += ` ORDER BY nombre`;
@@ -64,7 +91,7 @@ const getAll = async (filters = {}) => {
  * OBTENER POR ID
  */
 const getById = async (id) => {
-    const sql = `SELECT * FROM victima WHERE id_victima = ?`;
+    const sql = `SELECT * FROM victima WHERE id_victima = ? AND eliminado_en IS NULL`;
     const [victima] = await executeQuery(sql, [id]);
 
     if (!victima) {
@@ -78,12 +105,18 @@ const getById = async (id) => {
  * ACTUALIZAR VÍCTIMA
  */
 const update = async (id, victimaData) => {
-    await getById(id);
+    const victimaActual = await getById(id);
+
+    // Si cambia la CURP o el sexo se vuelve a revisar
+    if (victimaData.curp !== undefined || victimaData.sexo !== undefined) {
+        const curp = await revisarCurpVictima({ ...victimaActual, ...victimaData }, id);
+        victimaData = { ...victimaData, ...curp };
+    }
 
     const updates = [];
     const values = [];
 
-    const campos = ['nombre', 'iniciales', 'sexo', 'edad', 'es_menor'];
+    const campos = ['nombre', 'iniciales', 'sexo', 'edad', 'es_menor', 'curp', 'curp_revision', 'curp_observaciones'];
 
     campos.forEach(campo => {
         if (victimaData[campo] !== undefined) {
@@ -109,7 +142,7 @@ const update = async (id, victimaData) => {
 };
 
 /**
- * ELIMINAR VÍCTIMA
+ * ELIMINAR VÍCTIMA (a la papelera)
  * Solo si no está asociada a ningún proceso
  */
 const remove = async (id) => {
@@ -126,8 +159,7 @@ const remove = async (id) => {
         );
     }
 
-    const sql = `DELETE FROM victima WHERE id_victima = ?`;
-    await executeQuery(sql, [id]);
+    await papeleraModel.enviar('victima', id);
 
     return victima;
 };
@@ -145,11 +177,21 @@ const isInUse = async (id) => {
  * CONTAR TOTAL DE VÍCTIMAS
  */
 const getCount = async (filters = {}) => {
-    const { sexo, es_menor } = filters;
+    const { sexo, es_menor, curp, curp_revision } = filters;
 
-    let sql = `SELECT COUNT(*) as total FROM victima WHERE 1=1`;
+    let sql = `SELECT COUNT(*) as total FROM victima WHERE eliminado_en IS NULL`;
     const params = [];
 
+    if (curp) {
+        sql += ` AND curp = ?`;
+        params.push(curp);
+    }
+
+    if (curp_revision !== undefined) {
+        sql += ` AND curp_revision = ?`;
+        params.push(curp_revision);
+    }
+
     if (sexo) {
         sql += ` AND sexo = ?`;
         params.push(sexo);
@@ -176,13 +218,14 @@ const getStats = async () => {
       SUM(CASE WHEN es_menor = TRUE THEN 1 ELSE 0 END) as menores,
       SUM(CASE WHEN es_menor = FALSE THEN 1 ELSE 0 END) as mayores
     FROM victima
+    WHERE eliminado_en IS NULL
   `;
 
     const [stats] = await executeQuery(sql);
     return stats;
 };
 
-module.exports = {
+module.exports = auditarModelo('victima', {
     create,
     getAll,
     getById,
@@ -191,4 +234,8 @@ module.exports = {
     isInUse,
     getCount,
     getStats
-};
\ No newline at end of file
+}, {
+    create: 'CREAR',
+    update: 'ACTUALIZAR',
+    remove: 'ELIMINAR'
+});
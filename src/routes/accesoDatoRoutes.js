@@ -0,0 +1,88 @@
+// src/routes/accesoDatoRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const accesoDatoController = require('../controllers/accesoDatoController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+
+/**
+ * RUTAS DE ACCESOS A DATOS PERSONALES
+ *
+ * Bitácora de lecturas de adolescentes, tutores, víctimas, domicilios
+ * (detalle y listados) y procesos completos. Los registros los generan los controladores;
+ * aquí solo se consultan.
+ *
+ * Filtros comunes: usuario_id, entidad, entidad_id, adolescente_id, fecha_desde, fecha_hasta
+ *
+ * PERMISOS:
+ * - Solo Admin
+ */
+
+/**
+ * @route   GET /api/accesos
+ * @desc    Obtener lecturas registradas (paginado, más recientes primero)
+ * @query   page, limit + filtros comunes
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(accesoDatoController.getAll)
+);
+
+/**
+ * @route   GET /api/accesos/por-usuario
+ * @desc    Total de lecturas y adolescentes distintos consultados por usuario
+ * @query   filtros comunes
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/por-usuario',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(accesoDatoController.getResumenPorUsuario)
+);
+
+/**
+ * @route   GET /api/accesos/por-adolescente
+ * @desc    Usuarios que consultaron los datos de cada adolescente
+ * @query   filtros comunes (adolescente_id para un solo adolescente)
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/por-adolescente',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(accesoDatoController.getResumenPorAdolescente)
+);
+
+/**
+ * @route   GET /api/accesos/volumen-inusual
+ * @desc    Horas en las que un usuario abrió más registros que el umbral
+ * @query   umbral (default ACCESO_UMBRAL_POR_HORA) + filtros comunes
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/volumen-inusual',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(accesoDatoController.getVolumenInusual)
+);
+
+/**
+ * @route   GET /api/accesos/volumen-inusual/marcas
+ * @desc    Marcas guardadas cuando un usuario alcanzó el umbral (una por usuario y hora)
+ * @query   usuario_id?, fecha_desde?, fecha_hasta?, page?, limit?
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/volumen-inusual/marcas',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(accesoDatoController.getMarcasVolumenInusual)
+);
+
+module.exports = router;
@@ -6,7 +6,8 @@ const actorJuridicoController = require('../controllers/actorJuridicoController'
 const {asyncHandler} = require('../middlewares/errorMiddleware');
 const {authMiddleware} = require('../middlewares/auth');
 const {adminOnly} = require('../middlewares/checkRole');
-const {validateId} = require('../middlewares/validate');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
+const {validate, validateId, validateEmail} = require('../middlewares/validate');
 
 /**
  * RUTAS DE ACTORES JURÍDICOS
@@ -27,6 +28,7 @@ const {validateId} = require('../middlewares/validate');
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(actorJuridicoController.getStats)
 );
 
@@ -103,7 +105,7 @@ router.get(
 /**
  * @route   POST /api/actores
  * @desc    Crear nuevo actor jurídico
- * @body    { nombre, tipo }
+ * @body    { nombre, tipo, correo? }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.post(
@@ -123,12 +125,15 @@ router.post(
 
         next();
     },
+    validateEmail('correo'),
+    validate,
     asyncHandler(actorJuridicoController.create)
 );
 
 /**
  * @route   PUT /api/actores/:id
  * @desc    Actualizar actor jurídico
+ * @body    { nombre?, tipo?, correo? }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.put(
@@ -149,6 +154,8 @@ router.put(
         next();
     },
     validateId,
+    validateEmail('correo'),
+    validate,
     asyncHandler(actorJuridicoController.update)
 );
 
@@ -3,14 +3,19 @@
 const express = require('express');
 const router = express.Router();
 const adolescenteController = require('../controllers/adolescenteController');
+const tutorController = require('../controllers/tutorController');
 const {asyncHandler} = require('../middlewares/errorMiddleware');
 const {authMiddleware} = require('../middlewares/auth');
-const {adminOrJuzgado, adminOrJuzgadoEjecucion, adminOnly} = require('../middlewares/checkRole');
+const {adminOnly} = require('../middlewares/checkRole');
+const { canConsultar, canCrear, canModificar } = require('../middlewares/checkCarpetaPermission');
 const {
     validateId,
     validatePagination,
+    validateTutorId,
     validateAdolescenteCreate,
-    validateAdolescenteUpdate
+    validateAdolescenteUpdate,
+    validateTutorCreate,
+    validateTutorUpdate
 } = require('../middlewares/validate');
 
 /**
@@ -21,12 +26,17 @@ const {
  * - Crear: Administrador, Juzgado, Juzgado Ejecución
  * - Modificar: Administrador, Juzgado, Juzgado Ejecución
  * - Eliminar: Solo Administrador
+ * - Duplicados y fusión: Solo Administrador
+ * - Tutores: consultar todos; crear y modificar según el recurso
+ *   adolescentes de la matriz de permisos; eliminar Solo Administrador
  */
 
+
 /**
  * @route   GET /api/adolescentes
  * @desc    Obtener todos los adolescentes
- * @query   page?, limit?, search?, sexo?, edad_min?, edad_max?
+ * @query   page?, limit?, search? (nombre, iniciales o CURP), sexo?, edad_min?, edad_max?,
+ *          curp?, curp_revision? (true/false)
  * @access  Private (requiere autenticación)
  */
 router.get(
@@ -44,6 +54,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(adolescenteController.getStats)
 )
 
@@ -52,7 +63,25 @@ router.get(
  * @desc    Obtener adolescentes sin proceso activo
  * @access  Private
  */
-router.get('/sin-proceso', adolescenteController.getSinProceso);
+router.get(
+    '/sin-proceso',
+    authMiddleware,
+    asyncHandler(adolescenteController.getSinProceso)
+);
+
+/**
+ * @route   GET /api/adolescentes/duplicados
+ * @desc    Posibles registros duplicados, por pares y con puntaje (0-100)
+ * @query   puntaje_minimo? (default 60), limit? (default 50, máx. 200)
+ * @access  Private (Solo Administrador)
+ * @note    criterios: similitud de nombre, fecha de nacimiento, iniciales y lugar de nacimiento
+ */
+router.get(
+    '/duplicados',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(adolescenteController.getDuplicados)
+);
 
 /**
  * @route   GET /api/adolescentes/:id
@@ -78,10 +107,24 @@ router.get(
     asyncHandler(adolescenteController.checkProceso)
 );
 
+/**
+ * @route   GET /api/adolescentes/:id/procesos
+ * @desc    Historial de procesos del adolescente (reingresos y reincidencia)
+ * @access  Private
+ * @note    Del más antiguo al más reciente; a lo más uno con activo = true
+ */
+router.get(
+    '/:id/procesos',
+    authMiddleware,
+    validateId,
+    asyncHandler(adolescenteController.getProcesos)
+);
+
 /**
  * @route   POST /api/adolescentes
  * @desc    Crear nuevo adolescente
- * @body    { nombre, fecha_nacimiento, sexo?, iniciales?, domicilio?, ... }
+ * @body    { nombre, fecha_nacimiento, sexo?, iniciales?, curp?, domicilio?, ...,
+ *            omitir_limites_edad?, motivo_omision? (omisión solo Admin, queda en auditoría) }
  * @access  Private (Admin, Juzgado o Juzgado Ejecución)
  */
 router.post(
@@ -109,7 +152,7 @@ router.post(
 /**
  * @route   PUT /api/adolescentes/:id
  * @desc    Actualizar adolescente
- * @body    { nombre?, fecha_nacimiento?, sexo?, domicilio?, ... }
+ * @body    { nombre?, fecha_nacimiento?, sexo?, curp?, domicilio?, ..., omitir_limites_edad?, motivo_omision? }
  * @access  Private (Admin, Juzgado o Juzgado Ejecución)
  */
 router.put(
@@ -134,6 +177,99 @@ router.put(
     asyncHandler(adolescenteController.update)
 );
 
+/**
+ * @route   POST /api/adolescentes/:id/fusionar
+ * @desc    Fusionar un duplicado en este adolescente (el duplicado va a la papelera)
+ * @body    { duplicado_id }
+ * @access  Private (Solo Administrador)
+ * @note    409 si ambos tienen un proceso activo o CURP distintas
+ */
+router.post(
+    '/:id/fusionar',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(adolescenteController.fusionar)
+);
+
+// =====================================================
+// TUTORES Y FAMILIARES
+// =====================================================
+
+/**
+ * @route   GET /api/adolescentes/:id/tutores
+ * @desc    Tutores y familiares del adolescente (contacto principal primero)
+ * @access  Private
+ */
+router.get(
+    '/:id/tutores',
+    authMiddleware,
+    validateId,
+    asyncHandler(tutorController.getAll)
+);
+
+/**
+ * @route   GET /api/adolescentes/:id/tutores/:tutor_id
+ * @desc    Obtener tutor
+ * @access  Private
+ */
+router.get(
+    '/:id/tutores/:tutor_id',
+    authMiddleware,
+    validateId,
+    validateTutorId,
+    asyncHandler(tutorController.getById)
+);
+
+/**
+ * @route   POST /api/adolescentes/:id/tutores
+ * @desc    Registrar tutor o familiar
+ * @body    { nombre, parentesco, telefono?, correo?, tiene_custodia?, es_contacto_principal?,
+ *            domicilio? | domicilio_id? | mismo_domicilio_adolescente?, observaciones? }
+ * @access  Private (crear en el recurso adolescentes, matriz de permisos)
+ * @note    parentesco: MADRE, PADRE, ABUELA, ABUELO, HERMANA, HERMANO, TIA, TIO, TUTOR_LEGAL, OTRO
+ */
+router.post(
+    '/:id/tutores',
+    authMiddleware,
+    canCrear('adolescentes'),
+    validateId,
+    validateTutorCreate,
+    asyncHandler(tutorController.create)
+);
+
+/**
+ * @route   PUT /api/adolescentes/:id/tutores/:tutor_id
+ * @desc    Actualizar tutor
+ * @body    { nombre?, parentesco?, telefono?, correo?, tiene_custodia?, es_contacto_principal?,
+ *            domicilio? | domicilio_id? | mismo_domicilio_adolescente?, observaciones? }
+ * @access  Private (modificar en el recurso adolescentes, matriz de permisos)
+ * @note    Si comparte el domicilio con el adolescente, enviar domicilio crea uno nuevo
+ */
+router.put(
+    '/:id/tutores/:tutor_id',
+    authMiddleware,
+    canModificar('adolescentes'),
+    validateId,
+    validateTutorId,
+    validateTutorUpdate,
+    asyncHandler(tutorController.update)
+);
+
+/**
+ * @route   DELETE /api/adolescentes/:id/tutores/:tutor_id
+ * @desc    Eliminar tutor (a la papelera)
+ * @access  Private (Solo Administrador)
+ */
+router.delete(
+    '/:id/tutores/:tutor_id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    validateTutorId,
+    asyncHandler(tutorController.remove)
+);
+
 /**
  * @route   DELETE /api/adolescentes/:id
  * @desc    Eliminar adolescente
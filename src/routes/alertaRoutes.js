@@ -0,0 +1,150 @@
+// src/routes/alertaRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const alertaController = require('../controllers/alertaController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+const { validateId } = require('../middlewares/validate');
+
+/**
+ * RUTAS DE ALERTAS
+ *
+ * Alertas de vencimientos generadas a diario para cada usuario.
+ * Cada usuario consulta y atiende solo las suyas.
+ *
+ * PERMISOS:
+ * - Consultar, leer, atender, suscripciones: cualquier usuario autenticado
+ * - Evaluar reglas bajo demanda: Solo Admin
+ */
+
+/**
+ * @route   GET /api/alertas
+ * @desc    Obtener mis alertas (por defecto solo las no atendidas)
+ * @query   page, limit, tipo?, leida? (true/false), atendida? (true/false/todas), proceso_id?
+ * @access  Private
+ */
+router.get(
+    '/',
+    authMiddleware,
+    asyncHandler(alertaController.getAll)
+);
+
+/**
+ * @route   GET /api/alertas/resumen
+ * @desc    Conteo de mis alertas pendientes y no leídas por tipo
+ * @access  Private
+ */
+router.get(
+    '/resumen',
+    authMiddleware,
+    asyncHandler(alertaController.getResumen)
+);
+
+/**
+ * @route   GET /api/alertas/tipos
+ * @desc    Obtener los tipos de alerta (reglas) con sus destinatarios por defecto
+ * @access  Private
+ */
+router.get(
+    '/tipos',
+    authMiddleware,
+    asyncHandler(alertaController.getTipos)
+);
+
+/**
+ * @route   GET /api/alertas/suscripciones
+ * @desc    Obtener mis preferencias de suscripción por tipo
+ * @access  Private
+ */
+router.get(
+    '/suscripciones',
+    authMiddleware,
+    asyncHandler(alertaController.getSuscripciones)
+);
+
+/**
+ * @route   PUT /api/alertas/suscripciones/:tipo
+ * @desc    Activar/desactivar un tipo de alerta o cambiar sus días de anticipación
+ * @body    { activa?, dias_anticipacion? }
+ * @access  Private
+ */
+router.put(
+    '/suscripciones/:tipo',
+    authMiddleware,
+    asyncHandler(alertaController.updateSuscripcion)
+);
+
+/**
+ * @route   DELETE /api/alertas/suscripciones/:tipo
+ * @desc    Restablecer la preferencia al valor por defecto del rol
+ * @access  Private
+ */
+router.delete(
+    '/suscripciones/:tipo',
+    authMiddleware,
+    asyncHandler(alertaController.resetSuscripcion)
+);
+
+/**
+ * @route   PUT /api/alertas/leidas
+ * @desc    Marcar todas mis alertas como leídas
+ * @access  Private
+ */
+router.put(
+    '/leidas',
+    authMiddleware,
+    asyncHandler(alertaController.marcarTodasLeidas)
+);
+
+/**
+ * @route   POST /api/alertas/evaluar
+ * @desc    Evaluar las reglas de alerta ahora (además de la evaluación diaria)
+ * @body    { fecha? (YYYY-MM-DD) }
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/evaluar',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(alertaController.evaluar)
+);
+
+/**
+ * @route   GET /api/alertas/:id
+ * @desc    Obtener una de mis alertas
+ * @access  Private
+ */
+router.get(
+    '/:id',
+    authMiddleware,
+    validateId,
+    asyncHandler(alertaController.getById)
+);
+
+/**
+ * @route   PUT /api/alertas/:id/leer
+ * @desc    Marcar alerta como leída
+ * @access  Private
+ */
+router.put(
+    '/:id/leer',
+    authMiddleware,
+    validateId,
+    asyncHandler(alertaController.marcarLeida)
+);
+
+/**
+ * @route   PUT /api/alertas/:id/atender
+ * @desc    Marcar alerta como atendida (deja de aparecer en pendientes)
+ * @access  Private
+ */
+router.put(
+    '/:id/atender',
+    authMiddleware,
+    validateId,
+    asyncHandler(alertaController.marcarAtendida)
+);
+
+module.exports = router;
@@ -3,9 +3,11 @@
 const express = require('express');
 const router = express.Router();
 const audienciaController = require('../controllers/audienciaController');
+const calendarioController = require('../controllers/calendarioController');
 const { asyncHandler } = require('../middlewares/errorMiddleware');
-const { authMiddleware } = require('../middlewares/auth');
+const { authMiddleware, calendarioTokenMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
 const { validateId, validateProcesoId } = require('../middlewares/validate');
 
 /**
@@ -14,13 +16,17 @@ const { validateId, validateProcesoId } = require('../middlewares/validate');
  * PERMISOS:
  * - Consultar: Todos los usuarios autenticados
  * - Crear/Modificar: Admin, Juzgado, Juzgado Ejecución
+ * - Celebrar/Diferir/Cancelar: permiso modificar sobre la carpeta de la
+ *   audiencia (CJ, CJO, CEMCI o CEMS) en la matriz de permisos
  * - Eliminar: Solo Admin
+ * - Calendarios .ics: token de calendario del usuario (?token=), no JWT
  */
 
 /**
  * @route   GET /api/audiencias
  * @desc    Obtener todas las audiencias
- * @query   tipo?, fecha_desde?, fecha_hasta?
+ * @query   tipo?, tipo_audiencia_id?, fecha_desde?, fecha_hasta?, sala_id?,
+ *          estado? (PROGRAMADA, CELEBRADA, DIFERIDA, CANCELADA)
  * @access  Private
  */
 router.get(
@@ -55,12 +61,14 @@ router.get(
 
 /**
  * @route   GET /api/audiencias/stats
- * @desc    Obtener estadísticas de audiencias
+ * @desc    Obtener estadísticas de audiencias (por estado, motivos de diferimiento y porcentaje por juez)
+ * @query   fecha_desde?, fecha_hasta?
  * @access  Private
  */
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(audienciaController.getStats)
 );
 
@@ -75,6 +83,128 @@ router.get(
     asyncHandler(audienciaController.getStatsByTipo)
 );
 
+/**
+ * @route   GET /api/audiencias/tipos/mapeo
+ * @desc    Reporte de los textos libres de tipo que corresponden al catálogo y los que no (no modifica nada)
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/tipos/mapeo',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(audienciaController.getMapeoTipos)
+);
+
+/**
+ * @route   POST /api/audiencias/tipos/mapeo
+ * @desc    Enlazar las audiencias con texto libre a su tipo de catálogo
+ * @body    { mapeo?: { "texto original": tipo_audiencia_id } } (para los textos que no coinciden por nombre)
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/tipos/mapeo',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(audienciaController.aplicarMapeoTipos)
+);
+
+/**
+ * @route   GET /api/audiencias/conflictos
+ * @desc    Revisar conflictos de agenda antes de programar (no guarda nada)
+ * @query   proceso_id, fecha_audiencia (YYYY-MM-DD HH:MM), duracion_minutos?, sala_id?,
+ *          id_audiencia? (al reprogramar, para no compararla consigo misma)
+ * @access  Private
+ */
+router.get(
+    '/conflictos',
+    authMiddleware,
+    asyncHandler(audienciaController.getConflictos)
+);
+
+/**
+ * @route   GET /api/audiencias/calendario/token
+ * @desc    Estado del token de calendario del usuario
+ * @access  Private
+ */
+router.get(
+    '/calendario/token',
+    authMiddleware,
+    asyncHandler(calendarioController.getToken)
+);
+
+/**
+ * @route   POST /api/audiencias/calendario/token
+ * @desc    Generar token de calendario (revoca el anterior); retorna el token y las URLs de suscripción
+ * @access  Private
+ */
+router.post(
+    '/calendario/token',
+    authMiddleware,
+    asyncHandler(calendarioController.generarToken)
+);
+
+/**
+ * @route   DELETE /api/audiencias/calendario/token
+ * @desc    Revocar el token de calendario propio
+ * @access  Private
+ */
+router.delete(
+    '/calendario/token',
+    authMiddleware,
+    asyncHandler(calendarioController.revocarToken)
+);
+
+/**
+ * @route   DELETE /api/audiencias/calendario/token/usuario/:id
+ * @desc    Revocar el token de calendario de un usuario
+ * @access  Private (Solo Admin)
+ */
+router.delete(
+    '/calendario/token/usuario/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(calendarioController.revocarTokenUsuario)
+);
+
+/**
+ * @route   GET /api/audiencias/calendario/mio.ics
+ * @desc    Calendario personal (actor jurídico vinculado al usuario)
+ * @query   token
+ * @access  Token de calendario
+ */
+router.get(
+    '/calendario/mio.ics',
+    calendarioTokenMiddleware,
+    asyncHandler(calendarioController.getCalendarioPersonal)
+);
+
+/**
+ * @route   GET /api/audiencias/calendario/actor/:id.ics
+ * @desc    Calendario de las audiencias de un actor jurídico
+ * @query   token
+ * @access  Token de calendario
+ */
+router.get(
+    '/calendario/actor/:id.ics',
+    calendarioTokenMiddleware,
+    validateId,
+    asyncHandler(calendarioController.getCalendarioActor)
+);
+
+/**
+ * @route   GET /api/audiencias/calendario/sala/:id.ics
+ * @desc    Calendario de las audiencias de una sala
+ * @query   token
+ * @access  Token de calendario
+ */
+router.get(
+    '/calendario/sala/:id.ics',
+    calendarioTokenMiddleware,
+    validateId,
+    asyncHandler(calendarioController.getCalendarioSala)
+);
+
 /**
  * @route   GET /api/audiencias/proceso/:proceso_id
  * @desc    Obtener audiencias de un proceso
@@ -113,8 +243,10 @@ router.get(
 
 /**
  * @route   POST /api/audiencias
- * @desc    Crear audiencia
- * @body    { proceso_id, fecha_audiencia, cj_id?, cjo_id?, cemci_id?, cems_id?, tipo?, observaciones? }
+ * @desc    Crear audiencia (409 con la lista de conflictos de agenda)
+ * @body    { proceso_id, fecha_audiencia (YYYY-MM-DD HH:MM), sala_id?, cj_id?, cjo_id?, cemci_id?, cems_id?,
+ *            tipo_audiencia_id? (catálogo tipos-audiencia), duracion_minutos? (default: duración típica
+ *            del tipo o 60), observaciones?, forzar?, motivo_forzar? }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.post(
@@ -139,7 +271,8 @@ router.post(
 
 /**
  * @route   PUT /api/audiencias/:id
- * @desc    Actualizar audiencia
+ * @desc    Actualizar audiencia; al cambiar fecha, duración o sala revisa la agenda
+ * @body    { ...campos, forzar?, motivo_forzar? }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.put(
@@ -163,6 +296,50 @@ router.put(
     asyncHandler(audienciaController.update)
 );
 
+/**
+ * @route   POST /api/audiencias/:id/celebrar
+ * @desc    Registrar audiencia PROGRAMADA como celebrada (recalcula cj.numero_total_audiencias)
+ * @body    { duracion_real_minutos?,
+ *            asistencia?: [{ tipo_parte (ADOLESCENTE, ACTOR, VICTIMA, OTRO), actor_id?, victima_id?,
+ *                            nombre?, asistio, observaciones? }],
+ *            resoluciones?: [{ tipo?, descripcion }] }
+ * @access  Private (modificar sobre la carpeta de la audiencia, matriz de permisos)
+ */
+router.post(
+    '/:id/celebrar',
+    authMiddleware,
+    validateId,
+    asyncHandler(audienciaController.celebrar)
+);
+
+/**
+ * @route   POST /api/audiencias/:id/diferir
+ * @desc    Diferir audiencia PROGRAMADA; con reprogramacion crea la nueva audiencia (revisa la agenda)
+ * @body    { motivo_diferimiento, motivo_estado?,
+ *            reprogramacion?: { fecha_audiencia, duracion_minutos?, sala_id?, observaciones? },
+ *            reprogramada_id?, forzar?, motivo_forzar? }
+ * @access  Private (modificar sobre la carpeta de la audiencia, matriz de permisos)
+ */
+router.post(
+    '/:id/diferir',
+    authMiddleware,
+    validateId,
+    asyncHandler(audienciaController.diferir)
+);
+
+/**
+ * @route   POST /api/audiencias/:id/cancelar
+ * @desc    Cancelar audiencia PROGRAMADA
+ * @body    { motivo_estado }
+ * @access  Private (modificar sobre la carpeta de la audiencia, matriz de permisos)
+ */
+router.post(
+    '/:id/cancelar',
+    authMiddleware,
+    validateId,
+    asyncHandler(audienciaController.cancelar)
+);
+
 /**
  * @route   DELETE /api/audiencias/:id
  * @desc    Eliminar audiencia
@@ -0,0 +1,59 @@
+// src/routes/auditoriaRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const auditoriaController = require('../controllers/auditoriaController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+const { validateId } = require('../middlewares/validate');
+
+/**
+ * RUTAS DE AUDITORÍA
+ *
+ * Bitácora de altas, cambios y bajas sobre los expedientes.
+ * Los registros los generan los modelos; aquí solo se consultan.
+ *
+ * PERMISOS:
+ * - Solo Admin
+ */
+
+/**
+ * @route   GET /api/auditoria
+ * @desc    Obtener registros de auditoría (paginado, más recientes primero)
+ * @query   page, limit, usuario_id, entidad, entidad_id, proceso_id, accion, fecha_desde, fecha_hasta
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(auditoriaController.getAll)
+);
+
+/**
+ * @route   GET /api/auditoria/entidades
+ * @desc    Obtener las entidades que tienen registros de auditoría
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/entidades',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(auditoriaController.getEntidades)
+);
+
+/**
+ * @route   GET /api/auditoria/:id
+ * @desc    Obtener un registro de auditoría con sus valores anteriores y nuevos
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(auditoriaController.getById)
+);
+
+module.exports = router;
@@ -5,7 +5,12 @@ const router = express.Router();
 const authController = require('../controllers/authController');
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
-const { adminOnly, checkOwnUser } = require('../middlewares/checkRole');
+const {
+    canConsultar,
+    canCrear,
+    canModificar,
+    canEliminar
+} = require('../middlewares/checkCarpetaPermission');
 const { body } = require('express-validator');
 const { validate } = require('../middlewares/validate');
 
@@ -38,6 +43,23 @@ router.post(
     asyncHandler(authController.login)
 );
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Renovar access token con un refresh token (rota el refresh token)
+ * @body    { refresh_token }
+ * @access  Public
+ */
+router.post(
+    '/refresh',
+    [
+        body('refresh_token')
+            .notEmpty()
+            .withMessage('El refresh_token es obligatorio'),
+        validate
+    ],
+    asyncHandler(authController.refresh)
+);
+
 // =====================================================
 // RUTAS PROTEGIDAS (requieren autenticación)
 // =====================================================
@@ -106,7 +128,7 @@ router.post(
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout (eliminar token del cliente)
+ * @desc    Logout (revoca todas las sesiones del usuario)
  * @access  Private
  */
 router.post(
@@ -116,19 +138,19 @@ router.post(
 );
 
 // =====================================================
-// RUTAS DE ADMINISTRACIÓN (Solo Admin)
+// RUTAS DE ADMINISTRACIÓN (permiso usuarios)
 // =====================================================
 
 /**
  * @route   POST /api/auth/register
  * @desc    Registrar nuevo usuario
  * @body    { nombre, usuario, correo?, contrasena, rol_id }
- * @access  Private (Solo Admin)
+ * @access  Private (permiso usuarios)
  */
 router.post(
     '/register',
     authMiddleware,
-    adminOnly,
+    canCrear('usuarios'),
     [
         body('nombre')
             .trim()
@@ -167,37 +189,50 @@ router.post(
  * @route   GET /api/auth/users
  * @desc    Listar todos los usuarios
  * @query   rol_id?, activo?, search?
- * @access  Private (Solo Admin)
+ * @access  Private (permiso usuarios)
  */
 router.get(
     '/users',
     authMiddleware,
-    adminOnly,
+    canConsultar('usuarios'),
     asyncHandler(authController.listUsers)
 );
 
+/**
+ * @route   GET /api/auth/intentos-fallidos
+ * @desc    Listar intentos de login fallidos
+ * @query   usuario?, usuario_id?, ip?, fecha_desde?, fecha_hasta?, page?, limit?
+ * @access  Private (permiso usuarios)
+ */
+router.get(
+    '/intentos-fallidos',
+    authMiddleware,
+    canConsultar('usuarios'),
+    asyncHandler(authController.listFailedLogins)
+);
+
 /**
  * @route   GET /api/auth/users/:id
  * @desc    Obtener usuario por ID
- * @access  Private (Solo Admin)
+ * @access  Private (permiso usuarios)
  */
 router.get(
     '/users/:id',
     authMiddleware,
-    adminOnly,
+    canConsultar('usuarios'),
     asyncHandler(authController.getUserById)
 );
 
 /**
  * @route   PUT /api/auth/users/:id
  * @desc    Actualizar usuario
- * @body    { nombre?, correo?, activo? }
- * @access  Private (Solo Admin)
+ * @body    { nombre?, correo?, activo?, actor_id? (actor jurídico del usuario, null para quitarlo) }
+ * @access  Private (permiso usuarios)
  */
 router.put(
     '/users/:id',
     authMiddleware,
-    adminOnly,
+    canModificar('usuarios'),
     [
         body('nombre')
             .optional()
@@ -216,6 +251,10 @@ router.put(
             .optional()
             .isBoolean()
             .withMessage('activo debe ser true o false'),
+        body('actor_id')
+            .optional({ values: 'null' })
+            .isInt({ min: 1 })
+            .withMessage('actor_id debe ser un ID válido'),
         validate
     ],
     asyncHandler(authController.updateUser)
@@ -223,37 +262,62 @@ router.put(
 
 /**
  * @route   POST /api/auth/users/:id/deactivate
- * @desc    Desactivar usuario
- * @access  Private (Solo Admin)
+ * @desc    Desactivar usuario (revoca todas sus sesiones)
+ * @access  Private (permiso usuarios)
  */
 router.post(
     '/users/:id/deactivate',
     authMiddleware,
-    adminOnly,
+    canModificar('usuarios'),
     asyncHandler(authController.deactivateUser)
 );
 
 /**
  * @route   POST /api/auth/users/:id/activate
  * @desc    Activar usuario
- * @access  Private (Solo Admin)
+ * @access  Private (permiso usuarios)
  */
 router.post(
     '/users/:id/activate',
     authMiddleware,
-    adminOnly,
+    canModificar('usuarios'),
     asyncHandler(authController.activateUser)
 );
 
+/**
+ * @route   POST /api/auth/users/:id/unlock
+ * @desc    Desbloquear usuario bloqueado por intentos de login fallidos
+ * @access  Private (permiso usuarios)
+ */
+router.post(
+    '/users/:id/unlock',
+    authMiddleware,
+    canModificar('usuarios'),
+    asyncHandler(authController.unlockUser)
+);
+
+/**
+ * @route   GET /api/auth/users/:id/intentos-fallidos
+ * @desc    Intentos de login fallidos de un usuario
+ * @query   page?, limit?
+ * @access  Private (permiso usuarios)
+ */
+router.get(
+    '/users/:id/intentos-fallidos',
+    authMiddleware,
+    canConsultar('usuarios'),
+    asyncHandler(authController.getUserFailedLogins)
+);
+
 /**
  * @route   DELETE /api/auth/users/:id
  * @desc    Eliminar usuario
- * @access  Private (Solo Admin)
+ * @access  Private (permiso usuarios)
  */
 router.delete(
     '/users/:id',
     authMiddleware,
-    adminOnly,
+    canEliminar('usuarios'),
     asyncHandler(authController.deleteUser)
 );
 
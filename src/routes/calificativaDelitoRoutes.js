@@ -6,6 +6,7 @@ const calificativaDelitoController = require('../controllers/calificativaDelitoC
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
 const { validateId } = require('../middlewares/validate');
 
 /**
@@ -47,6 +48,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(calificativaDelitoController.getStatsUso)
 );
 
@@ -5,7 +5,12 @@ const router = express.Router();
 const catalogoController = require('../controllers/catalogoController');
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
-const { adminOrJuzgado, adminOnly } = require('../middlewares/checkRole');
+const {
+    canConsultar,
+    canCrear,
+    canModificar,
+    canEliminar
+} = require('../middlewares/checkCarpetaPermission');
 const {
     validateCatalogoTipo,
     validateId,
@@ -20,9 +25,11 @@ const {
  * Todas las rutas usan el parámetro :tipo para identificar el catálogo
  * Ejemplo: /api/catalogos/roles
  *
- * PROTECCIÓN:
- * - GET (lectura): Requiere autenticación
- * - POST/PUT/DELETE (escritura): Requiere rol Administrador o Juzgado
+ * PROTECCIÓN (matriz de permisos, recurso "catalogos"):
+ * - GET (lectura): permiso consultar
+ * - POST/PUT/DELETE (escritura): permisos crear/modificar/eliminar
+ *
+ * Los permisos de cada rol se administran en /api/catalogos/roles/permisos
  */
 
 /**
@@ -36,6 +43,7 @@ const {
 router.get(
     '/:tipo',
     authMiddleware,  // ← Requiere estar autenticado
+    canConsultar('catalogos'),
     validateCatalogoTipo,
     validatePagination,
     asyncHandler(catalogoController.getAll)
@@ -49,6 +57,7 @@ router.get(
 router.get(
     '/:tipo/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     validateCatalogoTipo,
     asyncHandler(catalogoController.getStats)
 );
@@ -61,6 +70,7 @@ router.get(
 router.get(
     '/:tipo/:id',
     authMiddleware,
+    canConsultar('catalogos'),
     validateCatalogoTipo,
     validateId,
     asyncHandler(catalogoController.getById)
@@ -70,12 +80,12 @@ router.get(
  * @route   POST /api/catalogos/:tipo
  * @desc    Crear un nuevo registro en el catálogo
  * @body    { nombre, descripcion?, es_privativa?, genera_cemci? }
- * @access  Private (Solo Admin o Juzgado)
+ * @access  Private (permiso catalogos)
  */
 router.post(
     '/:tipo',
     authMiddleware,
-    adminOrJuzgado,  // ← Solo Admin o Juzgado pueden crear
+    canCrear('catalogos'),
     validateCatalogoTipo,
     validateCatalogoCreate,
     asyncHandler(catalogoController.create)
@@ -85,12 +95,12 @@ router.post(
  * @route   PUT /api/catalogos/:tipo/:id
  * @desc    Actualizar un registro del catálogo
  * @body    { nombre?, descripcion?, es_privativa?, genera_cemci? }
- * @access  Private (Solo Admin o Juzgado)
+ * @access  Private (permiso catalogos)
  */
 router.put(
     '/:tipo/:id',
     authMiddleware,
-    adminOrJuzgado,
+    canModificar('catalogos'),
     validateCatalogoTipo,
     validateId,
     validateCatalogoUpdate,
@@ -100,12 +110,12 @@ router.put(
 /**
  * @route   DELETE /api/catalogos/:tipo/:id
  * @desc    Eliminar un registro del catálogo
- * @access  Private (Solo Admin)
+ * @access  Private (permiso catalogos)
  */
 router.delete(
     '/:tipo/:id',
     authMiddleware,
-    adminOnly,  // ← Solo Admin puede eliminar
+    canEliminar('catalogos'),
     validateCatalogoTipo,
     validateId,
     asyncHandler(catalogoController.remove)
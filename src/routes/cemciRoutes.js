@@ -42,6 +42,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     canConsultar('CEMCI'),
     asyncHandler(cemciController.getStats)
 );
@@ -75,8 +76,10 @@ router.get(
 /**
  * @route   PUT /api/cemci/:id
  * @desc    Actualizar CEMCI (llenar datos adicionales)
- * @body    { cjo_id?, fecha_recepcion_cemci?, estado_procesal_id?, concluido?, observaciones? }
+ * @body    { cjo_id?, fecha_recepcion_cemci?, estado_procesal_id?, concluido?, observaciones?,
+ *            motivo_cambio? (requerido si cambia estado_procesal_id), fecha_cambio? }
  * @access  Private (Admin, Juzgado Ejecución)
+ * @note    El estado procesal solo cambia por transiciones permitidas (409 si no; ver /api/procesos/transiciones-estado)
  * @note    CEMCI se crea automáticamente al aplicar medida cautelar de internamiento
  */
 router.put(
@@ -124,6 +127,7 @@ router.get(
 router.get(
     '/seguimiento/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     canConsultar('CEMCI'),
     asyncHandler(cemciController.getStatsSeguimiento)
 );
@@ -42,6 +42,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     canConsultar('CEMS'),
     asyncHandler(cemsController.getStats)
 );
@@ -75,9 +76,11 @@ router.get(
 /**
  * @route   PUT /api/cems/:id
  * @desc    Actualizar CEMS (llenar datos adicionales)
- * @body    { cemci_id?, fecha_recepcion?, estado_procesal_id?, status?, observaciones?, ... }
+ * @body    { cemci_id?, fecha_recepcion?, estado_procesal_id?, status?, observaciones?, ...,
+ *            motivo_cambio? (requerido si cambia estado_procesal_id), fecha_cambio? }
  * @access  Private (Admin, Juzgado Ejecución)
- * @note    CEMS se crea automáticamente al dictar sentencia condenatoria/mixta
+ * @note    El estado procesal solo cambia por transiciones permitidas (409 si no; ver /api/procesos/transiciones-estado)
+ * @note    CEMS se crea automáticamente al dictar una sentencia cuyo tipo tiene crea_cems
  */
 router.put(
     '/:id',
@@ -112,6 +115,7 @@ router.delete(
 router.get(
     '/exhortacion/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     canConsultar('CEMS'),
     asyncHandler(cemsController.getStatsExhortacion)
 );
@@ -229,6 +233,7 @@ router.get(
 router.get(
     '/seguimiento/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     canConsultar('CEMS'),
     asyncHandler(cemsController.getStatsSeguimiento)
 );
@@ -28,6 +28,7 @@ const { validateId, validateCjId } = require('../middlewares/validate');
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     canConsultar('CJ'),
     asyncHandler(cjConductaController.getStats)
 );
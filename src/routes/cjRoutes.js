@@ -39,6 +39,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     canConsultar('CJ'),
     asyncHandler(cjController.getStats)
 );
@@ -56,6 +57,19 @@ router.get(
     asyncHandler(cjController.getById)
 );
 
+/**
+ * @route   GET /api/cj/:id/procesos
+ * @desc    Procesos que comparten la CJ (coimputados)
+ * @access  Private
+ */
+router.get(
+    '/:id/procesos',
+    authMiddleware,
+    canConsultar('CJ'),
+    validateId,
+    asyncHandler(cjController.getProcesos)
+);
+
 /**
  * @route   PUT /api/cj/:id
  * @desc    Actualizar CJ
@@ -20,7 +20,7 @@ const { validateId } = require('../middlewares/validate');
 /**
  * @route   GET /api/cjo
  * @desc    Obtener todas las CJO
- * @query   fuero?, sentencia?
+ * @query   fuero?, sentencia?, tipo_sentencia_id?
  * @access  Private
  */
 router.get(
@@ -38,6 +38,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     canConsultar('CJO'),
     asyncHandler(cjoController.getStats)
 );
@@ -77,8 +78,8 @@ router.get(
 
 /**
  * @route   POST /api/cjo
- * @desc    Crear CJO (auto-crea CEMS si sentencia condenatoria o mixta)
- * @body    { numero_cjo, cj_id, sentencia?, ... }
+ * @desc    Crear CJO; con sentencia aplica el flujo de su tipo (CEMS, conclusión del proceso, CEMCI)
+ * @body    { numero_cjo, cj_id, tipo_sentencia_id? (catálogo tipos-sentencia), ... }
  * @access  Private (Admin, Juzgado)
  */
 router.post(
@@ -90,7 +91,7 @@ router.post(
 
 /**
  * @route   PUT /api/cjo/:id
- * @desc    Actualizar CJO (auto-crea CEMS si sentencia cambia a condenatoria o mixta)
+ * @desc    Actualizar CJO; si cambia el tipo de sentencia aplica el flujo del nuevo tipo
  * @access  Private (Admin, Juzgado)
  */
 router.put(
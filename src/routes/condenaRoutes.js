@@ -6,6 +6,7 @@ const condenaController = require('../controllers/condenaController');
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar, canModificar } = require('../middlewares/checkCarpetaPermission');
 const { validateId, validateProcesoId } = require('../middlewares/validate');
 
 /**
@@ -37,6 +38,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(condenaController.getStats)
 );
 
@@ -64,6 +66,19 @@ router.get(
     asyncHandler(condenaController.getById)
 );
 
+/**
+ * @route   GET /api/condena/:id/computo
+ * @desc    Calcular fecha de compurgación, días compurgados y restantes
+ *          (suma de medidas sancionadoras menos abono de medidas cautelares privativas)
+ * @access  Private
+ */
+router.get(
+    '/:id/computo',
+    authMiddleware,
+    validateId,
+    asyncHandler(condenaController.getComputo)
+);
+
 /**
  * @route   POST /api/condena
  * @desc    Crear condena
@@ -142,6 +157,19 @@ router.put(
     asyncHandler(condenaController.marcarCumplida)
 );
 
+/**
+ * @route   PUT /api/condena/:id/computo
+ * @desc    Guardar el cómputo en condena.compurga e internamiento.fecha_cumplimiento
+ * @access  Private (permiso modificar CEMS)
+ */
+router.put(
+    '/:id/computo',
+    authMiddleware,
+    canModificar('CEMS'),
+    validateId,
+    asyncHandler(condenaController.aplicarComputo)
+);
+
 /**
  * @route   DELETE /api/condena/:id
  * @desc    Eliminar condena
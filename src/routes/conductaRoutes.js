@@ -6,6 +6,7 @@ const conductaController = require('../controllers/conductaController');
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
 const { validateId } = require('../middlewares/validate');
 
 /**
@@ -35,6 +36,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(conductaController.getStats)
 );
 
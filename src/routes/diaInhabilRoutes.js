@@ -0,0 +1,85 @@
+// src/routes/diaInhabilRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const diaInhabilController = require('../controllers/diaInhabilController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+const { validateId } = require('../middlewares/validate');
+
+/**
+ * RUTAS DE DÍAS INHÁBILES
+ *
+ * Calendario del tribunal usado en los plazos en días hábiles
+ *
+ * PERMISOS:
+ * - Consulta: cualquier usuario autenticado
+ * - Crear, editar, eliminar: Solo Admin
+ */
+
+/**
+ * @route   GET /api/dias-inhabiles
+ * @desc    Obtener días inhábiles
+ * @query   anio?, fecha_desde?, fecha_hasta?
+ * @access  Private
+ */
+router.get(
+    '/',
+    authMiddleware,
+    asyncHandler(diaInhabilController.getAll)
+);
+
+/**
+ * @route   GET /api/dias-inhabiles/:id
+ * @desc    Obtener día inhábil por ID
+ * @access  Private
+ */
+router.get(
+    '/:id',
+    authMiddleware,
+    validateId,
+    asyncHandler(diaInhabilController.getById)
+);
+
+/**
+ * @route   POST /api/dias-inhabiles
+ * @desc    Registrar día inhábil
+ * @body    { fecha (YYYY-MM-DD), descripcion }
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(diaInhabilController.create)
+);
+
+/**
+ * @route   PUT /api/dias-inhabiles/:id
+ * @desc    Actualizar día inhábil
+ * @body    { fecha?, descripcion? }
+ * @access  Private (Solo Admin)
+ */
+router.put(
+    '/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(diaInhabilController.update)
+);
+
+/**
+ * @route   DELETE /api/dias-inhabiles/:id
+ * @desc    Eliminar día inhábil
+ * @access  Private (Solo Admin)
+ */
+router.delete(
+    '/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(diaInhabilController.remove)
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const internamientoController = require('../controllers/internamientoController'
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
 const { validateId, validateProcesoId } = require('../middlewares/validate');
 
 /**
@@ -58,6 +59,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(internamientoController.getStats)
 );
 
@@ -6,6 +6,7 @@ const libertadController = require('../controllers/libertadController');
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
 const { validateId, validateProcesoId } = require('../middlewares/validate');
 
 /**
@@ -60,6 +61,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(libertadController.getStats)
 );
 
@@ -6,6 +6,7 @@ const medidaCautelarController = require('../controllers/medidaCautelarControlle
 const {asyncHandler} = require('../middlewares/errorMiddleware');
 const {authMiddleware} = require('../middlewares/auth');
 const {adminOnly} = require('../middlewares/checkRole');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
 const {validateId, validateProcesoId} = require('../middlewares/validate');
 
 /**
@@ -25,6 +26,7 @@ const {validateId, validateProcesoId} = require('../middlewares/validate');
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(medidaCautelarController.getStats)
 );
 
@@ -6,6 +6,7 @@ const medidaSancionadoraController = require('../controllers/medidaSancionadoraC
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
 const { validateId, validateProcesoId } = require('../middlewares/validate');
 
 /**
@@ -47,6 +48,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(medidaSancionadoraController.getStats)
 );
 
@@ -122,8 +124,9 @@ router.get(
 
 /**
  * @route   POST /api/medidas-sancionadoras
- * @desc    Crear medida sancionadora
- * @body    { proceso_id, tipo_medida_sancionadora_id, plazo_anios?, plazo_meses?, plazo_dias? }
+ * @desc    Crear medida sancionadora (valida límites por grupo de edad al momento de la conducta)
+ * @body    { proceso_id, tipo_medida_sancionadora_id, plazo_anios?, plazo_meses?, plazo_dias?,
+ *            omitir_limites_edad?, motivo_omision? (omisión solo Admin, queda en auditoría) }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.post(
@@ -148,7 +151,9 @@ router.post(
 
 /**
  * @route   PUT /api/medidas-sancionadoras/:id
- * @desc    Actualizar medida sancionadora
+ * @desc    Actualizar medida sancionadora (valida límites por grupo de edad)
+ * @body    { tipo_medida_sancionadora_id?, plazo_anios?, plazo_meses?, plazo_dias?,
+ *            omitir_limites_edad?, motivo_omision? }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.put(
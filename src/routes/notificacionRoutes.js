@@ -0,0 +1,97 @@
+// src/routes/notificacionRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const notificacionController = require('../controllers/notificacionController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+const { validateId } = require('../middlewares/validate');
+
+/**
+ * RUTAS DE NOTIFICACIONES
+ *
+ * Bandeja de salida de correos: estado de entrega y reenvío.
+ *
+ * PERMISOS:
+ * - Todo: Solo Admin
+ */
+
+/**
+ * @route   GET /api/notificaciones
+ * @desc    Obtener notificaciones (sin el cuerpo del correo)
+ * @query   page, limit, estado?, plantilla?, proceso_id?, usuario_id?, actor_id?, tutor_id?,
+ *          destinatario?, fecha_desde?, fecha_hasta?
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(notificacionController.getAll)
+);
+
+/**
+ * @route   GET /api/notificaciones/resumen
+ * @desc    Conteo de notificaciones por estado
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/resumen',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(notificacionController.getResumen)
+);
+
+/**
+ * @route   POST /api/notificaciones/reenviar-fallidas
+ * @desc    Regresar a la cola todas las notificaciones FALLIDA
+ * @body    { plantilla? }
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/reenviar-fallidas',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(notificacionController.reenviarFallidas)
+);
+
+/**
+ * @route   POST /api/notificaciones/procesar
+ * @desc    Enviar ahora las notificaciones pendientes
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/procesar',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(notificacionController.procesar)
+);
+
+/**
+ * @route   GET /api/notificaciones/:id
+ * @desc    Obtener notificación con el cuerpo del correo
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(notificacionController.getById)
+);
+
+/**
+ * @route   POST /api/notificaciones/:id/reenviar
+ * @desc    Regresar a la cola una notificación FALLIDA
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/:id/reenviar',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(notificacionController.reenviar)
+);
+
+module.exports = router;
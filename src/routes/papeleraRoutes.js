@@ -0,0 +1,89 @@
+// src/routes/papeleraRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const papeleraController = require('../controllers/papeleraController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+const { validateId } = require('../middlewares/validate');
+
+/**
+ * RUTAS DE PAPELERA
+ *
+ * Los DELETE de adolescentes, domicilios, procesos, carpetas, audiencias,
+ * víctimas, medidas y seguimientos mandan el registro aquí en lugar de
+ * borrarlo. :tipo es el slug de GET /api/papelera/tipos.
+ *
+ * PERMISOS:
+ * - Solo Admin
+ */
+
+/**
+ * @route   GET /api/papelera
+ * @desc    Listar registros eliminados (paginado, más recientes primero)
+ * @query   page, limit, tipo, search
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(papeleraController.getAll)
+);
+
+/**
+ * @route   GET /api/papelera/tipos
+ * @desc    Tipos de registro que pasan por la papelera
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/tipos',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(papeleraController.getTipos)
+);
+
+/**
+ * @route   GET /api/papelera/:tipo/:id
+ * @desc    Obtener la fila completa de un registro eliminado
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/:tipo/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(papeleraController.getById)
+);
+
+/**
+ * @route   POST /api/papelera/:tipo/:id/restaurar
+ * @desc    Restaurar un registro eliminado
+ * @access  Private (Solo Admin)
+ * @note    409 si depende de un registro que no existe o sigue en la papelera
+ *          (error.details lista cuáles)
+ */
+router.post(
+    '/:tipo/:id/restaurar',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(papeleraController.restore)
+);
+
+/**
+ * @route   DELETE /api/papelera/:tipo/:id
+ * @desc    Purgar un registro eliminado (no se puede deshacer)
+ * @access  Private (Solo Admin)
+ * @note    409 si otros registros dependen de él, aunque estén en la papelera
+ */
+router.delete(
+    '/:tipo/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(papeleraController.purge)
+);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// src/routes/permisoRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const permisoController = require('../controllers/permisoController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+const { validateId } = require('../middlewares/validate');
+
+/**
+ * RUTAS DE PERMISOS POR ROL
+ *
+ * Se montan en /api/catalogos/roles antes de las rutas genéricas de
+ * catálogos; lo que no coincide aquí sigue a catalogoRoutes.
+ *
+ * PERMISOS:
+ * - Solo Admin (editar la matriz equivale a otorgar cualquier permiso)
+ */
+
+/**
+ * @route   GET /api/catalogos/roles/permisos
+ * @desc    Obtener la matriz completa de permisos (todos los roles)
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/permisos',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(permisoController.getMatriz)
+);
+
+/**
+ * @route   GET /api/catalogos/roles/:id/permisos
+ * @desc    Obtener permisos de un rol
+ * @access  Private (Solo Admin)
+ */
+router.get(
+    '/:id/permisos',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(permisoController.getByRol)
+);
+
+/**
+ * @route   PUT /api/catalogos/roles/:id/permisos
+ * @desc    Reemplazar permisos de un rol (solo los recursos enviados)
+ * @body    { permisos: { CJ: ['consultar', 'crear'], estadisticas: ['consultar'], ... } }
+ * @access  Private (Solo Admin)
+ */
+router.put(
+    '/:id/permisos',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(permisoController.updateByRol)
+);
+
+module.exports = router;
@@ -0,0 +1,109 @@
+// src/routes/plazoRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const plazoController = require('../controllers/plazoController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+const { validateId } = require('../middlewares/validate');
+
+/**
+ * RUTAS DE PLAZOS LEGALES
+ *
+ * Los vencimientos se calculan al consultar a partir del catálogo
+ * (plazo_legal) y del calendario de días inhábiles.
+ *
+ * PERMISOS:
+ * - Consulta: cualquier usuario autenticado
+ * - Catálogo (crear, editar, eliminar): Solo Admin
+ */
+
+/**
+ * @route   GET /api/plazos
+ * @desc    Obtener plazos pendientes que vencen en los próximos N días
+ * @query   vencen_en? (default 7), incluir_vencidos? (true/false), estado?, carpeta?, clave?
+ * @access  Private (solo plazos de las carpetas con permiso de consultar)
+ */
+router.get(
+    '/',
+    authMiddleware,
+    asyncHandler(plazoController.getProximos)
+);
+
+/**
+ * @route   GET /api/plazos/catalogo/fuentes
+ * @desc    Obtener fuentes de fechas y columnas permitidas para el catálogo
+ * @access  Private
+ */
+router.get(
+    '/catalogo/fuentes',
+    authMiddleware,
+    asyncHandler(plazoController.getFuentes)
+);
+
+/**
+ * @route   GET /api/plazos/catalogo
+ * @desc    Obtener catálogo de plazos legales
+ * @query   activo? (true/false), fuente?
+ * @access  Private
+ */
+router.get(
+    '/catalogo',
+    authMiddleware,
+    asyncHandler(plazoController.getCatalogo)
+);
+
+/**
+ * @route   GET /api/plazos/catalogo/:id
+ * @desc    Obtener plazo legal por ID
+ * @access  Private
+ */
+router.get(
+    '/catalogo/:id',
+    authMiddleware,
+    validateId,
+    asyncHandler(plazoController.getCatalogoById)
+);
+
+/**
+ * @route   POST /api/plazos/catalogo
+ * @desc    Crear plazo legal
+ * @body    { clave, nombre, fuente, campo_inicio, campo_cumplimiento?, cantidad?, unidad?,
+ *            campo_duracion?, descripcion?, fundamento_legal?, dias_aviso?, activo? }
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/catalogo',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(plazoController.createCatalogo)
+);
+
+/**
+ * @route   PUT /api/plazos/catalogo/:id
+ * @desc    Actualizar plazo legal
+ * @access  Private (Solo Admin)
+ */
+router.put(
+    '/catalogo/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(plazoController.updateCatalogo)
+);
+
+/**
+ * @route   DELETE /api/plazos/catalogo/:id
+ * @desc    Eliminar plazo legal (para conservarlo sin calcular use activo: false)
+ * @access  Private (Solo Admin)
+ */
+router.delete(
+    '/catalogo/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(plazoController.removeCatalogo)
+);
+
+module.exports = router;
@@ -3,10 +3,15 @@
 const express = require('express');
 const router = express.Router();
 const procesoController = require('../controllers/procesoController');
+const expedienteController = require('../controllers/expedienteController');
+const plazoController = require('../controllers/plazoController');
+const historialEstadoController = require('../controllers/historialEstadoController');
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar, canModificar } = require('../middlewares/checkCarpetaPermission');
 const { validateId, validatePagination } = require('../middlewares/validate');
+const { TIPO_CARPETA } = require('../config/constants');
 
 /**
  * RUTAS DE PROCESO
@@ -36,6 +41,7 @@ router.get(
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(procesoController.getStats)
 );
 
@@ -62,6 +68,57 @@ router.get(
     asyncHandler(procesoController.getTiempoPromedio)
 );
 
+/**
+ * @route   GET /api/procesos/stats/permanencia-estados
+ * @desc    Días que permanecen los casos en cada estado (promedio, mínimo, máximo, en curso)
+ * @query   ambito? (ESTADO_PROCESAL default, STATUS), entidad? (cemci, cems)
+ * @access  Private
+ */
+router.get(
+    '/stats/permanencia-estados',
+    authMiddleware,
+    canConsultar('estadisticas'),
+    asyncHandler(historialEstadoController.getPermanencia)
+);
+
+/**
+ * @route   GET /api/procesos/transiciones-estado
+ * @desc    Transiciones de estado permitidas
+ * @query   ambito? (STATUS, ESTADO_PROCESAL)
+ * @access  Private
+ */
+router.get(
+    '/transiciones-estado',
+    authMiddleware,
+    asyncHandler(historialEstadoController.getTransiciones)
+);
+
+/**
+ * @route   POST /api/procesos/transiciones-estado
+ * @desc    Permitir una transición de estado
+ * @body    { ambito (STATUS, ESTADO_PROCESAL), origen_id, destino_id }
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/transiciones-estado',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(historialEstadoController.createTransicion)
+);
+
+/**
+ * @route   DELETE /api/procesos/transiciones-estado/:id
+ * @desc    Dejar de permitir una transición de estado
+ * @access  Private (Solo Admin)
+ */
+router.delete(
+    '/transiciones-estado/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(historialEstadoController.removeTransicion)
+);
+
 /**
  * @route   GET /api/procesos/adolescente/:id
  * @desc    Obtener proceso de un adolescente específico
@@ -86,10 +143,62 @@ router.get(
     asyncHandler(procesoController.getById)
 );
 
+/**
+ * @route   GET /api/procesos/:id/expediente
+ * @desc    Obtener el expediente completo del proceso en una sola respuesta
+ * @query   include? (carpetas,conductas,tutores,victimas,actores,medidas_cautelares,audiencias,
+ *                    medidas_sancionadoras,condena,internamiento,libertad,seguimientos)
+ * @access  Private (cada sección requiere consultar su carpeta; sin include se omiten
+ *          las no permitidas, con include responde 403)
+ */
+router.get(
+    '/:id/expediente',
+    authMiddleware,
+    validateId,
+    asyncHandler(expedienteController.getExpediente)
+);
+
+/**
+ * @route   GET /api/procesos/:id/timeline
+ * @desc    Obtener todos los eventos con fecha del proceso en orden cronológico
+ *          (las audiencias llevan su estado en el tipo: AUDIENCIA_DIFERIDA, AUDIENCIA_CANCELADA...)
+ * @access  Private (solo eventos de las carpetas con permiso de consultar)
+ */
+router.get(
+    '/:id/timeline',
+    authMiddleware,
+    validateId,
+    asyncHandler(procesoController.getTimeline)
+);
+
+/**
+ * @route   GET /api/procesos/:id/plazos
+ * @desc    Obtener los plazos legales del proceso (cumplidos y pendientes) con su vencimiento
+ * @access  Private (solo plazos de las carpetas con permiso de consultar)
+ */
+router.get(
+    '/:id/plazos',
+    authMiddleware,
+    validateId,
+    asyncHandler(plazoController.getByProceso)
+);
+
+/**
+ * @route   GET /api/procesos/:id/historial-estados
+ * @desc    Historial de status del proceso y estado procesal de sus carpetas CEMCI y CEMS
+ * @access  Private (CEMCI y CEMS solo con permiso de consultar la carpeta)
+ */
+router.get(
+    '/:id/historial-estados',
+    authMiddleware,
+    validateId,
+    asyncHandler(historialEstadoController.getByProceso)
+);
+
 /**
  * @route   POST /api/procesos
- * @desc    Crear proceso con CJ
- * @body    { adolescente_id, status_id?, observaciones?, cj: {...} }
+ * @desc    Crear proceso con CJ, o vinculado a una CJ existente (coimputado)
+ * @body    { adolescente_id, status_id?, observaciones?, cj: {...} | cj_id }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.post(
@@ -114,8 +223,9 @@ router.post(
 
 /**
  * @route   PUT /api/procesos/:id
- * @desc    Actualizar proceso
- * @body    { status_id?, observaciones? }
+ * @desc    Actualizar proceso; el status solo cambia por transiciones permitidas (409 si no)
+ * @body    { status_id?, motivo_cambio? (requerido si cambia status_id), fecha_cambio? (default hoy),
+ *            observaciones? }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.put(
@@ -152,6 +262,36 @@ router.delete(
     asyncHandler(procesoController.remove)
 );
 
+/**
+ * Permiso de modificar sobre el tipo de carpeta a vincular (body.tipo)
+ * Un tipo inválido pasa: el controlador responde 400
+ */
+const puedeVincularCarpeta = (req, res, next) => {
+    const tipo = String((req.body || {}).tipo || '').toUpperCase();
+
+    if (!Object.values(TIPO_CARPETA).includes(tipo)) {
+        return next();
+    }
+
+    return canModificar(tipo)(req, res, next);
+};
+
+/**
+ * @route   POST /api/procesos/:id/carpetas
+ * @desc    Vincular una carpeta existente al proceso (coimputados en la misma carpeta)
+ * @body    { tipo: cj|cjo|cemci|cems, carpeta_id }
+ * @access  Private (modificar sobre el tipo de carpeta, matriz de permisos)
+ * @note    La CJO, CEMCI o CEMS debe ser de la misma CJ del proceso; 409 si el
+ *          proceso ya tiene esa carpeta o el adolescente ya está en ella
+ */
+router.post(
+    '/:id/carpetas',
+    authMiddleware,
+    puedeVincularCarpeta,
+    validateId,
+    asyncHandler(procesoController.vincularCarpeta)
+);
+
 // =====================================================
 // RUTAS DE VÍCTIMAS DEL PROCESO
 // =====================================================
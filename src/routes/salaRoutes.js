@@ -0,0 +1,98 @@
+// src/routes/salaRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const salaController = require('../controllers/salaController');
+const { asyncHandler } = require('../middlewares/errorMiddleware');
+const { authMiddleware } = require('../middlewares/auth');
+const { adminOnly } = require('../middlewares/checkRole');
+const { validateId } = require('../middlewares/validate');
+
+/**
+ * RUTAS DE SALAS
+ *
+ * Catálogo de salas de audiencia y búsqueda de horarios libres
+ *
+ * PERMISOS:
+ * - Consulta y disponibilidad: cualquier usuario autenticado
+ * - Crear, editar, eliminar: Solo Admin
+ */
+
+/**
+ * @route   GET /api/salas
+ * @desc    Obtener salas
+ * @query   activa?, sede?, videoaudiencia?, capacidad_minima?
+ * @access  Private
+ */
+router.get(
+    '/',
+    authMiddleware,
+    asyncHandler(salaController.getAll)
+);
+
+/**
+ * @route   GET /api/salas/disponibilidad
+ * @desc    Horarios libres por sala (días hábiles, horario de audiencias, sin empalmes)
+ * @query   fecha (YYYY-MM-DD), fecha_hasta?, duracion? (minutos, default 60),
+ *          requiere_juez? (true/false), juez_id?, sala_id?, sede?, videoaudiencia?, capacidad_minima?
+ * @access  Private
+ */
+router.get(
+    '/disponibilidad',
+    authMiddleware,
+    asyncHandler(salaController.getDisponibilidad)
+);
+
+/**
+ * @route   GET /api/salas/:id
+ * @desc    Obtener sala por ID
+ * @access  Private
+ */
+router.get(
+    '/:id',
+    authMiddleware,
+    validateId,
+    asyncHandler(salaController.getById)
+);
+
+/**
+ * @route   POST /api/salas
+ * @desc    Registrar sala
+ * @body    { nombre, sede?, capacidad?, videoaudiencia?, activa? }
+ * @access  Private (Solo Admin)
+ */
+router.post(
+    '/',
+    authMiddleware,
+    adminOnly,
+    asyncHandler(salaController.create)
+);
+
+/**
+ * @route   PUT /api/salas/:id
+ * @desc    Actualizar sala (activa: false para dejar de ofrecerla)
+ * @body    { nombre?, sede?, capacidad?, videoaudiencia?, activa? }
+ * @access  Private (Solo Admin)
+ */
+router.put(
+    '/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(salaController.update)
+);
+
+/**
+ * @route   DELETE /api/salas/:id
+ * @desc    Eliminar sala sin audiencias
+ * @access  Private (Solo Admin)
+ */
+router.delete(
+    '/:id',
+    authMiddleware,
+    adminOnly,
+    validateId,
+    asyncHandler(salaController.remove)
+);
+
+module.exports = router;
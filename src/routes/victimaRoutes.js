@@ -6,6 +6,7 @@ const victimaController = require('../controllers/victimaController');
 const { asyncHandler } = require('../middlewares/errorMiddleware');
 const { authMiddleware } = require('../middlewares/auth');
 const { adminOnly } = require('../middlewares/checkRole');
+const { canConsultar } = require('../middlewares/checkCarpetaPermission');
 const { validateId, validatePagination } = require('../middlewares/validate');
 
 /**
@@ -27,13 +28,14 @@ const { validateId, validatePagination } = require('../middlewares/validate');
 router.get(
     '/stats',
     authMiddleware,
+    canConsultar('estadisticas'),
     asyncHandler(victimaController.getStats)
 );
 
 /**
  * @route   GET /api/victimas
  * @desc    Obtener todas las víctimas
- * @query   page?, limit?, sexo?, es_menor?, search?
+ * @query   page?, limit?, sexo?, es_menor?, search? (nombre, iniciales o CURP), curp?, curp_revision?
  * @access  Private
  */
 router.get(
@@ -58,7 +60,7 @@ router.get(
 /**
  * @route   POST /api/victimas
  * @desc    Crear nueva víctima
- * @body    { nombre, iniciales?, sexo?, edad?, es_menor? }
+ * @body    { nombre, iniciales?, sexo?, edad?, es_menor?, curp? }
  * @access  Private (Admin, Juzgado, Juzgado Ejecución)
  */
 router.post(
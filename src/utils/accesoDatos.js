@@ -0,0 +1,94 @@
+// src/utils/accesoDatos.js
+
+const accesoDatoModel = require('../models/accesoDatoModel');
+const { getRequestContext } = require('../middlewares/requestContext');
+
+/**
+ * BITÁCORA DE LECTURAS DE DATOS PERSONALES
+ *
+ * Se llama desde los controladores (no desde los modelos) para registrar
+ * solo las consultas hechas por usuarios, no las lecturas internas que
+ * hacen otros modelos o la auditoría.
+ *
+ * Uso:
+ * await registrarAcceso({ entidad: 'adolescente', entidadId: id, adolescenteId: id });
+ * await registrarAccesos('adolescente', adolescentes, 'id_adolescente', 'id_adolescente');
+ */
+
+/**
+ * REGISTRAR LECTURAS
+ *
+ * Nunca lanza: si la bitácora falla, la consulta se responde igual
+ * y solo se reporta el error en consola.
+ *
+ * @param {Array<Object>} lecturas - [{ entidad, entidadId, adolescenteId? }]
+ * @param {boolean} listado - Filas de un listado (no cuentan para el volumen inusual)
+ */
+const registrarLecturas = async (lecturas, listado = false) => {
+    if (lecturas.length === 0) return;
+
+    const { usuario_id, ip } = getRequestContext();
+
+    try {
+        // El domicilio se liga al adolescente (o tutor) que lo tiene registrado
+        const domicilioIds = lecturas
+            .filter(lectura => !lectura.adolescenteId && lectura.entidad === 'domicilio')
+            .map(lectura => lectura.entidadId);
+        const adolescentesPorDomicilio = await accesoDatoModel.getAdolescentesPorDomicilio(domicilioIds);
+
+        await accesoDatoModel.registrar(lecturas.map(lectura => ({
+            usuario_id,
+            ip,
+            entidad: lectura.entidad,
+            entidad_id: lectura.entidadId,
+            adolescente_id: lectura.adolescenteId ||
+                (lectura.entidad === 'domicilio' ? adolescentesPorDomicilio[lectura.entidadId] : null),
+            listado
+        })));
+
+        // Marca (una por hora) si el usuario alcanzó o rebasó el umbral de
+        // detalles abiertos en la última hora
+        if (usuario_id && !listado) {
+            const registros = await accesoDatoModel.countRegistrosUltimaHora(usuario_id);
+
+            if (registros >= accesoDatoModel.ACCESO_UMBRAL_POR_HORA &&
+                await accesoDatoModel.marcarVolumenInusual(usuario_id, registros)) {
+                console.warn(
+                    `⚠️  Volumen inusual de consultas: el usuario ${usuario_id} abrió ` +
+                    `${registros} registros con datos personales en la última hora`
+                );
+            }
+        }
+    } catch (error) {
+        const entidades = [...new Set(lecturas.map(lectura => lectura.entidad))].join(', ');
+        console.error(`❌ Error al registrar acceso (${entidades}, ${lecturas.length} registro(s)):`, error.message);
+    }
+};
+
+/**
+ * REGISTRAR LECTURA DE UN REGISTRO
+ */
+const registrarAcceso = async ({ entidad, entidadId, adolescenteId = null }) => {
+    await registrarLecturas([{ entidad, entidadId, adolescenteId }]);
+};
+
+/**
+ * REGISTRAR LECTURA DE UN LISTADO (una fila por elemento)
+ *
+ * @param {string} entidad
+ * @param {Array<Object>} registros - Filas devueltas al usuario
+ * @param {string} campoId - Columna con el id del registro
+ * @param {string|null} campoAdolescente - Columna con el id del adolescente (si aplica)
+ */
+const registrarAccesos = async (entidad, registros, campoId, campoAdolescente = null) => {
+    await registrarLecturas(registros.map(registro => ({
+        entidad,
+        entidadId: registro[campoId],
+        adolescenteId: campoAdolescente ? registro[campoAdolescente] : null
+    })), true);
+};
+
+module.exports = {
+    registrarAcceso,
+    registrarAccesos
+};
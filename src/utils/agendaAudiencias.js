@@ -0,0 +1,273 @@
+// src/utils/agendaAudiencias.js
+
+const { executeQuery } = require('../config/database');
+const { registrarAuditoria } = require('./auditoria');
+const { BadRequestError, ConflictError } = require('./errorHandler');
+const { ESTADO_AUDIENCIA } = require('../config/constants');
+
+/**
+ * CONFLICTOS DE AGENDA DE AUDIENCIAS
+ *
+ * Una audiencia ocupa de fecha_audiencia a fecha_audiencia + duracion_minutos.
+ * Se empalma con otra si los intervalos se cruzan (una que termina a las
+ * 10:00 no choca con otra que empieza a las 10:00) y además comparten:
+ * - ACTOR: un actor jurídico asignado a ambos procesos (proceso_actor_juridico)
+ * - ADOLESCENTE: el mismo adolescente
+ * - SALA: la misma sala
+ *
+ * Las audiencias DIFERIDA o CANCELADA ya no ocupan agenda.
+ *
+ * CONCURRENCIA: quien guarda una audiencia bloquea primero (bloquearAgenda,
+ * dentro de su transacción) la sala, el adolescente y los actores del
+ * proceso; así dos peticiones que compiten por ellos revisan la agenda y
+ * guardan una después de la otra.
+ *
+ * FORZAR: con { forzar: true, motivo_forzar? } en el body (o ?forzar=true)
+ * la audiencia se guarda aunque haya conflictos; cada vez queda en
+ * auditoría con la acción FORZAR_CONFLICTO_AUDIENCIA.
+ */
+
+const ACCION_FORZAR = 'FORZAR_CONFLICTO_AUDIENCIA';
+const DURACION_DEFAULT = 60;
+const DURACION_MAXIMA = 12 * 60;
+
+const FORMATO_INICIO = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/;
+
+/**
+ * Normalizar el inicio a 'YYYY-MM-DD HH:MM:SS'
+ * Exige la hora: sin ella no se puede revisar la agenda
+ */
+const normalizarInicio = (valor) => {
+    if (valor instanceof Date) {
+        return valor.toISOString().substring(0, 19).replace('T', ' ');
+    }
+
+    const partes = FORMATO_INICIO.exec(String(valor || ''));
+
+    if (!partes) {
+        throw new BadRequestError('fecha_audiencia debe incluir la hora de inicio (YYYY-MM-DD HH:MM)');
+    }
+
+    return `${partes[1]} ${partes[2]}:${partes[3]}:${partes[4] || '00'}`;
+};
+
+/**
+ * Validar duración en minutos
+ */
+const normalizarDuracion = (valor) => {
+    if (valor === undefined || valor === null || valor === '') {
+        return DURACION_DEFAULT;
+    }
+
+    const duracion = Number(valor);
+
+    if (!Number.isInteger(duracion) || duracion < 1 || duracion > DURACION_MAXIMA) {
+        throw new BadRequestError(`duracion_minutos debe ser un entero entre 1 y ${DURACION_MAXIMA}`);
+    }
+
+    return duracion;
+};
+
+// Audiencias que ocupan agenda (alias aud)
+const OCUPA_AGENDA = `aud.estado IN ('${ESTADO_AUDIENCIA.PROGRAMADA}', '${ESTADO_AUDIENCIA.CELEBRADA}')`;
+
+// Condición de empalme contra el intervalo [?, ? + ? minutos)
+const EMPALME = `
+  ${OCUPA_AGENDA}
+  AND aud.fecha_audiencia < DATE_ADD(?, INTERVAL ? MINUTE)
+  AND DATE_ADD(aud.fecha_audiencia, INTERVAL aud.duracion_minutos MINUTE) > ?
+`;
+
+const COLUMNAS = `
+  aud.id_audiencia,
+  aud.proceso_id,
+  aud.fecha_audiencia,
+  aud.duracion_minutos,
+  aud.sala_id,
+  aud.tipo
+`;
+
+/**
+ * Consulta en la transacción (connection) o en el pool
+ */
+const consultar = async (sql, params, connection = null) => {
+    if (connection) {
+        const [rows] = await connection.execute(sql, params);
+        return rows;
+    }
+
+    return await executeQuery(sql, params);
+};
+
+/**
+ * BLOQUEAR AGENDA (dentro de una transacción)
+ * Siempre en el mismo orden (sala, adolescente, actores por id) para no
+ * provocar interbloqueos entre peticiones
+ *
+ * @param {Object} connection - Conexión de executeTransaction
+ * @param {Object} audiencia - { proceso_id, sala_id? }
+ */
+const bloquearAgenda = async (connection, audiencia) => {
+    if (audiencia.sala_id) {
+        await connection.execute(`SELECT id_sala FROM sala WHERE id_sala = ? FOR UPDATE`, [audiencia.sala_id]);
+    }
+
+    await connection.execute(`
+      SELECT a.id_adolescente
+      FROM proceso p
+      INNER JOIN adolescente a ON a.id_adolescente = p.adolescente_id
+      WHERE p.id_proceso = ?
+      FOR UPDATE
+    `, [audiencia.proceso_id]);
+
+    await connection.execute(`
+      SELECT aj.id_actor
+      FROM actor_juridico aj
+      WHERE aj.id_actor IN (SELECT actor_id FROM proceso_actor_juridico WHERE proceso_id = ?)
+      ORDER BY aj.id_actor
+      FOR UPDATE
+    `, [audiencia.proceso_id]);
+};
+
+/**
+ * BUSCAR CONFLICTOS DE UNA AUDIENCIA
+ *
+ * @param {Object} audiencia - { id_audiencia?, proceso_id, fecha_audiencia, duracion_minutos, sala_id }
+ * @param {Object} connection - Con bloquearAgenda previo, para revisar y guardar sin carreras
+ * @returns {Promise<Array>} - Conflictos { motivo, mensaje, audiencia_id, ... }
+ */
+const buscarConflictos = async (audiencia, connection = null) => {
+    const inicio = normalizarInicio(audiencia.fecha_audiencia);
+    const duracion = normalizarDuracion(audiencia.duracion_minutos);
+    const excluirId = audiencia.id_audiencia || 0;
+    const empalme = [inicio, duracion, inicio];
+
+    const [porActor, porAdolescente, porSala] = await Promise.all([
+        consultar(`
+      SELECT DISTINCT ${COLUMNAS}, aj.id_actor, aj.nombre as actor_nombre, aj.tipo as actor_tipo
+      FROM proceso_actor_juridico propio
+      INNER JOIN proceso_actor_juridico otro ON otro.actor_id = propio.actor_id
+      INNER JOIN audiencia aud ON aud.proceso_id = otro.proceso_id
+      INNER JOIN actor_juridico aj ON aj.id_actor = propio.actor_id
+      WHERE propio.proceso_id = ?
+        AND aud.id_audiencia <> ?
+        AND aud.eliminado_en IS NULL
+        AND ${EMPALME}
+    `, [audiencia.proceso_id, excluirId, ...empalme], connection),
+
+        consultar(`
+      SELECT ${COLUMNAS}, a.iniciales as adolescente_iniciales
+      FROM proceso propio
+      INNER JOIN proceso otro ON otro.adolescente_id = propio.adolescente_id
+      INNER JOIN audiencia aud ON aud.proceso_id = otro.id_proceso
+      INNER JOIN adolescente a ON a.id_adolescente = propio.adolescente_id
+      WHERE propio.id_proceso = ?
+        AND aud.id_audiencia <> ?
+        AND aud.eliminado_en IS NULL
+        AND ${EMPALME}
+    `, [audiencia.proceso_id, excluirId, ...empalme], connection),
+
+        audiencia.sala_id
+            ? consultar(`
+      SELECT ${COLUMNAS}, s.nombre as sala_nombre
+      FROM audiencia aud
+      INNER JOIN sala s ON s.id_sala = aud.sala_id
+      WHERE aud.sala_id = ?
+        AND aud.id_audiencia <> ?
+        AND aud.eliminado_en IS NULL
+        AND ${EMPALME}
+    `, [audiencia.sala_id, excluirId, ...empalme], connection)
+            : []
+    ]);
+
+    const describir = (row) => ({
+        audiencia_id: row.id_audiencia,
+        proceso_id: row.proceso_id,
+        fecha_audiencia: row.fecha_audiencia,
+        duracion_minutos: row.duracion_minutos,
+        sala_id: row.sala_id,
+        tipo: row.tipo
+    });
+
+    return [
+        ...porActor.map(row => ({
+            motivo: 'ACTOR',
+            mensaje: `${row.actor_nombre} (${row.actor_tipo}) ya tiene la audiencia ${row.id_audiencia} en ese horario`,
+            actor_id: row.id_actor,
+            ...describir(row)
+        })),
+        ...porAdolescente.map(row => ({
+            motivo: 'ADOLESCENTE',
+            mensaje: `El adolescente${row.adolescente_iniciales ? ` ${row.adolescente_iniciales}` : ''} ya tiene la audiencia ${row.id_audiencia} en ese horario`,
+            ...describir(row)
+        })),
+        ...porSala.map(row => ({
+            motivo: 'SALA',
+            mensaje: `La sala ${row.sala_nombre} está ocupada por la audiencia ${row.id_audiencia} en ese horario`,
+            ...describir(row)
+        }))
+    ];
+};
+
+/**
+ * VERIFICAR CONFLICTOS
+ * Lanza ConflictError (409) con la lista, salvo que se fuerce
+ */
+const verificarConflictos = (conflictos, forzado = null) => {
+    if (conflictos.length > 0 && !forzado) {
+        throw new ConflictError(
+            'La audiencia se empalma con otras audiencias. Envíe forzar=true para guardarla de todos modos',
+            conflictos
+        );
+    }
+};
+
+/**
+ * LEER FORZADO DE LA REQUEST
+ *
+ * @returns {Object|null} - { motivo } o null si no se solicitó
+ */
+const leerForzado = (req) => {
+    const body = req.body || {};
+    const forzar = body.forzar !== undefined ? body.forzar : (req.query || {}).forzar;
+
+    if (forzar !== true && forzar !== 'true') {
+        return null;
+    }
+
+    return { motivo: body.motivo_forzar ? String(body.motivo_forzar).trim() : null };
+};
+
+/**
+ * REGISTRAR FORZADO EN AUDITORÍA
+ * Con connection se registra dentro de esa transacción
+ */
+const registrarForzado = async ({ audienciaId, procesoId, forzado, conflictos, connection = null }) => {
+    await registrarAuditoria({
+        connection,
+        entidad: 'audiencia',
+        entidadId: audienciaId,
+        procesoId,
+        accion: ACCION_FORZAR,
+        antes: null,
+        despues: {
+            motivo: forzado.motivo,
+            conflictos: conflictos.map(conflicto => ({
+                motivo: conflicto.motivo,
+                audiencia_id: conflicto.audiencia_id,
+                actor_id: conflicto.actor_id
+            }))
+        }
+    });
+};
+
+module.exports = {
+    OCUPA_AGENDA,
+    normalizarInicio,
+    normalizarDuracion,
+    bloquearAgenda,
+    buscarConflictos,
+    verificarConflictos,
+    leerForzado,
+    registrarForzado
+};
@@ -0,0 +1,395 @@
+// src/utils/alertas.js
+
+const { executeQuery } = require('../config/database');
+const alertaModel = require('../models/alertaModel');
+const plazoModel = require('../models/plazoModel');
+const { notificarAlertas, notificarTutores } = require('./notificaciones');
+const { toFechaISO, hoyISO, sumarDiasNaturales, diferenciaDias } = require('./calendario');
+const { ROLES, TIPO_ALERTA, TIPO_CARPETA, ESTADO_AUDIENCIA } = require('../config/constants');
+
+/**
+ * ALERTAS DE VENCIMIENTOS
+ *
+ * Cada regla consulta los eventos que la disparan y se genera una alerta
+ * por usuario destinatario (ver alertaModel.getUsuariosDestino). Si el
+ * proceso tiene asignado (proceso_actor_juridico) un actor con cuenta de
+ * usuario entre los destinatarios, la alerta va solo a él; si no, a todos.
+ * La referencia identifica el evento: si la regla vuelve a encontrarlo al
+ * día siguiente no se duplica la alerta.
+ *
+ * Los mensajes se envían también por correo: identifican al adolescente
+ * por sus iniciales, nunca por su nombre. Las reglas de obligaciones del
+ * adolescente (avisar_tutores) avisan además a sus tutores con custodia o
+ * al contacto principal.
+ *
+ * Las reglas se evalúan una vez al día desde el servidor (programador) y
+ * bajo demanda con POST /api/alertas/evaluar. Cada alerta nueva también se
+ * envía por correo al usuario (utils/notificaciones.js).
+ *
+ * Variables de entorno:
+ * - ALERTAS_PROGRAMADOR: 'false' para no evaluar desde este servidor
+ * - ALERTAS_HORA: hora local de la evaluación diaria (default 7)
+ */
+
+const ALERTAS_HORA = parseInt(process.env.ALERTAS_HORA, 10);
+const HORA_EVALUACION = isNaN(ALERTAS_HORA) ? 7 : ALERTAS_HORA;
+
+/**
+ * REGLAS DE ALERTA
+ *
+ * tipo: TIPO_ALERTA
+ * roles: roles que la reciben por defecto (sin preferencia guardada)
+ * carpetas: carpetas cuyos actores asignados son los responsables (null = cualquiera)
+ * avisar_tutores: avisar también a los tutores (dentro de dias_anticipacion)
+ * dias_anticipacion: días hacia adelante que se revisan (null = sin fecha)
+ * obtener(hoy, hasta): eventos con { referencia, titulo, mensaje, proceso_id,
+ *                      entidad, entidad_id, fecha_evento }
+ */
+const REGLAS_ALERTA = [
+    {
+        tipo: TIPO_ALERTA.LIBERTAD_POR_VENCER,
+        nombre: 'Obligaciones de libertad por terminar',
+        descripcion: 'Medidas en libertad sin cumplir cuyo término de obligaciones está próximo',
+        roles: [ROLES.JUZGADO_EJECUCION],
+        carpetas: [TIPO_CARPETA.CEMS],
+        avisar_tutores: true,
+        dias_anticipacion: 7,
+        obtener: async (hoy, hasta) => {
+            const rows = await executeQuery(`
+        SELECT l.id_libertad, l.proceso_id, l.termino_obligaciones, a.iniciales as adolescente_iniciales
+        FROM libertad l
+        INNER JOIN proceso p ON l.proceso_id = p.id_proceso
+        INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+        WHERE l.cumplida = FALSE
+          AND l.eliminado_en IS NULL
+          AND l.termino_obligaciones BETWEEN ? AND ?
+      `, [hoy, hasta]);
+
+            return rows.map(row => {
+                const fecha = toFechaISO(row.termino_obligaciones);
+                return {
+                    referencia: `libertad:${row.id_libertad}:${fecha}`,
+                    titulo: 'Término de obligaciones próximo',
+                    mensaje: `Las obligaciones de ${row.adolescente_iniciales} terminan el ${fecha}`,
+                    proceso_id: row.proceso_id,
+                    entidad: 'libertad',
+                    entidad_id: row.id_libertad,
+                    fecha_evento: fecha
+                };
+            });
+        }
+    },
+    {
+        tipo: TIPO_ALERTA.INTERNAMIENTO_CUMPLIDO,
+        nombre: 'Internamiento cumplido',
+        descripcion: 'Internamientos cuya fecha de cumplimiento llegó y la condena no está marcada como cumplida',
+        roles: [ROLES.JUZGADO_EJECUCION],
+        carpetas: [TIPO_CARPETA.CEMS],
+        avisar_tutores: false,
+        dias_anticipacion: 0,
+        obtener: async (hoy, hasta) => {
+            const rows = await executeQuery(`
+        SELECT i.id_internamiento, i.proceso_id, i.fecha_cumplimiento, a.iniciales as adolescente_iniciales
+        FROM internamiento i
+        INNER JOIN proceso p ON i.proceso_id = p.id_proceso
+        INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+        LEFT JOIN condena c ON c.proceso_id = i.proceso_id AND c.eliminado_en IS NULL
+        WHERE i.fecha_cumplimiento <= ?
+          AND i.eliminado_en IS NULL
+          AND (c.id_condena IS NULL OR c.cumplida = FALSE)
+      `, [hasta]);
+
+            return rows.map(row => {
+                const fecha = toFechaISO(row.fecha_cumplimiento);
+                return {
+                    referencia: `internamiento:${row.id_internamiento}:${fecha}`,
+                    titulo: fecha <= hoy ? 'Internamiento cumplido' : 'Internamiento por cumplirse',
+                    mensaje: `El internamiento de ${row.adolescente_iniciales} se cumple el ${fecha}`,
+                    proceso_id: row.proceso_id,
+                    entidad: 'internamiento',
+                    entidad_id: row.id_internamiento,
+                    fecha_evento: fecha
+                };
+            });
+        }
+    },
+    {
+        tipo: TIPO_ALERTA.AUDIENCIA_PROXIMA,
+        nombre: 'Audiencias de mañana',
+        descripcion: 'Audiencias programadas a partir de mañana dentro de los días de anticipación',
+        roles: [ROLES.JUZGADO, ROLES.JUZGADO_EJECUCION],
+        carpetas: null,
+        avisar_tutores: false,
+        dias_anticipacion: 1,
+        obtener: async (hoy, hasta) => {
+            const rows = await executeQuery(`
+        SELECT aud.id_audiencia, aud.proceso_id, aud.fecha_audiencia, aud.tipo,
+               a.iniciales as adolescente_iniciales
+        FROM audiencia aud
+        INNER JOIN proceso p ON aud.proceso_id = p.id_proceso
+        INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+        WHERE DATE(aud.fecha_audiencia) BETWEEN ? AND ?
+          AND aud.estado = ?
+          AND aud.eliminado_en IS NULL
+      `, [sumarDiasNaturales(hoy, 1), hasta, ESTADO_AUDIENCIA.PROGRAMADA]);
+
+            return rows.map(row => {
+                const fecha = toFechaISO(row.fecha_audiencia);
+                return {
+                    referencia: `audiencia:${row.id_audiencia}:${fecha}`,
+                    titulo: 'Audiencia próxima',
+                    mensaje: `Audiencia${row.tipo ? ` ${row.tipo}` : ''} de ${row.adolescente_iniciales} el ${fecha}`,
+                    proceso_id: row.proceso_id,
+                    entidad: 'audiencia',
+                    entidad_id: row.id_audiencia,
+                    fecha_evento: fecha
+                };
+            });
+        }
+    },
+    {
+        tipo: TIPO_ALERTA.SUSPENSION_POR_TERMINAR,
+        nombre: 'Suspensiones condicionales por terminar',
+        descripcion: 'Vencimiento del plazo de suspensión condicional (catálogo de plazos: CJ_SUSPENSION_CONDICIONAL)',
+        roles: [ROLES.JUZGADO],
+        carpetas: [TIPO_CARPETA.CJ],
+        avisar_tutores: true,
+        dias_anticipacion: 15,
+        obtener: async (hoy, hasta) => {
+            const plazos = await plazoModel.getProximos({
+                vencen_en: Math.max(0, diferenciaDias(hoy, hasta)),
+                incluir_vencidos: true,
+                clave: 'CJ_SUSPENSION_CONDICIONAL'
+            });
+
+            return plazos.map(plazo => ({
+                referencia: `cj:${plazo.entidad_id}:${plazo.fecha_vencimiento}`,
+                titulo: plazo.fecha_vencimiento < hoy ? 'Suspensión condicional vencida' : 'Suspensión condicional por terminar',
+                mensaje: `La suspensión condicional de ${plazo.adolescente_iniciales} vence el ${plazo.fecha_vencimiento}`,
+                proceso_id: plazo.proceso_id,
+                entidad: 'cj',
+                entidad_id: plazo.entidad_id,
+                fecha_evento: plazo.fecha_vencimiento
+            }));
+        }
+    },
+    {
+        tipo: TIPO_ALERTA.CEMS_ORDEN_PENDIENTE,
+        nombre: 'Órdenes de CEMS pendientes',
+        descripcion: 'Seguimientos de CEMS con orden librada sin fecha de cumplimiento',
+        roles: [ROLES.JUZGADO_EJECUCION],
+        carpetas: [TIPO_CARPETA.CEMS],
+        avisar_tutores: false,
+        dias_anticipacion: null,
+        obtener: async () => {
+            const rows = await executeQuery(`
+        SELECT cs.id_seguimiento, cs.proceso_id, ce.numero_cems, a.iniciales as adolescente_iniciales
+        FROM cems_seguimiento cs
+        INNER JOIN cems ce ON cs.cems_id = ce.id_cems
+        INNER JOIN proceso p ON cs.proceso_id = p.id_proceso
+        INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+        WHERE cs.se_libra_orden = TRUE
+          AND cs.cumplimiento_orden IS NULL
+          AND cs.eliminado_en IS NULL
+      `);
+
+            return rows.map(row => ({
+                referencia: `cems_seguimiento:${row.id_seguimiento}`,
+                titulo: 'Orden librada pendiente de cumplimiento',
+                mensaje: `La orden librada en la CEMS ${row.numero_cems} (${row.adolescente_iniciales}) no tiene cumplimiento`,
+                proceso_id: row.proceso_id,
+                entidad: 'cems_seguimiento',
+                entidad_id: row.id_seguimiento,
+                fecha_evento: null
+            }));
+        }
+    }
+];
+
+/**
+ * Buscar regla por tipo
+ */
+const getRegla = (tipo) => REGLAS_ALERTA.find(regla => regla.tipo === tipo) || null;
+
+/**
+ * RESPONSABLES POR PROCESO
+ * Destinatarios cuyo actor está asignado al proceso en alguna de las
+ * carpetas de la regla
+ *
+ * @returns {Promise<Map>} - proceso_id => [usuario]
+ */
+const getResponsables = async (regla, destinatarios, eventos) => {
+    const procesoIds = [...new Set(eventos.map(evento => evento.proceso_id).filter(Boolean))];
+    const asignados = await alertaModel.getActoresAsignados(procesoIds);
+
+    const responsables = new Map();
+    asignados
+        .filter(asignado => !regla.carpetas || regla.carpetas.includes(asignado.tipo_carpeta))
+        .forEach(asignado => {
+            const lista = responsables.get(asignado.proceso_id) || [];
+            destinatarios
+                .filter(usuario => usuario.actor_id === asignado.actor_id && !lista.includes(usuario))
+                .forEach(usuario => lista.push(usuario));
+            responsables.set(asignado.proceso_id, lista);
+        });
+
+    return responsables;
+};
+
+/**
+ * EVALUAR UNA REGLA
+ * Consulta los eventos una sola vez (con la anticipación mayor entre los
+ * destinatarios) y filtra por la anticipación de cada usuario
+ *
+ * @returns {Promise<number>} - Alertas nuevas
+ */
+const evaluarRegla = async (regla, hoy) => {
+    const destinatarios = await alertaModel.getUsuariosDestino(regla.tipo, regla.roles);
+
+    if (destinatarios.length === 0 && !regla.avisar_tutores) {
+        return 0;
+    }
+
+    const diasDe = (usuario) => (
+        regla.dias_anticipacion === null
+            ? null
+            : (usuario.dias_anticipacion !== null ? usuario.dias_anticipacion : regla.dias_anticipacion)
+    );
+
+    const diasMaximos = Math.max(regla.dias_anticipacion || 0, ...destinatarios.map(usuario => diasDe(usuario) || 0));
+    const eventos = await regla.obtener(hoy, sumarDiasNaturales(hoy, diasMaximos));
+    const responsables = await getResponsables(regla, destinatarios, eventos);
+
+    const alertas = [];
+    eventos.forEach(evento => {
+        const asignados = responsables.get(evento.proceso_id) || [];
+        const usuarios = asignados.length > 0 ? asignados : destinatarios;
+
+        usuarios.forEach(usuario => {
+            const dias = diasDe(usuario);
+            const limite = dias === null ? null : sumarDiasNaturales(hoy, dias);
+
+            if (!limite || !evento.fecha_evento || evento.fecha_evento <= limite) {
+                alertas.push({ ...evento, usuario_id: usuario.id_usuario, tipo: regla.tipo });
+            }
+        });
+    });
+
+    const nuevas = await alertaModel.insertarAlertas(alertas);
+
+    // Copia por correo a quien tiene correo registrado (una vez por alerta)
+    const usuarioPorId = new Map(destinatarios.map(usuario => [usuario.id_usuario, usuario]));
+    await notificarAlertas(alertas.map(alerta => ({
+        ...alerta,
+        destinatario_correo: usuarioPorId.get(alerta.usuario_id).correo,
+        destinatario_nombre: usuarioPorId.get(alerta.usuario_id).nombre
+    })));
+
+    // Tutores: con la anticipación de la regla (no tienen preferencias)
+    if (regla.avisar_tutores) {
+        const limiteTutores = sumarDiasNaturales(hoy, regla.dias_anticipacion || 0);
+        await notificarTutores(eventos.filter(evento => !evento.fecha_evento || evento.fecha_evento <= limiteTutores));
+    }
+
+    return nuevas;
+};
+
+/**
+ * EVALUAR TODAS LAS REGLAS
+ * Una regla con error no detiene a las demás
+ *
+ * @returns {Promise<Object>} - { fecha, generadas, por_tipo, errores }
+ */
+const evaluarAlertas = async (hoy = hoyISO()) => {
+    const resultado = { fecha: hoy, generadas: 0, por_tipo: {}, errores: [] };
+
+    for (const regla of REGLAS_ALERTA) {
+        try {
+            const nuevas = await evaluarRegla(regla, hoy);
+            resultado.por_tipo[regla.tipo] = nuevas;
+            resultado.generadas += nuevas;
+        } catch (error) {
+            console.error(`❌ Error al evaluar alertas ${regla.tipo}:`, error.message);
+            resultado.errores.push({ tipo: regla.tipo, error: error.message });
+        }
+    }
+
+    return resultado;
+};
+
+// ===================================================
+// PROGRAMADOR DIARIO
+// ===================================================
+
+let temporizador = null;
+let ultimaEvaluacion = null;
+
+/**
+ * Milisegundos hasta la próxima evaluación
+ * Si hoy aún no se evalúa y ya pasó la hora, se evalúa de inmediato
+ */
+const msHastaProxima = () => {
+    const ahora = new Date();
+    const proxima = new Date(ahora);
+    proxima.setHours(HORA_EVALUACION, 0, 0, 0);
+
+    if (proxima <= ahora) {
+        if (ultimaEvaluacion !== hoyISO()) {
+            return 0;
+        }
+        proxima.setDate(proxima.getDate() + 1);
+    }
+
+    return proxima - ahora;
+};
+
+const programar = () => {
+    temporizador = setTimeout(async () => {
+        ultimaEvaluacion = hoyISO();
+
+        try {
+            const resultado = await evaluarAlertas(ultimaEvaluacion);
+            console.log(`🔔 Alertas evaluadas (${resultado.fecha}): ${resultado.generadas} nuevas`);
+        } catch (error) {
+            console.error('❌ Error en la evaluación diaria de alertas:', error.message);
+        }
+
+        programar();
+    }, msHastaProxima());
+
+    // No impedir que el proceso termine
+    temporizador.unref();
+};
+
+/**
+ * INICIAR PROGRAMADOR (desde server.js)
+ */
+const iniciarProgramadorAlertas = () => {
+    if (process.env.ALERTAS_PROGRAMADOR === 'false') {
+        console.log('🔕 Programador de alertas desactivado (ALERTAS_PROGRAMADOR=false)');
+        return;
+    }
+
+    if (!temporizador) {
+        programar();
+        console.log(`🔔 Programador de alertas activo (evaluación diaria a las ${HORA_EVALUACION}:00)`);
+    }
+};
+
+/**
+ * DETENER PROGRAMADOR
+ */
+const detenerProgramadorAlertas = () => {
+    if (temporizador) {
+        clearTimeout(temporizador);
+        temporizador = null;
+    }
+};
+
+module.exports = {
+    REGLAS_ALERTA,
+    getRegla,
+    evaluarAlertas,
+    iniciarProgramadorAlertas,
+    detenerProgramadorAlertas
+};
@@ -0,0 +1,242 @@
+// src/utils/auditoria.js
+
+const { executeQuery } = require('../config/database');
+const auditoriaModel = require('../models/auditoriaModel');
+const { getRequestContext } = require('../middlewares/requestContext');
+
+/**
+ * UTILIDADES DE AUDITORÍA
+ *
+ * auditarModelo() envuelve los métodos de escritura de un modelo para que
+ * cada llamada quede registrada en la tabla auditoria con:
+ * - usuario e IP (del contexto de la request)
+ * - entidad, id del registro y proceso al que pertenece
+ * - acción y valores anteriores/nuevos de los campos que cambiaron
+ *
+ * Uso (al final del modelo):
+ * module.exports = auditarModelo('cj', { create, update, remove, ... }, {
+ *     create: 'CREAR',
+ *     update: 'ACTUALIZAR',
+ *     remove: 'ELIMINAR'
+ * }, { proceso: procesoPorCarpeta('cj_id') });
+ */
+
+const ACCION_CREAR = 'CREAR';
+const ACCION_ELIMINAR = 'ELIMINAR';
+
+/**
+ * Convertir a objeto plano serializable (fechas → ISO)
+ */
+const normalizar = (registro) => {
+    if (!registro || typeof registro !== 'object') return null;
+    return JSON.parse(JSON.stringify(registro));
+};
+
+/**
+ * CALCULAR CAMBIOS ENTRE DOS VERSIONES DE UN REGISTRO
+ * Retorna solo los campos que cambiaron
+ */
+const calcularCambios = (antes, despues) => {
+    const anteriores = {};
+    const nuevos = {};
+
+    const a = normalizar(antes) || {};
+    const d = normalizar(despues) || {};
+    const campos = new Set([...Object.keys(a), ...Object.keys(d)]);
+
+    campos.forEach(campo => {
+        if (JSON.stringify(a[campo]) !== JSON.stringify(d[campo])) {
+            anteriores[campo] = a[campo] === undefined ? null : a[campo];
+            nuevos[campo] = d[campo] === undefined ? null : d[campo];
+        }
+    });
+
+    return { anteriores, nuevos };
+};
+
+/**
+ * REGISTRAR ENTRADA DE AUDITORÍA
+ *
+ * Sin connection nunca lanza: si la bitácora falla, la operación ya se
+ * realizó y solo se reporta el error en consola.
+ *
+ * Con connection (escrituras hechas directamente en una transacción) la
+ * entrada se escribe en la misma transacción: un rollback la descarta y un
+ * error al registrarla revierte la operación.
+ */
+const registrarAuditoria = async ({ entidad, entidadId, procesoId, accion, antes, despues, connection = null }) => {
+    const { usuario_id, ip } = getRequestContext();
+
+    let datosAnteriores = null;
+    let datosNuevos = null;
+
+    if (accion === ACCION_CREAR || !antes) {
+        datosNuevos = normalizar(despues);
+    } else if (accion === ACCION_ELIMINAR || !despues) {
+        datosAnteriores = normalizar(antes);
+    } else {
+        const { anteriores, nuevos } = calcularCambios(antes, despues);
+        datosAnteriores = anteriores;
+        datosNuevos = nuevos;
+    }
+
+    const entrada = {
+        usuario_id,
+        ip,
+        entidad,
+        entidad_id: entidadId,
+        proceso_id: procesoId,
+        accion,
+        datos_anteriores: datosAnteriores,
+        datos_nuevos: datosNuevos
+    };
+
+    if (connection) {
+        await auditoriaModel.registrar(entrada, connection);
+        return;
+    }
+
+    try {
+        await auditoriaModel.registrar(entrada);
+    } catch (error) {
+        console.error(`❌ Error al registrar auditoría (${entidad} ${accion} ${entidadId}):`, error.message);
+    }
+};
+
+/**
+ * RESOLVER PROCESO: por columna del registro (default)
+ */
+const procesoPorCampo = (campo = 'proceso_id') => {
+    return async (registro) => (registro ? registro[campo] || null : null);
+};
+
+/**
+ * RESOLVER PROCESO: carpetas (CJ, CJO, CEMCI, CEMS) vía proceso_carpeta
+ * campoRegistro: columna del registro con el id de la carpeta (default: el id auditado)
+ */
+const procesoPorCarpeta = (columna, campoRegistro = null) => {
+    return async (registro, id) => {
+        const carpetaId = campoRegistro ? (registro && registro[campoRegistro]) : id;
+        if (!carpetaId) return null;
+
+        const [row] = await executeQuery(
+            `SELECT id_proceso FROM proceso_carpeta WHERE ${columna} = ? LIMIT 1`,
+            [carpetaId]
+        );
+        return row ? row.id_proceso : null;
+    };
+};
+
+/**
+ * RESOLVER PROCESO: primer argumento del método (ej: asignar(procesoId, ...))
+ */
+const procesoPorArgumento = () => {
+    return async (registro, id, args) => args[0] || null;
+};
+
+/**
+ * Obtener snapshot sin fallar si el registro no existe
+ */
+const obtenerSeguro = async (obtener, id) => {
+    if (!obtener || id === undefined || id === null) return null;
+
+    try {
+        return await obtener(id);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Resolver proceso sin fallar
+ */
+const resolverProcesoSeguro = async (resolverProceso, registro, id, args) => {
+    try {
+        return await resolverProceso(registro, id, args);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Id del registro creado a partir del resultado de create()
+ */
+const idCreadoPorDefecto = (resultado) => {
+    if (typeof resultado === 'number') return resultado;
+    if (resultado && resultado.insertId) return resultado.insertId;
+    return null;
+};
+
+/**
+ * ENVOLVER MÉTODOS DE ESCRITURA DE UN MODELO
+ *
+ * metodos: { nombreMetodo: 'ACCION' } o { nombreMetodo: { accion, id } }
+ *   - id(args, resultado): id del registro afectado (default: args[0])
+ * opciones:
+ *   - obtener(id): snapshot del registro (default: modelo.getById)
+ *   - idCreado(resultado): id del registro creado
+ *   - obtener: null para no tomar snapshots (se registra el resultado del método)
+ *   - proceso(registro, id, args): id del proceso (default: registro.proceso_id)
+ */
+const auditarModelo = (entidad, modelo, metodos, opciones = {}) => {
+    const obtener = opciones.obtener === undefined ? modelo.getById : opciones.obtener;
+    const idCreado = opciones.idCreado || idCreadoPorDefecto;
+    const resolverProceso = opciones.proceso || procesoPorCampo();
+
+    const envuelto = { ...modelo };
+
+    Object.entries(metodos).forEach(([nombre, definicion]) => {
+        const original = modelo[nombre];
+        const { accion, id: getId } = typeof definicion === 'string'
+            ? { accion: definicion }
+            : definicion;
+
+        envuelto[nombre] = async (...args) => {
+            const esCreacion = accion === ACCION_CREAR;
+            const idPrevio = esCreacion ? null : (getId ? getId(args) : args[0]);
+
+            const antes = esCreacion ? null : await obtenerSeguro(obtener, idPrevio);
+
+            // El proceso se resuelve antes de eliminar (después ya no hay relación)
+            let procesoId = esCreacion ? null : await resolverProcesoSeguro(resolverProceso, antes, idPrevio, args);
+
+            const resultado = await original(...args);
+
+            const entidadId = esCreacion
+                ? (getId ? getId(args, resultado) : idCreado(resultado))
+                : idPrevio;
+
+            const despues = accion === ACCION_ELIMINAR
+                ? null
+                : await obtenerSeguro(obtener, entidadId);
+
+            if (!procesoId) {
+                procesoId = await resolverProcesoSeguro(resolverProceso, despues, entidadId, args);
+            }
+
+            // Sin snapshot (ej: tablas puente) se registra lo que retornó el método
+            const esEliminacion = accion === ACCION_ELIMINAR;
+
+            await registrarAuditoria({
+                entidad,
+                entidadId,
+                procesoId,
+                accion,
+                antes: antes || (esEliminacion ? resultado : null),
+                despues: despues || (esEliminacion ? null : resultado)
+            });
+
+            return resultado;
+        };
+    });
+
+    return envuelto;
+};
+
+module.exports = {
+    auditarModelo,
+    registrarAuditoria,
+    procesoPorCampo,
+    procesoPorCarpeta,
+    procesoPorArgumento
+};
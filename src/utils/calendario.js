@@ -0,0 +1,205 @@
+// src/utils/calendario.js
+
+const { UNIDAD_PLAZO } = require('../config/constants');
+
+/**
+ * UTILIDADES DE CALENDARIO PARA PLAZOS
+ *
+ * Todas las fechas se manejan como texto 'YYYY-MM-DD' para evitar
+ * corrimientos por zona horaria (la conexión a MySQL usa UTC y las
+ * columnas DATE llegan como medianoche UTC).
+ */
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * Convertir un Date de MySQL o un texto a 'YYYY-MM-DD'
+ *
+ * @param {Date|string|null} valor
+ * @returns {string|null}
+ */
+const toFechaISO = (valor) => {
+    if (!valor) return null;
+
+    if (valor instanceof Date) {
+        return isNaN(valor.getTime()) ? null : valor.toISOString().split('T')[0];
+    }
+
+    const texto = String(valor).substring(0, 10);
+    return /^\d{4}-\d{2}-\d{2}$/.test(texto) ? texto : null;
+};
+
+/**
+ * Fecha de hoy (zona horaria del servidor) como 'YYYY-MM-DD'
+ *
+ * @returns {string}
+ */
+const hoyISO = () => {
+    const hoy = new Date();
+    const mes = String(hoy.getMonth() + 1).padStart(2, '0');
+    const dia = String(hoy.getDate()).padStart(2, '0');
+    return `${hoy.getFullYear()}-${mes}-${dia}`;
+};
+
+const aUTC = (fechaISO) => new Date(`${fechaISO}T00:00:00Z`);
+
+/**
+ * Sumar días naturales
+ *
+ * @param {string} fechaISO
+ * @param {number} dias - Puede ser negativo
+ * @returns {string}
+ */
+const sumarDiasNaturales = (fechaISO, dias) => {
+    const fecha = aUTC(fechaISO);
+    fecha.setUTCDate(fecha.getUTCDate() + dias);
+    return toFechaISO(fecha);
+};
+
+/**
+ * Diferencia en días naturales (hasta - desde)
+ *
+ * @param {string} desdeISO
+ * @param {string} hastaISO
+ * @returns {number}
+ */
+const diferenciaDias = (desdeISO, hastaISO) => {
+    return Math.round((aUTC(hastaISO) - aUTC(desdeISO)) / MS_POR_DIA);
+};
+
+/**
+ * Verificar si es día hábil (lunes a viernes y no inhábil en el calendario)
+ *
+ * @param {string} fechaISO
+ * @param {Set<string>} inhabiles - Fechas 'YYYY-MM-DD' del calendario del tribunal
+ * @returns {boolean}
+ */
+const esDiaHabil = (fechaISO, inhabiles = new Set()) => {
+    const diaSemana = aUTC(fechaISO).getUTCDay();
+    return diaSemana !== 0 && diaSemana !== 6 && !inhabiles.has(fechaISO);
+};
+
+/**
+ * Sumar días hábiles
+ * El día de inicio no cuenta: el plazo corre a partir del día hábil siguiente
+ *
+ * @param {string} fechaISO
+ * @param {number} dias
+ * @param {Set<string>} inhabiles
+ * @returns {string}
+ */
+const sumarDiasHabiles = (fechaISO, dias, inhabiles = new Set()) => {
+    let fecha = fechaISO;
+    let restantes = dias;
+
+    while (restantes > 0) {
+        fecha = sumarDiasNaturales(fecha, 1);
+        if (esDiaHabil(fecha, inhabiles)) {
+            restantes--;
+        }
+    }
+
+    return fecha;
+};
+
+/**
+ * Sumar meses de calendario (31/ene + 1 mes = 28 o 29/feb)
+ *
+ * @param {string} fechaISO
+ * @param {number} meses
+ * @returns {string}
+ */
+const sumarMeses = (fechaISO, meses) => {
+    const fecha = aUTC(fechaISO);
+    const dia = fecha.getUTCDate();
+
+    fecha.setUTCDate(1);
+    fecha.setUTCMonth(fecha.getUTCMonth() + meses);
+
+    const ultimoDia = new Date(Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth() + 1, 0)).getUTCDate();
+    fecha.setUTCDate(Math.min(dia, ultimoDia));
+
+    return toFechaISO(fecha);
+};
+
+/**
+ * Sumar una duración a una fecha
+ *
+ * Las columnas de fecha no guardan hora, así que las horas se cuentan
+ * como días naturales completos (72 horas = 3 días).
+ *
+ * @param {string} fechaISO
+ * @param {number} cantidad
+ * @param {string} unidad - UNIDAD_PLAZO
+ * @param {Set<string>} inhabiles - Solo se usa con DIAS_HABILES
+ * @returns {string}
+ */
+const sumarDuracion = (fechaISO, cantidad, unidad, inhabiles = new Set()) => {
+    switch (unidad) {
+        case UNIDAD_PLAZO.HORAS:
+            return sumarDiasNaturales(fechaISO, Math.ceil(cantidad / 24));
+        case UNIDAD_PLAZO.DIAS_NATURALES:
+            return sumarDiasNaturales(fechaISO, cantidad);
+        case UNIDAD_PLAZO.DIAS_HABILES:
+            return sumarDiasHabiles(fechaISO, cantidad, inhabiles);
+        case UNIDAD_PLAZO.MESES:
+            return sumarMeses(fechaISO, cantidad);
+        case UNIDAD_PLAZO.ANIOS:
+            return sumarMeses(fechaISO, cantidad * 12);
+        default:
+            throw new Error(`Unidad de plazo desconocida: ${unidad}`);
+    }
+};
+
+/**
+ * Interpretar una duración capturada como texto
+ * Ej: '6 meses', '1 año', '90 días', '2 semanas', '1 año 6 meses'
+ *
+ * @param {string} texto
+ * @returns {Array<{cantidad: number, unidad: string}>|null} - null si no se reconoce
+ */
+const parseDuracionTexto = (texto) => {
+    if (!texto) return null;
+
+    const normalizado = String(texto)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+
+    const regex = /(\d+)\s*(anos?|meses|mes|semanas?|dias?\s+habiles|dias?|horas?)/g;
+    const partes = [];
+    let match;
+
+    while ((match = regex.exec(normalizado)) !== null) {
+        const cantidad = parseInt(match[1], 10);
+        const unidad = match[2];
+
+        if (unidad.startsWith('ano')) {
+            partes.push({ cantidad, unidad: UNIDAD_PLAZO.ANIOS });
+        } else if (unidad.startsWith('mes')) {
+            partes.push({ cantidad, unidad: UNIDAD_PLAZO.MESES });
+        } else if (unidad.startsWith('semana')) {
+            partes.push({ cantidad: cantidad * 7, unidad: UNIDAD_PLAZO.DIAS_NATURALES });
+        } else if (unidad.includes('habil')) {
+            partes.push({ cantidad, unidad: UNIDAD_PLAZO.DIAS_HABILES });
+        } else if (unidad.startsWith('dia')) {
+            partes.push({ cantidad, unidad: UNIDAD_PLAZO.DIAS_NATURALES });
+        } else {
+            partes.push({ cantidad, unidad: UNIDAD_PLAZO.HORAS });
+        }
+    }
+
+    return partes.length > 0 ? partes : null;
+};
+
+module.exports = {
+    toFechaISO,
+    hoyISO,
+    sumarDiasNaturales,
+    diferenciaDias,
+    esDiaHabil,
+    sumarDiasHabiles,
+    sumarMeses,
+    sumarDuracion,
+    parseDuracionTexto
+};
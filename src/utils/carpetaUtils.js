@@ -1,6 +1,7 @@
 // src/utils/carpetaUtils.js
 
 const { executeQuery } = require('../config/database');
+const { TIPO_CARPETA } = require('../config/constants');
 
 /**
  * Generar número secuencial para carpetas (CEMCI, CEMS, CJO)
@@ -80,8 +81,22 @@ const existeNumeroCarpeta = async (numero, tipoCarpeta, idExcluir = null) => {
     return result.length > 0;
 };
 
+/**
+ * Tipo de carpeta de una audiencia (la más avanzada a la que está ligada)
+ *
+ * @param {Object} audiencia - Con cj_id, cjo_id, cemci_id, cems_id
+ * @returns {string} - 'CJ', 'CJO', 'CEMCI' o 'CEMS'
+ */
+const getTipoCarpetaAudiencia = (audiencia) => {
+    if (audiencia.cems_id) return TIPO_CARPETA.CEMS;
+    if (audiencia.cemci_id) return TIPO_CARPETA.CEMCI;
+    if (audiencia.cjo_id) return TIPO_CARPETA.CJO;
+    return TIPO_CARPETA.CJ;
+};
+
 module.exports = {
     generarNumeroCarpeta,
+    getTipoCarpetaAudiencia,
     validarFormatoNumeroCarpeta,
     existeNumeroCarpeta
 };
\ No newline at end of file
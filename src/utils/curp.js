@@ -0,0 +1,209 @@
+// src/utils/curp.js
+
+const { executeQuery } = require('../config/database');
+const { BadRequestError, ConflictError } = require('./errorHandler');
+const { toFechaISO } = require('./calendario');
+const { normalizarTexto } = require('./duplicadosAdolescente');
+
+/**
+ * CURP (Clave Única de Registro de Población)
+ *
+ * Estructura (18 caracteres):
+ *   1-4   letras del nombre          11-12 entidad de nacimiento (NE = extranjero)
+ *   5-10  fecha de nacimiento AAMMDD 13-15 consonantes internas
+ *   11    sexo (H, M o X)            16    homoclave: dígito si nació antes de 2000, letra desde 2000
+ *                                    17    dígito verificador
+ *
+ * Un formato inválido se rechaza (400). El dígito verificador y la
+ * concordancia con fecha_nacimiento, sexo y lugar_nacimiento_estado no
+ * rechazan: el registro se guarda con curp_revision = true y los motivos en
+ * curp_observaciones, para no bloquear la carga de datos históricos.
+ */
+
+const CURP_REGEX = new RegExp(
+    '^[A-Z][AEIOUX][A-Z]{2}' +
+    '\\d{2}(0[1-9]|1[0-2])(0[1-9]|[12]\\d|3[01])' +
+    '[HMX]' +
+    '(AS|BC|BS|CC|CL|CM|CS|CH|DF|DG|GT|GR|HG|JC|MC|MN|MS|NT|NL|OC|PL|QT|QR|SP|SL|SR|TC|TS|TL|VZ|YN|ZS|NE)' +
+    '[B-DF-HJ-NP-TV-Z]{3}' +
+    '[A-Z\\d]\\d$'
+);
+
+// Valor de cada carácter para el dígito verificador (RENAPO)
+const DICCIONARIO = '0123456789ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+
+// Entidad federativa (nombre normalizado) → clave de la CURP
+const ENTIDADES = {
+    'AGUASCALIENTES': 'AS',
+    'BAJA CALIFORNIA': 'BC',
+    'BAJA CALIFORNIA SUR': 'BS',
+    'CAMPECHE': 'CC',
+    'COAHUILA': 'CL',
+    'COAHUILA DE ZARAGOZA': 'CL',
+    'COLIMA': 'CM',
+    'CHIAPAS': 'CS',
+    'CHIHUAHUA': 'CH',
+    'CIUDAD DE MEXICO': 'DF',
+    'CDMX': 'DF',
+    'DISTRITO FEDERAL': 'DF',
+    'DURANGO': 'DG',
+    'GUANAJUATO': 'GT',
+    'GUERRERO': 'GR',
+    'HIDALGO': 'HG',
+    'JALISCO': 'JC',
+    'MEXICO': 'MC',
+    'ESTADO DE MEXICO': 'MC',
+    'MICHOACAN': 'MN',
+    'MICHOACAN DE OCAMPO': 'MN',
+    'MORELOS': 'MS',
+    'NAYARIT': 'NT',
+    'NUEVO LEON': 'NL',
+    'OAXACA': 'OC',
+    'PUEBLA': 'PL',
+    'QUERETARO': 'QT',
+    'QUERETARO DE ARTEAGA': 'QT',
+    'QUINTANA ROO': 'QR',
+    'SAN LUIS POTOSI': 'SP',
+    'SINALOA': 'SL',
+    'SONORA': 'SR',
+    'TABASCO': 'TC',
+    'TAMAULIPAS': 'TS',
+    'TLAXCALA': 'TL',
+    'VERACRUZ': 'VZ',
+    'VERACRUZ DE IGNACIO DE LA LLAVE': 'VZ',
+    'YUCATAN': 'YN',
+    'ZACATECAS': 'ZS'
+};
+
+// Sexo capturado (normalizado) → letra de la CURP
+const SEXOS = {
+    'HOMBRE': 'H',
+    'MUJER': 'M'
+};
+
+/**
+ * CURP en mayúsculas y sin espacios; null si viene vacía
+ */
+const normalizarCurp = (curp) => {
+    if (curp === undefined) return undefined;
+
+    const valor = String(curp || '').replace(/\s/g, '').toUpperCase();
+    return valor || null;
+};
+
+/**
+ * Dígito verificador de los primeros 17 caracteres
+ */
+const calcularDigitoVerificador = (curp17) => {
+    const suma = curp17.split('').reduce(
+        (total, caracter, i) => total + DICCIONARIO.indexOf(caracter) * (18 - i),
+        0
+    );
+
+    return (10 - (suma % 10)) % 10;
+};
+
+/**
+ * Fecha de nacimiento de la CURP (el siglo lo da la homoclave)
+ */
+const fechaDeCurp = (curp) => {
+    const siglo = /\d/.test(curp[16]) ? '19' : '20';
+    return `${siglo}${curp.substring(4, 6)}-${curp.substring(6, 8)}-${curp.substring(8, 10)}`;
+};
+
+/**
+ * REVISAR CONCORDANCIA
+ *
+ * @param {string} curp - CURP con formato válido
+ * @param {Object} datos - { fecha_nacimiento?, sexo?, lugar_nacimiento_estado?, nacionalidad? }
+ * @returns {Array<string>} - Motivos de revisión (vacío si todo concuerda)
+ */
+const revisarCurp = (curp, datos = {}) => {
+    const observaciones = [];
+
+    if (calcularDigitoVerificador(curp.substring(0, 17)) !== Number(curp[17])) {
+        observaciones.push('Dígito verificador incorrecto');
+    }
+
+    const fecha = toFechaISO(datos.fecha_nacimiento);
+    if (fecha && fecha !== fechaDeCurp(curp)) {
+        observaciones.push(`La fecha de la CURP (${fechaDeCurp(curp)}) no coincide con fecha_nacimiento (${fecha})`);
+    }
+
+    const sexo = SEXOS[normalizarTexto(datos.sexo)];
+    if (sexo && curp[10] !== 'X' && sexo !== curp[10]) {
+        observaciones.push(`El sexo de la CURP (${curp[10]}) no coincide con sexo (${datos.sexo})`);
+    }
+
+    const entidadCurp = curp.substring(11, 13);
+    const nacionalidad = normalizarTexto(datos.nacionalidad);
+    const entidad = nacionalidad && nacionalidad !== 'MEXICANA'
+        ? 'NE'
+        : ENTIDADES[normalizarTexto(datos.lugar_nacimiento_estado)];
+
+    if (entidad && entidad !== entidadCurp) {
+        observaciones.push(
+            `La entidad de la CURP (${entidadCurp}) no coincide con el lugar de nacimiento ` +
+            `(${entidad === 'NE' ? 'extranjero' : datos.lugar_nacimiento_estado})`
+        );
+    }
+
+    return observaciones;
+};
+
+/**
+ * PREPARAR CURP PARA GUARDAR
+ * 400 si el formato es inválido; lo demás se marca para revisión
+ *
+ * @returns {Object} - { curp, curp_revision, curp_observaciones }
+ */
+const prepararCurp = (curpCapturada, datos = {}) => {
+    const curp = normalizarCurp(curpCapturada);
+
+    if (!curp) {
+        return { curp: null, curp_revision: false, curp_observaciones: null };
+    }
+
+    if (!CURP_REGEX.test(curp)) {
+        throw new BadRequestError(`CURP con formato inválido: ${curp}`);
+    }
+
+    const observaciones = revisarCurp(curp, datos);
+
+    return {
+        curp,
+        curp_revision: observaciones.length > 0,
+        curp_observaciones: observaciones.length > 0 ? observaciones.join('; ') : null
+    };
+};
+
+/**
+ * 409 si otra fila de la tabla ya tiene la CURP
+ * (las que están en la papelera la siguen reservando)
+ */
+const validarCurpUnica = async (tabla, columnaId, curp, excluirId = null) => {
+    if (!curp) return;
+
+    let sql = `SELECT ${columnaId} as id FROM ${tabla} WHERE curp = ?`;
+    const params = [curp];
+
+    if (excluirId) {
+        sql += ` AND ${columnaId} <> ?`;
+        params.push(excluirId);
+    }
+
+    const [existente] = await executeQuery(sql, params);
+
+    if (existente) {
+        throw new ConflictError(`La CURP ${curp} ya está registrada (ID: ${existente.id})`);
+    }
+};
+
+module.exports = {
+    CURP_REGEX,
+    normalizarCurp,
+    calcularDigitoVerificador,
+    revisarCurp,
+    prepararCurp,
+    validarCurpUnica
+};
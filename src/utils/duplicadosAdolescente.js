@@ -0,0 +1,263 @@
+// src/utils/duplicadosAdolescente.js
+
+/**
+ * DETECCIÓN DE ADOLESCENTES DUPLICADOS
+ *
+ * Compara pares de registros y les da un puntaje de 0 a 100:
+ * - nombre (50): sin acentos, espacios ni partículas (DE, LA, DEL...) y
+ *   sin importar el orden de nombres y apellidos
+ * - fecha_nacimiento (30): igual, o con día y mes invertidos / un solo
+ *   componente distinto (errores de captura)
+ * - iniciales (10): mismas letras en cualquier orden
+ * - lugar de nacimiento (10): municipio y estado normalizados
+ *
+ * Para no comparar todos contra todos, solo se evalúan pares que comparten
+ * fecha de nacimiento o dos palabras del nombre normalizado.
+ */
+
+const PESOS = {
+    nombre: 50,
+    fecha_nacimiento: 30,
+    iniciales: 10,
+    lugar_nacimiento: 10
+};
+
+const PARTICULAS = new Set(['DE', 'LA', 'DEL', 'LAS', 'LOS', 'Y', 'VON', 'VAN']);
+
+/**
+ * Texto en mayúsculas, sin acentos ni signos y con espacios simples
+ */
+const normalizarTexto = (texto) => String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Palabras del nombre normalizado, sin partículas y ordenadas
+ */
+const palabrasNombre = (nombre) => normalizarTexto(nombre)
+    .split(' ')
+    .filter(palabra => palabra && !PARTICULAS.has(palabra))
+    .sort();
+
+/**
+ * Distancia de edición (Levenshtein)
+ */
+const distancia = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previa = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            actual[j] = Math.min(
+                previa[j] + 1,
+                actual[j - 1] + 1,
+                previa[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+
+        previa = actual;
+    }
+
+    return previa[b.length];
+};
+
+/**
+ * Similitud de 0 a 1 entre dos palabras (tolera una o dos letras distintas)
+ */
+const similitudPalabra = (a, b) => 1 - distancia(a, b) / Math.max(a.length, b.length);
+
+/**
+ * Similitud de nombres: cada palabra del nombre más corto se empareja con la
+ * más parecida del otro; se promedia sobre el nombre más largo, así que una
+ * palabra de más (segundo apellido capturado en uno solo) baja el puntaje
+ * sin anularlo
+ */
+const similitudNombre = (palabrasA, palabrasB) => {
+    if (!palabrasA.length || !palabrasB.length) return 0;
+
+    const [corto, largo] = palabrasA.length <= palabrasB.length
+        ? [palabrasA, palabrasB]
+        : [palabrasB, palabrasA];
+    const disponibles = [...largo];
+    let suma = 0;
+
+    corto.forEach(palabra => {
+        let mejor = -1;
+        let mejorSimilitud = 0;
+
+        disponibles.forEach((candidata, i) => {
+            const similitud = similitudPalabra(palabra, candidata);
+            if (similitud > mejorSimilitud) {
+                mejor = i;
+                mejorSimilitud = similitud;
+            }
+        });
+
+        if (mejor >= 0 && mejorSimilitud >= 0.75) {
+            suma += mejorSimilitud;
+            disponibles.splice(mejor, 1);
+        }
+    });
+
+    return suma / largo.length;
+};
+
+/**
+ * Fecha YYYY-MM-DD (acepta Date o string)
+ */
+const fechaISO = (fecha) => {
+    if (!fecha) return null;
+    if (fecha instanceof Date) return fecha.toISOString().split('T')[0];
+    return String(fecha).substring(0, 10);
+};
+
+/**
+ * Similitud de fechas: 1 iguales; 0.6 día y mes invertidos o un solo
+ * componente distinto; 0 en otro caso
+ */
+const similitudFecha = (fechaA, fechaB) => {
+    const a = fechaISO(fechaA);
+    const b = fechaISO(fechaB);
+
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const [anioA, mesA, diaA] = a.split('-');
+    const [anioB, mesB, diaB] = b.split('-');
+
+    if (anioA === anioB && mesA === diaB && diaA === mesB) return 0.6;
+
+    const distintos = [anioA !== anioB, mesA !== mesB, diaA !== diaB].filter(Boolean).length;
+    return distintos === 1 ? 0.6 : 0;
+};
+
+/**
+ * Iniciales normalizadas y ordenadas (de las capturadas o, si no hay, del nombre)
+ */
+const letrasIniciales = (adolescente) => {
+    const iniciales = normalizarTexto(adolescente.iniciales).replace(/ /g, '');
+
+    const letras = iniciales
+        ? iniciales.split('')
+        : palabrasNombre(adolescente.nombre).map(palabra => palabra[0]);
+
+    return letras.sort().join('');
+};
+
+/**
+ * Datos normalizados de un adolescente para compararlo
+ */
+const prepararAdolescente = (adolescente) => ({
+    ...adolescente,
+    palabras: palabrasNombre(adolescente.nombre),
+    letras: letrasIniciales(adolescente),
+    fecha: fechaISO(adolescente.fecha_nacimiento),
+    municipio: normalizarTexto(adolescente.lugar_nacimiento_municipio),
+    estado: normalizarTexto(adolescente.lugar_nacimiento_estado)
+});
+
+/**
+ * PUNTUAR UN PAR
+ *
+ * @returns {Object} - { puntaje, criterios: { nombre, fecha_nacimiento, iniciales, lugar_nacimiento } }
+ */
+const puntuarPar = (a, b) => {
+    let lugar = 0;
+
+    if (a.municipio && a.municipio === b.municipio) lugar += 0.5;
+    if (a.estado && a.estado === b.estado) lugar += 0.5;
+
+    const criterios = {
+        nombre: similitudNombre(a.palabras, b.palabras),
+        fecha_nacimiento: similitudFecha(a.fecha, b.fecha),
+        iniciales: a.letras && a.letras === b.letras ? 1 : 0,
+        lugar_nacimiento: lugar
+    };
+
+    const puntaje = Object.entries(PESOS)
+        .reduce((total, [criterio, peso]) => total + criterios[criterio] * peso, 0);
+
+    return {
+        puntaje: Math.round(puntaje),
+        criterios: Object.fromEntries(
+            Object.entries(criterios).map(([criterio, valor]) => [criterio, Math.round(valor * 100) / 100])
+        )
+    };
+};
+
+/**
+ * Claves de bloqueo: solo se comparan registros que comparten alguna
+ */
+const clavesBloqueo = (adolescente) => {
+    const claves = [];
+
+    if (adolescente.fecha) claves.push(`F:${adolescente.fecha}`);
+
+    const { palabras } = adolescente;
+    for (let i = 0; i < palabras.length; i++) {
+        for (let j = i + 1; j < palabras.length; j++) {
+            claves.push(`N:${palabras[i]}|${palabras[j]}`);
+        }
+    }
+
+    return claves;
+};
+
+/**
+ * BUSCAR PARES CANDIDATOS
+ *
+ * @param {Array<Object>} adolescentes - Filas de adolescente
+ * @param {number} puntajeMinimo - Solo pares con puntaje >= a este
+ * @returns {Array<Object>} - { a, b, puntaje, criterios } del mayor al menor puntaje
+ */
+const buscarDuplicados = (adolescentes, puntajeMinimo) => {
+    const preparados = adolescentes.map(prepararAdolescente);
+    const bloques = new Map();
+
+    preparados.forEach((adolescente, indice) => {
+        clavesBloqueo(adolescente).forEach(clave => {
+            if (!bloques.has(clave)) bloques.set(clave, []);
+            bloques.get(clave).push(indice);
+        });
+    });
+
+    const evaluados = new Set();
+    const pares = [];
+
+    bloques.forEach(indices => {
+        for (let i = 0; i < indices.length; i++) {
+            for (let j = i + 1; j < indices.length; j++) {
+                const llave = `${indices[i]}-${indices[j]}`;
+                if (evaluados.has(llave)) continue;
+                evaluados.add(llave);
+
+                const a = preparados[indices[i]];
+                const b = preparados[indices[j]];
+                const { puntaje, criterios } = puntuarPar(a, b);
+
+                if (puntaje >= puntajeMinimo) {
+                    pares.push({ a: adolescentes[indices[i]], b: adolescentes[indices[j]], puntaje, criterios });
+                }
+            }
+        }
+    });
+
+    return pares.sort((x, y) => y.puntaje - x.puntaje);
+};
+
+module.exports = {
+    PESOS,
+    normalizarTexto,
+    palabrasNombre,
+    puntuarPar,
+    buscarDuplicados
+};
@@ -80,8 +80,9 @@ class NotFoundError extends AppError {
  * Ejemplo: Intentar crear CJO cuando ya existe para ese CJ
  */
 class ConflictError extends AppError {
-    constructor(message = 'Conflicto con el estado actual del recurso') {
+    constructor(message = 'Conflicto con el estado actual del recurso', errors = null) {
         super(message, 409);
+        this.errors = errors; // Detalle opcional de los conflictos
     }
 }
 
@@ -98,6 +99,18 @@ class ValidationError extends AppError {
     }
 }
 
+/**
+ * ERROR 429 - TOO MANY REQUESTS
+ * Cuando se excede un límite de intentos
+ *
+ * Ejemplo: Usuario bloqueado temporalmente por intentos de login fallidos
+ */
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Demasiados intentos. Intenta más tarde') {
+        super(message, 429);
+    }
+}
+
 /**
  * ERROR 500 - INTERNAL SERVER ERROR
  * Errores del servidor (base de datos, archivos, etc.)
@@ -189,6 +202,7 @@ module.exports = {
     NotFoundError,
     ConflictError,
     ValidationError,
+    TooManyRequestsError,
     InternalServerError,
 
     // Helpers
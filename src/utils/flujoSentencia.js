@@ -0,0 +1,260 @@
+// src/utils/flujoSentencia.js
+
+const { executeQuery } = require('../config/database');
+const { BadRequestError, NotFoundError } = require('./errorHandler');
+const { generarNumeroCarpeta } = require('./carpetaUtils');
+const { hoyISO } = require('./calendario');
+const historialEstadoModel = require('../models/historialEstadoModel');
+const { registrarAuditoria } = require('./auditoria');
+const { AMBITO_ESTADO } = require('../config/constants');
+
+/**
+ * FLUJO DE LA SENTENCIA
+ *
+ * El catálogo tipo_sentencia (/api/catalogos/tipos-sentencia) indica qué
+ * dispara cada tipo al dictarse en la CJO:
+ * - crea_cems: abre la CEMS del proceso si aún no tiene
+ * - concluye_proceso: el proceso pasa al status STATUS_CONCLUIDA
+ * - cierra_cemci: la CEMCI del proceso queda concluida (ESTADO_CEMCI_CONCLUIDO)
+ * Con coimputados en la misma CJO, cada efecto alcanza a todos sus procesos.
+ *
+ * aplicarFlujoSentencia corre con la conexión de la transacción de la CJO:
+ * si algo falla no queda ni la sentencia ni sus efectos. Cada paso revisa
+ * si ya estaba hecho, así que volver a dictar el mismo tipo no duplica nada.
+ * Los cambios de status y estado procesal quedan en historial_estado con
+ * motivo "Sentencia <tipo>"; al ser automáticos no pasan por transicion_estado.
+ * Las CEMS creadas se auditan en la misma transacción.
+ */
+
+// Nombres en los catálogos status y estado_procesal (migración 014)
+const STATUS_CONCLUIDA = 'Concluida';
+const ESTADO_CEMCI_CONCLUIDO = 'Concluido';
+
+/**
+ * RESOLVER TIPO DE SENTENCIA
+ * Acepta tipo_sentencia_id o, por compatibilidad, el texto `sentencia` si es
+ * el nombre de un tipo del catálogo (sin distinguir acentos ni mayúsculas)
+ *
+ * @param {Object} data - { tipo_sentencia_id?, sentencia? }
+ * @returns {Promise<Object|null>} - Fila de tipo_sentencia o null si no se indicó
+ */
+const resolverTipoSentencia = async (data) => {
+    let tipo = null;
+
+    if (data.tipo_sentencia_id) {
+        [tipo] = await executeQuery(
+            `SELECT * FROM tipo_sentencia WHERE id_tipo_sentencia = ?`,
+            [data.tipo_sentencia_id]
+        );
+
+        if (!tipo) {
+            throw new NotFoundError('Tipo de sentencia no encontrado');
+        }
+    } else if (data.sentencia) {
+        const texto = String(data.sentencia).trim();
+        const catalogo = await executeQuery(`SELECT * FROM tipo_sentencia`);
+
+        tipo = catalogo.find(fila => fila.nombre.localeCompare(texto, 'es', { sensitivity: 'base' }) === 0);
+
+        if (!tipo) {
+            throw new BadRequestError(
+                `"${texto}" no corresponde a ningún tipo de sentencia. ` +
+                `Envíe tipo_sentencia_id (ver /api/catalogos/tipos-sentencia)`
+            );
+        }
+    } else {
+        return null;
+    }
+
+    if (!tipo.activo) {
+        throw new BadRequestError(`El tipo de sentencia "${tipo.nombre}" está desactivado`);
+    }
+
+    return tipo;
+};
+
+/**
+ * Número de carpeta desplazado n lugares ('CEMS-008/2025', 2 -> 'CEMS-010/2025')
+ * generarNumeroCarpeta consulta fuera de la transacción y no ve las CEMS
+ * recién insertadas, así que para coimputados se numera a partir del primero
+ */
+const desplazarNumero = (numero, n) => numero.replace(
+    /-(\d+)\//,
+    (_, actual) => `-${String(Number(actual) + n).padStart(actual.length, '0')}/`
+);
+
+/**
+ * APLICAR FLUJO DE LA SENTENCIA
+ * La CJO puede ser compartida por coimputados: los efectos se aplican a
+ * cada proceso activo vinculado a ella
+ *
+ * @param {Object} connection - Conexión de la transacción
+ * @param {Object} cjo - { id_cjo, cj_id }
+ * @param {Object} tipo - Fila de tipo_sentencia
+ * @returns {Promise<Object>} - { cems_creado, cems_id, cems_ids, proceso_concluido,
+ *                               procesos_concluidos, cemci_cerrada }
+ */
+const aplicarFlujoSentencia = async (connection, cjo, tipo) => {
+    const resultado = {
+        cems_creado: false,
+        cems_id: null,
+        cems_ids: [],
+        proceso_concluido: false,
+        procesos_concluidos: [],
+        cemci_cerrada: false
+    };
+
+    const [procesos] = await connection.execute(`
+        SELECT pc.id_proceso, pc.cemci_id, pc.cems_id,
+               p.status_id,
+               cemci.estado_procesal_id as cemci_estado_procesal_id
+        FROM proceso_carpeta pc
+        INNER JOIN proceso p ON pc.id_proceso = p.id_proceso
+        LEFT JOIN cemci ON pc.cemci_id = cemci.id_cemci
+        WHERE pc.cjo_id = ?
+          AND p.eliminado_en IS NULL
+        ORDER BY pc.id_proceso
+    `, [cjo.id_cjo]);
+
+    if (procesos.length === 0) {
+        throw new Error('No se encontró el proceso asociado a la CJO');
+    }
+
+    const cambio = (anteriorId, nuevoId) => ({
+        anteriorId: anteriorId || null,
+        nuevoId,
+        motivo: `Sentencia ${tipo.nombre}`,
+        fecha: hoyISO()
+    });
+
+    // 1. CEMS (una por proceso)
+    if (tipo.crea_cems) {
+        const sinCems = procesos.filter(carpetas => !carpetas.cems_id);
+        const numeroBase = sinCems.length > 0 ? await generarNumeroCarpeta('CEMS') : null;
+
+        for (const [i, carpetas] of sinCems.entries()) {
+            const cems = {
+                numero_cems: desplazarNumero(numeroBase, i),
+                cj_id: cjo.cj_id,
+                cjo_id: cjo.id_cjo,
+                cemci_id: carpetas.cemci_id || null
+            };
+
+            const [cemsResult] = await connection.execute(
+                `INSERT INTO cems (numero_cems, cj_id, cjo_id, cemci_id) VALUES (?, ?, ?, ?)`,
+                [cems.numero_cems, cems.cj_id, cems.cjo_id, cems.cemci_id]
+            );
+
+            await registrarAuditoria({
+                connection,
+                entidad: 'cems',
+                entidadId: cemsResult.insertId,
+                procesoId: carpetas.id_proceso,
+                accion: 'CREAR',
+                despues: { id_cems: cemsResult.insertId, ...cems }
+            });
+
+            await connection.execute(
+                `UPDATE proceso_carpeta SET cems_id = ? WHERE id_proceso = ?`,
+                [cemsResult.insertId, carpetas.id_proceso]
+            );
+
+            resultado.cems_ids.push(cemsResult.insertId);
+        }
+
+        resultado.cems_creado = resultado.cems_ids.length > 0;
+        resultado.cems_id = resultado.cems_ids[0] || null;
+    }
+
+    // 2. Procesos concluidos
+    if (tipo.concluye_proceso) {
+        const [[status]] = await connection.execute(
+            `SELECT id_status FROM status WHERE nombre = ?`,
+            [STATUS_CONCLUIDA]
+        );
+
+        if (!status) {
+            throw new Error(`No existe el status "${STATUS_CONCLUIDA}" (ver migración 014)`);
+        }
+
+        for (const carpetas of procesos) {
+            const [update] = await connection.execute(`
+                UPDATE proceso
+                SET status_id = ?
+                WHERE id_proceso = ?
+                  AND (status_id IS NULL OR status_id <> ?)
+            `, [status.id_status, carpetas.id_proceso, status.id_status]);
+
+            if (update.affectedRows > 0) {
+                resultado.procesos_concluidos.push(carpetas.id_proceso);
+
+                await historialEstadoModel.registrar(connection, {
+                    proceso_id: carpetas.id_proceso,
+                    entidad: 'proceso',
+                    entidad_id: carpetas.id_proceso,
+                    ambito: AMBITO_ESTADO.STATUS
+                }, cambio(carpetas.status_id, status.id_status));
+            }
+        }
+
+        resultado.proceso_concluido = resultado.procesos_concluidos.length > 0;
+    }
+
+    // 3. CEMCI cerradas (una vez por carpeta, con historial en cada proceso que la comparte)
+    const cemciIds = [...new Set(procesos.map(carpetas => carpetas.cemci_id).filter(Boolean))];
+
+    if (tipo.cierra_cemci && cemciIds.length > 0) {
+        const [[estado]] = await connection.execute(
+            `SELECT id_estado FROM estado_procesal WHERE nombre = ? LIMIT 1`,
+            [ESTADO_CEMCI_CONCLUIDO]
+        );
+
+        for (const cemciId of cemciIds) {
+            const [update] = await connection.execute(`
+                UPDATE cemci
+                SET concluido = TRUE,
+                    estado_procesal_id = COALESCE(?, estado_procesal_id)
+                WHERE id_cemci = ?
+                  AND (concluido IS NULL OR concluido = FALSE)
+            `, [estado ? estado.id_estado : null, cemciId]);
+
+            if (update.affectedRows === 0) {
+                continue;
+            }
+
+            resultado.cemci_cerrada = true;
+
+            for (const carpetas of procesos.filter(fila => fila.cemci_id === cemciId)) {
+                if (estado && carpetas.cemci_estado_procesal_id !== estado.id_estado) {
+                    await historialEstadoModel.registrar(connection, {
+                        proceso_id: carpetas.id_proceso,
+                        entidad: 'cemci',
+                        entidad_id: cemciId,
+                        ambito: AMBITO_ESTADO.ESTADO_PROCESAL
+                    }, cambio(carpetas.cemci_estado_procesal_id, estado.id_estado));
+                }
+            }
+        }
+    }
+
+    return resultado;
+};
+
+/**
+ * Mensaje con los efectos del flujo
+ */
+const describirFlujo = (flujo) => [
+    flujo.cems_creado && `CEMS creado automáticamente (${(flujo.cems_ids || [flujo.cems_id]).join(', ')})`,
+    flujo.proceso_concluido && (
+        (flujo.procesos_concluidos || []).length > 1
+            ? `${flujo.procesos_concluidos.length} procesos concluidos`
+            : 'proceso concluido'
+    ),
+    flujo.cemci_cerrada && 'CEMCI concluida'
+].filter(Boolean).join(', ');
+
+module.exports = {
+    resolverTipoSentencia,
+    aplicarFlujoSentencia,
+    describirFlujo
+};
@@ -0,0 +1,176 @@
+// src/utils/icalendar.js
+
+/**
+ * CALENDARIOS iCalendar (RFC 5545)
+ *
+ * Genera el .ics de una lista de audiencias (resultado de audienciaModel)
+ * para suscribirse desde Outlook, Google Calendar, Thunderbird, etc.
+ *
+ * - Horas: fecha_audiencia se guarda en hora local del tribunal (la conexión
+ *   a MySQL la lee como UTC), así que DTSTART/DTEND van como hora "flotante"
+ *   (sin zona): el cliente la muestra tal cual.
+ * - Datos personales: el resumen lleva las iniciales del adolescente, nunca
+ *   su nombre, y no se incluyen las observaciones de la audiencia.
+ * - Las audiencias DIFERIDA o CANCELADA se publican con STATUS:CANCELLED
+ *   para que el cliente las tache o las quite.
+ */
+
+const { ESTADO_AUDIENCIA } = require('../config/constants');
+
+const PRODID = '-//Tribunal para Adolescentes//Agenda de audiencias//ES';
+const DOMINIO_UID = 'tribunal-adolescentes';
+
+// Máximo de octetos por línea antes de plegarla (sin contar el CRLF)
+const MAX_OCTETOS = 75;
+
+const dosDigitos = (n) => String(n).padStart(2, '0');
+
+/**
+ * Escapar texto (TEXT de RFC 5545: \ ; , y saltos de línea)
+ */
+const escaparTexto = (valor) => String(valor === undefined || valor === null ? '' : valor)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * Plegar una línea a MAX_OCTETOS octetos sin partir caracteres UTF-8
+ */
+const plegarLinea = (linea) => {
+    if (Buffer.byteLength(linea, 'utf8') <= MAX_OCTETOS) {
+        return linea;
+    }
+
+    const partes = [];
+    let actual = '';
+    let octetos = 0;
+
+    for (const caracter of linea) {
+        const tamano = Buffer.byteLength(caracter, 'utf8');
+        // Las continuaciones empiezan con un espacio que también cuenta
+        const limite = partes.length === 0 ? MAX_OCTETOS : MAX_OCTETOS - 1;
+
+        if (octetos + tamano > limite) {
+            partes.push(actual);
+            actual = '';
+            octetos = 0;
+        }
+
+        actual += caracter;
+        octetos += tamano;
+    }
+
+    partes.push(actual);
+    return partes.join('\r\n ');
+};
+
+/**
+ * Fecha y hora como DATE-TIME flotante: 'YYYYMMDDTHHMMSS'
+ * (componentes UTC del Date que regresa MySQL = hora local guardada)
+ */
+const formatearFlotante = (fecha) => [
+    fecha.getUTCFullYear(),
+    dosDigitos(fecha.getUTCMonth() + 1),
+    dosDigitos(fecha.getUTCDate()),
+    'T',
+    dosDigitos(fecha.getUTCHours()),
+    dosDigitos(fecha.getUTCMinutes()),
+    dosDigitos(fecha.getUTCSeconds())
+].join('');
+
+/**
+ * Instante real en UTC: 'YYYYMMDDTHHMMSSZ' (DTSTAMP)
+ */
+const formatearUTC = (fecha) => `${formatearFlotante(fecha)}Z`;
+
+/**
+ * Convertir fecha_audiencia (Date o 'YYYY-MM-DD HH:MM:SS') a Date
+ */
+const aFecha = (valor) => {
+    if (valor instanceof Date) {
+        return valor;
+    }
+
+    return new Date(`${String(valor).replace(' ', 'T').substring(0, 19)}Z`);
+};
+
+/**
+ * Líneas VEVENT de una audiencia
+ */
+const eventoAudiencia = (audiencia, dtstamp) => {
+    const inicio = aFecha(audiencia.fecha_audiencia);
+    const fin = new Date(inicio.getTime() + (audiencia.duracion_minutos || 60) * 60 * 1000);
+
+    const carpetas = [
+        audiencia.numero_cj && `CJ ${audiencia.numero_cj}`,
+        audiencia.numero_cjo && `CJO ${audiencia.numero_cjo}`,
+        audiencia.numero_cemci && `CEMCI ${audiencia.numero_cemci}`,
+        audiencia.numero_cems && `CEMS ${audiencia.numero_cems}`
+    ].filter(Boolean);
+
+    const descripcion = [
+        `Proceso ${audiencia.proceso_id}`,
+        carpetas.length > 0 ? `Carpetas: ${carpetas.join(', ')}` : null,
+        audiencia.adolescente_iniciales ? `Adolescente: ${audiencia.adolescente_iniciales}` : null
+    ].filter(Boolean).join('\n');
+
+    const resumen = [audiencia.tipo || 'Audiencia', audiencia.adolescente_iniciales]
+        .filter(Boolean)
+        .join(' - ');
+
+    const lineas = [
+        'BEGIN:VEVENT',
+        `UID:audiencia-${audiencia.id_audiencia}@${DOMINIO_UID}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART:${formatearFlotante(inicio)}`,
+        `DTEND:${formatearFlotante(fin)}`,
+        `SUMMARY:${escaparTexto(resumen)}`,
+        `DESCRIPTION:${escaparTexto(descripcion)}`
+    ];
+
+    if (audiencia.sala_nombre) {
+        lineas.push(`LOCATION:${escaparTexto(audiencia.sala_nombre)}`);
+    }
+
+    const cancelada = audiencia.estado === ESTADO_AUDIENCIA.DIFERIDA
+        || audiencia.estado === ESTADO_AUDIENCIA.CANCELADA;
+
+    lineas.push(
+        cancelada ? 'STATUS:CANCELLED' : 'STATUS:CONFIRMED',
+        cancelada ? 'TRANSP:TRANSPARENT' : 'TRANSP:OPAQUE',
+        'END:VEVENT'
+    );
+
+    return lineas;
+};
+
+/**
+ * GENERAR CALENDARIO
+ *
+ * @param {string} nombre - Nombre del calendario (X-WR-CALNAME)
+ * @param {Array<Object>} audiencias - Filas de audienciaModel
+ * @returns {string} - Contenido .ics (líneas CRLF)
+ */
+const generarCalendario = (nombre, audiencias) => {
+    const dtstamp = formatearUTC(new Date());
+
+    const lineas = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escaparTexto(nombre)}`,
+        ...audiencias.flatMap(audiencia => eventoAudiencia(audiencia, dtstamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lineas.map(plegarLinea).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    escaparTexto,
+    plegarLinea,
+    generarCalendario
+};
@@ -1,6 +1,7 @@
 // src/utils/jwt.js
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { UnauthorizedError } = require('./errorHandler');
 
 /**
@@ -10,7 +11,9 @@ const { UnauthorizedError } = require('./errorHandler');
  */
 
 const JWT_SECRET = process.env.JWT_SECRET || 'secret_key_super_segura_cambiar_en_produccion';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Los access tokens son de vida corta; la sesión se extiende con refresh tokens
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
 
 /**
  * GENERAR TOKEN
@@ -21,19 +24,23 @@ const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
  * - id: ID del usuario
  * - usuario: Nombre de usuario
  * - rol: Nombre del rol
+ * - sid: ID de la sesión del servidor (para revocación)
+ * - jti: Identificador único del token
  * - iat: Timestamp de creación
  * - exp: Timestamp de expiración
  */
-const generateToken = (user) => {
+const generateToken = (user, sesionId) => {
     const payload = {
         id: user.id_usuario,
         usuario: user.usuario,
         rol: user.rol_nombre,  // Nombre del rol (ej: "Admin")
-        rolId: user.rol_id     // ID del rol (para queries)
+        rolId: user.rol_id,    // ID del rol (para queries)
+        sid: sesionId          // Sesión a la que pertenece el token
     };
 
     const token = jwt.sign(payload, JWT_SECRET, {
-        expiresIn: JWT_EXPIRES_IN
+        expiresIn: JWT_EXPIRES_IN,
+        jwtid: crypto.randomUUID()
     });
 
     return token;
@@ -92,8 +99,33 @@ const decodeToken = (token) => {
     return jwt.decode(token);
 };
 
+/**
+ * GENERAR REFRESH TOKEN
+ *
+ * Valor aleatorio opaco (no es JWT). Solo se entrega al cliente;
+ * en la base de datos se guarda su hash con hashToken()
+ */
+const generateRefreshToken = () => {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiraEn = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+    return { token, expiraEn };
+};
+
+/**
+ * HASHEAR TOKEN
+ *
+ * SHA-256 en hexadecimal. Suficiente para tokens aleatorios de alta
+ * entropía (no se necesita bcrypt como con las contraseñas)
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 module.exports = {
     generateToken,
+    generateRefreshToken,
+    hashToken,
     verifyToken,
     extractTokenFromHeader,
     decodeToken
@@ -0,0 +1,211 @@
+// src/utils/limitesSancion.js
+
+const { executeQuery } = require('../config/database');
+const { registrarAuditoria } = require('./auditoria');
+const { toFechaISO } = require('./calendario');
+const { BadRequestError, ForbiddenError, ValidationError } = require('./errorHandler');
+const { ROLES, LIMITES_SANCION_POR_EDAD } = require('../config/constants');
+
+/**
+ * REGLAS DE LÍMITES DE SANCIÓN POR EDAD
+ *
+ * La edad que cuenta es la que tenía el adolescente al cometer la conducta
+ * (adolescente.fecha_nacimiento vs cj_conducta.fecha_conducta). Si la CJ
+ * tiene varias conductas se toma la más antigua: es la edad menor y por
+ * lo tanto el límite más estricto.
+ *
+ * Los límites están en LIMITES_SANCION_POR_EDAD (config/constants).
+ *
+ * OMISIÓN: para cargar información histórica, un Administrador puede
+ * enviar { omitir_limites_edad: true, motivo_omision } en la request.
+ * Cada omisión queda en auditoría con la acción OMITIR_LIMITES_EDAD.
+ */
+
+const ACCION_OMISION = 'OMITIR_LIMITES_EDAD';
+const DIAS_POR_ANIO = 365;
+const DIAS_POR_MES = 30;
+
+/**
+ * Edad cumplida en una fecha
+ *
+ * @param {Date|string} fechaNacimiento
+ * @param {Date|string} fecha
+ * @returns {number|null}
+ */
+const calcularEdadEn = (fechaNacimiento, fecha) => {
+    const nacimiento = toFechaISO(fechaNacimiento);
+    const referencia = toFechaISO(fecha);
+
+    if (!nacimiento || !referencia) return null;
+
+    let edad = parseInt(referencia.substring(0, 4), 10) - parseInt(nacimiento.substring(0, 4), 10);
+
+    // Aún no cumple años en el año de referencia
+    if (referencia.substring(5) < nacimiento.substring(5)) {
+        edad--;
+    }
+
+    return edad;
+};
+
+/**
+ * Grupo de edad al que pertenece una edad (null si no es adolescente)
+ */
+const getGrupoEdad = (edad) => {
+    if (edad === null || edad === undefined) return null;
+
+    return LIMITES_SANCION_POR_EDAD.find(
+        grupo => edad >= grupo.edad_minima && edad <= grupo.edad_maxima
+    ) || null;
+};
+
+/**
+ * OBTENER EDAD AL MOMENTO DE LA CONDUCTA
+ */
+const getEdadAlHecho = async (procesoId) => {
+    const sql = `
+    SELECT
+      a.fecha_nacimiento,
+      MIN(cc.fecha_conducta) as fecha_conducta
+    FROM proceso p
+    INNER JOIN adolescente a ON p.adolescente_id = a.id_adolescente
+    LEFT JOIN proceso_carpeta pc ON pc.id_proceso = p.id_proceso
+    LEFT JOIN cj_conducta cc ON cc.cj_id = pc.cj_id AND cc.eliminado_en IS NULL
+    WHERE p.id_proceso = ?
+    GROUP BY a.id_adolescente, a.fecha_nacimiento
+  `;
+
+    const [row] = await executeQuery(sql, [procesoId]);
+
+    if (!row) {
+        return { fecha_nacimiento: null, fecha_conducta: null, edad: null };
+    }
+
+    return {
+        fecha_nacimiento: toFechaISO(row.fecha_nacimiento),
+        fecha_conducta: toFechaISO(row.fecha_conducta),
+        edad: calcularEdadEn(row.fecha_nacimiento, row.fecha_conducta)
+    };
+};
+
+/**
+ * EVALUAR UNA MEDIDA SANCIONADORA CONTRA LOS LÍMITES DEL GRUPO DE EDAD
+ *
+ * @param {Object} medida - { proceso_id, es_privativa, tipo_nombre, plazo_anios, plazo_meses, plazo_dias }
+ * @returns {Promise<Object>} - { edad, grupo, fecha_conducta, max_anios, violaciones }
+ */
+const evaluarMedida = async (medida) => {
+    const { fecha_conducta, edad } = await getEdadAlHecho(medida.proceso_id);
+    const grupo = getGrupoEdad(edad);
+    const violaciones = [];
+
+    const evaluacion = {
+        edad,
+        grupo: grupo ? grupo.grupo : null,
+        fecha_conducta,
+        max_anios: null,
+        violaciones
+    };
+
+    if (edad === null) {
+        violaciones.push(
+            'No se puede determinar la edad al momento de la conducta: ' +
+            'capture la fecha de nacimiento del adolescente y la fecha de la conducta en la CJ'
+        );
+        return evaluacion;
+    }
+
+    if (!grupo) {
+        violaciones.push(`La edad al momento de la conducta (${edad} años) está fuera del rango de 12 a 17 años`);
+        return evaluacion;
+    }
+
+    const maxAnios = medida.es_privativa ? grupo.max_anios_privativa : grupo.max_anios_no_privativa;
+    evaluacion.max_anios = maxAnios;
+
+    if (maxAnios === null) {
+        violaciones.push(
+            `La medida${medida.tipo_nombre ? ` ${medida.tipo_nombre}` : ''} es privativa de libertad y no puede imponerse ` +
+            `al grupo de ${grupo.grupo} años (edad al momento de la conducta: ${edad})`
+        );
+        return evaluacion;
+    }
+
+    const totalDias = (parseInt(medida.plazo_anios) || 0) * DIAS_POR_ANIO
+        + (parseInt(medida.plazo_meses) || 0) * DIAS_POR_MES
+        + (parseInt(medida.plazo_dias) || 0);
+
+    if (totalDias > maxAnios * DIAS_POR_ANIO) {
+        violaciones.push(
+            `El plazo excede el máximo de ${maxAnios} año(s) para medidas ` +
+            `${medida.es_privativa ? 'privativas' : 'no privativas'} del grupo de ${grupo.grupo} años ` +
+            `(edad al momento de la conducta: ${edad})`
+        );
+    }
+
+    return evaluacion;
+};
+
+/**
+ * VERIFICAR EVALUACIÓN
+ * Lanza ValidationError con las violaciones, salvo que haya omisión
+ */
+const verificarLimites = (evaluacion, omision = null) => {
+    if (evaluacion.violaciones.length > 0 && !omision) {
+        throw new ValidationError(
+            'La medida no respeta los límites de sanción por edad',
+            evaluacion.violaciones
+        );
+    }
+};
+
+/**
+ * LEER OMISIÓN DE LA REQUEST
+ * Solo Administrador y siempre con motivo
+ *
+ * @returns {Object|null} - { motivo } o null si no se solicitó
+ */
+const leerOmision = (req) => {
+    const { omitir_limites_edad, motivo_omision } = req.body || {};
+
+    if (omitir_limites_edad !== true && omitir_limites_edad !== 'true') {
+        return null;
+    }
+
+    if (!req.user || req.user.rol_nombre !== ROLES.ADMIN) {
+        throw new ForbiddenError('Solo el Administrador puede omitir los límites de edad');
+    }
+
+    if (!motivo_omision || !String(motivo_omision).trim()) {
+        throw new BadRequestError('motivo_omision es obligatorio para omitir los límites de edad');
+    }
+
+    return { motivo: String(motivo_omision).trim() };
+};
+
+/**
+ * REGISTRAR OMISIÓN EN AUDITORÍA
+ */
+const registrarOmision = async ({ entidad, entidadId, procesoId, omision, violaciones }) => {
+    await registrarAuditoria({
+        entidad,
+        entidadId,
+        procesoId,
+        accion: ACCION_OMISION,
+        antes: null,
+        despues: {
+            motivo: omision.motivo,
+            violaciones
+        }
+    });
+};
+
+module.exports = {
+    calcularEdadEn,
+    getGrupoEdad,
+    getEdadAlHecho,
+    evaluarMedida,
+    verificarLimites,
+    leerOmision,
+    registrarOmision
+};
@@ -0,0 +1,392 @@
+// src/utils/notificaciones.js
+
+const nodemailer = require('nodemailer');
+const { executeQuery } = require('../config/database');
+const notificacionModel = require('../models/notificacionModel');
+const { renderizar } = require('./plantillasCorreo');
+const { toFechaISO } = require('./calendario');
+const { PLANTILLA_NOTIFICACION, ESTADO_NOTIFICACION } = require('../config/constants');
+
+/**
+ * NOTIFICACIONES POR CORREO
+ *
+ * 1. Encolar: las funciones notificar* generan el correo con su plantilla
+ *    y lo guardan en la bandeja de salida (notificacionModel.encolar).
+ *    Nunca lanzan error: una notificación que no se pudo encolar no debe
+ *    tumbar la operación que la originó.
+ * 2. Enviar: el proceso de envío revisa la bandeja cada
+ *    NOTIFICACIONES_INTERVALO_SEGUNDOS y envía las pendientes por SMTP.
+ *
+ * Variables de entorno:
+ * - SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' para TLS
+ *   directo, normalmente con el puerto 465), SMTP_USER, SMTP_PASSWORD
+ * - SMTP_FROM: remitente (default SMTP_USER)
+ * - NOTIFICACIONES_INTERVALO_SEGUNDOS: default 60
+ * - NOTIFICACIONES_PROGRAMADOR: 'false' para no enviar desde este servidor
+ *
+ * Sin SMTP_HOST las notificaciones se siguen encolando pero no se envían.
+ */
+
+const INTERVALO = parseInt(process.env.NOTIFICACIONES_INTERVALO_SEGUNDOS, 10);
+const INTERVALO_SEGUNDOS = isNaN(INTERVALO) || INTERVALO < 5 ? 60 : INTERVALO;
+
+// Notificaciones por lote y minutos tras los que una ENVIANDO se libera
+const TAMANO_LOTE = 20;
+const MINUTOS_ATORADA = 15;
+
+// ===================================================
+// ENCOLAR
+// ===================================================
+
+/**
+ * Encolar sin lanzar error
+ */
+const encolarSeguro = async (plantilla, destinos) => {
+    try {
+        const notificaciones = destinos.map(destino => ({
+            ...destino,
+            plantilla,
+            ...renderizar(plantilla, destino.datos)
+        }));
+
+        return await notificacionModel.encolar(notificaciones);
+    } catch (error) {
+        console.error(`❌ Error al encolar notificaciones ${plantilla}:`, error.message);
+        return 0;
+    }
+};
+
+/**
+ * AUDIENCIA PROGRAMADA
+ * Se notifica a los actores jurídicos del proceso y a los tutores del
+ * adolescente (contacto principal o con custodia) que tienen correo
+ *
+ * @param {Object} audiencia - Resultado de audienciaModel.getById
+ */
+const notificarAudienciaProgramada = async (audiencia) => {
+    try {
+        const actores = await executeQuery(`
+      SELECT DISTINCT a.id_actor, a.nombre, a.correo
+      FROM proceso_actor_juridico paj
+      INNER JOIN actor_juridico a ON paj.actor_id = a.id_actor
+      WHERE paj.proceso_id = ?
+        AND a.correo IS NOT NULL
+        AND a.correo <> ''
+    `, [audiencia.proceso_id]);
+
+        const tutores = await executeQuery(`
+      SELECT t.id_tutor, t.nombre, t.correo
+      FROM proceso p
+      INNER JOIN tutor t ON t.adolescente_id = p.adolescente_id
+      WHERE p.id_proceso = ?
+        AND t.eliminado_en IS NULL
+        AND (t.es_contacto_principal = TRUE OR t.tiene_custodia = TRUE)
+        AND t.correo IS NOT NULL
+        AND t.correo <> ''
+    `, [audiencia.proceso_id]);
+
+        const fecha = audiencia.fecha_audiencia instanceof Date
+            ? audiencia.fecha_audiencia.toISOString()
+            : String(audiencia.fecha_audiencia);
+
+        const datos = (nombre) => ({
+            destinatario_nombre: nombre,
+            fecha_audiencia: audiencia.fecha_audiencia,
+            tipo: audiencia.tipo,
+            proceso_id: audiencia.proceso_id,
+            adolescente_iniciales: audiencia.adolescente_iniciales,
+            sala_nombre: audiencia.sala_nombre,
+            observaciones: audiencia.observaciones
+        });
+
+        return await encolarSeguro(PLANTILLA_NOTIFICACION.AUDIENCIA_PROGRAMADA, [
+            ...actores.map(actor => ({
+                referencia: `audiencia:${audiencia.id_audiencia}:${fecha}:actor:${actor.id_actor}`,
+                destinatario_correo: actor.correo,
+                destinatario_nombre: actor.nombre,
+                actor_id: actor.id_actor,
+                proceso_id: audiencia.proceso_id,
+                datos: datos(actor.nombre)
+            })),
+            ...tutores.map(tutor => ({
+                referencia: `audiencia:${audiencia.id_audiencia}:${fecha}:tutor:${tutor.id_tutor}`,
+                destinatario_correo: tutor.correo,
+                destinatario_nombre: tutor.nombre,
+                tutor_id: tutor.id_tutor,
+                proceso_id: audiencia.proceso_id,
+                datos: datos(tutor.nombre)
+            }))
+        ]);
+    } catch (error) {
+        console.error('❌ Error al notificar audiencia:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * ALERTAS DE VENCIMIENTO
+ * La referencia repite la de la alerta: cada alerta se envía una sola vez
+ *
+ * @param {Array<Object>} alertas - Alertas con destinatario_correo y destinatario_nombre
+ */
+const notificarAlertas = async (alertas) => {
+    const conCorreo = alertas.filter(alerta => alerta.destinatario_correo);
+
+    return await encolarSeguro(PLANTILLA_NOTIFICACION.ALERTA_VENCIMIENTO, conCorreo.map(alerta => ({
+        referencia: `alerta:${alerta.usuario_id}:${alerta.tipo}:${alerta.referencia}`,
+        destinatario_correo: alerta.destinatario_correo,
+        destinatario_nombre: alerta.destinatario_nombre,
+        usuario_id: alerta.usuario_id,
+        proceso_id: alerta.proceso_id,
+        datos: {
+            destinatario_nombre: alerta.destinatario_nombre,
+            titulo: alerta.titulo,
+            mensaje: alerta.mensaje,
+            fecha_evento: toFechaISO(alerta.fecha_evento),
+            proceso_id: alerta.proceso_id
+        }
+    })));
+};
+
+/**
+ * OBLIGACIONES DEL ADOLESCENTE A SUS TUTORES
+ * Al contacto principal y a quienes tienen custodia, con correo. El mensaje
+ * del evento ya identifica al adolescente por sus iniciales.
+ *
+ * @param {Array<Object>} eventos - Eventos de una regla de alerta
+ *                                  (utils/alertas.js, avisar_tutores)
+ */
+const notificarTutores = async (eventos) => {
+    const procesoIds = [...new Set(eventos.map(evento => evento.proceso_id).filter(Boolean))];
+
+    if (procesoIds.length === 0) {
+        return 0;
+    }
+
+    try {
+        const tutores = await executeQuery(`
+      SELECT p.id_proceso, t.id_tutor, t.nombre, t.correo
+      FROM proceso p
+      INNER JOIN tutor t ON t.adolescente_id = p.adolescente_id
+      WHERE p.id_proceso IN (${procesoIds.map(() => '?').join(', ')})
+        AND t.eliminado_en IS NULL
+        AND (t.es_contacto_principal = TRUE OR t.tiene_custodia = TRUE)
+        AND t.correo IS NOT NULL
+        AND t.correo <> ''
+    `, procesoIds);
+
+        const destinos = [];
+        eventos.forEach(evento => {
+            tutores
+                .filter(tutor => tutor.id_proceso === evento.proceso_id)
+                .forEach(tutor => destinos.push({
+                    referencia: `tutor:${tutor.id_tutor}:${evento.referencia}`,
+                    destinatario_correo: tutor.correo,
+                    destinatario_nombre: tutor.nombre,
+                    tutor_id: tutor.id_tutor,
+                    proceso_id: evento.proceso_id,
+                    datos: {
+                        destinatario_nombre: tutor.nombre,
+                        titulo: evento.titulo,
+                        mensaje: evento.mensaje,
+                        fecha_evento: toFechaISO(evento.fecha_evento),
+                        proceso_id: evento.proceso_id
+                    }
+                }));
+        });
+
+        return await encolarSeguro(PLANTILLA_NOTIFICACION.OBLIGACION_TUTOR, destinos);
+    } catch (error) {
+        console.error('❌ Error al notificar a los tutores:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * CONTRASEÑA CAMBIADA
+ *
+ * @param {Object} usuario - { id_usuario, nombre, usuario, correo }
+ * @param {string} ip
+ */
+const notificarContrasenaCambiada = async (usuario, ip) => {
+    if (!usuario || !usuario.correo) {
+        return 0;
+    }
+
+    const fecha = new Date();
+
+    return await encolarSeguro(PLANTILLA_NOTIFICACION.CONTRASENA_CAMBIADA, [{
+        referencia: `contrasena:${usuario.id_usuario}:${fecha.getTime()}`,
+        destinatario_correo: usuario.correo,
+        destinatario_nombre: usuario.nombre,
+        usuario_id: usuario.id_usuario,
+        datos: {
+            destinatario_nombre: usuario.nombre,
+            usuario: usuario.usuario,
+            fecha,
+            ip
+        }
+    }]);
+};
+
+// ===================================================
+// ENVÍO
+// ===================================================
+
+let transporte = null;
+
+/**
+ * Transporte SMTP (null si no hay SMTP_HOST)
+ */
+const getTransporte = () => {
+    if (!process.env.SMTP_HOST) {
+        return null;
+    }
+
+    if (!transporte) {
+        const puerto = parseInt(process.env.SMTP_PORT, 10);
+
+        transporte = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: isNaN(puerto) ? 587 : puerto,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+    }
+
+    return transporte;
+};
+
+/**
+ * PROCESAR LA BANDEJA DE SALIDA
+ * Envía lotes de pendientes hasta vaciar la cola
+ *
+ * @returns {Promise<Object>} - { enviadas, reintentos, fallidas }
+ */
+const procesarCola = async () => {
+    const resultado = { enviadas: 0, reintentos: 0, fallidas: 0 };
+    const smtp = getTransporte();
+
+    if (!smtp) {
+        return resultado;
+    }
+
+    await notificacionModel.liberarAtoradas(MINUTOS_ATORADA);
+
+    let lote = await notificacionModel.tomarPendientes(TAMANO_LOTE);
+
+    while (lote.length > 0) {
+        for (const notificacion of lote) {
+            try {
+                const info = await smtp.sendMail({
+                    from: process.env.SMTP_FROM || process.env.SMTP_USER,
+                    to: notificacion.destinatario_nombre
+                        ? { name: notificacion.destinatario_nombre, address: notificacion.destinatario_correo }
+                        : notificacion.destinatario_correo,
+                    subject: notificacion.asunto,
+                    text: notificacion.cuerpo_texto,
+                    html: notificacion.cuerpo_html || undefined
+                });
+
+                await notificacionModel.marcarEnviada(notificacion.id_notificacion, info.messageId);
+                resultado.enviadas++;
+            } catch (error) {
+                const estado = await notificacionModel.marcarFallo(notificacion, error.message);
+
+                if (estado === ESTADO_NOTIFICACION.FALLIDA) {
+                    resultado.fallidas++;
+                } else {
+                    resultado.reintentos++;
+                }
+            }
+        }
+
+        lote = await notificacionModel.tomarPendientes(TAMANO_LOTE);
+    }
+
+    return resultado;
+};
+
+// ===================================================
+// PROGRAMADOR
+// ===================================================
+
+let temporizador = null;
+let procesando = false;
+
+const programar = () => {
+    temporizador = setTimeout(async () => {
+        if (!procesando) {
+            procesando = true;
+
+            try {
+                const resultado = await procesarCola();
+
+                if (resultado.enviadas + resultado.reintentos + resultado.fallidas > 0) {
+                    console.log(
+                        `📧 Notificaciones: ${resultado.enviadas} enviadas, ` +
+                        `${resultado.reintentos} por reintentar, ${resultado.fallidas} fallidas`
+                    );
+                }
+            } catch (error) {
+                console.error('❌ Error al procesar notificaciones:', error.message);
+            } finally {
+                procesando = false;
+            }
+        }
+
+        if (temporizador) {
+            programar();
+        }
+    }, INTERVALO_SEGUNDOS * 1000);
+
+    // No impedir que el proceso termine
+    temporizador.unref();
+};
+
+/**
+ * INICIAR PROCESO DE ENVÍO (desde server.js)
+ */
+const iniciarEnvioNotificaciones = () => {
+    if (process.env.NOTIFICACIONES_PROGRAMADOR === 'false') {
+        console.log('🔕 Envío de notificaciones desactivado (NOTIFICACIONES_PROGRAMADOR=false)');
+        return;
+    }
+
+    if (!process.env.SMTP_HOST) {
+        console.log('🔕 Envío de notificaciones desactivado (sin SMTP_HOST); los correos quedan en la bandeja');
+        return;
+    }
+
+    if (!temporizador) {
+        programar();
+        console.log(`📧 Envío de notificaciones activo (cada ${INTERVALO_SEGUNDOS} s vía ${process.env.SMTP_HOST})`);
+    }
+};
+
+/**
+ * DETENER PROCESO DE ENVÍO
+ */
+const detenerEnvioNotificaciones = () => {
+    if (temporizador) {
+        clearTimeout(temporizador);
+        temporizador = null;
+    }
+
+    if (transporte) {
+        transporte.close();
+        transporte = null;
+    }
+};
+
+module.exports = {
+    notificarAudienciaProgramada,
+    notificarAlertas,
+    notificarTutores,
+    notificarContrasenaCambiada,
+    procesarCola,
+    iniciarEnvioNotificaciones,
+    detenerEnvioNotificaciones
+};
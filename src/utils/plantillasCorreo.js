@@ -0,0 +1,224 @@
+// src/utils/plantillasCorreo.js
+
+const { PLANTILLA_NOTIFICACION } = require('../config/constants');
+
+/**
+ * PLANTILLAS DE CORREO
+ *
+ * Cada plantilla recibe los datos del evento y regresa
+ * { asunto, texto, html }. El texto plano siempre se envía junto con el
+ * HTML para clientes de correo que no lo muestran.
+ *
+ * Todo valor que venga de la base de datos se escapa antes de ponerlo en
+ * el HTML.
+ */
+
+const NOMBRE_SISTEMA = 'Tribunal para Adolescentes';
+
+/**
+ * Escapar texto para HTML
+ */
+const escaparHtml = (valor) => String(valor === null || valor === undefined ? '' : valor)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Fecha y hora legibles (es-MX)
+ * Las fechas de la base de datos llegan en UTC (timezone 'Z' del pool) con
+ * la hora capturada, por eso se formatean en UTC. Para la hora actual del
+ * servidor usar enHoraLocal = true.
+ */
+const formatearFecha = (fecha, conHora = false, enHoraLocal = false) => {
+    if (!fecha) return 'sin fecha';
+
+    const valor = fecha instanceof Date ? fecha : new Date(fecha);
+    if (isNaN(valor.getTime())) return String(fecha);
+
+    return valor.toLocaleString('es-MX', {
+        dateStyle: 'long',
+        ...(conHora && { timeStyle: 'short' }),
+        ...(!enHoraLocal && { timeZone: 'UTC' })
+    });
+};
+
+/**
+ * Envolver el contenido en el diseño común
+ *
+ * @param {string} titulo - Texto plano (se escapa)
+ * @param {string} contenidoHtml - HTML ya escapado
+ */
+const disenoHtml = (titulo, contenidoHtml) => `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escaparHtml(titulo)}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;color:#222;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#fff;border:1px solid #ddd;">
+<tr><td style="padding:16px 24px;background:#5b1f2f;color:#fff;font-size:18px;font-weight:bold;">${NOMBRE_SISTEMA}</td></tr>
+<tr><td style="padding:24px;">
+<h2 style="margin-top:0;font-size:18px;">${escaparHtml(titulo)}</h2>
+${contenidoHtml}
+</td></tr>
+<tr><td style="padding:12px 24px;font-size:12px;color:#777;border-top:1px solid #eee;">
+Este es un mensaje automático del sistema; no responda a este correo.
+</td></tr>
+</table>
+</body>
+</html>`;
+
+/**
+ * Tabla de datos { etiqueta: valor } para el HTML y líneas para el texto
+ */
+const tablaHtml = (datos) => `<table role="presentation" cellpadding="4" cellspacing="0" style="font-size:14px;">
+${Object.entries(datos).map(([etiqueta, valor]) =>
+        `<tr><td style="color:#555;">${escaparHtml(etiqueta)}:</td><td><strong>${escaparHtml(valor)}</strong></td></tr>`
+    ).join('\n')}
+</table>`;
+
+const tablaTexto = (datos) => Object.entries(datos)
+    .map(([etiqueta, valor]) => `${etiqueta}: ${valor}`)
+    .join('\n');
+
+const pieTexto = `\n--\n${NOMBRE_SISTEMA}\nEste es un mensaje automático del sistema; no responda a este correo.`;
+
+/**
+ * AUDIENCIA PROGRAMADA
+ * datos: { destinatario_nombre, fecha_audiencia, tipo, adolescente_iniciales,
+ *          proceso_id, sala_nombre, observaciones }
+ */
+const audienciaProgramada = (datos) => {
+    const asunto = `Audiencia programada: ${formatearFecha(datos.fecha_audiencia, true)}`;
+    const detalle = {
+        'Fecha y hora': formatearFecha(datos.fecha_audiencia, true),
+        'Tipo de audiencia': datos.tipo || 'No especificado',
+        'Proceso': datos.proceso_id,
+        'Adolescente': datos.adolescente_iniciales || 'No especificado'
+    };
+
+    if (datos.sala_nombre) {
+        detalle['Sala'] = datos.sala_nombre;
+    }
+
+    if (datos.observaciones) {
+        detalle['Observaciones'] = datos.observaciones;
+    }
+
+    const saludo = `Estimado(a) ${datos.destinatario_nombre || 'usuario'}:`;
+    const intro = 'Se le notifica que se programó la siguiente audiencia en un proceso en el que usted participa.';
+
+    return {
+        asunto,
+        texto: `${saludo}\n\n${intro}\n\n${tablaTexto(detalle)}\n${pieTexto}`,
+        html: disenoHtml('Audiencia programada', `<p>${escaparHtml(saludo)}</p>
+<p>${escaparHtml(intro)}</p>
+${tablaHtml(detalle)}`)
+    };
+};
+
+/**
+ * ALERTA DE VENCIMIENTO
+ * datos: { destinatario_nombre, titulo, mensaje, fecha_evento, proceso_id }
+ */
+const alertaVencimiento = (datos) => {
+    const detalle = {
+        'Aviso': datos.mensaje,
+        'Fecha': formatearFecha(datos.fecha_evento)
+    };
+
+    if (datos.proceso_id) {
+        detalle['Proceso'] = datos.proceso_id;
+    }
+
+    const saludo = `Estimado(a) ${datos.destinatario_nombre || 'usuario'}:`;
+    const intro = 'El sistema generó el siguiente aviso de vencimiento. Puede consultarlo y marcarlo como atendido en la sección de alertas.';
+
+    return {
+        asunto: `Aviso: ${datos.titulo}`,
+        texto: `${saludo}\n\n${intro}\n\n${tablaTexto(detalle)}\n${pieTexto}`,
+        html: disenoHtml(datos.titulo, `<p>${escaparHtml(saludo)}</p>
+<p>${escaparHtml(intro)}</p>
+${tablaHtml(detalle)}`)
+    };
+};
+
+/**
+ * OBLIGACIÓN DEL ADOLESCENTE (al tutor)
+ * datos: { destinatario_nombre, titulo, mensaje, fecha_evento, proceso_id }
+ */
+const obligacionTutor = (datos) => {
+    const detalle = {
+        'Aviso': datos.mensaje,
+        'Fecha': formatearFecha(datos.fecha_evento),
+        'Proceso': datos.proceso_id
+    };
+
+    const saludo = `Estimado(a) ${datos.destinatario_nombre || 'tutor'}:`;
+    const intro = 'Como persona responsable del adolescente, se le informa el siguiente aviso sobre las obligaciones del adolescente ante el tribunal.';
+
+    return {
+        asunto: `Aviso: ${datos.titulo}`,
+        texto: `${saludo}\n\n${intro}\n\n${tablaTexto(detalle)}\n${pieTexto}`,
+        html: disenoHtml(datos.titulo, `<p>${escaparHtml(saludo)}</p>
+<p>${escaparHtml(intro)}</p>
+${tablaHtml(detalle)}`)
+    };
+};
+
+/**
+ * CONTRASEÑA CAMBIADA
+ * datos: { destinatario_nombre, usuario, fecha, ip }
+ */
+const contrasenaCambiada = (datos) => {
+    const detalle = {
+        'Usuario': datos.usuario,
+        'Fecha': formatearFecha(datos.fecha || new Date(), true, true)
+    };
+
+    if (datos.ip) {
+        detalle['Dirección IP'] = datos.ip;
+    }
+
+    const saludo = `Estimado(a) ${datos.destinatario_nombre || 'usuario'}:`;
+    const intro = 'La contraseña de su cuenta fue cambiada.';
+    const aviso = 'Si usted no realizó este cambio, comuníquese de inmediato con el administrador del sistema.';
+
+    return {
+        asunto: 'Su contraseña fue cambiada',
+        texto: `${saludo}\n\n${intro}\n\n${tablaTexto(detalle)}\n\n${aviso}\n${pieTexto}`,
+        html: disenoHtml('Contraseña cambiada', `<p>${escaparHtml(saludo)}</p>
+<p>${escaparHtml(intro)}</p>
+${tablaHtml(detalle)}
+<p style="color:#a00;">${escaparHtml(aviso)}</p>`)
+    };
+};
+
+const PLANTILLAS = {
+    [PLANTILLA_NOTIFICACION.AUDIENCIA_PROGRAMADA]: audienciaProgramada,
+    [PLANTILLA_NOTIFICACION.ALERTA_VENCIMIENTO]: alertaVencimiento,
+    [PLANTILLA_NOTIFICACION.OBLIGACION_TUTOR]: obligacionTutor,
+    [PLANTILLA_NOTIFICACION.CONTRASENA_CAMBIADA]: contrasenaCambiada
+};
+
+/**
+ * GENERAR CORREO A PARTIR DE UNA PLANTILLA
+ *
+ * @returns {Object} - { asunto, texto, html }
+ */
+const renderizar = (plantilla, datos = {}) => {
+    const generar = PLANTILLAS[plantilla];
+
+    if (!generar) {
+        throw new Error(`Plantilla de correo desconocida: ${plantilla}`);
+    }
+
+    return generar(datos);
+};
+
+module.exports = {
+    escaparHtml,
+    renderizar
+};
@@ -0,0 +1,129 @@
+// src/utils/procesosAdolescente.js
+
+const { executeQuery } = require('../config/database');
+const { ConflictError } = require('./errorHandler');
+const { STATUS_PROCESO_CERRADO } = require('../config/constants');
+
+/**
+ * PROCESOS DE UN ADOLESCENTE (reingreso y reincidencia)
+ *
+ * Un adolescente puede tener varios procesos, pero solo uno activo: el que
+ * no está en la papelera y cuyo status no es de cierre (STATUS_PROCESO_CERRADO
+ * en config/constants; sin status cuenta como activo).
+ *
+ * Un proceso es de reincidente si el adolescente tuvo antes otro proceso
+ * fuera de la papelera que terminó en sentencia condenatoria: la de su CJO
+ * es de un tipo que impone medida (tipo_sentencia.crea_cems: condenatoria,
+ * mixta o procedimiento abreviado). "Antes" es por id_proceso: los procesos
+ * se abren en orden.
+ */
+
+const statusCerradosSql = STATUS_PROCESO_CERRADO.map(() => '?').join(', ');
+
+/**
+ * Condición SQL: el proceso (alias) está activo
+ * Los parámetros van con los de la consulta (ver paramsActivo)
+ */
+const sqlProcesoActivo = (alias) => `(
+    ${alias}.eliminado_en IS NULL
+    AND NOT EXISTS (
+        SELECT 1 FROM status st_cierre
+        WHERE st_cierre.id_status = ${alias}.status_id
+          AND st_cierre.nombre IN (${statusCerradosSql})
+    )
+)`;
+
+const paramsActivo = () => [...STATUS_PROCESO_CERRADO];
+
+/**
+ * Subconsulta SQL: procesos previos del adolescente del proceso indicado
+ *
+ * @param {string} columnaProceso - Expresión con el id del proceso (ej. 'p.id_proceso')
+ */
+const sqlProcesosPrevios = (columnaProceso) => `(
+    SELECT COUNT(*)
+    FROM proceso actual
+             INNER JOIN proceso previo ON previo.adolescente_id = actual.adolescente_id
+        AND previo.id_proceso < actual.id_proceso
+        AND previo.eliminado_en IS NULL
+    WHERE actual.id_proceso = ${columnaProceso}
+)`;
+
+/**
+ * Subconsulta SQL: procesos previos del adolescente con sentencia condenatoria
+ *
+ * @param {string} columnaProceso - Expresión con el id del proceso (ej. 'p.id_proceso')
+ */
+const sqlCondenasPrevias = (columnaProceso) => `(
+    SELECT COUNT(*)
+    FROM proceso actual
+             INNER JOIN proceso previo ON previo.adolescente_id = actual.adolescente_id
+        AND previo.id_proceso < actual.id_proceso
+        AND previo.eliminado_en IS NULL
+             INNER JOIN proceso_carpeta pc_previo ON pc_previo.id_proceso = previo.id_proceso
+             INNER JOIN cjo cjo_previo ON cjo_previo.id_cjo = pc_previo.cjo_id
+        AND cjo_previo.eliminado_en IS NULL
+             INNER JOIN tipo_sentencia ts_previo ON ts_previo.id_tipo_sentencia = cjo_previo.tipo_sentencia_id
+        AND ts_previo.crea_cems = TRUE
+    WHERE actual.id_proceso = ${columnaProceso}
+)`;
+
+/**
+ * Expresión SQL (0/1): el proceso indicado es de reincidente
+ */
+const sqlReincidente = (columnaProceso) => `(${sqlCondenasPrevias(columnaProceso)} > 0)`;
+
+/**
+ * PROCESO ACTIVO DEL ADOLESCENTE
+ *
+ * @param {number} adolescenteId
+ * @param {number} [excluirId] - Proceso a ignorar (el que se actualiza o restaura)
+ * @param {Object} [connection] - Conexión de la transacción (null: executeQuery)
+ * @returns {Promise<Object|null>} - { id_proceso, status_nombre } o null
+ */
+const getProcesoActivo = async (adolescenteId, excluirId = null, connection = null) => {
+    let sql = `
+        SELECT p.id_proceso, s.nombre as status_nombre
+        FROM proceso p
+                 LEFT JOIN status s ON p.status_id = s.id_status
+        WHERE p.adolescente_id = ?
+          AND ${sqlProcesoActivo('p')}
+    `;
+    const params = [adolescenteId, ...paramsActivo()];
+
+    if (excluirId) {
+        sql += ` AND p.id_proceso <> ?`;
+        params.push(excluirId);
+    }
+
+    sql += ` ORDER BY p.id_proceso DESC LIMIT 1`;
+
+    const [proceso] = connection
+        ? (await connection.execute(sql, params))[0]
+        : await executeQuery(sql, params);
+    return proceso || null;
+};
+
+/**
+ * 409 si el adolescente ya tiene otro proceso activo
+ */
+const validarSinProcesoActivo = async (adolescenteId, excluirId = null) => {
+    const activo = await getProcesoActivo(adolescenteId, excluirId);
+
+    if (activo) {
+        throw new ConflictError(
+            `El adolescente ya tiene un proceso activo (ID: ${activo.id_proceso}). ` +
+            `Debe concluirse o archivarse antes de abrir otro.`
+        );
+    }
+};
+
+module.exports = {
+    sqlProcesoActivo,
+    paramsActivo,
+    sqlProcesosPrevios,
+    sqlCondenasPrevias,
+    sqlReincidente,
+    getProcesoActivo,
+    validarSinProcesoActivo
+};
@@ -0,0 +1,179 @@
+// src/utils/tiposAudiencia.js
+
+const { executeQuery, executeTransaction } = require('../config/database');
+const { BadRequestError, NotFoundError } = require('./errorHandler');
+
+/**
+ * TIPOS DE AUDIENCIA
+ *
+ * El catálogo tipo_audiencia se administra con el mecanismo genérico de
+ * catálogos (/api/catalogos/tipos-audiencia). Aquí están:
+ *
+ * - resolverTipoAudiencia: valida el tipo de una audiencia (existe, activo y
+ *   aplica a alguna de sus carpetas). Acepta tipo_audiencia_id o, por
+ *   compatibilidad, el texto `tipo` si corresponde a un tipo del catálogo.
+ * - mapearTiposExistentes: enlaza los textos libres capturados antes del
+ *   catálogo. Compara los textos normalizados (sin acentos, mayúsculas,
+ *   signos ni palabras como "audiencia" o "de"), así "Inicial", "inicial" y
+ *   "Audiencia inicial" caen en el mismo tipo. Lo que no corresponde se
+ *   reporta; un mapeo explícito { texto: tipo_audiencia_id } lo resuelve.
+ */
+
+// Palabras que no distinguen un tipo de otro
+const PALABRAS_IGNORADAS = new Set(['audiencia', 'de', 'del', 'la', 'el', 'los', 'las', 'y', 'a']);
+
+// Columna del catálogo por carpeta de la audiencia
+const APLICA_POR_CARPETA = {
+    cj_id: { columna: 'aplica_cj', carpeta: 'CJ' },
+    cjo_id: { columna: 'aplica_cjo', carpeta: 'CJO' },
+    cemci_id: { columna: 'aplica_cemci', carpeta: 'CEMCI' },
+    cems_id: { columna: 'aplica_cems', carpeta: 'CEMS' }
+};
+
+/**
+ * Normalizar un texto de tipo para compararlo
+ */
+const normalizarTipo = (texto) => String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(palabra => palabra && !PALABRAS_IGNORADAS.has(palabra))
+    .join(' ');
+
+/**
+ * Índice del catálogo por nombre normalizado
+ */
+const indexarCatalogo = (tipos) => new Map(
+    tipos.map(tipo => [normalizarTipo(tipo.nombre), tipo])
+);
+
+/**
+ * RESOLVER TIPO DE UNA AUDIENCIA
+ *
+ * @param {Object} data - { tipo_audiencia_id?, tipo? }
+ * @param {Object} carpetas - { cj_id, cjo_id, cemci_id, cems_id } de la audiencia
+ * @returns {Promise<Object|null>} - Fila de tipo_audiencia o null si no se indicó
+ */
+const resolverTipoAudiencia = async (data, carpetas) => {
+    let tipo = null;
+
+    if (data.tipo_audiencia_id) {
+        [tipo] = await executeQuery(
+            `SELECT * FROM tipo_audiencia WHERE id_tipo_audiencia = ?`,
+            [data.tipo_audiencia_id]
+        );
+
+        if (!tipo) {
+            throw new NotFoundError('Tipo de audiencia no encontrado');
+        }
+    } else if (data.tipo) {
+        const catalogo = await executeQuery(`SELECT * FROM tipo_audiencia`);
+        tipo = indexarCatalogo(catalogo).get(normalizarTipo(data.tipo)) || null;
+
+        if (!tipo) {
+            throw new BadRequestError(
+                `"${data.tipo}" no corresponde a ningún tipo de audiencia. ` +
+                `Envíe tipo_audiencia_id (ver /api/catalogos/tipos-audiencia)`
+            );
+        }
+    } else {
+        return null;
+    }
+
+    if (!tipo.activo) {
+        throw new BadRequestError(`El tipo de audiencia "${tipo.nombre}" está desactivado`);
+    }
+
+    const presentes = Object.keys(APLICA_POR_CARPETA).filter(campo => carpetas[campo]);
+
+    if (presentes.length > 0 && !presentes.some(campo => tipo[APLICA_POR_CARPETA[campo].columna])) {
+        throw new BadRequestError(
+            `El tipo "${tipo.nombre}" no aplica a la carpeta de la audiencia ` +
+            `(${presentes.map(campo => APLICA_POR_CARPETA[campo].carpeta).join(', ')})`
+        );
+    }
+
+    return tipo;
+};
+
+/**
+ * MAPEAR TEXTOS LIBRES EXISTENTES AL CATÁLOGO
+ *
+ * @param {Object} opciones
+ * @param {boolean} opciones.aplicar - false: solo reporte
+ * @param {Object} opciones.mapeo - { 'texto original': tipo_audiencia_id } para los que no coinciden
+ * @returns {Promise<Object>} - { mapeados, sin_mapear, audiencias_actualizadas }
+ */
+const mapearTiposExistentes = async ({ aplicar = false, mapeo = {} } = {}) => {
+    const catalogo = await executeQuery(`SELECT * FROM tipo_audiencia`);
+    const porNombre = indexarCatalogo(catalogo);
+    const porId = new Map(catalogo.map(tipo => [tipo.id_tipo_audiencia, tipo]));
+
+    for (const [texto, id] of Object.entries(mapeo)) {
+        if (!porId.has(parseInt(id))) {
+            throw new BadRequestError(`mapeo["${texto}"]: el tipo de audiencia ${id} no existe`);
+        }
+    }
+
+    const textos = await executeQuery(`
+        SELECT tipo as texto, COUNT(*) as audiencias
+        FROM audiencia
+        WHERE tipo_audiencia_id IS NULL
+          AND eliminado_en IS NULL
+          AND tipo IS NOT NULL
+          AND TRIM(tipo) <> ''
+        GROUP BY tipo
+        ORDER BY audiencias DESC
+    `);
+
+    const mapeados = [];
+    const sinMapear = [];
+
+    textos.forEach(({ texto, audiencias }) => {
+        const explicito = mapeo[texto] !== undefined ? porId.get(parseInt(mapeo[texto])) : null;
+        const tipo = explicito || porNombre.get(normalizarTipo(texto));
+
+        if (tipo) {
+            mapeados.push({
+                texto,
+                audiencias,
+                tipo_audiencia_id: tipo.id_tipo_audiencia,
+                tipo_audiencia_nombre: tipo.nombre,
+                por: explicito ? 'MAPEO' : 'NOMBRE'
+            });
+        } else {
+            sinMapear.push({ texto, audiencias });
+        }
+    });
+
+    let actualizadas = 0;
+
+    if (aplicar && mapeados.length > 0) {
+        await executeTransaction(async (connection) => {
+            for (const fila of mapeados) {
+                const [result] = await connection.execute(`
+                    UPDATE audiencia
+                    SET tipo_audiencia_id = ?, tipo = ?
+                    WHERE tipo_audiencia_id IS NULL AND tipo = ?
+                `, [fila.tipo_audiencia_id, fila.tipo_audiencia_nombre, fila.texto]);
+
+                actualizadas += result.affectedRows;
+            }
+        });
+    }
+
+    return {
+        aplicado: !!aplicar,
+        mapeados,
+        sin_mapear: sinMapear,
+        audiencias_actualizadas: actualizadas
+    };
+};
+
+module.exports = {
+    normalizarTipo,
+    resolverTipoAudiencia,
+    mapearTiposExistentes
+};